@@ -0,0 +1,295 @@
+const { toBaseUnits } = require('../amounts');
+const { MarketData } = require('../market');
+const { loadSigner } = require('../signer');
+const { PaperExchange } = require('../paper-exchange');
+const { createLogger, RotatingFile } = require('../logger');
+
+const log = createLogger('adapter');
+
+/**
+ * Base class for chain/venue adapters.
+ *
+ * An adapter bundles everything TradingMonitor needs to trade on one chain:
+ * market data (MarketData for `chainId`, see market/), quoting and execution through
+ * the chain's swap executor, wallet balances and token metadata. Subclasses
+ * set `chainId`, `quoteToken`, `popularTokens`, `metadata` (a
+ * TokenMetadataService) and `tokens` (a TokenRegistry), declare a static `keyType` ('evm' or 'solana', see
+ * signer.js), and implement createSwapper(), getBalances() and
+ * getTokenBalance().
+ *
+ * Live buys and sells convert amounts to base units with the token's real
+ * decimals using exact integer maths; positions opened live carry
+ * `amountRaw` so a full close sells exactly what was bought.
+ *
+ * In dry-run mode buy() and sell() fill on a PaperExchange (virtual balances,
+ * pool slippage, fees and latency at DexScreener prices), so no wallet or
+ * swap executor is needed.
+ */
+class ChainAdapter {
+    static keyType = null; // Wallet key type, null = no wallet
+    static defaultGasBuffer = 0; // Native token kept for fees (GAS_BUFFER)
+
+    /**
+     * @param {Object} config - Monitor configuration (rpcUrl, maxSlippage, dryRun)
+     */
+    constructor(config) {
+        this.config = config;
+        this.dryRun = config.dryRun;
+        this.chainId = null; // DexScreener chain id
+        this.quoteToken = null; // { symbol, address, decimals }
+        this.popularTokens = []; // Fallback token addresses when trending is empty
+        this.metadata = null; // TokenMetadataService
+        this.tokens = null; // TokenRegistry: symbols and address validation
+        this.signer = null; // From unlockWallet()
+        this.paper = null; // PaperExchange for dry-run fills, see getPaperExchange()
+        this.swapper = null;
+        this.market = null;
+    }
+
+    /**
+     * Load the wallet's signer (see signer.js), prompting for the keystore
+     * passphrase if needed and `interactive`. Swaps sign with it from then on.
+     * @param {Object} [options] - { interactive } (default true)
+     * @returns {Promise<Object|null>} Signer, or null if no wallet is configured
+     * @throws {KeystoreError} If the wallet cannot be unlocked
+     */
+    async unlockWallet(options = {}) {
+        const { keyType } = this.constructor;
+        if (!keyType) return null;
+
+        this.signer = await loadSigner(keyType, this.config, { ...options, provider: this.provider });
+        this.swapper = null; // Recreated with the signer
+        return this.signer;
+    }
+
+    /**
+     * Create the swap executor for this chain (getQuote / executeSwap / swap)
+     * @returns {Object} Swap executor
+     */
+    createSwapper() {
+        throw new Error(`${this.constructor.name} does not implement createSwapper()`);
+    }
+
+    /**
+     * Transaction manager settings for the swap executor (see tx-manager.js)
+     * @returns {Object} { timeout, pollInterval, rebroadcastInterval, bumpAfter, bumpPercent, maxFeeMultiplier }
+     */
+    txOptions() {
+        return {
+            timeout: this.config.txDeadline * 1000,
+            pollInterval: this.config.txPollInterval,
+            rebroadcastInterval: this.config.txPollInterval,
+            bumpAfter: this.config.txFeeBumpAfter * 1000,
+            bumpPercent: this.config.txFeeBumpPercent,
+            maxFeeMultiplier: this.config.txMaxFeeMultiplier
+        };
+    }
+
+    /**
+     * Trade record file for the swap executor, shared with the monitor and
+     * rotated with the log settings
+     * @returns {RotatingFile} TRADES_FILE
+     */
+    tradesLog() {
+        return new RotatingFile(this.config.tradesFile, { maxSize: this.config.logMaxSize, backups: this.config.logBackups });
+    }
+
+    /**
+     * Create a live price feed for open positions' pools (see market/price-feed.js)
+     * @returns {PoolPriceFeed|null} Price feed, or null if the chain has none
+     */
+    createPriceFeed() {
+        return null;
+    }
+
+    /**
+     * Get native and quote token balances of the configured wallet
+     * @returns {Promise<Object>} { address, native, quote }
+     */
+    async getBalances() {
+        throw new Error(`${this.constructor.name} does not implement getBalances()`);
+    }
+
+    /**
+     * Get token metadata
+     * @param {string} address - Token address
+     * @returns {Promise<Object>} { address, symbol, name, decimals }
+     */
+    async getTokenMetadata(address) {
+        if (!this.metadata) {
+            throw new Error(`${this.constructor.name} has no token metadata service`);
+        }
+        return this.metadata.get(address);
+    }
+
+    /**
+     * Get the wallet's balance of a token
+     * @param {string} address - Token address
+     * @returns {Promise<number>} Balance in token units
+     */
+    async getTokenBalance(address) {
+        throw new Error(`${this.constructor.name} does not implement getTokenBalance()`);
+    }
+
+    /**
+     * Swap executor, created on first live use so dry runs need no wallet
+     * @returns {Object} Swap executor
+     */
+    getSwapper() {
+        if (!this.swapper) {
+            this.swapper = this.createSwapper();
+        }
+        // MAX_SLIPPAGE can be reloaded on a running monitor (control.js); executors read it per swap
+        this.swapper.maxSlippage = this.config.maxSlippage;
+        return this.swapper;
+    }
+
+    /**
+     * Get a swap quote
+     * @param {string} inputToken - Input token address
+     * @param {string} outputToken - Output token address
+     * @param {number|string} amount - Amount in the input token's base units
+     * @returns {Promise<Object>} Quote object
+     */
+    async getQuote(inputToken, outputToken, amount) {
+        return this.getSwapper().getQuote(inputToken, outputToken, amount);
+    }
+
+    /**
+     * Execute a quoted swap
+     * @param {Object} quote - Quote object from getQuote()
+     * @returns {Promise<string>} Transaction signature
+     */
+    async executeSwap(quote) {
+        return this.getSwapper().executeSwap(quote, this.dryRun);
+    }
+
+    /**
+     * Buy a token with the quote token
+     * @param {Object} token - Normalized token from getTrendingTokens()
+     * @param {number} quoteAmount - Amount of quote token to spend (e.g. USDC)
+     * @param {Object} [options] - Swap options, e.g. { guard } (see swap())
+     * @returns {Promise<Object>} Swap result; outputAmount is in token units, outputAmountRaw in base units
+     */
+    async buy(token, quoteAmount, options = {}) {
+        if (this.dryRun) {
+            return this.getPaperExchange().buy(token, quoteAmount, {
+                guard: options.guard,
+                refresh: () => this.getTokenData(token.address)
+            });
+        }
+
+        const baseUnits = toBaseUnits(quoteAmount, this.quoteToken.decimals);
+        return this.getSwapper().swap(this.quoteToken.address, token.address, baseUnits, false, options);
+    }
+
+    /**
+     * Sell a position (or part of it) back to the quote token
+     * @param {Object} position - Open position
+     * @param {number} [price] - Current token price, used for paper fills
+     * @param {number} [amount] - Token amount to sell; defaults to the whole position
+     * @param {Object} [options] - Swap options, e.g. { guard } (see swap())
+     * @returns {Promise<Object>} Swap result; outputAmount is in quote token units, inputAmountRaw is what was sold
+     */
+    async sell(position, price, amount = position.amount, options = {}) {
+        if (this.dryRun) {
+            // Pool liquidity for the slippage estimate; the price too if none was given
+            const data = await this.getTokenData(position.address);
+            const market = { price: price ?? data?.price ?? position.entryPrice, liquidity: data?.liquidity };
+            return this.getPaperExchange().sell({ address: position.address, symbol: position.token }, amount, market, {
+                guard: options.guard,
+                refresh: () => this.getTokenData(position.address)
+            });
+        }
+
+        const { decimals } = await this.getTokenMetadata(position.address);
+        let baseUnits = toBaseUnits(amount, decimals);
+
+        // Never sell more than the position holds; a full close sells the exact balance bought
+        if (position.amountRaw !== undefined) {
+            const held = BigInt(position.amountRaw);
+            if (amount >= position.amount || baseUnits > held) {
+                baseUnits = held;
+            }
+        }
+        return this.getSwapper().swap(position.address, this.quoteToken.address, baseUnits, false, options);
+    }
+
+    /**
+     * Simulated venue for dry-run fills, created on first use from the
+     * configuration unless one was assigned to `paper`
+     * @returns {PaperExchange} Paper exchange
+     */
+    getPaperExchange() {
+        if (!this.paper) {
+            this.paper = new PaperExchange(this.config);
+        }
+        return this.paper;
+    }
+
+    /**
+     * Market data layer for this chain, created on first use
+     * @returns {MarketData} Market data
+     */
+    getMarketData() {
+        if (!this.market) {
+            this.market = new MarketData({
+                chainId: this.chainId,
+                config: this.config,
+                provider: this.provider,
+                metadata: this.metadata,
+                fallbackTokens: this.popularTokens
+            });
+        }
+        return this.market;
+    }
+
+    /**
+     * Get trending tokens for this chain
+     * @param {Object} filters - { minVolume24h } applied to fallback tokens
+     * @returns {Promise<Array>} Normalized tokens
+     */
+    async getTrendingTokens(filters = {}) {
+        try {
+            return await this.getMarketData().getTrendingTokens(filters);
+        } catch (error) {
+            log.error(`❌ Error fetching trending tokens: ${error.message}`, { error });
+            return [];
+        }
+    }
+
+    /**
+     * Get current market data for a token (from its most liquid pair)
+     * @param {string} address - Token address
+     * @returns {Promise<Object|null>} Normalized token: { price, priceChange24h, volume24h, liquidity, pairAddress, ... }
+     */
+    async getTokenData(address) {
+        try {
+            return await this.getMarketData().getTokenData(address);
+        } catch (error) {
+            log.error(`❌ Error fetching token data for ${address}: ${error.message}`, { error });
+            return null;
+        }
+    }
+
+    /**
+     * Fetch market data for several tokens in as few requests as possible;
+     * later getTokenData() calls are served from the cache
+     * @param {Array<string>} addresses - Token addresses
+     * @returns {Promise<Map>} address -> normalized token
+     */
+    async getTokensData(addresses) {
+        return this.getMarketData().getTokens(addresses);
+    }
+
+    /**
+     * Cross-check a token's price against the other configured sources
+     * @param {Object} token - Normalized token
+     * @returns {Promise<Object>} { ok, deviation, prices, onchainPrice, reason }
+     */
+    async verifyPrice(token) {
+        return this.getMarketData().verifyPrice(token);
+    }
+}
+
+module.exports = ChainAdapter;
@@ -0,0 +1,97 @@
+const { ethers } = require('ethers');
+const ChainAdapter = require('./chain-adapter');
+const EvmSwap = require('../evm-swap');
+const { TokenMetadataService, evmMetadataFetcher } = require('../token-metadata');
+const { TokenRegistry } = require('../token-registry');
+const { PoolPriceFeed } = require('../market/price-feed');
+const { toNumber } = require('../amounts');
+
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+/**
+ * Adapter for Base (and other EVM chains) trading through EvmSwap
+ */
+class EvmAdapter extends ChainAdapter {
+    static defaultRpcUrl = 'https://mainnet.base.org';
+    static keyType = 'evm';
+    static defaultGasBuffer = 0.002; // ETH on Base
+
+    constructor(config) {
+        super(config);
+        this.chainId = 'base';
+        this.quoteToken = {
+            symbol: 'USDC',
+            address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+            decimals: 6
+        };
+        this.popularTokens = [
+            // SOL on Base (DexScreener "Solana"-named token on Base)
+            '0x311935Cd80B76769bF2ecC9D8Ab7635b2139cf82',
+            // USDC on Base
+            '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+        ];
+        this.provider = new ethers.JsonRpcProvider(config.rpcUrl, undefined, { staticNetwork: true });
+        this.metadata = new TokenMetadataService('base', evmMetadataFetcher(this.provider), {
+            known: [this.quoteToken],
+            caseInsensitive: true
+        });
+        this.tokens = TokenRegistry.fromConfig(config, 'base');
+    }
+
+    createSwapper() {
+        return new EvmSwap(this.config.rpcUrl, this.config.maxSlippage, {
+            routerAddress: this.config.routerAddress,
+            aggregatorUrl: this.config.aggregatorUrl,
+            signer: this.signer,
+            metadata: this.metadata,
+            tokens: this.tokens,
+            tx: this.txOptions(),
+            tradesLog: this.tradesLog()
+        });
+    }
+
+    createPriceFeed() {
+        if (this.config.priceFeed !== 'pool') return null;
+        return new PoolPriceFeed(this.provider, this.metadata, {
+            wsUrl: this.config.wsRpcUrl,
+            pollInterval: this.config.pricePollInterval
+        });
+    }
+
+    async getBalances() {
+        const wallet = this.getSwapper().wallet;
+        if (!wallet) {
+            throw new Error('No EVM wallet configured');
+        }
+
+        const usdc = new ethers.Contract(this.quoteToken.address, ERC20_ABI, this.provider);
+        const [native, quote] = await Promise.all([
+            this.provider.getBalance(wallet.address),
+            usdc.balanceOf(wallet.address)
+        ]);
+
+        return {
+            address: wallet.address,
+            native: parseFloat(ethers.formatEther(native)),
+            quote: toNumber(quote, this.quoteToken.decimals)
+        };
+    }
+
+    async getTokenBalance(address) {
+        const wallet = this.getSwapper().wallet;
+        if (!wallet) {
+            throw new Error('No EVM wallet configured');
+        }
+
+        const token = new ethers.Contract(address, ERC20_ABI, this.provider);
+        const [balance, { decimals }] = await Promise.all([
+            token.balanceOf(wallet.address),
+            this.getTokenMetadata(address)
+        ]);
+        return toNumber(balance, decimals);
+    }
+}
+
+module.exports = EvmAdapter;
@@ -0,0 +1,33 @@
+const EvmAdapter = require('./evm');
+const SolanaAdapter = require('./solana');
+
+// Chain name (CHAIN env) -> adapter class
+const ADAPTERS = {
+    base: EvmAdapter,
+    solana: SolanaAdapter
+};
+
+/**
+ * Look up the adapter class for a chain
+ * @param {string} chain - Chain name, e.g. 'base' or 'solana'
+ * @returns {Function} Adapter class
+ */
+function getAdapterClass(chain) {
+    const Adapter = ADAPTERS[chain];
+    if (!Adapter) {
+        throw new Error(`Unsupported chain: ${chain} (expected one of ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return Adapter;
+}
+
+/**
+ * Create the adapter for the configured chain
+ * @param {Object} config - Monitor configuration; `chain` selects the adapter
+ * @returns {ChainAdapter} Adapter instance
+ */
+function createAdapter(config) {
+    const Adapter = getAdapterClass(config.chain);
+    return new Adapter(config);
+}
+
+module.exports = { ADAPTERS, getAdapterClass, createAdapter };
@@ -0,0 +1,89 @@
+const ChainAdapter = require('./chain-adapter');
+
+/**
+ * Adapter that replays recorded market snapshots against a virtual clock.
+ *
+ * Market data is the latest snapshot at or before clock.now(); every fill
+ * goes through the backtest's PaperExchange at the replayed price. Used by
+ * backtest.js.
+ */
+class ReplayAdapter extends ChainAdapter {
+    /**
+     * @param {Array} snapshots - Snapshots sorted by time, from loadSnapshots()
+     * @param {VirtualClock} clock - Backtest clock
+     */
+    constructor(snapshots, clock) {
+        super({ dryRun: true });
+        this.chainId = 'replay';
+        this.quoteToken = { symbol: 'USDC', address: null, decimals: 6 };
+        this.snapshots = snapshots;
+        this.clock = clock;
+        this.cursor = 0;
+        this.current = []; // Tokens of the latest scan
+        this.latest = new Map(); // address -> latest token data
+    }
+
+    /**
+     * Apply every snapshot up to the current clock time
+     */
+    advance() {
+        const now = this.clock.now();
+
+        while (this.cursor < this.snapshots.length && this.snapshots[this.cursor].time <= now) {
+            const snapshot = this.snapshots[this.cursor++];
+
+            if (snapshot.poll) {
+                // A poll only refreshes market data for a token already seen in a scan
+                const token = this.latest.get(snapshot.poll.address);
+                if (token) this.latest.set(token.address, { ...token, ...snapshot.poll });
+                continue;
+            }
+
+            this.current = snapshot.tokens;
+            snapshot.tokens.forEach(token => this.latest.set(token.address, token));
+        }
+    }
+
+    createSwapper() {
+        throw new Error('Replay adapter only simulates fills');
+    }
+
+    async getTrendingTokens() {
+        this.advance();
+        return this.current;
+    }
+
+    async getTokenData(address) {
+        this.advance();
+        const token = this.latest.get(address);
+        if (!token) return null;
+
+        return {
+            price: token.price,
+            priceChange24h: token.priceChange24h,
+            volume24h: token.volume24h,
+            liquidity: token.liquidity
+        };
+    }
+
+    async getTokensData(addresses) {
+        const tokens = new Map();
+        for (const address of addresses) {
+            const data = await this.getTokenData(address);
+            if (data) tokens.set(address, data);
+        }
+        return tokens;
+    }
+
+    async verifyPrice() {
+        // Snapshots hold a single source
+        return { ok: true, deviation: 0, prices: {}, onchainPrice: null };
+    }
+
+    async getTokenMetadata(address) {
+        const token = this.latest.get(address);
+        return { address, symbol: token?.symbol || null, name: token?.name || null, decimals: 18 };
+    }
+}
+
+module.exports = ReplayAdapter;
@@ -0,0 +1,94 @@
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const ChainAdapter = require('./chain-adapter');
+const JupiterSwap = require('../swap');
+const { TokenMetadataService, solanaMetadataFetcher } = require('../token-metadata');
+const { TokenRegistry } = require('../token-registry');
+const { toNumber } = require('../amounts');
+
+/**
+ * Adapter for Solana trading through JupiterSwap
+ */
+class SolanaAdapter extends ChainAdapter {
+    static defaultRpcUrl = 'https://api.mainnet-beta.solana.com';
+    static keyType = 'solana';
+    static defaultGasBuffer = 0.02; // SOL, also covers token account rent
+
+    constructor(config) {
+        super(config);
+        this.chainId = 'solana';
+        this.quoteToken = {
+            symbol: 'USDC',
+            address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+            decimals: 6
+        };
+        this.popularTokens = [
+            // Wrapped SOL
+            'So11111111111111111111111111111111111111112',
+            // USDC
+            'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+        ];
+        this.connection = new Connection(config.rpcUrl, 'confirmed');
+        this.metadata = new TokenMetadataService('solana', solanaMetadataFetcher(this.connection), {
+            known: [this.quoteToken]
+        });
+        this.tokens = TokenRegistry.fromConfig(config, 'solana');
+    }
+
+    createSwapper() {
+        return new JupiterSwap(this.config.rpcUrl, this.config.maxSlippage, {
+            signer: this.signer,
+            metadata: this.metadata,
+            tokens: this.tokens,
+            tx: this.txOptions(),
+            tradesLog: this.tradesLog()
+        });
+    }
+
+    /**
+     * Sum the raw amounts of the owner's token accounts for a mint
+     * @returns {Promise<bigint>} Balance in base units
+     */
+    async getRawTokenBalance(owner, mint) {
+        const accounts = await this.connection.getParsedTokenAccountsByOwner(owner, {
+            mint: new PublicKey(mint)
+        });
+        return accounts.value.reduce(
+            (sum, account) => sum + BigInt(account.account.data.parsed.info.tokenAmount.amount),
+            0n
+        );
+    }
+
+    /**
+     * Public key of the unlocked wallet
+     */
+    getOwner() {
+        const wallet = this.getSwapper().wallet;
+        if (!wallet) {
+            throw new Error('No Solana wallet configured');
+        }
+        return wallet.publicKey;
+    }
+
+    async getBalances() {
+        const owner = this.getOwner();
+
+        const lamports = await this.connection.getBalance(owner);
+        const quote = await this.getRawTokenBalance(owner, this.quoteToken.address);
+
+        return {
+            address: owner.toString(),
+            native: lamports / LAMPORTS_PER_SOL,
+            quote: toNumber(quote, this.quoteToken.decimals)
+        };
+    }
+
+    async getTokenBalance(address) {
+        const [balance, { decimals }] = await Promise.all([
+            this.getRawTokenBalance(this.getOwner(), address),
+            this.getTokenMetadata(address)
+        ]);
+        return toNumber(balance, decimals);
+    }
+}
+
+module.exports = SolanaAdapter;
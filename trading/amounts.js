@@ -0,0 +1,82 @@
+/**
+ * Exact conversions between human token amounts and integer base units.
+ *
+ * Base units are BigInt (or their decimal string form in JSON files), so
+ * on-chain amounts never pass through floating point. Human amounts may be
+ * numbers or decimal strings; digits beyond the token's decimals are
+ * truncated, never rounded up, so we never try to spend more than we hold.
+ */
+
+/**
+ * Expand a number or numeric string to a plain decimal string (no exponent)
+ */
+function toDecimalString(value) {
+    const text = typeof value === 'number' ? String(value) : String(value).trim();
+
+    const match = /^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new Error(`Invalid amount: ${JSON.stringify(value)}`);
+    }
+
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    // Leading zeros are dropped, moving the point left with them
+    const padded = whole + fraction;
+    const digits = padded.replace(/^0+(?=\d)/, '');
+    const point = whole.length + parseInt(exponent, 10) - (padded.length - digits.length);
+
+    if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+    if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+    return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Convert a human amount to base units, truncating extra precision
+ * @param {number|string} amount - e.g. 1.5 or "1.5"
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Base units, e.g. 1500000n for 6 decimals
+ */
+function toBaseUnits(amount, decimals) {
+    assertDecimals(decimals);
+    const text = toDecimalString(amount);
+    if (text.startsWith('-')) {
+        throw new Error(`Negative amount: ${amount}`);
+    }
+
+    const [whole, fraction = ''] = text.split('.');
+    return BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+}
+
+/**
+ * Convert base units to an exact decimal string
+ * @param {bigint|string|number} raw - Base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} e.g. "1.5"
+ */
+function fromBaseUnits(raw, decimals) {
+    assertDecimals(decimals);
+    const value = BigInt(raw);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Convert base units to a Number for display, P&L and strategy maths
+ * @param {bigint|string|number} raw - Base units
+ * @param {number} decimals - Token decimals
+ * @returns {number} Human amount (may lose precision beyond ~15 digits)
+ */
+function toNumber(raw, decimals) {
+    return parseFloat(fromBaseUnits(raw, decimals));
+}
+
+function assertDecimals(decimals) {
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+        throw new Error(`Invalid token decimals: ${decimals}`);
+    }
+}
+
+module.exports = { toBaseUnits, fromBaseUnits, toNumber, toDecimalString };
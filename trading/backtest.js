@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+require('dotenv').config();
+
+const TradingMonitor = require('./monitor');
+const ReplayAdapter = require('./adapters/replay');
+const { PaperExchange } = require('./paper-exchange');
+const { VirtualClock } = require('./clock');
+const { loadSnapshots } = require('./snapshots');
+const { loadConfig } = require('./config');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * TradingMonitor driven by recorded snapshots and a virtual clock.
+ *
+ * Runs the unmodified scan loop and entry/exit rules; only persistence is
+ * redirected to memory so a backtest never touches positions.json or trades.log.
+ */
+class BacktestMonitor extends TradingMonitor {
+    /**
+     * @param {Array} snapshots - Snapshots sorted by time, from loadSnapshots()
+     * @param {Object} options - { capital } starting equity in USDC, { config } monitor configuration
+     */
+    constructor(snapshots, options = {}) {
+        if (snapshots.length === 0) {
+            throw new Error('No snapshots to replay');
+        }
+
+        const clock = new VirtualClock(snapshots[0].time);
+        super({
+            config: options.config || loadConfig(),
+            adapter: new ReplayAdapter(snapshots, clock),
+            clock,
+            riskStateFile: null,
+            journalFile: null,
+            ledgerFile: null,
+            screener: null, // Replayed tokens have no contracts to inspect
+            notifier: null
+        });
+
+        this.config.dryRun = true;
+        this.recorder = null; // Never re-record replayed data
+        this.startTime = snapshots[0].time;
+        this.endTime = snapshots[snapshots.length - 1].time;
+        this.capital = options.capital || 1000;
+        // Fills pay slippage, fees and gas like paper trading, from an in-memory account
+        this.adapter.paper = new PaperExchange(this.config, { clock, stateFile: null, fillLog: null, balance: this.capital });
+        this.realizedPnl = 0;
+        this.trades = [];
+        this.equityCurve = [];
+    }
+
+    /**
+     * Replay all snapshots, close what is left open and build the report
+     * @returns {Promise<Object>} Backtest report
+     */
+    async run() {
+        await this.scanLoop();
+
+        // Close remaining positions at the last replayed price
+        for (const [address, position] of Array.from(this.positions)) {
+            await this.exitPosition(address, position, 'Backtest end');
+        }
+        this.recordEquity();
+
+        return this.buildReport();
+    }
+
+    async checkPositions() {
+        await super.checkPositions();
+        this.recordEquity();
+    }
+
+    async sleep(ms) {
+        await super.sleep(ms);
+
+        // Stop once the clock runs past the last snapshot
+        if (this.clock.now() > this.endTime) {
+            this.isScanning = false;
+        }
+    }
+
+    savePositions() {
+        // Backtests keep positions in memory only
+    }
+
+    logTrade(trade) {
+        this.trades.push({ timestamp: new Date(this.clock.now()).toISOString(), ...trade });
+        this.realizedPnl += trade.pnl;
+    }
+
+    /**
+     * Mark-to-market equity: starting capital plus realized and unrealized P&L.
+     * Replaces the wallet reading for percent-of-equity sizing.
+     * @returns {number} USDC
+     */
+    getEquity() {
+        let unrealized = 0;
+        for (const [address, position] of this.positions) {
+            const token = this.adapter.latest.get(address);
+            const price = token ? token.price : position.entryPrice;
+            unrealized += position.amount * price - position.costBasis;
+        }
+        return this.capital + this.realizedPnl + unrealized;
+    }
+
+    /**
+     * Append the current mark-to-market equity to the equity curve
+     */
+    recordEquity() {
+        this.equityCurve.push({
+            timestamp: new Date(this.clock.now()).toISOString(),
+            equity: this.getEquity()
+        });
+    }
+
+    /**
+     * Compute trade statistics, drawdown and Sharpe ratio
+     * @returns {Object} Backtest report
+     */
+    buildReport() {
+        const wins = this.trades.filter(t => t.pnl > 0).length;
+        const equities = this.equityCurve.map(point => point.equity);
+        const endingEquity = equities.length > 0 ? equities[equities.length - 1] : this.capital;
+
+        return {
+            start: new Date(this.startTime).toISOString(),
+            end: new Date(this.endTime).toISOString(),
+            startingCapital: this.capital,
+            endingEquity,
+            totalPnl: endingEquity - this.capital,
+            totalReturnPct: ((endingEquity - this.capital) / this.capital) * 100,
+            tradeCount: this.trades.length,
+            wins,
+            losses: this.trades.length - wins,
+            winRate: this.trades.length > 0 ? (wins / this.trades.length) * 100 : 0,
+            maxDrawdownPct: maxDrawdown(equities),
+            sharpe: sharpeRatio(equities, YEAR_MS / this.config.scanInterval),
+            trades: this.trades,
+            equityCurve: this.equityCurve
+        };
+    }
+}
+
+/**
+ * Largest peak-to-trough decline of an equity series
+ * @param {number[]} equities - Equity values
+ * @returns {number} Max drawdown percentage
+ */
+function maxDrawdown(equities) {
+    let peak = -Infinity;
+    let worst = 0;
+
+    for (const equity of equities) {
+        peak = Math.max(peak, equity);
+        if (peak > 0) {
+            worst = Math.max(worst, ((peak - equity) / peak) * 100);
+        }
+    }
+
+    return worst;
+}
+
+/**
+ * Annualized Sharpe ratio of per-step equity returns (risk-free rate 0)
+ * @param {number[]} equities - Equity values, one per scan
+ * @param {number} periodsPerYear - Scans per year
+ * @returns {number} Sharpe ratio
+ */
+function sharpeRatio(equities, periodsPerYear) {
+    const returns = [];
+    for (let i = 1; i < equities.length; i++) {
+        if (equities[i - 1] > 0) {
+            returns.push(equities[i] / equities[i - 1] - 1);
+        }
+    }
+    if (returns.length < 2) return 0;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    const std = Math.sqrt(variance);
+
+    return std > 0 ? (mean / std) * Math.sqrt(periodsPerYear) : 0;
+}
+
+/**
+ * Format a signed USD amount, e.g. +$1.50 / -$0.25
+ */
+function formatUsd(value) {
+    return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+}
+
+module.exports = { BacktestMonitor, maxDrawdown, sharpeRatio };
+
+// CLI usage
+if (require.main === module) {
+    async function main() {
+        const args = process.argv.slice(2);
+        const files = args.filter(arg => !arg.startsWith('--'));
+        const ownFlags = ['capital', 'out', 'quiet'];
+        const isOwnFlag = arg => ownFlags.includes(arg.slice(2).split('=')[0]);
+        const flags = Object.fromEntries(args
+            .filter(arg => arg.startsWith('--') && isOwnFlag(arg))
+            .map(arg => {
+                const [key, value] = arg.slice(2).split('=');
+                return [key, value === undefined ? true : value];
+            }));
+
+        if (files.length === 0) {
+            console.log('Usage: node backtest.js <snapshots.jsonl|.jsonl.gz|.csv>... [--capital=1000] [--out=report.json] [--quiet] [config flags]');
+            console.log('Example: node backtest.js data/2024-01-15.jsonl --capital=500 --out=report.json --stop-loss=8');
+            process.exit(1);
+        }
+
+        const log = console.log;
+        try {
+            // Remaining flags override monitor configuration, e.g. --stop-loss=8
+            const config = loadConfig({ argv: args.filter(arg => arg.startsWith('--') && !isOwnFlag(arg)) });
+            const monitor = new BacktestMonitor(loadSnapshots(files), {
+                capital: parseFloat(flags.capital) || 1000,
+                config
+            });
+
+            if (flags.quiet) console.log = () => {};
+            const report = await monitor.run();
+            console.log = log;
+
+            console.log('\n📊 Backtest Report');
+            console.log(`   Period:       ${report.start} → ${report.end}`);
+            console.log(`   Trades:       ${report.tradeCount} (${report.wins} wins / ${report.losses} losses)`);
+            console.log(`   Win rate:     ${report.winRate.toFixed(1)}%`);
+            console.log(`   P&L:          ${formatUsd(report.totalPnl)} (${report.totalReturnPct.toFixed(2)}%)`);
+            console.log(`   Max drawdown: ${report.maxDrawdownPct.toFixed(2)}%`);
+            console.log(`   Sharpe:       ${report.sharpe.toFixed(2)}`);
+
+            report.trades.forEach(trade => {
+                console.log(`   ${trade.exitTime} ${trade.token.padEnd(10)} ${formatUsd(trade.pnl)} (${trade.reason})`);
+            });
+
+            if (flags.out) {
+                fs.writeFileSync(flags.out, JSON.stringify(report, null, 2));
+                console.log(`📁 Full report written to ${flags.out}`);
+            }
+        } catch (error) {
+            console.log = log;
+            console.error('❌ Backtest failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    main();
+}
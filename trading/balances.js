@@ -0,0 +1,60 @@
+const { SystemClock } = require('./clock');
+
+/**
+ * Wallet balances for entry funding and equity-based sizing.
+ *
+ * Reads the configured wallet's native balance (ETH / SOL, which pays fees)
+ * and quote token balance (the ERC-20 / SPL token entries are bought with)
+ * through the adapter. `gasBuffer` native units are held back for fees: an
+ * entry is refused unless the wallet holds at least that much native token
+ * and enough quote token for the whole position.
+ *
+ * Balances are read at startup and again before every entry; `latest` keeps
+ * the most recent reading for status reporting. In dry runs they are the
+ * paper exchange's virtual balances, which have no native token to check.
+ */
+class BalanceService {
+    /**
+     * @param {ChainAdapter} adapter - Chain adapter with getBalances()
+     * @param {Object} config - Monitor configuration (gasBuffer)
+     * @param {Object} options - { clock }
+     */
+    constructor(adapter, config, options = {}) {
+        this.adapter = adapter;
+        this.config = config;
+        this.clock = options.clock || new SystemClock();
+        this.latest = null; // { address, native, quote, time }
+    }
+
+    /**
+     * Read the wallet's current balances
+     * @returns {Promise<Object>} { address, native, quote, time } in token units
+     */
+    async refresh() {
+        const balances = this.adapter.dryRun
+            ? this.adapter.getPaperExchange().getBalances()
+            : await this.adapter.getBalances();
+        this.latest = { ...balances, time: new Date(this.clock.now()).toISOString() };
+        return this.latest;
+    }
+
+    /**
+     * Check that the wallet can fund an entry
+     * @param {Object} balances - Result of refresh()
+     * @param {number} size - Quote token to spend
+     * @returns {Object} { allowed, reason }
+     */
+    canFund(balances, size) {
+        const symbol = this.adapter.quoteToken.symbol;
+
+        if (balances.native !== null && balances.native < this.config.gasBuffer) {
+            return { allowed: false, reason: `Native balance below gas buffer (${balances.native.toFixed(4)} < ${this.config.gasBuffer})` };
+        }
+        if (balances.quote < size) {
+            return { allowed: false, reason: `Insufficient ${symbol} balance (need ${size.toFixed(2)}, wallet holds ${balances.quote.toFixed(2)})` };
+        }
+        return { allowed: true, reason: null };
+    }
+}
+
+module.exports = { BalanceService };
@@ -0,0 +1,180 @@
+/**
+ * OHLCV candles per token, built from the monitor's repeated market scans,
+ * position polls and pool price reads.
+ *
+ * Every sample updates the current bar of each configured timeframe (its
+ * open, high, low and close). Bars without samples repeat the previous close
+ * so series stay evenly spaced for the indicators (see indicators.js).
+ *
+ * DexScreener reports volume and buy/sell transaction counts over rolling
+ * 5m/1h/6h/24h windows rather than per trade, so the volume traded between
+ * two samples is estimated from the later one: the shortest window covering
+ * the time elapsed, pro rata. Pool reads carry no volume and only move the
+ * price. `buys` and `sells` are transaction counts, not USD.
+ *
+ * Tokens drop out of trending all the time; prune() forgets the series of
+ * those no longer sampled so a long run does not keep every token it ever saw.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Timeframe (CANDLE_TIMEFRAMES) -> bar length in milliseconds
+const TIMEFRAMES = {
+    '1m': MINUTE_MS,
+    '5m': 5 * MINUTE_MS,
+    '15m': 15 * MINUTE_MS,
+    '1h': HOUR_MS,
+    '4h': 4 * HOUR_MS,
+    '1d': 24 * HOUR_MS
+};
+
+// DexScreener rolling windows, shortest first: [volume field suffix, txns key, length]
+const WINDOWS = [
+    ['5m', 'm5', 5 * MINUTE_MS],
+    ['1h', 'h1', HOUR_MS],
+    ['6h', 'h6', 6 * HOUR_MS],
+    ['24h', 'h24', 24 * HOUR_MS]
+];
+
+/**
+ * Volume and transactions traded over `elapsed` ms before a sample
+ * @param {Object} data - Normalized token with volume5m ... volume24h and txns
+ * @param {number} elapsed - Milliseconds since the previous sample with volume
+ * @returns {Object|null} { volume, buys, sells }, or null if the sample has no volume
+ */
+function estimateFlow(data, elapsed) {
+    for (const [suffix, key, length] of WINDOWS) {
+        const volume = data[`volume${suffix}`];
+        if (volume === undefined) continue;
+        if (elapsed > length && key !== 'h24') continue;
+
+        const share = Math.min(elapsed, length) / length;
+        const txns = data.txns?.[key];
+        return {
+            volume: volume * share,
+            buys: (txns?.buys || 0) * share,
+            sells: (txns?.sells || 0) * share
+        };
+    }
+    return null;
+}
+
+/**
+ * Rolling OHLCV series per token and timeframe, `maxCandles` bars each
+ */
+class CandleBuilder {
+    /**
+     * @param {Object} options - { timeframes } e.g. ['1m', '5m'], { maxCandles } bars kept per timeframe,
+     *   { staleAfter } ms without samples before prune() drops a token (default: the span of
+     *   `maxCandles` bars of the shortest timeframe)
+     */
+    constructor(options = {}) {
+        this.timeframes = options.timeframes || ['5m'];
+        this.maxCandles = options.maxCandles || 200;
+        this.staleAfter = options.staleAfter
+            || this.maxCandles * Math.min(...this.timeframes.map(timeframe => TIMEFRAMES[timeframe]));
+        this.series = new Map(); // address -> { lastSample, lastFlow, candles: { timeframe -> [candle] } }
+    }
+
+    /**
+     * Add a market sample for a token
+     * @param {string} address - Token address
+     * @param {number} time - Sample time in milliseconds
+     * @param {Object} data - { price } plus, from scans and polls, volume windows and txns
+     */
+    update(address, time, data) {
+        if (!(data?.price > 0)) return;
+
+        let series = this.series.get(address);
+        if (!series) {
+            series = { lastSample: time, lastFlow: null, candles: {} };
+            this.timeframes.forEach(timeframe => { series.candles[timeframe] = []; });
+            this.series.set(address, series);
+        }
+
+        series.lastSample = Math.max(series.lastSample, time);
+
+        let flow = null;
+        if (data.volume24h !== undefined) {
+            if (series.lastFlow !== null && time > series.lastFlow) {
+                flow = estimateFlow(data, time - series.lastFlow);
+            }
+            if (series.lastFlow === null || time > series.lastFlow) series.lastFlow = time;
+        }
+
+        for (const timeframe of this.timeframes) {
+            this.addSample(series.candles[timeframe], TIMEFRAMES[timeframe], time, data.price, flow);
+        }
+    }
+
+    addSample(candles, length, time, price, flow) {
+        const start = Math.floor(time / length) * length;
+        let last = candles[candles.length - 1];
+        if (last && start < last.time) return; // Late sample for a bar already passed
+
+        // Fill bars nobody sampled with the last close, at most a full history's worth
+        if (last && start > last.time + length) {
+            const first = Math.max(last.time + length, start - this.maxCandles * length);
+            for (let bar = first; bar < start; bar += length) {
+                candles.push(flatCandle(bar, last.close));
+            }
+            last = candles[candles.length - 1];
+        }
+
+        if (!last || last.time !== start) {
+            last = flatCandle(start, price);
+            candles.push(last);
+        }
+        last.high = Math.max(last.high, price);
+        last.low = Math.min(last.low, price);
+        last.close = price;
+        last.samples++;
+        if (flow) {
+            last.volume += flow.volume;
+            last.buys += flow.buys;
+            last.sells += flow.sells;
+        }
+
+        if (candles.length > this.maxCandles) {
+            candles.splice(0, candles.length - this.maxCandles);
+        }
+    }
+
+    /**
+     * Candles for a token, oldest first. The last one is still forming.
+     * @param {string} address - Token address
+     * @param {string} timeframe - One of the configured timeframes
+     * @returns {Array} [{ time (bar start, ms), open, high, low, close, volume, buys, sells, samples }]
+     */
+    getCandles(address, timeframe) {
+        return this.series.get(address)?.candles[timeframe] || [];
+    }
+
+    /**
+     * Forget tokens that have not been sampled for `staleAfter` ms
+     * @param {number} now - Current time in milliseconds
+     * @param {Object} [keep] - Addresses to keep regardless, e.g. open positions (anything with has())
+     * @returns {number} Tokens removed
+     */
+    prune(now, keep = new Set()) {
+        let removed = 0;
+        for (const [address, series] of this.series) {
+            if (now - series.lastSample > this.staleAfter && !keep.has(address)) {
+                this.series.delete(address);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+function flatCandle(time, price) {
+    return { time, open: price, high: price, low: price, close: price, volume: 0, buys: 0, sells: 0, samples: 0 };
+}
+
+module.exports = {
+    TIMEFRAMES,
+    estimateFlow,
+    CandleBuilder
+};
@@ -0,0 +1,51 @@
+/**
+ * Wall clock used by the live monitor
+ */
+class SystemClock {
+    /**
+     * @returns {number} Current time in milliseconds
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * Sleep for specified milliseconds
+     * @param {number} ms - Milliseconds
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+/**
+ * Simulated clock for backtests: sleep() advances time instantly
+ */
+class VirtualClock {
+    /**
+     * @param {number} start - Start time in milliseconds
+     */
+    constructor(start = 0) {
+        this.time = start;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    sleep(ms) {
+        this.time += ms;
+        return Promise.resolve();
+    }
+
+    /**
+     * Jump to an absolute time
+     * @param {number} time - Time in milliseconds
+     */
+    set(time) {
+        this.time = time;
+    }
+}
+
+module.exports = { SystemClock, VirtualClock };
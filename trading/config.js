@@ -0,0 +1,545 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const { ADAPTERS } = require('./adapters');
+const { STRATEGIES } = require('./strategies');
+const { parseTakeProfitLevels } = require('./exits');
+const { EVENTS } = require('./notifier');
+const { CHECKS } = require('./safety');
+const { SOURCES } = require('./market');
+const { SIZING_MODES } = require('./sizing');
+const { LEVELS, LOG_FORMATS } = require('./logger');
+const { checkPinnedTokens } = require('./token-registry');
+const { TIMEFRAMES } = require('./candles');
+const { parseRules, checkRuleTimeframes } = require('./rules');
+
+// Units accepted by `size` fields, e.g. "10MB"
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Configuration schema.
+ *
+ * Each field can be set (lowest to highest precedence) by its default, by
+ * `file` (dotted path(s) into openclaw.json, first present wins), by `env`
+ * (.env file, then the process environment) and by a `--kebab-case=value`
+ * CLI flag. `fileWhen` names a boolean in openclaw.json that must be true for
+ * the file value to be used.
+ */
+const SCHEMA = {
+    // Chain Configuration
+    chain: { type: 'enum', values: Object.keys(ADAPTERS), env: 'CHAIN', file: ['trading.chain', 'trading.network'], default: 'base' }, // "base-mainnet" is accepted as "base"
+    rpcUrl: { type: 'url', env: 'RPC_URL', file: 'trading.rpcUrl', default: null, secret: true }, // null = chain's mainnet RPC; path and query often hold an API key
+
+    // EVM Execution
+    routerAddress: { type: 'string', env: 'ROUTER_ADDRESS', file: 'trading.routerAddress', default: null },
+    aggregatorUrl: { type: 'url', env: 'AGGREGATOR_URL', file: 'trading.aggregatorUrl', default: null, secret: true }, // Quote API URLs may carry a key
+    evmPrivateKey: { type: 'string', env: 'EVM_PRIVATE_KEY', default: null, secret: true },
+    evmWalletPath: { type: 'string', env: 'EVM_WALLET_PATH', file: 'trading.evmWalletPath', default: null }, // Overrides WALLET_PATH on EVM chains
+
+    // Token Registry (see token-registry.js)
+    tokenLists: { type: 'list', paths: true, env: 'TOKEN_LISTS', file: 'tokens.lists', default: [] }, // Token list JSON files (Uniswap / Jupiter format)
+    pinnedTokens: { type: 'object', env: 'PINNED_TOKENS', file: 'tokens.pinned', default: {} }, // { "<chain>": { "<SYMBOL>": "<address>" } }, wins over token lists
+
+    // Wallet (see signer.js)
+    walletSigner: { type: 'enum', values: ['keystore', 'external'], env: 'WALLET_SIGNER', file: 'security.signer', default: 'keystore' },
+    walletPath: { type: 'string', env: 'WALLET_PATH', file: 'trading.walletPath', default: null }, // null = ~/.openclaw/workspace/<evm|solana>-wallet.json
+    walletPassphrase: { type: 'string', env: 'WALLET_PASSPHRASE', default: null, secret: true }, // Unset = prompt
+    encryptWallet: { type: 'boolean', env: 'ENCRYPT_WALLET', file: 'security.encryptWallet', default: false }, // Refuse plaintext keys
+    walletSignerModule: { type: 'string', env: 'WALLET_SIGNER_MODULE', file: 'security.signerModule', default: null }, // For WALLET_SIGNER=external
+
+    // Trading Parameters
+    positionSize: { type: 'number', min: 0, exclusiveMin: true, env: 'POSITION_SIZE', file: 'trading.positionSize', default: 10 }, // USDC per trade
+    maxSlippage: { type: 'number', min: 0, exclusiveMin: true, max: 50, env: 'MAX_SLIPPAGE', file: 'trading.maxSlippage', default: 1 }, // Percentage
+    minLiquidity: { type: 'number', min: 0, env: 'MIN_LIQUIDITY', file: 'trading.minLiquidity', default: 100000 }, // USD
+    stopLoss: { type: 'number', min: 0, exclusiveMin: true, max: 100, env: 'STOP_LOSS', file: 'trading.stopLoss', default: 10 }, // Percentage
+
+    // Position Sizing (see sizing.js)
+    positionSizing: { type: 'enum', values: SIZING_MODES, env: 'POSITION_SIZING', file: 'trading.positionSizing', default: 'fixed' },
+    positionSizePercent: { type: 'number', min: 0, exclusiveMin: true, max: 100, env: 'POSITION_SIZE_PERCENT', file: 'trading.positionSizePercent', default: 5 }, // Percentage of equity
+    volatilityTarget: { type: 'number', min: 0, exclusiveMin: true, env: 'VOLATILITY_TARGET', file: 'trading.volatilityTarget', default: 2 }, // Hourly volatility (%) that gets POSITION_SIZE
+    volatilityMaxScale: { type: 'number', min: 1, env: 'VOLATILITY_MAX_SCALE', file: 'trading.volatilityMaxScale', default: 2 }, // Largest multiple of POSITION_SIZE for calm tokens
+
+    // Wallet Balance (see balances.js)
+    gasBuffer: { type: 'number', min: 0, env: 'GAS_BUFFER', file: 'trading.gasBuffer', default: null }, // Native token kept for fees; null = chain default
+
+    // Exit Management
+    trailingStop: { type: 'number', min: 0, max: 100, env: 'TRAILING_STOP', file: 'trading.trailingStop', default: 0 },
+    trailingActivation: { type: 'number', min: 0, env: 'TRAILING_ACTIVATION', file: 'trading.trailingActivation', default: 0 },
+    takeProfitLevels: { type: 'takeProfitLevels', env: 'TAKE_PROFIT_LEVELS', file: 'trading.takeProfitLevels', default: '' },
+
+    // Entry Criteria
+    minVolume24h: { type: 'number', min: 0, env: 'MIN_VOLUME_24H', file: 'trading.minVolume24h', default: 50000 }, // USD
+    minPriceChange: { type: 'number', min: 0, env: 'MIN_PRICE_CHANGE', file: 'trading.minPriceChange', default: 5 }, // Percentage
+    minMarketCap: { type: 'number', min: 0, env: 'MIN_MARKET_CAP', file: 'trading.minMarketCap', default: 100000 }, // USD
+
+    // Market Data (see market/)
+    marketSources: { type: 'list', lowercase: true, values: SOURCES, env: 'MARKET_SOURCES', file: 'market.sources', default: ['onchain'] }, // In addition to DexScreener
+    marketCacheTtl: { type: 'integer', min: 0, env: 'MARKET_CACHE_TTL', file: 'market.cacheTtl', default: 10000 }, // Milliseconds
+    marketRateLimits: { type: 'object', env: 'MARKET_RATE_LIMITS', file: 'market.rateLimits', default: { 'api.dexscreener.com': 60, 'api.geckoterminal.com': 20 } }, // Requests per minute per host
+    marketMaxDeviation: { type: 'number', min: 0, env: 'MARKET_MAX_DEVIATION', file: 'market.maxDeviation', default: 5 }, // Percentage from the median price
+    marketFixtureDir: { type: 'string', env: 'MARKET_FIXTURE_DIR', file: 'market.fixtureDir', default: null }, // Record/replay HTTP responses here
+    marketFixtureMode: { type: 'enum', values: ['record', 'replay'], env: 'MARKET_FIXTURE_MODE', file: 'market.fixtureMode', default: 'replay' },
+
+    // Position Price Feed
+    priceFeed: { type: 'enum', values: ['pool', 'market'], env: 'PRICE_FEED', file: 'market.priceFeed', default: 'pool' }, // pool = read each position's pair on-chain (EVM)
+    wsRpcUrl: { type: 'url', env: 'WS_RPC_URL', file: 'trading.wsRpcUrl', default: null, secret: true }, // Subscribe to pool events; null = poll
+    pricePollInterval: { type: 'integer', min: 250, env: 'PRICE_POLL_INTERVAL', file: 'market.pricePollInterval', default: 5000 }, // Milliseconds
+
+    // Timing
+    scanInterval: { type: 'integer', min: 1000, env: 'SCAN_INTERVAL', file: 'monitoring.interval', fileScale: 1000, default: 30000 }, // Milliseconds (seconds in openclaw.json)
+    maxPositions: { type: 'integer', min: 0, env: 'MAX_POSITIONS', file: 'trading.maxPositions', default: 3 },
+
+    // Portfolio Risk
+    maxDailyLoss: { type: 'number', min: 0, env: 'MAX_DAILY_LOSS', file: 'security.maxDailyLoss', default: 100 }, // USDC, 0 = off
+    emergencyStopLoss: { type: 'number', min: 0, max: 100, env: 'EMERGENCY_STOP_LOSS', file: 'security.emergencyStopLoss', default: 25 }, // Percentage, 0 = off
+    maxTotalExposure: { type: 'number', min: 0, env: 'MAX_TOTAL_EXPOSURE', file: 'trading.maxTotalExposure', default: 0 }, // USDC, 0 = off
+    maxTokenExposure: { type: 'number', min: 0, env: 'MAX_TOKEN_EXPOSURE', file: 'trading.maxPositionSize', default: 0 }, // USDC, 0 = off
+
+    // Safety
+    dryRun: { type: 'boolean', env: 'DRY_RUN', file: 'trading.dryRun', default: false },
+    blacklist: { type: 'list', lowercase: true, env: 'BLACKLIST', file: 'trading.blacklist', default: ['meme', 'scam', 'inu', 'doge'] },
+
+    // Paper Trading (see paper-exchange.js), used when DRY_RUN=true
+    paperBalance: { type: 'number', min: 0, exclusiveMin: true, env: 'PAPER_BALANCE', file: 'paper.balance', default: 1000 }, // Starting virtual USDC
+    paperLpFee: { type: 'number', min: 0, max: 10, env: 'PAPER_LP_FEE', file: 'paper.lpFee', default: 0.3 }, // Percentage per swap
+    paperGasCost: { type: 'number', min: 0, env: 'PAPER_GAS_COST', file: 'paper.gasCost', default: 0.05 }, // USD per swap
+    paperLatency: { type: 'integer', min: 0, env: 'PAPER_LATENCY', file: 'paper.latency', default: 2000 }, // Milliseconds from order to fill
+    paperSlippage: { type: 'boolean', env: 'PAPER_SLIPPAGE', file: 'paper.slippage', default: true }, // Constant-product price impact from pool liquidity
+    paperStateFile: { type: 'string', env: 'PAPER_STATE_FILE', file: 'paper.stateFile', default: path.join(__dirname, 'paper-account.json') }, // Virtual balances
+    paperFillLog: { type: 'string', env: 'PAPER_FILL_LOG', file: 'paper.fillLog', default: path.join(__dirname, 'paper-fills.log') }, // JSONL of paper fills
+
+    // Quote Guard (see quote-guard.js)
+    quoteGuard: { type: 'boolean', env: 'QUOTE_GUARD', file: 'quoteGuard.enabled', default: true },
+    quoteMaxPriceImpact: { type: 'number', min: 0, exclusiveMin: true, max: 50, env: 'QUOTE_MAX_PRICE_IMPACT', file: 'quoteGuard.maxPriceImpact', default: 3 }, // Percentage; entries are sized to fit
+    quoteMaxDeviation: { type: 'number', min: 0, env: 'QUOTE_MAX_DEVIATION', file: 'quoteGuard.maxDeviation', default: 5 }, // Percentage from the reference price
+    quoteMinOutputPerDollar: { type: 'number', min: 0, max: 1, env: 'QUOTE_MIN_OUTPUT_PER_DOLLAR', file: 'quoteGuard.minOutputPerDollar', default: 0.9 }, // Output value per $1 in
+    quoteRejectionLog: { type: 'string', env: 'QUOTE_REJECTION_LOG', file: 'quoteGuard.log', default: path.join(__dirname, 'quote-rejections.log') }, // JSONL of rejected quotes
+
+    // Transactions (see tx-manager.js)
+    txDeadline: { type: 'integer', min: 10, env: 'TX_DEADLINE', file: 'transactions.deadline', default: 90 }, // Seconds until a pending swap is cancelled / given up
+    txPollInterval: { type: 'integer', min: 250, env: 'TX_POLL_INTERVAL', file: 'transactions.pollInterval', default: 2000 }, // Ms between confirmation checks (and Solana rebroadcasts)
+    txFeeBumpAfter: { type: 'integer', min: 1, env: 'TX_FEE_BUMP_AFTER', file: 'transactions.feeBumpAfter', default: 15 }, // Seconds pending before an EVM fee bump
+    txFeeBumpPercent: { type: 'number', min: 10, env: 'TX_FEE_BUMP_PERCENT', file: 'transactions.feeBumpPercent', default: 20 }, // Nodes require at least 10% to replace
+    txMaxFeeMultiplier: { type: 'number', min: 1, env: 'TX_MAX_FEE_MULTIPLIER', file: 'transactions.maxFeeMultiplier', default: 3 }, // Cap relative to the first fees
+
+    // Token Safety Screening (see safety.js)
+    safetyScreening: { type: 'boolean', env: 'SAFETY_SCREENING', file: 'safety.enabled', default: true },
+    safetyChecks: { type: 'list', values: CHECKS, minLength: 1, env: 'SAFETY_CHECKS', file: 'safety.checks', default: CHECKS },
+    safetyMaxBuyTax: { type: 'number', min: 0, max: 100, env: 'SAFETY_MAX_BUY_TAX', file: 'safety.maxBuyTax', default: 10 }, // Percentage
+    safetyMaxSellTax: { type: 'number', min: 0, max: 100, env: 'SAFETY_MAX_SELL_TAX', file: 'safety.maxSellTax', default: 10 }, // Percentage
+    safetyMinLpLocked: { type: 'number', min: 0, max: 100, env: 'SAFETY_MIN_LP_LOCKED', file: 'safety.minLpLocked', default: 80 }, // Percentage of V2 LP burned or locked
+    safetyLpLockers: { type: 'list', lowercase: true, env: 'SAFETY_LP_LOCKERS', file: 'safety.lpLockers', default: [] }, // LP locker contract addresses
+    safetyMinPairAge: { type: 'number', min: 0, env: 'SAFETY_MIN_PAIR_AGE', file: 'safety.minPairAge', default: 24 }, // Hours
+    safetySimulationEth: { type: 'number', min: 0, exclusiveMin: true, env: 'SAFETY_SIMULATION_ETH', file: 'safety.simulationEth', default: 0.01 }, // Round-trip size
+    safetyFailOpen: { type: 'boolean', env: 'SAFETY_FAIL_OPEN', file: 'safety.failOpen', default: false }, // Let tokens through when a check errors
+    safetyCacheMinutes: { type: 'number', min: 0, env: 'SAFETY_CACHE_MINUTES', file: 'safety.cacheMinutes', default: 60 },
+    safetyLog: { type: 'string', env: 'SAFETY_LOG', file: 'safety.log', default: path.join(__dirname, 'screening.log') }, // JSONL of rejected tokens
+
+    // Strategies
+    strategies: { type: 'list', lowercase: true, values: Object.keys(STRATEGIES), minLength: 1, env: 'STRATEGIES', file: 'trading.strategies', default: ['momentum'] },
+    strategyOptions: { type: 'object', env: 'STRATEGY_OPTIONS', file: 'trading.strategyOptions', default: {} },
+    historyLength: { type: 'integer', min: 1, env: 'HISTORY_LENGTH', file: 'trading.historyLength', default: 120 },
+
+    // Candles and indicator rules (see candles.js, indicators.js, rules.js)
+    candleTimeframes: { type: 'list', lowercase: true, values: Object.keys(TIMEFRAMES), minLength: 1, env: 'CANDLE_TIMEFRAMES', file: 'trading.candleTimeframes', default: ['1m', '5m', '15m'] }, // First = default for rules
+    candleHistory: { type: 'integer', min: 10, env: 'CANDLE_HISTORY', file: 'trading.candleHistory', default: 200 }, // Candles kept per token and timeframe
+    entryRules: { type: 'rules', env: 'ENTRY_RULES', file: 'trading.entryRules', default: [] }, // All must hold to enter, e.g. "rsi(14, 5m) < 70; buyPressure(20, 5m) > 55"
+    exitRules: { type: 'rules', env: 'EXIT_RULES', file: 'trading.exitRules', default: [] }, // Any one closes the position
+
+    // Notifications (openclaw.json blocks are only read when their `enabled` is true)
+    telegramBotToken: { type: 'string', env: 'TELEGRAM_BOT_TOKEN', file: 'notifications.telegram.botToken', fileWhen: 'notifications.telegram.enabled', default: null, secret: true },
+    telegramChatId: { type: 'string', env: 'TELEGRAM_CHAT_ID', file: 'notifications.telegram.chatId', fileWhen: 'notifications.telegram.enabled', default: null },
+    discordWebhookUrl: { type: 'url', env: 'DISCORD_WEBHOOK_URL', file: 'notifications.discord.webhookUrl', fileWhen: 'notifications.discord.enabled', default: null, secret: true },
+    notifyWebhookUrl: { type: 'url', env: 'NOTIFY_WEBHOOK_URL', file: 'notifications.webhook.url', default: null, secret: true }, // Generic JSON webhook, e.g. a local receiver
+    notifyFile: { type: 'string', env: 'NOTIFY_FILE', file: 'notifications.file', default: null }, // JSONL file sink
+    notifyEvents: { type: 'list', values: EVENTS, env: 'NOTIFY_EVENTS', file: 'notifications.events', default: EVENTS },
+    notifyTemplates: { type: 'object', env: 'NOTIFY_TEMPLATES', file: 'notifications.templates', default: {} }, // { "<event>": "text with {field}" }
+    notifyRateLimit: { type: 'integer', min: 0, env: 'NOTIFY_RATE_LIMIT', file: 'notifications.rateLimit', default: 20 }, // Messages per minute per sink, 0 = unlimited
+    notifyRetries: { type: 'integer', min: 0, env: 'NOTIFY_RETRIES', file: 'notifications.retries', default: 3 },
+
+    // Status API
+    statusPort: { type: 'integer', min: 0, max: 65535, env: 'STATUS_PORT', file: 'monitoring.statusPort', default: 0 }, // 0 = off
+    statusHost: { type: 'string', env: 'STATUS_HOST', file: 'monitoring.statusHost', default: '127.0.0.1' },
+
+    // Control API (served by the status server; disabled without a token)
+    controlToken: { type: 'string', minLength: 16, env: 'CONTROL_TOKEN', file: 'monitoring.controlToken', default: null, secret: true },
+    controlAuditLog: { type: 'string', env: 'CONTROL_AUDIT_LOG', file: 'monitoring.controlAuditLog', default: path.join(__dirname, 'control-audit.log') },
+
+    // Trade Ledger
+    ledgerFile: { type: 'string', env: 'LEDGER_FILE', file: 'trading.ledgerFile', default: path.join(__dirname, 'ledger.db') }, // SQLite; see ledger.js
+
+    // Logging (see logger.js)
+    logLevel: { type: 'enum', values: Object.keys(LEVELS), env: 'LOG_LEVEL', file: 'logging.level', default: 'info' },
+    logFormat: { type: 'enum', values: LOG_FORMATS, env: 'LOG_FORMAT', file: 'logging.format', default: 'pretty' }, // Console output; the log file is always JSON lines
+    logFile: { type: 'string', env: 'LOG_FILE', file: 'logging.file', default: path.join(__dirname, 'logs', 'trading.log') },
+    logMaxSize: { type: 'size', min: 1024, env: 'LOG_MAX_SIZE', file: 'logging.maxSize', default: 10 * SIZE_UNITS.MB }, // Bytes, or e.g. "10MB"; also applies to TRADES_FILE
+    logBackups: { type: 'integer', min: 0, env: 'LOG_BACKUPS', file: 'logging.backups', default: 5 }, // Rotated files kept
+    tradesFile: { type: 'string', env: 'TRADES_FILE', file: 'trading.tradesFile', default: path.join(__dirname, 'trades.log') }, // JSONL of fills, rotated like the log file
+
+    // Snapshot Recording
+    recordSnapshots: { type: 'boolean', env: 'RECORD_SNAPSHOTS', file: 'monitoring.recordSnapshots', default: false },
+    snapshotDir: { type: 'string', env: 'SNAPSHOT_DIR', file: 'monitoring.snapshotDir', default: path.join(__dirname, 'data') },
+    snapshotRetentionDays: { type: 'integer', min: 1, env: 'SNAPSHOT_RETENTION_DAYS', file: 'monitoring.snapshotRetentionDays', default: 30 }
+};
+
+/**
+ * Raised when configuration is invalid; `errors` lists every problem found
+ */
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * camelCase field name to its CLI flag, e.g. positionSize -> position-size
+ */
+function toFlag(key) {
+    return key.replace(/[A-Z0-9]+/g, match => `-${match.toLowerCase()}`);
+}
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(value) {
+    return typeof value === 'string' && value.startsWith('~')
+        ? path.join(os.homedir(), value.slice(1))
+        : value;
+}
+
+/**
+ * Read a dotted path such as "security.maxDailyLoss" from an object
+ */
+function getPath(object, dotted) {
+    return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Parse `--key=value` / `--flag` arguments
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Object} flag -> string value
+ */
+function parseFlags(argv) {
+    const flags = {};
+    for (const arg of argv) {
+        if (!arg.startsWith('--')) continue;
+        const eq = arg.indexOf('=');
+        if (eq === -1) {
+            flags[arg.slice(2)] = 'true';
+        } else {
+            flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+        }
+    }
+    return flags;
+}
+
+/**
+ * Coerce and validate one raw value against its field definition
+ * @param {Object} field - Schema entry
+ * @param {*} raw - Value from openclaw.json (typed) or env/flag (string)
+ * @param {number} [scale] - Unit conversion applied to numbers before range checks
+ * @returns {*} Parsed value
+ * @throws {Error} Message describing what was expected
+ */
+function coerce(field, raw, scale = 1) {
+    const fromString = typeof raw === 'string';
+
+    switch (field.type) {
+        case 'number':
+        case 'integer': {
+            const parsed = fromString ? Number(raw.trim()) : raw;
+            if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+                throw new Error(`expected a ${field.type}, got ${JSON.stringify(raw)}`);
+            }
+            const value = parsed * scale;
+            if (field.type === 'integer' && !Number.isInteger(value)) {
+                throw new Error(`expected an integer, got ${JSON.stringify(raw)}`);
+            }
+            if (field.min !== undefined && (field.exclusiveMin ? value <= field.min : value < field.min)) {
+                throw new Error(`must be ${field.exclusiveMin ? '>' : '>='} ${field.min}, got ${value}`);
+            }
+            if (field.max !== undefined && value > field.max) {
+                throw new Error(`must be <= ${field.max}, got ${value}`);
+            }
+            return value;
+        }
+
+        case 'size': {
+            const match = fromString ? raw.trim().match(/^(\d+(?:\.\d+)?)\s*([KMG]?B)?$/i) : null;
+            const parsed = typeof raw === 'number' ? raw : match ? Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()] : NaN;
+            if (!Number.isFinite(parsed)) {
+                throw new Error(`expected a size in bytes or with KB, MB or GB, got ${JSON.stringify(raw)}`);
+            }
+            const value = Math.floor(parsed);
+            if (field.min !== undefined && value < field.min) {
+                throw new Error(`must be >= ${field.min} bytes, got ${value}`);
+            }
+            return value;
+        }
+
+        case 'boolean': {
+            if (typeof raw === 'boolean') return raw;
+            if (fromString && ['true', 'false'].includes(raw.trim().toLowerCase())) {
+                return raw.trim().toLowerCase() === 'true';
+            }
+            throw new Error(`expected true or false, got ${JSON.stringify(raw)}`);
+        }
+
+        case 'string':
+        case 'url':
+        case 'enum': {
+            if (typeof raw !== 'string' || raw.trim() === '') {
+                throw new Error(`expected a non-empty string, got ${JSON.stringify(raw)}`);
+            }
+            const value = field.type === 'enum' ? raw.trim().toLowerCase().replace(/-mainnet$/, '') : raw.trim();
+            if (field.type === 'url' && !/^(https?|wss?):\/\/\S+$/.test(value)) {
+                throw new Error(`expected an http(s) or ws(s) URL, got ${JSON.stringify(raw)}`);
+            }
+            if (field.type === 'enum' && !field.values.includes(value)) {
+                throw new Error(`expected one of ${field.values.join(', ')}, got ${JSON.stringify(raw)}`);
+            }
+            if (field.minLength && value.length < field.minLength) {
+                throw new Error(`must be at least ${field.minLength} characters`);
+            }
+            return field.type === 'string' ? expandHome(value) : value;
+        }
+
+        case 'list': {
+            let items;
+            if (Array.isArray(raw)) {
+                items = raw.map(String);
+            } else if (fromString) {
+                items = raw.split(',');
+            } else {
+                throw new Error(`expected a list, got ${JSON.stringify(raw)}`);
+            }
+            items = items.map(s => s.trim()).filter(Boolean).map(s => (field.lowercase ? s.toLowerCase() : s));
+            if (field.paths) items = items.map(expandHome);
+
+            if (field.minLength && items.length < field.minLength) {
+                throw new Error(`expected at least ${field.minLength} item(s)`);
+            }
+            const unknown = field.values ? items.filter(item => !field.values.includes(item)) : [];
+            if (unknown.length > 0) {
+                throw new Error(`unknown value(s) ${unknown.join(', ')} (expected ${field.values.join(', ')})`);
+            }
+            return items;
+        }
+
+        case 'object': {
+            let value = raw;
+            if (fromString) {
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    throw new Error(`expected a JSON object (${e.message})`);
+                }
+            }
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`expected a JSON object, got ${JSON.stringify(raw)}`);
+            }
+            return value;
+        }
+
+        case 'takeProfitLevels':
+            return parseTakeProfitLevels(Array.isArray(raw) ? raw.join(',') : String(raw));
+
+        case 'rules':
+            return parseRules(Array.isArray(raw) ? raw : String(raw));
+
+        default:
+            throw new Error(`unsupported field type ${field.type}`);
+    }
+}
+
+/**
+ * Locate openclaw.json: --config flag, OPENCLAW_CONFIG, then ~/.openclaw/openclaw.json
+ * @param {Object} flags - Parsed CLI flags
+ * @param {Object} env - Environment passed to loadConfig()
+ * @returns {string|null} Path, or null when no file is configured or present
+ */
+function findConfigFile(flags, env) {
+    const explicit = flags.config || env.OPENCLAW_CONFIG;
+    if (explicit) return expandHome(explicit);
+
+    const fallback = path.join(env.HOME || os.homedir(), '.openclaw', 'openclaw.json');
+    return fs.existsSync(fallback) ? fallback : null;
+}
+
+/**
+ * Load, merge and validate configuration.
+ *
+ * Precedence (lowest to highest): defaults, openclaw.json, .env, process
+ * environment, CLI flags.
+ *
+ * @param {Object} options - { argv, env, envFile, allowUnknownFlags }
+ * @returns {Object} Config with a non-enumerable `sources` map (key -> where the value came from)
+ * @throws {ConfigError} Listing every invalid value
+ */
+function loadConfig(options = {}) {
+    const argv = options.argv || [];
+    const env = options.env || process.env;
+    const envFile = options.envFile || path.join(process.cwd(), '.env');
+    const flags = parseFlags(argv);
+    const errors = [];
+
+    // openclaw.json
+    let file = {};
+    const configFile = findConfigFile(flags, env);
+    if (configFile) {
+        try {
+            file = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (error) {
+            errors.push(`${configFile}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+        }
+    }
+
+    // .env, read separately so values can be attributed to it
+    let dotenvValues = {};
+    if (fs.existsSync(envFile)) {
+        dotenvValues = dotenv.parse(fs.readFileSync(envFile));
+    }
+
+    const knownFlags = new Set(['config', ...Object.keys(SCHEMA).map(toFlag)]);
+    if (!options.allowUnknownFlags) {
+        Object.keys(flags)
+            .filter(flag => !knownFlags.has(flag))
+            .forEach(flag => errors.push(`--${flag}: unknown option`));
+    }
+
+    const config = {};
+    const sources = {};
+
+    for (const [key, field] of Object.entries(SCHEMA)) {
+        const candidates = [];
+
+        const fileEnabled = !field.fileWhen || getPath(file, field.fileWhen) === true;
+        const filePath = fileEnabled && [].concat(field.file || []).find(dotted => getPath(file, dotted) != null);
+        if (filePath) {
+            candidates.push({ raw: getPath(file, filePath), source: `${path.basename(configFile)}:${filePath}`, scale: field.fileScale });
+        }
+        if (field.env && dotenvValues[field.env] !== undefined && env[field.env] === dotenvValues[field.env]) {
+            candidates.push({ raw: dotenvValues[field.env], source: `.env:${field.env}` });
+        } else if (field.env && env[field.env] !== undefined) {
+            candidates.push({ raw: env[field.env], source: `env:${field.env}` });
+        } else if (field.env && dotenvValues[field.env] !== undefined) {
+            candidates.push({ raw: dotenvValues[field.env], source: `.env:${field.env}` });
+        }
+        if (flags[toFlag(key)] !== undefined) {
+            candidates.push({ raw: flags[toFlag(key)], source: `--${toFlag(key)}` });
+        }
+
+        // Highest-precedence source wins; empty env values count as unset
+        const chosen = candidates.reverse().find(c => !(typeof c.raw === 'string' && c.raw.trim() === ''));
+
+        if (!chosen) {
+            config[key] = field.type === 'takeProfitLevels' ? parseTakeProfitLevels(field.default) : field.default;
+            sources[key] = 'default';
+            continue;
+        }
+
+        try {
+            config[key] = coerce(field, chosen.raw, chosen.scale);
+            sources[key] = chosen.source;
+        } catch (error) {
+            errors.push(`${key} (${chosen.source}): ${error.message}`);
+        }
+    }
+
+    if (config.walletSigner === 'external' && !config.walletSignerModule) {
+        errors.push('walletSignerModule: required when walletSigner is external');
+    }
+    if (config.pinnedTokens) {
+        errors.push(...checkPinnedTokens(config.pinnedTokens));
+    }
+    for (const key of ['entryRules', 'exitRules']) {
+        if (config[key] && config.candleTimeframes) {
+            errors.push(...checkRuleTimeframes(config[key], config.candleTimeframes).map(problem => `${key}: ${problem}`));
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    // RPC defaults to the selected chain's mainnet endpoint
+    if (!config.rpcUrl) {
+        config.rpcUrl = ADAPTERS[config.chain].defaultRpcUrl;
+    }
+    // Gas buffer defaults to what the chain's swaps typically cost in fees
+    if (config.gasBuffer === null) {
+        config.gasBuffer = ADAPTERS[config.chain].defaultGasBuffer;
+    }
+
+    Object.defineProperty(config, 'sources', { value: sources, enumerable: false });
+    Object.defineProperty(config, 'configFile', { value: configFile, enumerable: false });
+    return config;
+}
+
+/**
+ * Parse a single setting, e.g. for hot reloads
+ * @param {string} key - Config key
+ * @param {*} raw - Raw value (string or JSON-typed)
+ * @returns {*} Parsed value
+ * @throws {ConfigError} If the key is unknown or the value invalid
+ */
+function parseValue(key, raw) {
+    const field = SCHEMA[key];
+    if (!field) {
+        throw new ConfigError([`${key}: unknown setting`]);
+    }
+    try {
+        return coerce(field, raw);
+    } catch (error) {
+        throw new ConfigError([`${key}: ${error.message}`]);
+    }
+}
+
+/**
+ * Copy of a config with secret fields masked, safe to print or serve.
+ * Secret URLs keep their scheme and host so the endpoint can still be told apart.
+ * @param {Object} config - Config from loadConfig()
+ * @returns {Object} Redacted config
+ */
+function redactConfig(config) {
+    const redacted = { ...config };
+    for (const [key, field] of Object.entries(SCHEMA)) {
+        if (field.secret && redacted[key]) {
+            redacted[key] = field.type === 'url' ? redactUrl(redacted[key]) : '***redacted***';
+        }
+    }
+    return redacted;
+}
+
+function redactUrl(value) {
+    try {
+        const url = new URL(value);
+        return `${url.protocol}//${url.host}/***redacted***`;
+    } catch (error) {
+        return '***redacted***';
+    }
+}
+
+module.exports = { SCHEMA, ConfigError, loadConfig, parseValue, redactConfig, parseFlags, toFlag };
+
+// CLI usage: print the effective configuration
+if (require.main === module) {
+    try {
+        const config = loadConfig({ argv: process.argv.slice(2) });
+        const redacted = redactConfig(config);
+
+        console.log(`📁 openclaw.json: ${config.configFile || '(none)'}`);
+        for (const key of Object.keys(SCHEMA)) {
+            console.log(`${key.padEnd(22)} ${JSON.stringify(redacted[key]).padEnd(40)} ${config.sources[key]}`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { SCHEMA, loadConfig, parseValue, parseFlags } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('control');
+
+/**
+ * Settings that can be changed on a running monitor. Everything else (chain,
+ * wallet, strategies, ports) needs a restart.
+ */
+const RELOADABLE = [
+    'blacklist',
+    'positionSize',
+    'positionSizing',
+    'positionSizePercent',
+    'volatilityTarget',
+    'volatilityMaxScale',
+    'gasBuffer',
+    'maxSlippage',
+    'minLiquidity',
+    'stopLoss',
+    'trailingStop',
+    'trailingActivation',
+    'minVolume24h',
+    'minPriceChange',
+    'minMarketCap',
+    'maxPositions',
+    'maxDailyLoss',
+    'emergencyStopLoss',
+    'maxTotalExposure',
+    'maxTokenExposure',
+    'safetyMaxBuyTax',
+    'safetyMaxSellTax',
+    'safetyMinLpLocked',
+    'safetyMinPairAge',
+    'quoteMaxPriceImpact',
+    'quoteMaxDeviation',
+    'quoteMinOutputPerDollar'
+];
+
+/**
+ * Commands that change a running TradingMonitor.
+ *
+ * Served as `POST /control/<command>` by the status server when
+ * CONTROL_TOKEN is set; requests must send `Authorization: Bearer <token>`.
+ * Every attempt, including rejected ones, is appended to the audit log.
+ *
+ * pause              Stop scanning for entries (open positions are still managed)
+ * resume             Resume scanning
+ * close   { address, reason?, percent? }      Sell a position through exitPosition
+ * open    { address, size?, symbol?, strategy? } Open a position, subject to risk limits; `address`
+ *                                             may be a symbol from the token registry
+ * reload  { <setting>: value, ... }           Change blacklist/thresholds; no body re-reads config sources
+ */
+class ControlApi {
+    /**
+     * @param {TradingMonitor} monitor - Monitor to control
+     * @param {Object} options - { token, auditLog }
+     */
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.tokenHash = crypto.createHash('sha256').update(options.token).digest();
+        this.auditLog = options.auditLog;
+
+        this.commands = {
+            pause: () => this.pause(),
+            resume: () => this.resume(),
+            close: args => this.close(args),
+            open: args => this.open(args),
+            reload: args => this.reload(args)
+        };
+    }
+
+    /**
+     * Check a bearer token in constant time
+     * @param {string} header - Authorization header
+     * @returns {boolean} True if authorized
+     */
+    authorize(header) {
+        const match = /^Bearer (.+)$/.exec(header || '');
+        if (!match) return false;
+
+        const hash = crypto.createHash('sha256').update(match[1]).digest();
+        return crypto.timingSafeEqual(hash, this.tokenHash);
+    }
+
+    /**
+     * Run a command and audit it
+     * @param {string} command - Command name
+     * @param {Object} args - Command arguments
+     * @param {string} source - Who sent it (e.g. remote address)
+     * @returns {Promise<Object>} Command result
+     * @throws {Error} If the command is unknown or fails
+     */
+    async execute(command, args, source) {
+        const handler = this.commands[command];
+
+        try {
+            if (!handler) {
+                throw new Error(`Unknown command: ${command} (expected ${Object.keys(this.commands).join(', ')})`);
+            }
+            // Trades wait for an in-flight scan so they cannot race its swaps
+            if ((command === 'open' || command === 'close') && this.monitor.currentScan) {
+                await this.monitor.currentScan.catch(() => {});
+            }
+            const result = await handler(args || {});
+            this.audit({ command, args, source, ok: true, result });
+            return result;
+        } catch (error) {
+            this.audit({ command, args, source, ok: false, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Append an entry to the audit log
+     */
+    audit(entry) {
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+        log.info(`🕹️ Control: ${entry.command} from ${entry.source} ${entry.ok ? 'ok' : `failed (${entry.error})`}`, { command: entry.command, source: entry.source, ok: entry.ok });
+
+        if (this.auditLog) {
+            fs.appendFileSync(this.auditLog, line + '\n');
+        }
+    }
+
+    pause() {
+        this.monitor.paused = true;
+        return { paused: true };
+    }
+
+    resume() {
+        this.monitor.paused = false;
+        return { paused: false };
+    }
+
+    async close({ address, reason, percent }) {
+        const position = this.monitor.positions.get(address);
+        if (!position) {
+            throw new Error(`No open position for ${address}`);
+        }
+
+        const share = percent === undefined ? 100 : parseFloat(percent);
+        if (!(share > 0 && share <= 100)) {
+            throw new Error(`percent must be between 0 and 100, got ${percent}`);
+        }
+
+        const amount = position.amount * (share / 100);
+        const closed = await this.monitor.exitPosition(address, position, `Manual close: ${reason || 'operator request'}`, position.lastPrice, amount);
+        if (!closed) {
+            throw new Error(`Sell failed for ${position.token}, position is still open`);
+        }
+
+        return { token: position.token, sold: amount, remaining: position.amount };
+    }
+
+    async open({ address, size, symbol, strategy }) {
+        const { monitor } = this;
+        if (!address) {
+            throw new Error('address is required');
+        }
+        // Validates addresses and resolves symbols (see token-registry.js)
+        const registry = monitor.adapter.tokens;
+        if (registry) {
+            const given = address;
+            address = registry.resolve(given);
+            if (!symbol && !registry.looksLikeAddress(given)) symbol = registry.getToken(address).symbol;
+        }
+        if (monitor.positions.has(address)) {
+            throw new Error(`Position for ${address} is already open`);
+        }
+
+        const chosen = strategy ? monitor.strategies.find(s => s.name === strategy) : monitor.strategies[0];
+        if (!chosen) {
+            throw new Error(`Strategy ${strategy} is not loaded (loaded: ${monitor.strategies.map(s => s.name).join(', ')})`);
+        }
+
+        const positionSize = size === undefined ? undefined : parseValue('positionSize', size);
+
+        const data = await monitor.getTokenData(address);
+        if (!data || !(data.price > 0)) {
+            throw new Error(`No market data for ${address}`);
+        }
+
+        if (!symbol) {
+            symbol = await monitor.adapter.getTokenMetadata(address)
+                .then(metadata => metadata.symbol || address.slice(0, 8))
+                .catch(() => address.slice(0, 8));
+        }
+
+        const position = await monitor.enterPosition({ address, symbol, ...data }, chosen, positionSize);
+        if (!position) {
+            throw new Error(`Entry for ${symbol} was not filled (blocked by risk limits or the swap failed, see monitor log)`);
+        }
+
+        return { token: position.token, amount: position.amount, entryPrice: position.entryPrice, invested: position.usdcInvested };
+    }
+
+    /**
+     * Apply new blacklist/threshold values. All values are validated before any is applied.
+     */
+    reload(values) {
+        let updates = values;
+
+        // No values: re-read openclaw.json, .env and the environment
+        if (Object.keys(values).length === 0) {
+            // Values dotenv copied into process.env at startup must not shadow edits to .env
+            const env = { ...process.env };
+            for (const [key, source] of Object.entries(this.monitor.config.sources || {})) {
+                if (source.startsWith('.env:')) delete env[SCHEMA[key].env];
+            }
+            const fresh = loadConfig({ argv: process.argv.slice(2), env, allowUnknownFlags: true });
+            updates = Object.fromEntries(RELOADABLE.map(key => [key, fresh[key]]));
+        } else {
+            const rejected = Object.keys(values).filter(key => !RELOADABLE.includes(key));
+            if (rejected.length > 0) {
+                throw new Error(`Not reloadable: ${rejected.join(', ')} (reloadable: ${RELOADABLE.join(', ')})`);
+            }
+            updates = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, parseValue(key, value)]));
+        }
+
+        const changed = {};
+        for (const [key, value] of Object.entries(updates)) {
+            if (JSON.stringify(this.monitor.config[key]) !== JSON.stringify(value)) {
+                changed[key] = { from: this.monitor.config[key], to: value };
+                this.monitor.config[key] = value;
+            }
+        }
+
+        return { changed };
+    }
+}
+
+module.exports = { ControlApi, RELOADABLE };
+
+// CLI usage: send a command to a running monitor
+if (require.main === module) {
+    const [command, ...rest] = process.argv.slice(2);
+    const { url, ...args } = parseFlags(rest);
+
+    if (!command) {
+        console.log('Usage: node control.js <pause|resume|close|open|reload> [--key=value ...] [--url=http://127.0.0.1:<STATUS_PORT>]');
+        console.log('Examples:');
+        console.log('  node control.js close --address=0x... --reason="rug risk" [--percent=50]');
+        console.log('  node control.js open --address=0x... --size=25 [--strategy=breakout]');
+        console.log('  node control.js reload --blacklist=MEME,SCAM,PEPE --min-liquidity=200000');
+        process.exit(1);
+    }
+
+    const config = loadConfig();
+    if (!config.controlToken) {
+        console.error('❌ CONTROL_TOKEN is not set');
+        process.exit(1);
+    }
+
+    // --min-liquidity -> minLiquidity
+    const body = Object.fromEntries(Object.entries(args)
+        .map(([key, value]) => [key.replace(/-([a-z0-9])/g, (match, c) => c.toUpperCase()), value]));
+
+    axios.post(`${url || `http://127.0.0.1:${config.statusPort}`}/control/${command}`, body, {
+        headers: { Authorization: `Bearer ${config.controlToken}` },
+        timeout: 60000
+    }).then(response => {
+        console.log('✅', JSON.stringify(response.data, null, 2));
+    }).catch(error => {
+        console.error('❌', error.response?.data?.error || error.message);
+        process.exit(1);
+    });
+}
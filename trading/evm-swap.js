@@ -0,0 +1,460 @@
+const { ethers } = require('ethers');
+const axios = require('axios');
+const path = require('path');
+const { loadSigner } = require('./signer');
+const { TokenMetadataService, evmMetadataFetcher } = require('./token-metadata');
+const { fromBaseUnits, toNumber } = require('./amounts');
+const { EvmTxManager } = require('./tx-manager');
+const { createLogger, RotatingFile } = require('./logger');
+const { TokenRegistry } = require('./token-registry');
+
+const log = createLogger('swap');
+
+// Uniswap V2 Router02 deployment on Base mainnet
+const DEFAULT_ROUTER = '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24';
+
+const ROUTER_ABI = [
+    'function WETH() view returns (address)',
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+];
+
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+/**
+ * Swap executor for Base and other EVM chains.
+ *
+ * Exposes the same getQuote / executeSwap / swap interface as JupiterSwap.
+ * Quotes come from a Uniswap V2-style router, or from a 0x-compatible
+ * aggregator when `aggregatorUrl` is set. Point `rpcUrl` at an Anvil or
+ * Hardhat fork and `aggregatorUrl` at a local stub to test without funds.
+ */
+class EvmSwap {
+    /**
+     * @param {string} rpcUrl - JSON-RPC endpoint
+     * @param {number} maxSlippage - Maximum slippage percentage
+     * @param {Object} options - routerAddress, aggregatorUrl, signer (ethers Signer, see signer.js),
+     *   tokens (TokenRegistry for symbols), metadata, tx (EvmTxManager options), tradesLog (RotatingFile for trade records)
+     */
+    constructor(rpcUrl = 'https://mainnet.base.org', maxSlippage = 1, options = {}) {
+        this.provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+        this.maxSlippage = maxSlippage;
+        this.routerAddress = options.routerAddress || process.env.ROUTER_ADDRESS || DEFAULT_ROUTER;
+        this.aggregatorUrl = options.aggregatorUrl || process.env.AGGREGATOR_URL || null;
+        this.tokens = options.tokens || new TokenRegistry('base');
+        this.router = new ethers.Contract(this.routerAddress, ROUTER_ABI, this.provider);
+        this.metadata = options.metadata || new TokenMetadataService('base', evmMetadataFetcher(this.provider), {
+            caseInsensitive: true
+        });
+
+        // Quotes and dry runs work without a signer; live swaps do not
+        const signer = options.signer || null;
+        if (signer) {
+            this.wallet = signer.provider ? signer : signer.connect(this.provider);
+            log.info(`🔑 EVM wallet loaded: ${this.wallet.address}`);
+        } else {
+            this.wallet = null;
+            log.warn('⚠️ No EVM wallet configured, live swaps are disabled');
+        }
+        this.txManager = this.wallet ? new EvmTxManager(this.wallet, options.tx) : null;
+        this.tradesLog = options.tradesLog || new RotatingFile(path.join(__dirname, 'trades.log'));
+    }
+
+    /**
+     * Get a swap quote from the router or aggregator
+     * @param {string} inputToken - Input token address
+     * @param {string} outputToken - Output token address
+     * @param {number|bigint|string} amount - Amount to swap (in token's base units)
+     * @returns {Promise<Object>} Quote object
+     */
+    async getQuote(inputToken, outputToken, amount) {
+        try {
+            const amountIn = BigInt(amount);
+            const [inputDecimals, outputDecimals] = await Promise.all([
+                this.getDecimals(inputToken),
+                this.getDecimals(outputToken)
+            ]);
+
+            const quote = this.aggregatorUrl
+                ? await this.getAggregatorQuote(inputToken, outputToken, amountIn)
+                : await this.getRouterQuote(inputToken, outputToken, amountIn);
+
+            return {
+                ...quote,
+                inputToken,
+                outputToken,
+                inAmount: amountIn.toString(),
+                inputDecimals,
+                outputDecimals
+            };
+        } catch (error) {
+            log.error(`❌ Error getting quote: ${error.message}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Quote through the Uniswap V2-style router, trying the direct pair and a WETH hop
+     * @returns {Promise<Object>} Partial quote with path, outAmount and priceImpactPct
+     */
+    async getRouterQuote(inputToken, outputToken, amountIn) {
+        const weth = await this.getWethAddress();
+        const paths = [[inputToken, outputToken]];
+        if (![inputToken, outputToken].some(t => t.toLowerCase() === weth.toLowerCase())) {
+            paths.push([inputToken, weth, outputToken]);
+        }
+
+        let best = null;
+        for (const route of paths) {
+            try {
+                const amounts = await this.router.getAmountsOut(amountIn, route);
+                const outAmount = amounts[amounts.length - 1];
+                if (!best || outAmount > best.outAmount) {
+                    best = { route, outAmount };
+                }
+            } catch (e) {
+                // No pool for this route, try the next one
+            }
+        }
+
+        if (!best || best.outAmount === 0n) {
+            throw new Error(`No router path found for ${inputToken} → ${outputToken}`);
+        }
+
+        return {
+            source: 'router',
+            route: best.route,
+            spender: this.routerAddress,
+            outAmount: best.outAmount.toString(),
+            priceImpactPct: await this.estimatePriceImpact(best.route, amountIn, best.outAmount)
+        };
+    }
+
+    /**
+     * Estimate price impact by comparing the quoted rate with a 1/1000th-size probe
+     * @returns {Promise<number>} Price impact percentage
+     */
+    async estimatePriceImpact(route, amountIn, outAmount) {
+        const probeIn = amountIn / 1000n;
+        if (probeIn === 0n) return 0;
+
+        try {
+            const amounts = await this.router.getAmountsOut(probeIn, route);
+            const probeOut = amounts[amounts.length - 1];
+            if (probeOut === 0n) return 0;
+
+            // (out / in) vs (probeOut / probeIn), scaled to basis points of a percent
+            const impact = 10000n - (outAmount * probeIn * 10000n) / (probeOut * amountIn);
+            return Math.max(0, Number(impact) / 100);
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    /**
+     * Quote through a 0x-compatible aggregator (GET /swap/v1/quote)
+     * @returns {Promise<Object>} Partial quote with transaction data
+     */
+    async getAggregatorQuote(inputToken, outputToken, amountIn) {
+        const params = new URLSearchParams({
+            sellToken: inputToken,
+            buyToken: outputToken,
+            sellAmount: amountIn.toString(),
+            slippagePercentage: (this.maxSlippage / 100).toString()
+        });
+        if (this.wallet) {
+            params.set('takerAddress', this.wallet.address);
+        }
+
+        const response = await axios.get(`${this.aggregatorUrl}/swap/v1/quote?${params}`, {
+            timeout: 10000
+        });
+
+        if (!response.data?.buyAmount) {
+            throw new Error('No quote received from aggregator');
+        }
+
+        const data = response.data;
+        return {
+            source: 'aggregator',
+            spender: data.allowanceTarget || data.to,
+            outAmount: data.buyAmount.toString(),
+            priceImpactPct: parseFloat(data.estimatedPriceImpact || 0),
+            tx: {
+                to: data.to,
+                data: data.data,
+                value: data.value || '0',
+                gasLimit: data.gas || undefined
+            }
+        };
+    }
+
+    /**
+     * Execute a swap quoted by getQuote()
+     * @param {Object} quote - Quote object from getQuote()
+     * @param {boolean} dryRun - If true, don't actually execute the trade
+     * @returns {Promise<string>} Transaction hash
+     * @throws {TxError} If a transaction fails, classified (see tx-manager.js)
+     */
+    async executeSwap(quote, dryRun = false) {
+        try {
+            if (dryRun) {
+                log.info(`🧪 DRY RUN: Would execute swap: ${quote.inAmount} ${quote.inputToken} → ${quote.outAmount} ${quote.outputToken}`, {
+                    input: quote.inputToken,
+                    output: quote.outputToken,
+                    inAmount: quote.inAmount,
+                    outAmount: quote.outAmount,
+                    source: quote.source,
+                    slippage: this.maxSlippage
+                });
+                return 'DRY_RUN_TX_' + Date.now();
+            }
+
+            if (!this.wallet) {
+                throw new Error('No EVM wallet configured (see `node signer.js create`)');
+            }
+
+            await this.ensureAllowance(quote.inputToken, quote.spender, BigInt(quote.inAmount));
+
+            // The router enforces the same deadline the manager cancels at
+            const deadline = Date.now() + this.txManager.timeout;
+
+            let request;
+            if (quote.source === 'aggregator') {
+                request = {
+                    to: quote.tx.to,
+                    data: quote.tx.data,
+                    value: BigInt(quote.tx.value),
+                    gasLimit: quote.tx.gasLimit ? BigInt(quote.tx.gasLimit) : undefined
+                };
+            } else {
+                const slippageBps = BigInt(Math.floor(this.maxSlippage * 100));
+                const amountOutMin = BigInt(quote.outAmount) * (10000n - slippageBps) / 10000n;
+
+                request = await this.router.swapExactTokensForTokensSupportingFeeOnTransferTokens.populateTransaction(
+                    BigInt(quote.inAmount),
+                    amountOutMin,
+                    quote.route,
+                    this.wallet.address,
+                    Math.floor(deadline / 1000)
+                );
+            }
+
+            // Sends, replaces with higher fees while pending and cancels at the deadline
+            const { hash } = await this.txManager.send(request, { label: 'Swap', deadline });
+            return hash;
+
+        } catch (error) {
+            log.error(`❌ Error executing swap: ${error.message}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Approve the spender for an ERC-20 if the current allowance is too low
+     * @param {string} token - Token address
+     * @param {string} spender - Router or aggregator allowance target
+     * @param {bigint} amount - Required allowance
+     */
+    async ensureAllowance(token, spender, amount) {
+        const erc20 = new ethers.Contract(token, ERC20_ABI, this.wallet);
+        const allowance = await erc20.allowance(this.wallet.address, spender);
+
+        if (allowance >= amount) {
+            return;
+        }
+
+        log.info(`🔓 Approving ${spender} to spend ${amount} of ${token}`);
+        const request = await erc20.approve.populateTransaction(spender, amount);
+        await this.txManager.send(request, { label: 'Approval' });
+    }
+
+    /**
+     * Perform a complete swap operation (quote + execute)
+     * @param {string} inputToken - Input token symbol or address
+     * @param {string} outputToken - Output token symbol or address
+     * @param {number|bigint|string} amount - Amount to swap (in token's base units)
+     * @param {boolean} dryRun - Paper trading mode
+     * @param {Object} [options] - { guard }: called with { inputAmount, outputAmount, priceImpact }
+     *   between quote and execution; throwing aborts the swap (see quote-guard.js).
+     *   { log }: the caller's logger, so the swap's lines carry its trade id
+     * @returns {Promise<Object>} Swap result
+     */
+    async swap(inputToken, outputToken, amount, dryRun = false, options = {}) {
+        const startTime = Date.now();
+        const swapLog = options.log ? options.log.child({ component: 'swap' }) : log;
+
+        try {
+            swapLog.info(`🔄 Initiating swap: ${amount} ${inputToken} → ${outputToken}`);
+
+            // Convert token symbols to addresses if needed
+            const inputAddress = this.getTokenAddress(inputToken);
+            const outputAddress = this.getTokenAddress(outputToken);
+
+            // Get quote
+            const quote = await this.getQuote(inputAddress, outputAddress, amount);
+
+            const priceImpact = parseFloat(quote.priceImpactPct || 0);
+
+            swapLog.info(`📊 Quote: ${fromBaseUnits(quote.inAmount, quote.inputDecimals)} ${inputToken} → ${fromBaseUnits(quote.outAmount, quote.outputDecimals)} ${outputToken}`);
+            swapLog.info(`📈 Price Impact: ${priceImpact.toFixed(2)}%`);
+
+            if (options.guard) {
+                await options.guard({
+                    inputAmount: toNumber(quote.inAmount, quote.inputDecimals),
+                    outputAmount: toNumber(quote.outAmount, quote.outputDecimals),
+                    priceImpact
+                });
+            }
+
+            // Execute swap, measuring what actually arrived: fee-on-transfer
+            // tokens deliver less than the quote
+            const measure = !dryRun && this.wallet;
+            const before = measure ? await this.getBalance(outputAddress) : null;
+            const signature = await this.executeSwap(quote, dryRun);
+            const outputAmountRaw = measure ? (await this.getBalance(outputAddress) - before).toString() : quote.outAmount;
+
+            const inputAmount = toNumber(quote.inAmount, quote.inputDecimals);
+            const outputAmount = toNumber(outputAmountRaw, quote.outputDecimals);
+
+            const executionTime = Date.now() - startTime;
+
+            const result = {
+                signature,
+                inputToken,
+                outputToken,
+                inputAmount,
+                outputAmount,
+                inputAmountRaw: quote.inAmount,
+                outputAmountRaw,
+                inputDecimals: quote.inputDecimals,
+                outputDecimals: quote.outputDecimals,
+                priceImpact,
+                executionTime,
+                timestamp: new Date().toISOString(),
+                dryRun
+            };
+
+            // Log trade
+            this.logTrade(result, swapLog);
+
+            return result;
+
+        } catch (error) {
+            swapLog.error(`❌ Swap failed: ${error.message}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the contract address for a token symbol
+     * @param {string} token - Token symbol or address
+     * @returns {string} Checksummed token address
+     * @throws {TokenRegistryError} For an invalid address or an unknown or ambiguous symbol
+     */
+    getTokenAddress(token) {
+        return this.tokens.resolve(token);
+    }
+
+    /**
+     * Get the WETH address used by the router for multi-hop routes
+     * @returns {Promise<string>} WETH address
+     */
+    async getWethAddress() {
+        if (!this.wethAddress) {
+            try {
+                this.wethAddress = await this.router.WETH();
+            } catch (e) {
+                this.wethAddress = this.tokens.resolve('WETH');
+            }
+        }
+        return this.wethAddress;
+    }
+
+    /**
+     * Read ERC-20 decimals through the metadata service
+     * @param {string} token - Token address
+     * @returns {Promise<number>} Decimals
+     */
+    async getDecimals(token) {
+        return this.metadata.getDecimals(token);
+    }
+
+    /**
+     * Read the wallet's balance of a token
+     * @param {string} token - Token address
+     * @returns {Promise<bigint>} Balance in base units
+     */
+    async getBalance(token) {
+        const erc20 = new ethers.Contract(token, ERC20_ABI, this.provider);
+        return erc20.balanceOf(this.wallet.address);
+    }
+
+    /**
+     * Log trade to file and console
+     * @param {Object} trade - Trade result object
+     * @param {Logger} [tradeLog] - Logger for the trade; its trade id goes into the record
+     */
+    logTrade(trade, tradeLog = log) {
+        const logEntry = {
+            timestamp: trade.timestamp,
+            type: 'SWAP',
+            tradeId: tradeLog.fields.tradeId,
+            input: `${fromBaseUnits(trade.inputAmountRaw, trade.inputDecimals)} ${trade.inputToken}`,
+            output: `${fromBaseUnits(trade.outputAmountRaw, trade.outputDecimals)} ${trade.outputToken}`,
+            priceImpact: `${trade.priceImpact.toFixed(2)}%`,
+            executionTime: `${trade.executionTime}ms`,
+            signature: trade.signature,
+            dryRun: trade.dryRun
+        };
+
+        tradeLog.info(`💰 Swapped ${logEntry.input} → ${logEntry.output}`, { trade: logEntry });
+
+        // Append to trades log file
+        this.tradesLog.write(JSON.stringify(logEntry));
+    }
+}
+
+module.exports = EvmSwap;
+
+// CLI usage example
+if (require.main === module) {
+    const { loadConfig } = require('./config');
+
+    async function main() {
+        const args = process.argv.slice(2);
+
+        if (args.length < 3) {
+            console.log('Usage: node evm-swap.js <inputToken> <outputToken> <amount> [dryRun]');
+            console.log('Example: node evm-swap.js USDC WETH 10000000 true');
+            process.exit(1);
+        }
+
+        const [inputToken, outputToken, amount, dryRun] = args;
+        const isDryRun = dryRun === 'true';
+
+        try {
+            // The wallet is only unlocked for live swaps
+            const config = loadConfig();
+            const signer = isDryRun ? null : await loadSigner('evm', config);
+            const swapper = new EvmSwap(config.rpcUrl, config.maxSlippage, {
+                routerAddress: config.routerAddress,
+                aggregatorUrl: config.aggregatorUrl,
+                signer,
+                tokens: TokenRegistry.fromConfig(config, 'base')
+            });
+            const result = await swapper.swap(inputToken, outputToken, amount, isDryRun);
+
+            console.log('✅ Swap completed:', result.signature);
+        } catch (error) {
+            console.error('❌ Swap failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    main();
+}
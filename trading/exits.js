@@ -0,0 +1,96 @@
+/**
+ * Position exit management shared by all strategies: trailing stops that
+ * ratchet `position.stopLoss` up from the high-water mark, and take-profit
+ * ladders that sell a fraction of the initial position at each P&L level.
+ */
+
+/**
+ * Parse a take-profit ladder such as "20:33,40:33"
+ * @param {string} spec - Comma-separated `<pnl%>:<percent of initial position>` pairs
+ * @returns {Array} Levels sorted by P&L: [{ pnl, fraction }]
+ */
+function parseTakeProfitLevels(spec) {
+    if (!spec) return [];
+
+    return spec.split(',')
+        .map(level => level.trim())
+        .filter(Boolean)
+        .map(level => {
+            const [pnl, percent] = level.split(':').map(parseFloat);
+            if (!(pnl > 0) || !(percent > 0) || percent > 100) {
+                throw new Error(`Invalid take-profit level "${level}" (expected <pnl%>:<percent>)`);
+            }
+            return { pnl, fraction: percent / 100 };
+        })
+        .sort((a, b) => a.pnl - b.pnl);
+}
+
+/**
+ * Initialize exit-tracking fields on a position. Safe to call on positions
+ * loaded from older positions.json files that lack them.
+ * @param {Object} position - Position
+ * @param {Object} config - Monitor configuration (trailingStop, trailingActivation, takeProfitLevels)
+ * @returns {Object} The same position
+ */
+function initExitState(position, config) {
+    position.initialAmount ??= position.amount;
+    position.costBasis ??= position.usdcInvested; // Cost of the amount still held
+    position.realizedPnl ??= 0;
+    position.highWaterMark ??= position.entryPrice;
+    position.trailingStop ??= config.trailingStop;
+    position.trailingActivation ??= config.trailingActivation;
+    position.trailingStopActive ??= false;
+    position.takeProfitLevels ??= config.takeProfitLevels.map(level => ({ ...level, filled: false }));
+    return position;
+}
+
+/**
+ * Raise the high-water mark and ratchet the trailing stop
+ * @param {Object} position - Position
+ * @param {number} price - Current price
+ * @returns {boolean} True if the position changed and should be saved
+ */
+function updateTrailingStop(position, price) {
+    if (price <= position.highWaterMark) return false;
+
+    position.highWaterMark = price;
+
+    if (position.trailingStop > 0) {
+        const gain = ((position.highWaterMark - position.entryPrice) / position.entryPrice) * 100;
+        const trailedStop = position.highWaterMark * (1 - position.trailingStop / 100);
+
+        if (gain >= position.trailingActivation && trailedStop > position.stopLoss) {
+            position.stopLoss = trailedStop;
+            position.trailingStopActive = true;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Find take-profit levels reached at the current P&L
+ * @param {Object} position - Position
+ * @param {number} pnl - Current P&L percentage
+ * @returns {Object|null} { levels, amount, reason } to sell, or null
+ */
+function checkTakeProfitLevels(position, pnl) {
+    const levels = position.takeProfitLevels.filter(level => !level.filled && pnl >= level.pnl);
+    if (levels.length === 0) return null;
+
+    const fraction = levels.reduce((sum, level) => sum + level.fraction, 0);
+    const amount = Math.min(position.amount, position.initialAmount * fraction);
+
+    return {
+        levels,
+        amount,
+        reason: `Take profit ${levels.map(level => `+${level.pnl}%`).join(', ')} (${(fraction * 100).toFixed(0)}%)`
+    };
+}
+
+module.exports = {
+    parseTakeProfitLevels,
+    initExitState,
+    updateTrailingStop,
+    checkTakeProfitLevels
+};
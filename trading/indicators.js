@@ -0,0 +1,152 @@
+/**
+ * Technical indicators over OHLCV candles (see candles.js), oldest first.
+ *
+ * Each indicator returns its value at the latest candle, which is still
+ * forming, or null when there are too few candles. Moving averages and RSI
+ * use closes; RSI and ATR use Wilder's smoothing, seeded with a simple
+ * average of the first `period` values.
+ */
+
+/**
+ * Exponential moving average of the closes
+ * @param {Array} candles - Candles, oldest first
+ * @param {number} period - Smoothing period in bars
+ * @returns {number|null} EMA, null with fewer than `period` candles
+ */
+function ema(candles, period) {
+    if (candles.length < period) return null;
+
+    const closes = candles.map(candle => candle.close);
+    const k = 2 / (period + 1);
+    let value = average(closes.slice(0, period));
+    for (let i = period; i < closes.length; i++) {
+        value = closes[i] * k + value * (1 - k);
+    }
+    return value;
+}
+
+/**
+ * Relative strength index of the closes
+ * @param {Array} candles - Candles, oldest first
+ * @param {number} [period] - Lookback in bars
+ * @returns {number|null} 0-100, null with `period` or fewer candles
+ */
+function rsi(candles, period = 14) {
+    if (candles.length <= period) return null;
+
+    const changes = candles.slice(1).map((candle, i) => candle.close - candles[i].close);
+    let gain = average(changes.slice(0, period).map(change => Math.max(change, 0)));
+    let loss = average(changes.slice(0, period).map(change => Math.max(-change, 0)));
+    for (let i = period; i < changes.length; i++) {
+        gain = (gain * (period - 1) + Math.max(changes[i], 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-changes[i], 0)) / period;
+    }
+
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * Average true range
+ * @param {Array} candles - Candles, oldest first
+ * @param {number} [period] - Lookback in bars
+ * @returns {number|null} ATR in price units, null with `period` or fewer candles
+ */
+function atr(candles, period = 14) {
+    if (candles.length <= period) return null;
+
+    const ranges = candles.slice(1).map((candle, i) => Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - candles[i].close),
+        Math.abs(candle.low - candles[i].close)
+    ));
+    let value = average(ranges.slice(0, period));
+    for (let i = period; i < ranges.length; i++) {
+        value = (value * (period - 1) + ranges[i]) / period;
+    }
+    return value;
+}
+
+/**
+ * Average true range as a percentage of the latest close, comparable across tokens
+ * @returns {number|null} Percent
+ */
+function atrPercent(candles, period = 14) {
+    const value = atr(candles, period);
+    return value === null ? null : value / candles[candles.length - 1].close * 100;
+}
+
+/**
+ * Volume-weighted average price of the last `period` bars (typical price, high + low + close / 3)
+ * @param {Array} candles - Candles, oldest first
+ * @param {number} [period] - Lookback in bars
+ * @returns {number|null} VWAP, null with too few candles or no volume
+ */
+function vwap(candles, period = 20) {
+    if (candles.length < period) return null;
+
+    let value = 0;
+    let volume = 0;
+    for (const candle of candles.slice(-period)) {
+        value += (candle.high + candle.low + candle.close) / 3 * candle.volume;
+        volume += candle.volume;
+    }
+    return volume > 0 ? value / volume : null;
+}
+
+/**
+ * How unusual the latest bar's volume is against the `period` bars before it
+ * @param {Array} candles - Candles, oldest first
+ * @param {number} [period] - Lookback in bars
+ * @returns {number|null} Standard deviations from the mean (0 if volume never varied), null with too few candles
+ */
+function volumeZScore(candles, period = 20) {
+    if (candles.length <= period) return null;
+
+    const volumes = candles.slice(-period - 1, -1).map(candle => candle.volume);
+    const mean = average(volumes);
+    const std = Math.sqrt(average(volumes.map(v => (v - mean) ** 2)));
+    const latest = candles[candles.length - 1].volume;
+    return std > 0 ? (latest - mean) / std : 0;
+}
+
+/**
+ * Share of buy transactions over the last `period` bars
+ * @param {Array} candles - Candles, oldest first
+ * @param {number} [period] - Lookback in bars
+ * @returns {number|null} Percent of transactions that were buys (50 = balanced), null without transactions
+ */
+function buyPressure(candles, period = 20) {
+    if (candles.length < period) return null;
+
+    const recent = candles.slice(-period);
+    const buys = recent.reduce((sum, candle) => sum + candle.buys, 0);
+    const sells = recent.reduce((sum, candle) => sum + candle.sells, 0);
+    return buys + sells > 0 ? buys / (buys + sells) * 100 : null;
+}
+
+function average(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Name in ENTRY_RULES / EXIT_RULES -> indicator (see rules.js)
+const INDICATORS = {
+    ema,
+    rsi,
+    atr,
+    atrPercent,
+    vwap,
+    volumeZScore,
+    buyPressure
+};
+
+module.exports = {
+    INDICATORS,
+    ema,
+    rsi,
+    atr,
+    atrPercent,
+    vwap,
+    volumeZScore,
+    buyPressure
+};
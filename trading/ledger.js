@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * Schema migrations, applied in order. PRAGMA user_version holds the number
+ * applied so far; append new migrations, never edit old ones.
+ */
+const MIGRATIONS = [
+    `
+    CREATE TABLE positions (
+        id INTEGER PRIMARY KEY,
+        position_key TEXT NOT NULL UNIQUE,      -- <symbol>@<opened_at>
+        token_address TEXT,
+        token_symbol TEXT NOT NULL,
+        strategy TEXT,
+        opened_at TEXT NOT NULL,
+        closed_at TEXT,
+        entry_price REAL,
+        cost_basis REAL NOT NULL,               -- USD spent opening the position
+        realized_pnl REAL NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'open'     -- open | closed
+    );
+
+    CREATE TABLE orders (
+        id INTEGER PRIMARY KEY,
+        source_key TEXT NOT NULL UNIQUE,        -- Deduplicates live records and trades.log imports
+        position_id INTEGER REFERENCES positions(id),
+        time TEXT NOT NULL,
+        side TEXT NOT NULL,                     -- buy | sell
+        token_address TEXT,
+        token_symbol TEXT NOT NULL,
+        quote_symbol TEXT NOT NULL DEFAULT 'USDC',
+        reason TEXT,
+        strategy TEXT,
+        status TEXT NOT NULL DEFAULT 'filled',
+        dry_run INTEGER NOT NULL DEFAULT 0,
+        source TEXT NOT NULL                    -- monitor | swap | trades.log
+    );
+
+    CREATE TABLE fills (
+        id INTEGER PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        time TEXT NOT NULL,
+        token_amount REAL,
+        quote_amount REAL NOT NULL,             -- USD spent (buy) or received (sell)
+        price REAL,
+        cost_basis REAL,                        -- Sells: cost basis of the tokens sold
+        realized_pnl REAL,                      -- Sells: quote_amount - cost_basis
+        price_impact REAL,
+        execution_ms INTEGER,
+        signature TEXT
+    );
+
+    CREATE TABLE fees (
+        id INTEGER PRIMARY KEY,
+        fill_id INTEGER NOT NULL REFERENCES fills(id),
+        kind TEXT NOT NULL,                     -- gas | lp | other
+        amount REAL NOT NULL,
+        currency TEXT NOT NULL,
+        usd_amount REAL
+    );
+
+    CREATE INDEX fills_time ON fills(time);
+    CREATE INDEX orders_position ON orders(position_id);
+    `
+];
+
+const REPORT_GROUPS = {
+    day: 'substr(f.time, 1, 10)',
+    token: 'o.token_symbol',
+    strategy: "coalesce(o.strategy, '-')"
+};
+
+const CSV_COLUMNS = [
+    'token', 'token_address', 'date_acquired', 'date_sold', 'amount', 'proceeds_usd',
+    'cost_basis_usd', 'fees_usd', 'gain_usd', 'holding_days', 'term', 'strategy', 'signature', 'dry_run'
+];
+
+/**
+ * Order key of an exit. Records from before `exitIndex` keep their old key so
+ * re-importing them still finds what is already in the ledger.
+ * @param {Object} record - Exit record (token, exitIndex)
+ * @param {string} exitTime - Exit time
+ * @returns {string} source_key
+ */
+function exitKey(record, exitTime) {
+    const key = `exit:${record.token}:${exitTime}`;
+    return record.exitIndex === undefined ? key : `${key}:${record.exitIndex}`;
+}
+
+/**
+ * SQLite trade ledger: positions, orders, fills and fees.
+ *
+ * The monitor records every entry and exit here in addition to trades.log;
+ * importTradesLog() back-fills the ledger from existing trades.log files.
+ * Amounts are USD (quote token) unless a column says otherwise.
+ */
+class Ledger {
+    /**
+     * @param {string} file - Database path (created if missing)
+     */
+    constructor(file) {
+        this.file = file;
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        for (let i = version; i < MIGRATIONS.length; i++) {
+            this.db.transaction(() => {
+                this.db.exec(MIGRATIONS[i]);
+                this.db.pragma(`user_version = ${i + 1}`);
+            })();
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    /**
+     * Find or create the ledger row for a position
+     * @returns {number} Position id
+     */
+    ensurePosition({ address, symbol, strategy, openedAt, entryPrice, costBasis }) {
+        const key = `${symbol}@${openedAt}`;
+        this.db.prepare(`
+            INSERT OR IGNORE INTO positions (position_key, token_address, token_symbol, strategy, opened_at, entry_price, cost_basis)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(key, address || null, symbol, strategy || null, openedAt, entryPrice ?? null, costBasis);
+
+        return this.db.prepare('SELECT id FROM positions WHERE position_key = ?').get(key).id;
+    }
+
+    /**
+     * Insert an order with its fill and fees
+     * @returns {number|null} Fill id, or null if the order was already recorded
+     */
+    insertOrder(order, fill, fees = []) {
+        const inserted = this.db.prepare(`
+            INSERT OR IGNORE INTO orders (source_key, position_id, time, side, token_address, token_symbol, quote_symbol, reason, strategy, dry_run, source)
+            VALUES (@sourceKey, @positionId, @time, @side, @address, @symbol, @quoteSymbol, @reason, @strategy, @dryRun, @source)
+        `).run({
+            positionId: null,
+            address: null,
+            quoteSymbol: 'USDC',
+            reason: null,
+            strategy: null,
+            ...order,
+            dryRun: order.dryRun ? 1 : 0
+        });
+        if (inserted.changes === 0) return null;
+
+        const fillId = this.db.prepare(`
+            INSERT INTO fills (order_id, time, token_amount, quote_amount, price, cost_basis, realized_pnl, price_impact, execution_ms, signature)
+            VALUES (@orderId, @time, @tokenAmount, @quoteAmount, @price, @costBasis, @realizedPnl, @priceImpact, @executionMs, @signature)
+        `).run({
+            costBasis: null,
+            realizedPnl: null,
+            priceImpact: null,
+            executionMs: null,
+            signature: null,
+            ...fill,
+            orderId: inserted.lastInsertRowid,
+            time: order.time
+        }).lastInsertRowid;
+
+        const insertFee = this.db.prepare('INSERT INTO fees (fill_id, kind, amount, currency, usd_amount) VALUES (?, ?, ?, ?, ?)');
+        fees.forEach(fee => insertFee.run(fillId, fee.kind, fee.amount, fee.currency, fee.usd ?? null));
+
+        return fillId;
+    }
+
+    /**
+     * Record a position entry
+     * @param {Object} position - New monitor position
+     * @param {Object} result - Swap result (signature, priceImpact, executionTime, fees, dryRun)
+     * @returns {number} Ledger position id
+     */
+    recordEntry(position, result) {
+        return this.db.transaction(() => {
+            const positionId = this.ensurePosition({
+                address: position.address,
+                symbol: position.token,
+                strategy: position.strategy,
+                openedAt: position.entryTime,
+                entryPrice: position.entryPrice,
+                costBasis: position.usdcInvested
+            });
+
+            this.insertOrder({
+                sourceKey: `entry:${position.token}:${position.entryTime}`,
+                positionId,
+                time: position.entryTime,
+                side: 'buy',
+                address: position.address,
+                symbol: position.token,
+                reason: 'entry',
+                strategy: position.strategy,
+                dryRun: result.dryRun,
+                source: 'monitor'
+            }, {
+                tokenAmount: position.amount,
+                quoteAmount: position.usdcInvested,
+                price: position.entryPrice,
+                priceImpact: result.priceImpact ?? null,
+                executionMs: result.executionTime ?? null,
+                signature: result.signature
+            }, result.fees);
+
+            return positionId;
+        })();
+    }
+
+    /**
+     * Record a full or partial exit
+     * @param {Object} position - Position after the exit (amount is what remains)
+     * @param {Object} trade - Exit record as written to trades.log
+     * @param {Object} result - Swap result (fees, priceImpact, executionTime, dryRun)
+     */
+    recordExit(position, trade, result = {}) {
+        this.db.transaction(() => {
+            const positionId = this.ensurePosition({
+                address: position.address,
+                symbol: trade.token,
+                strategy: trade.strategy,
+                openedAt: trade.entryTime,
+                entryPrice: trade.entryPrice,
+                costBasis: position.usdcInvested
+            });
+
+            const fillId = this.insertOrder({
+                sourceKey: exitKey(trade, trade.exitTime),
+                positionId,
+                time: trade.exitTime,
+                side: 'sell',
+                address: position.address,
+                symbol: trade.token,
+                reason: trade.reason,
+                strategy: trade.strategy,
+                dryRun: result.dryRun,
+                source: 'monitor'
+            }, {
+                tokenAmount: trade.amount,
+                quoteAmount: trade.finalValue,
+                price: trade.exitPrice,
+                costBasis: trade.invested,
+                realizedPnl: trade.pnl,
+                priceImpact: result.priceImpact ?? null,
+                executionMs: result.executionTime ?? null,
+                signature: trade.signature
+            }, result.fees);
+
+            if (fillId !== null) {
+                this.updatePosition(positionId, trade.pnl, trade.type === 'EXIT' ? trade.exitTime : null);
+            }
+        })();
+    }
+
+    updatePosition(positionId, pnl, closedAt) {
+        this.db.prepare(`
+            UPDATE positions
+            SET realized_pnl = realized_pnl + ?,
+                closed_at = coalesce(?, closed_at),
+                status = CASE WHEN ? IS NULL THEN status ELSE 'closed' END
+            WHERE id = ?
+        `).run(pnl, closedAt, closedAt, positionId);
+    }
+
+    /**
+     * Import a trades.log file. Safe to re-run: records already in the ledger are skipped.
+     * @param {string} file - trades.log path
+     * @returns {Object} { imported, skipped, errors }
+     */
+    importTradesLog(file) {
+        const stats = { imported: 0, skipped: 0, errors: [] };
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+        this.db.transaction(() => {
+            lines.forEach((line, index) => {
+                if (!line.trim()) return;
+
+                try {
+                    const record = JSON.parse(line);
+                    const imported = record.type === 'SWAP'
+                        ? this.importSwap(record)
+                        : this.importExit(record);
+                    imported ? stats.imported++ : stats.skipped++;
+                } catch (error) {
+                    stats.errors.push(`${path.basename(file)}:${index + 1}: ${error.message}`);
+                }
+            });
+        })();
+
+        return stats;
+    }
+
+    /**
+     * Import a monitor EXIT / PARTIAL_EXIT record, synthesizing the entry it implies.
+     * Records from before partial exits lack amount and exitPrice; they are derived
+     * from the entry price.
+     */
+    importExit(record) {
+        if (record.type !== 'EXIT' && record.type !== 'PARTIAL_EXIT') {
+            throw new Error(`Unknown record type ${record.type}`);
+        }
+
+        const exitTime = record.exitTime || record.timestamp;
+        const amount = record.amount ?? (record.entryPrice > 0 ? record.invested / record.entryPrice : null);
+        const dryRun = record.signature === 'DRY_RUN' || record.dryRun === true;
+
+        // Holdings before this sale; for a position's first (chronological) exit that is the entry fill
+        const initialAmount = amount === null ? null : amount + (record.remainingAmount || 0);
+        const initialCost = amount ? record.invested * (initialAmount / amount) : record.invested;
+
+        const positionId = this.ensurePosition({
+            symbol: record.token,
+            strategy: record.strategy,
+            openedAt: record.entryTime,
+            entryPrice: record.entryPrice,
+            costBasis: initialCost
+        });
+
+        // The entry itself was never logged; one synthesized buy per position
+        this.insertOrder({
+            sourceKey: `entry:${record.token}:${record.entryTime}`,
+            positionId,
+            time: record.entryTime,
+            side: 'buy',
+            symbol: record.token,
+            reason: 'entry',
+            strategy: record.strategy,
+            dryRun,
+            source: 'trades.log'
+        }, {
+            tokenAmount: initialAmount,
+            quoteAmount: initialCost,
+            price: record.entryPrice
+        });
+
+        const fillId = this.insertOrder({
+            sourceKey: exitKey(record, exitTime),
+            positionId,
+            time: exitTime,
+            side: 'sell',
+            symbol: record.token,
+            reason: record.reason,
+            strategy: record.strategy,
+            dryRun,
+            source: 'trades.log'
+        }, {
+            tokenAmount: amount,
+            quoteAmount: record.finalValue,
+            price: record.exitPrice ?? (amount ? record.finalValue / amount : null),
+            costBasis: record.invested,
+            realizedPnl: record.pnl,
+            signature: record.signature
+        });
+
+        if (fillId === null) return false;
+        this.updatePosition(positionId, record.pnl, record.type === 'EXIT' ? exitTime : null);
+        return true;
+    }
+
+    /**
+     * Import a JupiterSwap / EvmSwap SWAP record ("10 USDC" style amounts)
+     */
+    importSwap(record) {
+        const parse = value => {
+            const [amount, ...symbol] = String(value).trim().split(/\s+/);
+            if (!Number.isFinite(parseFloat(amount))) throw new Error(`Unparseable amount "${value}"`);
+            return { amount: parseFloat(amount), symbol: symbol.join(' ') };
+        };
+        const input = parse(record.input);
+        const output = parse(record.output);
+        const stable = symbol => ['USDC', 'USDT', 'USDBC', 'DAI'].includes(symbol.toUpperCase());
+
+        // Buying with a stablecoin, otherwise selling into whatever was received
+        const buying = stable(input.symbol) || !stable(output.symbol);
+        const token = buying ? output : input;
+        const quote = buying ? input : output;
+
+        return this.insertOrder({
+            sourceKey: `swap:${record.timestamp}:${record.signature}`,
+            time: record.timestamp,
+            side: buying ? 'buy' : 'sell',
+            symbol: token.symbol,
+            quoteSymbol: quote.symbol,
+            reason: 'manual swap',
+            dryRun: record.dryRun,
+            source: 'trades.log'
+        }, {
+            tokenAmount: token.amount,
+            quoteAmount: quote.amount,
+            price: token.amount > 0 ? quote.amount / token.amount : null,
+            priceImpact: parseFloat(record.priceImpact) || null,
+            executionMs: parseInt(record.executionTime) || null,
+            signature: record.signature
+        }) !== null;
+    }
+
+    /**
+     * Build the SQL filter for report/export options
+     */
+    filter({ from, to, includeDryRun }) {
+        const clauses = [];
+        const params = {};
+        if (from) { clauses.push('f.time >= @from'); params.from = from; }
+        if (to) { clauses.push('f.time < @to'); params.to = to; }
+        if (!includeDryRun) clauses.push('o.dry_run = 0');
+        return { where: clauses.length ? `AND ${clauses.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * Realized P&L grouped by day, token or strategy
+     * @param {Object} options - { by, from, to, includeDryRun }
+     * @returns {Object} { rows, totals }
+     */
+    report(options = {}) {
+        const group = REPORT_GROUPS[options.by || 'day'];
+        if (!group) {
+            throw new Error(`Unknown grouping "${options.by}" (expected ${Object.keys(REPORT_GROUPS).join(', ')})`);
+        }
+        const { where, params } = this.filter(options);
+
+        const rows = this.db.prepare(`
+            SELECT ${group} AS key,
+                   count(*) AS sells,
+                   sum(CASE WHEN f.realized_pnl > 0 THEN 1 ELSE 0 END) AS wins,
+                   sum(f.quote_amount) AS proceeds,
+                   sum(f.cost_basis) AS cost_basis,
+                   sum(f.realized_pnl) AS pnl,
+                   sum((SELECT coalesce(sum(usd_amount), 0) FROM fees WHERE fill_id = f.id)) AS fees
+            FROM fills f JOIN orders o ON o.id = f.order_id
+            WHERE o.side = 'sell' AND f.realized_pnl IS NOT NULL ${where}
+            GROUP BY key
+            ORDER BY key
+        `).all(params);
+
+        const allFees = this.db.prepare(`
+            SELECT coalesce(sum(fe.usd_amount), 0) AS fees
+            FROM fees fe JOIN fills f ON f.id = fe.fill_id JOIN orders o ON o.id = f.order_id
+            WHERE 1 = 1 ${where}
+        `).get(params).fees;
+
+        const hold = this.db.prepare(`
+            SELECT avg((julianday(p.closed_at) - julianday(p.opened_at)) * 24) AS hours, count(*) AS closed
+            FROM positions p
+            WHERE p.status = 'closed'
+              AND EXISTS (SELECT 1 FROM orders o JOIN fills f ON f.order_id = o.id
+                          WHERE o.position_id = p.id AND o.side = 'sell' ${where})
+        `).get(params);
+
+        const hiddenDryRun = options.includeDryRun ? 0 : this.db.prepare(
+            'SELECT count(*) AS n FROM orders WHERE dry_run = 1'
+        ).get().n;
+
+        return {
+            rows,
+            totals: {
+                sells: rows.reduce((sum, row) => sum + row.sells, 0),
+                pnl: rows.reduce((sum, row) => sum + row.pnl, 0),
+                fees: allFees,
+                closedPositions: hold.closed,
+                avgHoldHours: hold.hours
+            },
+            hiddenDryRun
+        };
+    }
+
+    /**
+     * One row per sell fill with acquisition date, proceeds, cost basis and gain
+     * @param {Object} options - { from, to, includeDryRun }
+     * @returns {string} CSV
+     */
+    exportCsv(options = {}) {
+        const { where, params } = this.filter(options);
+        const rows = this.db.prepare(`
+            SELECT o.token_symbol AS token, o.token_address, p.opened_at AS date_acquired, f.time AS date_sold,
+                   f.token_amount AS amount, f.quote_amount AS proceeds_usd, f.cost_basis AS cost_basis_usd,
+                   (SELECT coalesce(sum(usd_amount), 0) FROM fees WHERE fill_id = f.id) AS fees_usd,
+                   f.realized_pnl AS gain_usd, o.strategy, f.signature, o.dry_run
+            FROM fills f JOIN orders o ON o.id = f.order_id LEFT JOIN positions p ON p.id = o.position_id
+            WHERE o.side = 'sell' AND f.realized_pnl IS NOT NULL ${where}
+            ORDER BY f.time
+        `).all(params);
+
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = rows.map(row => {
+            const days = row.date_acquired
+                ? (new Date(row.date_sold) - new Date(row.date_acquired)) / (24 * 60 * 60 * 1000)
+                : null;
+            const record = {
+                ...row,
+                holding_days: days === null ? null : days.toFixed(2),
+                term: days === null ? '' : days > 365 ? 'long' : 'short'
+            };
+            return CSV_COLUMNS.map(column => escape(record[column])).join(',');
+        });
+
+        return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+    }
+}
+
+module.exports = { Ledger, MIGRATIONS };
+
+// CLI usage
+if (require.main === module) {
+    const { loadConfig, parseFlags } = require('./config');
+    const { RotatingFile } = require('./logger');
+    const [command, ...rest] = process.argv.slice(2);
+    const files = rest.filter(arg => !arg.startsWith('--'));
+    const flags = parseFlags(rest);
+    const options = { from: flags.from, to: flags.to, includeDryRun: flags['include-dry-run'] === 'true' };
+
+    const formatUsd = value => `${value < 0 ? '-' : '+'}$${Math.abs(value || 0).toFixed(2)}`;
+
+    if (!['migrate', 'report', 'export'].includes(command)) {
+        console.log('Usage:');
+        console.log('  node ledger.js migrate [trades.log ...]                      Import trades.log files (re-runnable, default: TRADES_FILE)');
+        console.log('  node ledger.js report [--by=day|token|strategy] [--from] [--to] [--include-dry-run]');
+        console.log('  node ledger.js export [--out=gains.csv] [--from] [--to] [--include-dry-run]');
+        console.log('  All commands accept --db=path (default: LEDGER_FILE, ./ledger.db)');
+        process.exit(1);
+    }
+
+    const config = loadConfig();
+    const ledger = new Ledger(flags.db || config.ledgerFile);
+
+    try {
+        if (command === 'migrate') {
+            // Default: TRADES_FILE and its rotated backups, oldest first
+            const defaults = new RotatingFile(config.tradesFile, { backups: config.logBackups }).files();
+            for (const file of files.length ? files : defaults) {
+                const stats = ledger.importTradesLog(file);
+                console.log(`📥 ${file}: ${stats.imported} imported, ${stats.skipped} already in ledger, ${stats.errors.length} errors`);
+                stats.errors.forEach(error => console.log(`   ⚠️ ${error}`));
+            }
+        } else if (command === 'report') {
+            const { rows, totals, hiddenDryRun } = ledger.report({ ...options, by: flags.by });
+
+            console.log(`\n📊 Realized P&L by ${flags.by || 'day'}`);
+            rows.forEach(row => {
+                console.log(`   ${String(row.key).padEnd(14)} ${String(row.sells).padStart(4)} sells  ${String(row.wins).padStart(4)} wins  ${formatUsd(row.pnl).padStart(12)}  fees $${(row.fees || 0).toFixed(2)}`);
+            });
+            console.log(`\n   Total P&L:     ${formatUsd(totals.pnl)} over ${totals.sells} sells`);
+            console.log(`   Fees paid:     $${totals.fees.toFixed(2)}`);
+            console.log(`   Avg hold time: ${totals.avgHoldHours === null ? 'n/a' : `${totals.avgHoldHours.toFixed(1)}h`} (${totals.closedPositions} closed positions)`);
+            if (hiddenDryRun > 0) {
+                console.log(`   🧪 ${hiddenDryRun} dry-run orders not shown (add --include-dry-run)`);
+            }
+        } else {
+            const csv = ledger.exportCsv(options);
+            if (flags.out) {
+                fs.writeFileSync(flags.out, csv);
+                console.log(`📁 ${csv.trim().split('\n').length - 1} sells written to ${flags.out}`);
+            } else {
+                process.stdout.write(csv);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        ledger.close();
+    }
+}
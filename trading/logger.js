@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+// Severity order; records below the configured level are dropped
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['pretty', 'json'];
+
+/**
+ * Append-only file that rotates by size: once a write would take it past
+ * `maxSize` bytes, `file` becomes `file.1`, `file.1` becomes `file.2` and so
+ * on, keeping `backups` old files. Sizes are read from disk on every write,
+ * so several writers can share a file.
+ */
+class RotatingFile {
+    /**
+     * @param {string} file - Path; missing directories are created
+     * @param {Object} options - { maxSize } bytes (0 = never rotate), { backups } files kept
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.maxSize = options.maxSize ?? 0;
+        this.backups = options.backups ?? 0;
+        this.dirReady = false;
+    }
+
+    /**
+     * Append one line (a newline is added)
+     * @param {string} line - Text without trailing newline
+     */
+    write(line) {
+        const data = line + '\n';
+        if (!this.dirReady) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this.dirReady = true;
+        }
+
+        if (this.maxSize > 0) {
+            const size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+            if (size > 0 && size + Buffer.byteLength(data) > this.maxSize) {
+                this.rotate();
+            }
+        }
+        fs.appendFileSync(this.file, data);
+    }
+
+    rotate() {
+        if (this.backups === 0) {
+            fs.unlinkSync(this.file);
+            return;
+        }
+        for (let i = this.backups - 1; i >= 1; i--) {
+            if (fs.existsSync(`${this.file}.${i}`)) {
+                fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+            }
+        }
+        fs.renameSync(this.file, `${this.file}.1`);
+    }
+
+    /**
+     * Existing files, oldest first: file.<backups> ... file.1, file
+     * @returns {string[]} Paths
+     */
+    files() {
+        const files = [];
+        for (let i = this.backups; i >= 1; i--) {
+            if (fs.existsSync(`${this.file}.${i}`)) files.push(`${this.file}.${i}`);
+        }
+        if (fs.existsSync(this.file)) files.push(this.file);
+        return files;
+    }
+}
+
+// Shared by every logger; set once from the configuration by configureLogging()
+const settings = {
+    level: 'info',
+    format: 'pretty',
+    file: null // RotatingFile for JSON lines
+};
+
+/**
+ * Apply the logging configuration to all loggers
+ * @param {Object} config - Monitor configuration (logLevel, logFormat, logFile, logMaxSize, logBackups)
+ */
+function configureLogging(config) {
+    settings.level = config.logLevel;
+    settings.format = config.logFormat;
+    settings.file = config.logFile
+        ? new RotatingFile(config.logFile, { maxSize: config.logMaxSize, backups: config.logBackups })
+        : null;
+}
+
+/**
+ * Leveled logger writing one record per call:
+ * { time, level, component, message, token, tradeId, ...fields }.
+ *
+ * Records go to the console, formatted for people (`pretty`) or as JSON
+ * lines (`json`, for log collectors), and as JSON lines to the log file.
+ * `child()` adds fixed fields such as the token and the trade's correlation
+ * id, so every line about one trade can be grepped out of the file.
+ */
+class Logger {
+    /**
+     * @param {Object} fields - Fields on every record, at least { component }
+     */
+    constructor(fields) {
+        this.fields = fields;
+    }
+
+    /**
+     * Logger that adds `fields` to every record
+     * @param {Object} fields - e.g. { token, tradeId }
+     * @returns {Logger} Child logger
+     */
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields });
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Human-readable text
+     * @param {Object} [fields] - Structured data; an `error` is reduced to its message and kind
+     */
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[settings.level]) return;
+
+        const record = { time: new Date().toISOString(), level, ...this.fields, message, ...fields };
+        if (fields.error instanceof Error) {
+            record.error = fields.error.message;
+            if (fields.error.kind) record.errorKind = fields.error.kind;
+        }
+
+        const json = JSON.stringify(record);
+        const line = settings.format === 'json' ? json : formatPretty(record);
+        // console.* is looked up per call so it can be silenced (backtest --quiet)
+        if (level === 'error') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+
+        if (settings.file) {
+            try {
+                settings.file.write(json);
+            } catch (error) {
+                // Losing the log file must not stop trading
+                console.error(`❌ Log file write failed: ${error.message}`);
+                settings.file = null;
+            }
+        }
+    }
+}
+
+/**
+ * Console line for people: time, level, component (with the trade id, if any) and message
+ */
+function formatPretty(record) {
+    const time = record.time.slice(11, 19);
+    const scope = record.tradeId ? `${record.component} ${record.tradeId}` : record.component;
+    return `${time} ${record.level.toUpperCase().padEnd(5)} [${scope}] ${record.message}`;
+}
+
+/**
+ * Logger for one module
+ * @param {string} component - e.g. 'monitor', 'swap'
+ * @returns {Logger} Logger
+ */
+function createLogger(component) {
+    return new Logger({ component });
+}
+
+module.exports = {
+    LEVELS,
+    LOG_FORMATS,
+    RotatingFile,
+    Logger,
+    configureLogging,
+    createLogger
+};
@@ -0,0 +1,135 @@
+const { createLogger } = require('../logger');
+
+const log = createLogger('market');
+
+const BASE_URL = 'https://api.dexscreener.com';
+
+// /tokens/v1 accepts up to 30 comma-separated addresses
+const BATCH_SIZE = 30;
+
+/**
+ * DexScreener market data (https://docs.dexscreener.com/api/reference).
+ *
+ * Trending candidates are the most boosted tokens and the latest token
+ * profiles for the chain; pair data comes from the batched /tokens/v1
+ * endpoint. A token's price is taken from its most liquid pair.
+ */
+class DexScreenerSource {
+    static sourceName = 'dexscreener';
+
+    /**
+     * @param {HttpClient} http - Shared HTTP client
+     * @param {Object} options - { baseUrl }
+     */
+    constructor(http, options = {}) {
+        this.http = http;
+        this.baseUrl = options.baseUrl || BASE_URL;
+        this.name = DexScreenerSource.sourceName;
+    }
+
+    /**
+     * Candidate token addresses for a chain
+     * @param {string} chainId - DexScreener chain id
+     * @param {number} ttl - Cache milliseconds
+     * @returns {Promise<Array<string>>} Token addresses
+     */
+    async getTrendingAddresses(chainId, ttl) {
+        const lists = await Promise.all(['/token-boosts/top/v1', '/token-profiles/latest/v1'].map(endpoint =>
+            this.http.get(this.baseUrl + endpoint, { ttl }).catch(error => {
+                log.warn(`⚠️ DexScreener ${endpoint} failed: ${error.message}`, { error });
+                return [];
+            })));
+
+        const addresses = lists.flat()
+            .filter(entry => entry?.chainId === chainId && entry.tokenAddress)
+            .map(entry => entry.tokenAddress);
+        return Array.from(new Set(addresses));
+    }
+
+    /**
+     * Market data for tokens, from each token's most liquid pair
+     * @param {string} chainId - DexScreener chain id
+     * @param {Array<string>} addresses - Token addresses
+     * @param {number} ttl - Cache milliseconds
+     * @returns {Promise<Map>} address -> normalized token
+     */
+    async getTokens(chainId, addresses, ttl) {
+        const tokens = new Map();
+
+        for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+            const batch = addresses.slice(i, i + BATCH_SIZE);
+            const pairs = await this.http.get(`${this.baseUrl}/tokens/v1/${chainId}/${batch.join(',')}`, { ttl });
+
+            for (const pair of Array.isArray(pairs) ? pairs : []) {
+                if (pair.chainId !== chainId) continue;
+                const address = batch.find(a => sameAddress(a, pair.baseToken?.address));
+                if (!address) continue; // Pair quotes our token against something else
+
+                const best = tokens.get(address);
+                if (!best || (parseFloat(pair.liquidity?.usd) || 0) > best.liquidity) {
+                    tokens.set(address, { ...normalizePair(pair), address });
+                }
+            }
+        }
+
+        return tokens;
+    }
+}
+
+/**
+ * Convert a DexScreener pair into the monitor's token shape
+ * @param {Object} pair - DexScreener pair
+ * @returns {Object} Normalized token
+ */
+function normalizePair(pair) {
+    return {
+        address: pair.baseToken.address,
+        symbol: pair.baseToken.symbol,
+        name: pair.baseToken.name,
+        price: parseFloat(pair.priceUsd) || 0,
+        priceNative: parseFloat(pair.priceNative) || 0, // In quoteToken units
+        // Rolling windows; candles.js turns them into per-bar volume and buy/sell counts
+        priceChange5m: parseFloat(pair.priceChange?.m5) || 0,
+        priceChange1h: parseFloat(pair.priceChange?.h1) || 0,
+        priceChange6h: parseFloat(pair.priceChange?.h6) || 0,
+        priceChange24h: parseFloat(pair.priceChange?.h24) || 0,
+        volume5m: parseFloat(pair.volume?.m5) || 0,
+        volume1h: parseFloat(pair.volume?.h1) || 0,
+        volume6h: parseFloat(pair.volume?.h6) || 0,
+        volume24h: parseFloat(pair.volume?.h24) || 0,
+        txns: normalizeTxns(pair.txns), // { m5, h1, h6, h24 } -> { buys, sells }
+        liquidity: parseFloat(pair.liquidity?.usd) || 0,
+        marketCap: parseFloat(pair.fdv) || 0,
+        pairAddress: pair.pairAddress,
+        pairCreatedAt: pair.pairCreatedAt || null,
+        dexId: pair.dexId,
+        quoteToken: pair.quoteToken ? { address: pair.quoteToken.address, symbol: pair.quoteToken.symbol } : null,
+        source: DexScreenerSource.sourceName
+    };
+}
+
+/**
+ * Buy and sell transaction counts per DexScreener window
+ * @param {Object} [txns] - { m5: { buys, sells }, h1, h6, h24 }
+ * @returns {Object} Same shape, with missing counts as 0
+ */
+function normalizeTxns(txns) {
+    const counts = {};
+    for (const window of ['m5', 'h1', 'h6', 'h24']) {
+        counts[window] = {
+            buys: parseInt(txns?.[window]?.buys) || 0,
+            sells: parseInt(txns?.[window]?.sells) || 0
+        };
+    }
+    return counts;
+}
+
+/**
+ * Compare addresses; hex (EVM) addresses ignore checksum casing, base58 is case-sensitive
+ */
+function sameAddress(a, b) {
+    if (!a || !b) return false;
+    return a.startsWith('0x') ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+module.exports = { DexScreenerSource, normalizePair, sameAddress };
@@ -0,0 +1,86 @@
+const { sameAddress } = require('./dexscreener');
+
+const BASE_URL = 'https://api.geckoterminal.com/api/v2';
+
+// DexScreener chain id -> GeckoTerminal network id
+const NETWORKS = {
+    base: 'base',
+    solana: 'solana'
+};
+
+// /simple/.../token_price accepts up to 30 comma-separated addresses
+const BATCH_SIZE = 30;
+
+/**
+ * GeckoTerminal market data (https://www.geckoterminal.com/dex-api).
+ *
+ * Adds trending pools as entry candidates and an independent USD price for
+ * the cross-source sanity check. The public API allows about 30 requests
+ * per minute, so keep its rate limit low.
+ */
+class GeckoTerminalSource {
+    static sourceName = 'geckoterminal';
+
+    /**
+     * @param {HttpClient} http - Shared HTTP client
+     * @param {Object} options - { baseUrl }
+     */
+    constructor(http, options = {}) {
+        this.http = http;
+        this.baseUrl = options.baseUrl || BASE_URL;
+        this.name = GeckoTerminalSource.sourceName;
+    }
+
+    network(chainId) {
+        const network = NETWORKS[chainId];
+        if (!network) {
+            throw new Error(`GeckoTerminal has no network for chain ${chainId}`);
+        }
+        return network;
+    }
+
+    /**
+     * Candidate tokens from the network's trending pools
+     * @param {string} chainId - DexScreener chain id
+     * @param {number} ttl - Cache milliseconds
+     * @returns {Promise<Array<string>>} Token addresses
+     */
+    async getTrendingAddresses(chainId, ttl) {
+        const response = await this.http.get(`${this.baseUrl}/networks/${this.network(chainId)}/trending_pools?include=base_token`, { ttl });
+        const tokens = (response?.included || []).filter(item => item.type === 'token');
+
+        return Array.from(new Set((response?.data || [])
+            .map(pool => tokens.find(token => token.id === pool.relationships?.base_token?.data?.id)?.attributes?.address)
+            .filter(Boolean)));
+    }
+
+    /**
+     * USD prices for tokens
+     * @param {string} chainId - DexScreener chain id
+     * @param {Array<string>} addresses - Token addresses
+     * @param {number} ttl - Cache milliseconds
+     * @returns {Promise<Map>} address -> { price, source }
+     */
+    async getTokens(chainId, addresses, ttl) {
+        const tokens = new Map();
+
+        for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+            const batch = addresses.slice(i, i + BATCH_SIZE);
+            const response = await this.http.get(
+                `${this.baseUrl}/simple/networks/${this.network(chainId)}/token_price/${batch.join(',')}`, { ttl });
+            const prices = response?.data?.attributes?.token_prices || {};
+
+            for (const [key, value] of Object.entries(prices)) {
+                const address = batch.find(a => sameAddress(a, key));
+                const price = parseFloat(value);
+                if (address && price > 0) {
+                    tokens.set(address, { address, price, source: GeckoTerminalSource.sourceName });
+                }
+            }
+        }
+
+        return tokens;
+    }
+}
+
+module.exports = { GeckoTerminalSource, NETWORKS };
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createLogger } = require('../logger');
+
+const log = createLogger('market');
+
+/**
+ * Map with per-entry expiry. Concurrent misses for the same key share one
+ * load, so a burst of lookups makes one request.
+ */
+class TtlCache {
+    /**
+     * @param {Object} options - { clock }
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || { now: () => Date.now() };
+        this.entries = new Map(); // key -> { value, expires }
+        this.pending = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expires <= this.clock.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    set(key, value, ttl) {
+        this.entries.set(key, { value, expires: this.clock.now() + ttl });
+    }
+
+    /**
+     * Return the cached value, or load, cache and return it
+     * @param {string} key - Cache key
+     * @param {number} ttl - Milliseconds to keep the loaded value
+     * @param {Function} load - async () -> value
+     * @returns {Promise<*>} Value
+     */
+    async wrap(key, ttl, load) {
+        const cached = this.get(key);
+        if (cached !== undefined) return cached;
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const request = Promise.resolve()
+            .then(load)
+            .then(value => {
+                if (ttl > 0) this.set(key, value, ttl);
+                return value;
+            })
+            .finally(() => this.pending.delete(key));
+
+        this.pending.set(key, request);
+        return request;
+    }
+}
+
+/**
+ * JSON-over-HTTP client for market data APIs.
+ *
+ * - Per-host rate limits (requests per minute); requests to a busy host wait
+ *   for their slot instead of failing
+ * - 429 and 5xx responses are retried with exponential backoff; Retry-After
+ *   is honored and pauses every request to that host
+ * - GET responses are cached for the TTL given per request
+ * - Fixture mode: `record` saves every response under `fixtureDir`, `replay`
+ *   serves them back without touching the network (for offline runs)
+ */
+class HttpClient {
+    /**
+     * @param {Object} options - { rateLimits: { host: perMinute }, defaultRateLimit, retries, timeout, fixtureDir, fixtureMode, clock, sleep }
+     */
+    constructor(options = {}) {
+        this.rateLimits = options.rateLimits || {};
+        this.defaultRateLimit = options.defaultRateLimit ?? 60;
+        this.retries = options.retries ?? 3;
+        this.timeout = options.timeout || 10000;
+        this.fixtureDir = options.fixtureDir || null;
+        this.fixtureMode = options.fixtureDir ? options.fixtureMode || 'replay' : 'off';
+        this.clock = options.clock || { now: () => Date.now() };
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.cache = new TtlCache({ clock: this.clock });
+        this.nextSlot = new Map(); // host -> earliest time the next request may start
+        this.stats = { requests: 0, cacheHits: 0, throttled: 0, retries: 0 };
+    }
+
+    /**
+     * GET a JSON document
+     * @param {string} url - Absolute URL
+     * @param {Object} options - { ttl } milliseconds to cache the response (0 = no cache)
+     * @returns {Promise<*>} Response body
+     */
+    async get(url, options = {}) {
+        const ttl = options.ttl || 0;
+        if (ttl > 0 && this.cache.get(url) !== undefined) {
+            this.stats.cacheHits++;
+        }
+        return this.cache.wrap(url, ttl, () => this.fetch(url));
+    }
+
+    async fetch(url) {
+        if (this.fixtureMode === 'replay') {
+            return this.readFixture(url);
+        }
+
+        const host = new URL(url).host;
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForSlot(host);
+            this.stats.requests++;
+
+            let response;
+            try {
+                response = await axios.get(url, { timeout: this.timeout, validateStatus: () => true });
+            } catch (error) {
+                if (attempt >= this.retries) throw error;
+                this.stats.retries++;
+                await this.sleep(this.backoff(attempt));
+                continue;
+            }
+
+            if (response.status === 429 || response.status >= 500) {
+                if (attempt >= this.retries) {
+                    throw new Error(`${host} returned HTTP ${response.status} after ${attempt + 1} attempts`);
+                }
+                this.stats.retries++;
+                const retryAfter = parseFloat(response.headers?.['retry-after']);
+                const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : this.backoff(attempt);
+                if (response.status === 429) {
+                    this.stats.throttled++;
+                    // Everyone waits: the limit applies to the host, not this request
+                    this.nextSlot.set(host, Math.max(this.nextSlot.get(host) || 0, this.clock.now() + delay));
+                    log.warn(`⏳ ${host} rate limited, backing off ${(delay / 1000).toFixed(1)}s`, { host, delay });
+                } else {
+                    await this.sleep(delay);
+                }
+                continue;
+            }
+
+            if (response.status >= 400) {
+                throw new Error(`${host} returned HTTP ${response.status} for ${new URL(url).pathname}`);
+            }
+
+            if (this.fixtureMode === 'record') {
+                this.writeFixture(url, response.data);
+            }
+            return response.data;
+        }
+    }
+
+    backoff(attempt) {
+        return 1000 * Math.pow(2, attempt);
+    }
+
+    /**
+     * Wait until the host's rate limit allows another request, and reserve the slot
+     */
+    async waitForSlot(host) {
+        const perMinute = this.rateLimits[host] ?? this.defaultRateLimit;
+
+        // Unlimited hosts still wait out a 429's Retry-After
+        const now = this.clock.now();
+        const slot = Math.max(now, this.nextSlot.get(host) || 0);
+        this.nextSlot.set(host, perMinute > 0 ? slot + 60000 / perMinute : slot);
+
+        if (slot > now) {
+            await this.sleep(slot - now);
+        }
+    }
+
+    fixturePath(url) {
+        const { host, pathname, search } = new URL(url);
+        const hash = crypto.createHash('sha1').update(pathname + search).digest('hex').slice(0, 16);
+        return path.join(this.fixtureDir, host, `${hash}.json`);
+    }
+
+    readFixture(url) {
+        const file = this.fixturePath(url);
+        if (!fs.existsSync(file)) {
+            throw new Error(`No recorded fixture for ${url} (expected ${file})`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8')).data;
+    }
+
+    writeFixture(url, data) {
+        const file = this.fixturePath(url);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ url, recordedAt: new Date().toISOString(), data }, null, 2));
+    }
+}
+
+module.exports = { HttpClient, TtlCache };
@@ -0,0 +1,166 @@
+const { createLogger } = require('../logger');
+const { HttpClient, TtlCache } = require('./http');
+const { DexScreenerSource, normalizePair, sameAddress } = require('./dexscreener');
+const { GeckoTerminalSource } = require('./geckoterminal');
+const { PoolReader } = require('./pools');
+
+// Optional sources on top of DexScreener (MARKET_SOURCES)
+const SOURCES = ['geckoterminal', 'onchain'];
+
+const log = createLogger('market');
+
+/**
+ * Market data for one chain, combined from several sources.
+ *
+ * DexScreener supplies token and pair data; GeckoTerminal adds trending
+ * candidates and an independent USD price; `onchain` reads the pair itself
+ * (Uniswap V2 reserves / V3 slot0, EVM only). All HTTP goes through one
+ * HttpClient with per-host rate limits and 429 backoff, and token data is
+ * cached for MARKET_CACHE_TTL so a scan and the position checks after it
+ * share requests.
+ */
+class MarketData {
+    /**
+     * @param {Object} options - { chainId, config, provider, metadata, fallbackTokens, http, clock }
+     */
+    constructor(options) {
+        const { config } = options;
+        this.chainId = options.chainId;
+        this.config = config;
+        this.ttl = config.marketCacheTtl;
+        this.fallbackTokens = options.fallbackTokens || [];
+        this.http = options.http || new HttpClient({
+            rateLimits: config.marketRateLimits,
+            fixtureDir: config.marketFixtureDir,
+            fixtureMode: config.marketFixtureMode,
+            clock: options.clock
+        });
+        this.cache = new TtlCache({ clock: options.clock }); // address -> normalized token
+
+        this.dexscreener = new DexScreenerSource(this.http);
+        this.geckoterminal = config.marketSources.includes('geckoterminal') ? new GeckoTerminalSource(this.http) : null;
+        this.pools = config.marketSources.includes('onchain') && options.provider
+            ? new PoolReader(options.provider, options.metadata, { ttl: this.ttl, clock: options.clock })
+            : null;
+    }
+
+    /**
+     * Trending tokens for the chain
+     * @param {Object} filters - { minVolume24h } applied to fallback tokens
+     * @returns {Promise<Array>} Normalized tokens
+     */
+    async getTrendingTokens(filters = {}) {
+        const lists = await Promise.all([this.dexscreener, this.geckoterminal].filter(Boolean).map(source =>
+            source.getTrendingAddresses(this.chainId, this.ttl).catch(error => {
+                log.warn(`⚠️ ${source.name} trending failed: ${error.message}`, { error });
+                return [];
+            })));
+
+        let addresses = Array.from(new Set(lists.flat()));
+        let minVolume = 0;
+        if (addresses.length === 0) {
+            log.warn('⚠️ No trending tokens from any source, using fallback tokens');
+            addresses = this.fallbackTokens;
+            minVolume = filters.minVolume24h || 0;
+        }
+
+        const tokens = await this.getTokens(addresses);
+        return Array.from(tokens.values()).filter(token =>
+            token.price > 0 &&
+            token.volume24h > minVolume &&
+            token.symbol &&
+            token.address
+        );
+    }
+
+    /**
+     * Market data for several tokens, batched; cached entries are not refetched
+     * @param {Array<string>} addresses - Token addresses
+     * @returns {Promise<Map>} address -> normalized token (missing if no pair found)
+     */
+    async getTokens(addresses) {
+        const result = new Map();
+        const missing = [];
+        for (const address of addresses) {
+            const cached = this.cache.get(address);
+            if (cached) {
+                result.set(address, cached);
+            } else {
+                missing.push(address);
+            }
+        }
+
+        if (missing.length > 0) {
+            const fetched = await this.dexscreener.getTokens(this.chainId, missing, this.ttl);
+            for (const [address, token] of fetched) {
+                this.cache.set(address, token, this.ttl);
+                result.set(address, token);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Market data for one token
+     * @param {string} address - Token address
+     * @returns {Promise<Object|null>} Normalized token
+     */
+    async getTokenData(address) {
+        return (await this.getTokens([address])).get(address) || null;
+    }
+
+    /**
+     * Compare a token's price across sources.
+     *
+     * The on-chain price is converted to USD with the pair's own
+     * priceUsd/priceNative ratio, so it checks the pool rather than the
+     * quote token's USD price. Sources that fail are left out.
+     * @param {Object} token - Normalized token
+     * @returns {Promise<Object>} { ok, deviation, prices: { source: usd }, onchainPrice, reason }
+     */
+    async verifyPrice(token) {
+        const prices = { [DexScreenerSource.sourceName]: token.price };
+
+        if (this.geckoterminal) {
+            try {
+                const quote = (await this.geckoterminal.getTokens(this.chainId, [token.address], this.ttl)).get(token.address);
+                if (quote) prices.geckoterminal = quote.price;
+            } catch (error) {
+                log.warn(`⚠️ GeckoTerminal price for ${token.symbol} failed: ${error.message}`, { token: token.symbol, error });
+            }
+        }
+
+        if (this.pools && token.pairAddress && token.priceNative > 0) {
+            try {
+                const pool = await this.pools.getPrice(token.pairAddress, token.address);
+                if (!token.quoteToken || sameAddress(pool.quoteToken, token.quoteToken.address)) {
+                    prices.onchain = pool.price * (token.price / token.priceNative);
+                }
+            } catch (error) {
+                log.warn(`⚠️ On-chain price for ${token.symbol} failed: ${error.message}`, { token: token.symbol, error });
+            }
+        }
+
+        const values = Object.values(prices).filter(price => price > 0);
+        if (values.length < 2) {
+            return { ok: true, deviation: 0, prices, onchainPrice: prices.onchain ?? null };
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        const deviation = Math.max(...values.map(price => Math.abs(price - median) / median * 100));
+        const ok = deviation <= this.config.marketMaxDeviation;
+
+        return {
+            ok,
+            deviation,
+            prices,
+            onchainPrice: prices.onchain ?? null,
+            reason: ok ? null : `price sources disagree by ${deviation.toFixed(1)}% (${Object.entries(prices)
+                .map(([source, price]) => `${source} $${price.toPrecision(6)}`).join(', ')})`
+        };
+    }
+}
+
+module.exports = { MarketData, SOURCES, HttpClient, TtlCache, PoolReader, normalizePair };
@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+const { toNumber } = require('../amounts');
+const { TtlCache } = require('./http');
+
+const POOL_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    // Only the leading fields; forks append different trailing ones
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick)'
+];
+
+const Q96 = 2 ** 96;
+
+/**
+ * Reads prices straight from Uniswap V2-style pairs (getReserves) and V3-style
+ * pools (slot0) over JSON-RPC.
+ *
+ * A pool's version, tokens and decimals are looked up once; prices are cached
+ * for `ttl` milliseconds.
+ */
+class PoolReader {
+    /**
+     * @param {ethers.Provider} provider - JSON-RPC provider
+     * @param {TokenMetadataService} metadata - Token decimals
+     * @param {Object} options - { ttl, clock }
+     */
+    constructor(provider, metadata, options = {}) {
+        this.provider = provider;
+        this.metadata = metadata;
+        this.ttl = options.ttl ?? 0;
+        this.pools = new Map(); // address -> Promise<pool description>
+        this.cache = new TtlCache({ clock: options.clock });
+    }
+
+    /**
+     * Identify a pool: V3 if slot0() answers, else V2 if getReserves() does
+     * @param {string} address - Pool address
+     * @returns {Promise<Object>} { address, version, token0, token1, decimals0, decimals1 }
+     */
+    describe(address) {
+        const key = address.toLowerCase();
+        if (!this.pools.has(key)) {
+            const request = this.identify(address);
+            request.catch(() => this.pools.delete(key)); // Retry after RPC errors
+            this.pools.set(key, request);
+        }
+        return this.pools.get(key);
+    }
+
+    async identify(address) {
+        const pool = new ethers.Contract(address, POOL_ABI, this.provider);
+
+        let version;
+        try {
+            await pool.slot0();
+            version = 3;
+        } catch (e) {
+            try {
+                await pool.getReserves();
+                version = 2;
+            } catch (e2) {
+                throw new Error(`${address} is not a Uniswap V2 or V3 pool`);
+            }
+        }
+
+        const [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+        const [decimals0, decimals1] = await Promise.all([
+            this.metadata.getDecimals(token0),
+            this.metadata.getDecimals(token1)
+        ]);
+        return { address, version, token0, token1, decimals0, decimals1 };
+    }
+
+    /**
+     * Price of one token in units of the pool's other token
+     * @param {string} address - Pool address
+     * @param {string} baseToken - Token to price
+     * @returns {Promise<Object>} { price, quoteToken, version, pool }
+     */
+    async getPrice(address, baseToken) {
+        const pool = await this.describe(address);
+        const price0 = await this.cache.wrap(pool.address.toLowerCase(), this.ttl, () => this.readPrice0(pool));
+        return this.quote(pool, price0, baseToken);
+    }
+
+    /**
+     * Express token0's price from the side of `baseToken`
+     * @param {Object} pool - Pool description from describe()
+     * @param {number} price0 - Price of token0 in token1 units
+     * @param {string} baseToken - Token to price
+     * @returns {Object} { price, quoteToken, version, pool }
+     */
+    quote(pool, price0, baseToken) {
+        const base = baseToken.toLowerCase();
+        if (base !== pool.token0.toLowerCase() && base !== pool.token1.toLowerCase()) {
+            throw new Error(`${baseToken} is not in pool ${pool.address}`);
+        }
+        const isToken0 = base === pool.token0.toLowerCase();
+
+        return {
+            price: isToken0 ? price0 : 1 / price0,
+            quoteToken: isToken0 ? pool.token1 : pool.token0,
+            version: pool.version,
+            pool: pool.address
+        };
+    }
+
+    /**
+     * Current price of token0 in token1 units
+     * @returns {Promise<number>} Price
+     */
+    async readPrice0(pool) {
+        const contract = new ethers.Contract(pool.address, POOL_ABI, this.provider);
+
+        if (pool.version === 3) {
+            const { sqrtPriceX96 } = await contract.slot0();
+            return this.priceFromSqrtPrice(pool, sqrtPriceX96);
+        }
+
+        const { reserve0, reserve1 } = await contract.getReserves();
+        return this.priceFromReserves(pool, reserve0, reserve1);
+    }
+
+    /**
+     * token0 price from a V3 sqrtPriceX96 (slot0 or a Swap event)
+     */
+    priceFromSqrtPrice(pool, sqrtPriceX96) {
+        if (sqrtPriceX96 === 0n) {
+            throw new Error(`Pool ${pool.address} is not initialized`);
+        }
+        const ratio = Number(sqrtPriceX96) / Q96;
+        return ratio * ratio * Math.pow(10, pool.decimals0 - pool.decimals1);
+    }
+
+    /**
+     * token0 price from V2 reserves (getReserves or a Sync event)
+     */
+    priceFromReserves(pool, reserve0, reserve1) {
+        if (reserve0 === 0n || reserve1 === 0n) {
+            throw new Error(`Pool ${pool.address} has no liquidity`);
+        }
+        return toNumber(reserve1, pool.decimals1) / toNumber(reserve0, pool.decimals0);
+    }
+}
+
+module.exports = { PoolReader };
@@ -0,0 +1,265 @@
+const { ethers } = require('ethers');
+const { PoolReader } = require('./pools');
+const { sameAddress } = require('./dexscreener');
+const { createLogger } = require('../logger');
+
+const log = createLogger('price-feed');
+
+// V2 pairs emit Sync with the new reserves after every swap, mint and burn;
+// V3 pools carry the new sqrtPriceX96 in Swap
+const EVENTS = new ethers.Interface([
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+]);
+const TOPICS = [EVENTS.getEvent('Sync').topicHash, EVENTS.getEvent('Swap').topicHash];
+
+const CONNECT_TIMEOUT = 10000;
+const MAX_RECONNECT_DELAY = 60000;
+
+/**
+ * Live USD prices for open positions, read from the pool each position was
+ * bought in (`position.pairAddress`) rather than from DexScreener.
+ *
+ * With a websocket RPC (WS_RPC_URL) the feed subscribes to each pool's
+ * Sync / Swap events and prices every trade as it lands; without one, or
+ * while the websocket is down, it polls reserves / slot0 every
+ * `pollInterval`. Pool prices are in the pair's quote token (usually WETH)
+ * and are converted to USD with the quote token's price from market data,
+ * refreshed on every position check.
+ */
+class PoolPriceFeed {
+    /**
+     * @param {ethers.Provider} provider - JSON-RPC provider for polling
+     * @param {TokenMetadataService} metadata - Token decimals
+     * @param {Object} options - { wsUrl, pollInterval, clock, onPrice(address, price) }
+     */
+    constructor(provider, metadata, options = {}) {
+        this.reader = new PoolReader(provider, metadata);
+        this.wsUrl = options.wsUrl || null;
+        this.pollInterval = options.pollInterval ?? 5000;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.onPrice = options.onPrice || (() => {});
+        this.watched = new Map(); // token address -> feed entry
+        this.ws = null;
+        this.connected = false;
+        this.reconnectDelay = 1000;
+        this.running = false;
+        this.timer = null;
+    }
+
+    /**
+     * Start following a position's pool
+     * @param {string} address - Token address
+     * @param {Object} pool - { pairAddress, quoteToken, quoteUsd } (quoteUsd may be set later)
+     */
+    watch(address, { pairAddress, quoteToken, quoteUsd }) {
+        const current = this.watched.get(address);
+        if (current && sameAddress(current.pairAddress, pairAddress)) return;
+        if (current) this.unwatch(address);
+
+        const entry = {
+            address,
+            pairAddress,
+            quoteToken: quoteToken || null,
+            quoteUsd: quoteUsd > 0 ? quoteUsd : null,
+            price: null, // USD
+            poolPrice: null, // In quote token units
+            time: null,
+            source: null,
+            error: null, // Last read failure, logged once
+            listener: null
+        };
+        this.watched.set(address, entry);
+        if (this.connected) this.subscribe(entry);
+        if (this.running) this.read(entry);
+    }
+
+    /**
+     * Stop following a position's pool
+     * @param {string} address - Token address
+     */
+    unwatch(address) {
+        const entry = this.watched.get(address);
+        if (!entry) return;
+        this.unsubscribe(entry);
+        this.watched.delete(address);
+    }
+
+    /**
+     * Refresh a position's quote token USD price from market data for its token
+     * (priceUsd / priceNative of a pair with the same quote token)
+     * @param {string} address - Token address
+     * @param {Object} token - Normalized token
+     */
+    updateQuote(address, token) {
+        const entry = this.watched.get(address);
+        if (!entry || !(token.price > 0) || !(token.priceNative > 0)) return;
+        if (entry.quoteToken && token.quoteToken && !sameAddress(entry.quoteToken, token.quoteToken.address)) return;
+
+        entry.quoteUsd = token.price / token.priceNative;
+        if (entry.poolPrice !== null) entry.price = entry.poolPrice * entry.quoteUsd;
+    }
+
+    /**
+     * Latest USD price from the pool, if the feed is current
+     * @param {string} address - Token address
+     * @returns {number|null} Price, or null if unknown or stale
+     */
+    getPrice(address) {
+        const entry = this.watched.get(address);
+        if (!entry || entry.price === null) return null;
+
+        // A subscribed pool that emits nothing has not moved; a polled one is stale after two missed polls
+        const fresh = (this.connected && entry.listener) || this.clock.now() - entry.time <= this.pollInterval * 2;
+        return fresh ? entry.price : null;
+    }
+
+    /**
+     * Connect the websocket (if configured) and start polling
+     */
+    async start() {
+        this.running = true;
+        if (this.wsUrl) await this.connect();
+        log.info(`📡 Pool price feed started (${this.connected ? 'websocket events' : `polling every ${this.pollInterval / 1000}s`})`);
+        this.schedulePoll(0);
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.disconnect();
+    }
+
+    schedulePoll(delay) {
+        if (!this.running) return;
+        this.timer = setTimeout(() => this.poll().finally(() => this.schedulePoll(this.pollInterval)), delay);
+        this.timer.unref?.();
+    }
+
+    /**
+     * Read every pool the websocket is not already covering
+     */
+    async poll() {
+        const entries = Array.from(this.watched.values())
+            .filter(entry => !(this.connected && entry.listener) || entry.poolPrice === null);
+        await Promise.all(entries.map(entry => this.read(entry)));
+    }
+
+    async read(entry) {
+        try {
+            const { price, quoteToken } = await this.reader.getPrice(entry.pairAddress, entry.address);
+            if (entry.quoteToken && !sameAddress(quoteToken, entry.quoteToken)) {
+                throw new Error(`pool ${entry.pairAddress} is not quoted in ${entry.quoteToken}`);
+            }
+            this.update(entry, price, 'poll');
+            entry.error = null;
+        } catch (error) {
+            // Once per distinct failure, not every poll
+            if (error.message !== entry.error) {
+                log.warn(`⚠️ Pool price for ${entry.address} failed: ${error.message}`, { error });
+            }
+            entry.error = error.message;
+        }
+    }
+
+    /**
+     * Record a pool price and report the USD price if it changed
+     * @param {Object} entry - Feed entry
+     * @param {number} poolPrice - Token price in quote token units
+     * @param {string} source - 'poll' or 'event'
+     */
+    update(entry, poolPrice, source) {
+        if (this.watched.get(entry.address) !== entry) return; // Unwatched while reading
+
+        const previous = entry.price;
+        entry.poolPrice = poolPrice;
+        entry.time = this.clock.now();
+        entry.source = source;
+        if (entry.quoteUsd === null) return;
+
+        entry.price = poolPrice * entry.quoteUsd;
+        if (entry.price !== previous) {
+            this.onPrice(entry.address, entry.price, source);
+        }
+    }
+
+    async connect() {
+        try {
+            const ws = new ethers.WebSocketProvider(this.wsUrl, undefined, { staticNetwork: true });
+            this.ws = ws;
+            const socket = ws.websocket;
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('connection timed out')), CONNECT_TIMEOUT);
+                socket.addEventListener('open', () => { clearTimeout(timer); resolve(); });
+                // Also keeps later socket errors from going unhandled; 'close' follows them
+                socket.addEventListener('error', event => { clearTimeout(timer); reject(event.error || new Error(event.message)); });
+            });
+            socket.addEventListener('close', () => this.handleClose(ws));
+            this.connected = true;
+            this.reconnectDelay = 1000;
+            this.watched.forEach(entry => this.subscribe(entry));
+        } catch (error) {
+            log.warn(`⚠️ Price feed websocket failed: ${error.message}`, { error });
+            await this.disconnect();
+            this.scheduleReconnect();
+        }
+    }
+
+    async disconnect() {
+        const ws = this.ws;
+        this.ws = null;
+        this.connected = false;
+        this.watched.forEach(entry => { entry.listener = null; });
+        if (ws) await ws.destroy().catch(() => {});
+    }
+
+    handleClose(ws) {
+        if (ws !== this.ws || !this.running) return;
+        log.warn(`⚠️ Price feed websocket closed, polling every ${this.pollInterval / 1000}s until it reconnects`);
+        this.disconnect().catch(() => {});
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (!this.running) return;
+        const delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+        setTimeout(() => {
+            if (this.running && !this.ws) this.connect();
+        }, delay).unref?.();
+    }
+
+    subscribe(entry) {
+        if (!this.ws || entry.listener) return;
+
+        const filter = { address: entry.pairAddress, topics: [TOPICS] };
+        entry.listener = log => this.handleLog(entry, log).catch(error => {
+            log.warn(`⚠️ Pool event for ${entry.address} failed: ${error.message}`, { error });
+        });
+        this.ws.on(filter, entry.listener);
+    }
+
+    unsubscribe(entry) {
+        if (this.ws && entry.listener) {
+            this.ws.off({ address: entry.pairAddress, topics: [TOPICS] }, entry.listener);
+        }
+        entry.listener = null;
+    }
+
+    async handleLog(entry, log) {
+        const event = EVENTS.parseLog(log);
+        if (!event) return;
+
+        const pool = await this.reader.describe(entry.pairAddress);
+        const price0 = event.name === 'Sync'
+            ? this.reader.priceFromReserves(pool, event.args.reserve0, event.args.reserve1)
+            : this.reader.priceFromSqrtPrice(pool, event.args.sqrtPriceX96);
+
+        const { price, quoteToken } = this.reader.quote(pool, price0, entry.address);
+        if (entry.quoteToken && !sameAddress(quoteToken, entry.quoteToken)) return;
+        this.update(entry, price, 'event');
+    }
+}
+
+module.exports = { PoolPriceFeed };
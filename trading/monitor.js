@@ -1,49 +1,108 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
-// Legacy swap helper (Solana/Jupiter); for Base we simulate swaps in DRY_RUN mode
-const JupiterSwap = require('./swap');
+// Chain adapters (market data, quoting, execution, balances, token metadata)
+const { createAdapter } = require('./adapters');
+const { loadConfig, redactConfig, ConfigError } = require('./config');
+const { SystemClock } = require('./clock');
+const { SnapshotRecorder } = require('./recorder');
+const { loadStrategies } = require('./strategies');
+const { CandleBuilder } = require('./candles');
+const RiskManager = require('./risk');
+const { TokenScreener } = require('./safety');
+const { QuoteGuard, QuoteRejectedError } = require('./quote-guard');
+const { BalanceService } = require('./balances');
+const { computeSize } = require('./sizing');
+const { TxError } = require('./tx-manager');
+const { KeystoreError } = require('./signer');
+const { Notifier } = require('./notifier');
+const StatusServer = require('./status-server');
+const { ControlApi } = require('./control');
+const { writeFileAtomic, Journal } = require('./state');
+const { Ledger } = require('./ledger');
+const { initExitState, updateTrailingStop, checkTakeProfitLevels } = require('./exits');
+const { toNumber } = require('./amounts');
+const { createLogger, configureLogging, RotatingFile } = require('./logger');
+
+const log = createLogger('monitor');
 
 class TradingMonitor {
-    constructor() {
-        this.config = {
-            // RPC Configuration
-            // Default to Base mainnet RPC (can be overridden via RPC_URL env)
-            rpcUrl: process.env.RPC_URL || 'https://mainnet.base.org',
-            
-            // Trading Parameters
-            positionSize: parseFloat(process.env.POSITION_SIZE) || 10, // USDC per trade
-            maxSlippage: parseFloat(process.env.MAX_SLIPPAGE) || 1, // Percentage
-            minLiquidity: parseFloat(process.env.MIN_LIQUIDITY) || 100000, // USD
-            stopLoss: parseFloat(process.env.STOP_LOSS) || 10, // Percentage
-            
-            // Entry Criteria
-            minVolume24h: parseFloat(process.env.MIN_VOLUME_24H) || 50000, // USD
-            minPriceChange: parseFloat(process.env.MIN_PRICE_CHANGE) || 5, // Percentage
-            minMarketCap: parseFloat(process.env.MIN_MARKET_CAP) || 100000, // USD
-            
-            // Timing
-            scanInterval: parseInt(process.env.SCAN_INTERVAL) || 30000, // Milliseconds
-            maxPositions: parseInt(process.env.MAX_POSITIONS) || 3,
-            
-            // Safety
-            dryRun: process.env.DRY_RUN === 'true',
-            blacklist: (process.env.BLACKLIST || 'MEME,SCAM,INU,DOGE').split(',').map(s => s.trim().toLowerCase())
-        };
+    /**
+     * @param {Object} options - Optional overrides: { config, adapter, clock, riskStateFile, journalFile, ledgerFile, notifier, screener, quoteGuard, priceFeed, balances }
+     */
+    constructor(options = {}) {
+        // Defaults < openclaw.json < .env < environment < CLI flags (see config.js)
+        this.config = options.config || loadConfig({ argv: process.argv.slice(2) });
 
-        this.swapper = new JupiterSwap(this.config.rpcUrl, this.config.maxSlippage);
+        this.adapter = options.adapter || createAdapter(this.config);
+        this.clock = options.clock || new SystemClock();
+        this.recorder = this.config.recordSnapshots
+            ? new SnapshotRecorder({ dir: this.config.snapshotDir, retentionDays: this.config.snapshotRetentionDays })
+            : null;
+        this.strategies = loadStrategies(this.config.strategies, this.config);
+        this.risk = new RiskManager(this.config, { clock: this.clock, stateFile: options.riskStateFile });
+        if (options.screener !== undefined) {
+            this.screener = options.screener;
+        } else {
+            this.screener = this.config.safetyScreening ? new TokenScreener(this.adapter, this.config, { clock: this.clock }) : null;
+        }
+        if (options.quoteGuard !== undefined) {
+            this.quoteGuard = options.quoteGuard;
+        } else {
+            this.quoteGuard = this.config.quoteGuard ? new QuoteGuard(this.config, { clock: this.clock }) : null;
+        }
+        // Wallet balances: funding checks before live entries and equity for sizing
+        this.balances = options.balances !== undefined
+            ? options.balances
+            : new BalanceService(this.adapter, this.config, { clock: this.clock });
+        // Live pool prices for open positions (null with PRICE_FEED=market or on chains without one)
+        this.priceFeed = options.priceFeed !== undefined ? options.priceFeed : this.adapter.createPriceFeed();
+        if (this.priceFeed) {
+            this.priceFeed.onPrice = (address, price) => this.onPoolPrice(address, price);
+        }
+        this.notifier = options.notifier === undefined ? new Notifier(this.config) : options.notifier;
+        this.lastRiskLimit = null; // Last entry-blocking reason notified, to avoid repeats
+        // Every entry and exit as a JSON line, rotated with the log settings
+        this.tradesFile = this.config.tradesFile;
+        this.tradesLog = new RotatingFile(this.tradesFile, { maxSize: this.config.logMaxSize, backups: this.config.logBackups });
+        this.positionsFile = path.join(__dirname, 'positions.json');
+        this.journal = options.journalFile === null
+            ? null
+            : new Journal(options.journalFile || path.join(__dirname, 'journal.log'));
+        this.unresolvedIntents = []; // Journal intents from a previous run with unknown outcome
+        const ledgerFile = options.ledgerFile === undefined ? this.config.ledgerFile : options.ledgerFile;
+        this.ledger = ledgerFile ? new Ledger(ledgerFile) : null;
+        this.statusServer = null;
+        this.paused = false; // Set by the control API: skip entries, keep managing positions
+        this.stopping = false;
+        this.currentScan = null;
+        this.health = {
+            startedAt: new Date(this.clock.now()).toISOString(),
+            lastScanAt: null,
+            lastScanDurationMs: null,
+            scanCount: 0,
+            errorCount: 0,
+            errors: [] // Most recent loop errors: [{ time, context, message }]
+        };
         this.positions = new Map(); // Track current positions
+        this.checks = new Map(); // address -> in-flight position check
+        this.priceHistory = new Map(); // address -> [{ time, price, volume24h }]
+        this.candles = new CandleBuilder({ timeframes: this.config.candleTimeframes, maxCandles: this.config.candleHistory });
         this.isScanning = false;
         
-        console.log('🚀 Claw16z Trading Agent Monitor Started');
-        console.log('📊 Configuration:', JSON.stringify(this.config, null, 2));
+        log.info('🚀 Claw16z Trading Agent Monitor Started');
+        log.info(`📊 Configuration: ${JSON.stringify(redactConfig(this.config), null, 2)}`);
         
         if (this.config.dryRun) {
-            console.log('🧪 DRY RUN MODE: No real trades will be executed');
+            log.info('🧪 DRY RUN MODE: No real trades will be executed');
+        }
+        
+        if (this.risk.isHalted()) {
+            log.info(`⛔ Trading is halted: ${this.risk.state.haltReason} (run "node risk.js reset${this.config.dryRun ? ' --paper' : ''}" to resume)`);
         }
     }
 
@@ -51,28 +110,74 @@ class TradingMonitor {
      * Main monitoring loop
      */
     async start() {
-        console.log('👀 Starting market monitoring...');
+        log.info('👀 Starting market monitoring...');
+        
+        // Unlock the wallet before anything else, so a passphrase prompt comes first
+        try {
+            await this.adapter.unlockWallet({ interactive: !this.config.dryRun });
+        } catch (error) {
+            // Dry runs trade without a wallet
+            if (!this.config.dryRun) throw error;
+            log.info(`🔐 Wallet not unlocked: ${error.message}`);
+        }
+        
+        // Restore positions (replaying the journal) and check them against the wallet
+        this.loadPositions();
+        await this.reconcile();
+        
+        // Follow open positions' pools between scans
+        if (this.priceFeed) {
+            this.positions.forEach((position, address) => this.watchPool(address, position));
+            await this.priceFeed.start();
+        }
         
         // Initial balance check
         await this.checkBalance();
         
+        // Status API (off unless STATUS_PORT is set); control endpoints need CONTROL_TOKEN
+        if (this.config.statusPort > 0) {
+            const control = this.config.controlToken
+                ? new ControlApi(this, { token: this.config.controlToken, auditLog: this.config.controlAuditLog })
+                : null;
+            this.statusServer = new StatusServer(this, { port: this.config.statusPort, host: this.config.statusHost, control });
+            await this.statusServer.start();
+        }
+        
         // Start scanning loop
         this.scanLoop();
         
-        // Handle graceful shutdown
+        // Handle graceful shutdown; a second Ctrl+C exits immediately
         process.on('SIGINT', () => {
-            console.log('\n🛑 Shutting down trading monitor...');
-            this.stop();
+            if (this.stopping) {
+                log.warn('⚠️ Forced exit');
+                process.exit(1);
+            }
+            log.info('🛑 Shutting down trading monitor...');
+            this.stop().then(() => process.exit(0));
         });
     }
 
     /**
-     * Stop the monitoring loop
+     * Stop the monitoring loop: let the current scan finish (so no swap is cut
+     * off mid-flight), save positions and flush pending notifications
      */
-    stop() {
+    async stop() {
+        this.stopping = true;
         this.isScanning = false;
-        console.log('✅ Trading monitor stopped');
-        process.exit(0);
+        if (this.priceFeed) await this.priceFeed.stop();
+        
+        if (this.currentScan) {
+            log.info('⏳ Waiting for the current scan to finish...');
+            await this.currentScan.catch(() => {});
+        }
+        await Promise.allSettled(this.checks.values());
+        
+        this.savePositions();
+        if (this.statusServer) await this.statusServer.stop();
+        if (this.notifier) {
+            await Promise.race([this.notifier.flush(), new Promise(resolve => setTimeout(resolve, 5000))]);
+        }
+        log.info('✅ Trading monitor stopped');
     }
 
     /**
@@ -83,14 +188,24 @@ class TradingMonitor {
         
         while (this.isScanning) {
             try {
-                await this.scanMarkets();
-                await this.checkPositions();
+                const scanStart = this.clock.now();
+                this.currentScan = (async () => {
+                    await this.scanMarkets();
+                    await this.checkPositions();
+                })();
+                await this.currentScan.finally(() => { this.currentScan = null; });
+                if (!this.isScanning) break;
+                
+                this.health.lastScanAt = new Date(this.clock.now()).toISOString();
+                this.health.lastScanDurationMs = this.clock.now() - scanStart;
+                this.health.scanCount++;
                 
                 // Wait for next scan
                 await this.sleep(this.config.scanInterval);
                 
             } catch (error) {
-                console.error('❌ Error in scan loop:', error.message);
+                log.error(`❌ Error in scan loop: ${error.message}`, { error });
+                this.recordError('Scan loop error', error);
                 await this.sleep(5000); // Wait 5s on error
             }
         }
@@ -101,131 +216,70 @@ class TradingMonitor {
      */
     async scanMarkets() {
         try {
-            console.log(`🔍 [${new Date().toISOString()}] Scanning markets...`);
+            if (this.risk.isHalted()) {
+                log.info(`⛔ Trading halted, skipping scan: ${this.risk.state.haltReason}`);
+                return;
+            }
+            
+            if (this.paused) {
+                log.info('⏸️ Paused, skipping scan (positions are still managed)');
+                return;
+            }
+            
+            log.info(`🔍 [${new Date(this.clock.now()).toISOString()}] Scanning markets...`);
             
             // Get trending tokens from DexScreener
             const tokens = await this.getTrendingTokens();
-            console.log(`📈 Found ${tokens.length} trending tokens`);
+            log.info(`📈 Found ${tokens.length} trending tokens`);
             
-            // Filter for opportunities
-            const opportunities = tokens.filter(token => this.isGoodOpportunity(token));
+            // Filter for opportunities and rank them by strategy score
+            const opportunities = tokens
+                .filter(token => this.isGoodOpportunity(token))
+                .map(token => ({ token, ...this.scoreEntry(token) }))
+                .filter(opportunity => opportunity.score > 0)
+                .sort((a, b) => b.score - a.score);
             
             if (opportunities.length === 0) {
-                console.log('⏳ No opportunities found, waiting...');
+                log.info('⏳ No opportunities found, waiting...');
                 return;
             }
             
-            console.log(`🎯 Found ${opportunities.length} opportunities:`);
-            opportunities.forEach(token => {
-                console.log(`   ${token.symbol}: +${token.priceChange24h.toFixed(1)}% (Vol: $${(token.volume24h/1000).toFixed(0)}K)`);
+            log.info(`🎯 Found ${opportunities.length} opportunities:`);
+            opportunities.forEach(({ token, strategy, score }) => {
+                log.info(`   ${token.symbol}: ${token.priceChange24h > 0 ? '+' : ''}${token.priceChange24h.toFixed(1)}% (Vol: $${(token.volume24h/1000).toFixed(0)}K) [${strategy.name} ${score.toFixed(2)}]`);
             });
             
             // Execute trades for best opportunities
             const topOpportunities = opportunities.slice(0, Math.min(3, opportunities.length));
             
-            for (const token of topOpportunities) {
+            for (const { token, strategy } of topOpportunities) {
                 if (this.positions.size >= this.config.maxPositions) {
-                    console.log(`🚫 Max positions (${this.config.maxPositions}) reached`);
+                    log.info(`🚫 Max positions (${this.config.maxPositions}) reached`);
                     break;
                 }
                 
-                await this.enterPosition(token);
+                await this.enterPosition(token, strategy);
             }
             
         } catch (error) {
-            console.error('❌ Error scanning markets:', error.message);
+            log.error(`❌ Error scanning markets: ${error.message}`, { error });
+            this.recordError('Market scan failed', error);
         }
     }
 
     /**
-     * Get trending tokens from DexScreener (Base chain)
+     * Get trending tokens for the configured chain
      */
     async getTrendingTokens() {
-        try {
-            // Try multiple endpoints to get Base tokens
-            let pairs = [];
-            
-            // First try: trending endpoint
-            try {
-                const trendingResponse = await axios.get('https://api.dexscreener.com/latest/dex/tokens/trending', {
-                    timeout: 5000
-                });
-                if (trendingResponse.data?.pairs && Array.isArray(trendingResponse.data.pairs)) {
-                    pairs = trendingResponse.data.pairs;
-                }
-            } catch (e) {
-                console.log('⚠️ Trending endpoint returned no data, trying alternative...');
-            }
-            
-            // Fallback: get popular Base tokens via pairs endpoint
-            if (pairs.length === 0 || !pairs.some(p => p.chainId === 'base')) {
-                try {
-                    // Use popular Base token addresses to get pairs
-                    const popularTokens = [
-                        // SOL on Base (DexScreener \"Solana\"-named token on Base)
-                        '0x311935Cd80B76769bF2ecC9D8Ab7635b2139cf82',
-                        // USDC on Base
-                        '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-                    ];
-                    
-                    // Try to get pairs for popular tokens
-                    for (const tokenAddress of popularTokens.slice(0, 2)) {
-                        try {
-                            const tokenResponse = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`, {
-                                timeout: 5000
-                            });
-                            if (tokenResponse.data?.pairs && Array.isArray(tokenResponse.data.pairs)) {
-                                const basePairs = tokenResponse.data.pairs
-                                    .filter(p => p.chainId === 'base' && p.volume?.h24 > this.config.minVolume24h);
-                                pairs = pairs.concat(basePairs);
-                            }
-                        } catch (e) {
-                            // Continue to next token
-                        }
-                    }
-                    
-                    // Remove duplicates
-                    const seen = new Set();
-                    pairs = pairs.filter(p => {
-                        const key = p.pairAddress;
-                        if (seen.has(key)) return false;
-                        seen.add(key);
-                        return true;
-                    });
-                } catch (e) {
-                    console.log('⚠️ Fallback endpoint also failed:', e.message);
-                }
-            }
-            
-            if (!pairs || pairs.length === 0) {
-                return [];
-            }
-            
-            // Process and filter tokens for Base chain
-            return pairs
-                .filter(pair => pair.chainId === 'base')
-                .map(pair => ({
-                    address: pair.baseToken.address,
-                    symbol: pair.baseToken.symbol,
-                    name: pair.baseToken.name,
-                    price: parseFloat(pair.priceUsd) || 0,
-                    priceChange24h: parseFloat(pair.priceChange?.h24) || 0,
-                    volume24h: parseFloat(pair.volume?.h24) || 0,
-                    liquidity: parseFloat(pair.liquidity?.usd) || 0,
-                    marketCap: parseFloat(pair.fdv) || 0,
-                    pairAddress: pair.pairAddress
-                }))
-                .filter(token => 
-                    token.price > 0 && 
-                    token.volume24h > 0 && 
-                    token.symbol && 
-                    token.address
-                );
-                
-        } catch (error) {
-            console.error('❌ Error fetching trending tokens:', error.message);
-            return [];
+        const tokens = await this.adapter.getTrendingTokens({ minVolume24h: this.config.minVolume24h });
+        tokens.forEach(token => this.recordPrice(token.address, token));
+        this.pruneHistory();
+        
+        if (this.recorder && tokens.length > 0) {
+            this.recorder.recordScan(tokens, this.clock.now());
         }
+        
+        return tokens;
     }
 
     /**
@@ -247,46 +301,183 @@ class TradingMonitor {
         // Already have position
         if (this.positions.has(token.address)) return false;
         
-        // Positive momentum (for now, only buy on upward moves)
-        if (token.priceChange24h <= 0) return false;
-        
         return true;
     }
 
+    /**
+     * Score a token with every configured strategy
+     * @returns {Object} Best { strategy, score }; score 0 means no strategy wants it
+     */
+    scoreEntry(token) {
+        const context = this.getStrategyContext(token.address);
+        
+        return this.strategies.reduce((best, strategy) => {
+            if (!strategy.checkEntryRules(token, context)) return best;
+            const score = strategy.scoreEntry(token, context) || 0;
+            return score > best.score ? { strategy, score } : best;
+        }, { strategy: this.strategies[0], score: 0 });
+    }
+
+    /**
+     * Build the context passed to strategy hooks
+     */
+    getStrategyContext(address) {
+        return {
+            config: this.config,
+            now: this.clock.now(),
+            history: this.priceHistory.get(address) || [],
+            candles: timeframe => this.candles.getCandles(address, timeframe || this.config.candleTimeframes[0])
+        };
+    }
+
+    /**
+     * Look up a strategy by name, falling back to the default strategy
+     */
+    getStrategy(name) {
+        return this.strategies.find(strategy => strategy.name === name) || this.strategies[0];
+    }
+
+    /**
+     * Append a price sample to a token's rolling history and candles
+     */
+    recordPrice(address, data) {
+        const history = this.priceHistory.get(address) || [];
+        const sample = { time: this.clock.now(), price: data.price, volume24h: data.volume24h };
+        this.candles.update(address, sample.time, data);
+        
+        // A scan and a poll in the same tick count as one sample
+        if (history.length > 0 && history[history.length - 1].time === sample.time) {
+            history[history.length - 1] = sample;
+        } else {
+            history.push(sample);
+        }
+        
+        if (history.length > this.config.historyLength) {
+            history.splice(0, history.length - this.config.historyLength);
+        }
+        this.priceHistory.set(address, history);
+    }
+
+    /**
+     * Forget the price history and candles of tokens that are not held and
+     * have not been sampled for HISTORY_LENGTH scan intervals
+     */
+    pruneHistory() {
+        const now = this.clock.now();
+        const staleAfter = this.config.historyLength * this.config.scanInterval;
+        for (const [address, history] of this.priceHistory) {
+            if (!this.positions.has(address) && now - history[history.length - 1].time > staleAfter) {
+                this.priceHistory.delete(address);
+            }
+        }
+        this.candles.prune(now, this.positions);
+    }
+
     /**
      * Enter a trading position
+     * @param {Object} token - Normalized token
+     * @param {Strategy} [strategy] - Strategy that owns the position
+     * @param {number} [size] - USDC to spend; defaults to the strategy's sizing
+     * @returns {Promise<Object|null>} The new position, or null if blocked or failed
      */
-    async enterPosition(token) {
+    async enterPosition(token, strategy = this.strategies[0], size) {
+        // Correlation id: every log line and record of this trade carries it
+        const tradeId = crypto.randomBytes(4).toString('hex');
+        const tradeLog = log.child({ token: token.symbol, tradeId });
         try {
-            console.log(`🚀 Entering position: ${token.symbol} (${token.address})`);
+            tradeLog.info(`🚀 Entering position: ${token.symbol} (${token.address}) [${strategy.name}]`);
+            
+            // Read the wallet (paper account in dry runs) first: sizing may depend on it and the entry must be funded
+            let balances = null;
+            if (this.balances) {
+                try {
+                    balances = await this.balances.refresh();
+                } catch (error) {
+                    tradeLog.info(`🛡️ Entry blocked for ${token.symbol}: balance check failed: ${error.message}`);
+                    return null;
+                }
+            }
+            
+            let positionSize = size;
+            if (positionSize === undefined) {
+                const context = { ...this.getStrategyContext(token.address), equity: this.getEquity(balances) };
+                context.sizing = computeSize(token, context);
+                positionSize = strategy.sizePosition(token, context);
+                if (positionSize !== context.sizing.size) {
+                    tradeLog.info(`📐 Sizing ${token.symbol} at $${positionSize.toFixed(2)} (set by ${strategy.name})`);
+                } else if (this.config.positionSizing !== 'fixed') {
+                    tradeLog.info(`📐 Sizing ${token.symbol} at $${positionSize.toFixed(2)} (${context.sizing.basis})`);
+                }
+            }
+            
+            // Stay within the price impact budget for the pool's liquidity
+            if (this.quoteGuard) {
+                const fitted = this.quoteGuard.fitSize(token, positionSize);
+                if (fitted < positionSize) {
+                    tradeLog.info(`📉 Sizing ${token.symbol} down from $${positionSize.toFixed(2)} to $${fitted.toFixed(2)} (max ${this.config.quoteMaxPriceImpact}% price impact on $${token.liquidity.toFixed(0)} liquidity)`);
+                    positionSize = fitted;
+                }
+            }
+            
+            // Portfolio risk limits
+            const riskCheck = this.risk.canEnter(token, positionSize, this.positions);
+            if (!riskCheck.allowed) {
+                tradeLog.info(`🛡️ Entry blocked for ${token.symbol}: ${riskCheck.reason}`);
+                this.notifyRiskLimit(riskCheck.reason);
+                return null;
+            }
+            
+            // Enough quote token for the entry, and native token left over for fees
+            if (balances) {
+                const funding = this.balances.canFund(balances, positionSize);
+                if (!funding.allowed) {
+                    tradeLog.info(`🛡️ Entry blocked for ${token.symbol}: ${funding.reason}`);
+                    this.notifyRiskLimit(funding.reason);
+                    return null;
+                }
+            }
+            this.lastRiskLimit = null;
+            
+            // Don't trade on a price the other sources disagree with
+            const priceCheck = await this.adapter.verifyPrice(token);
+            if (!priceCheck.ok) {
+                tradeLog.info(`🛡️ Entry blocked for ${token.symbol}: ${priceCheck.reason}`);
+                return null;
+            }
             
-            // Calculate amount to swap (in USDC base units)
-            const usdcAmount = this.config.positionSize * Math.pow(10, 6); // USDC has 6 decimals
+            // Honeypot, tax, ownership, LP lock and pair age checks
+            if (this.screener) {
+                const screening = await this.screener.screen(token);
+                if (!screening.passed) {
+                    tradeLog.info(`🛡️ Entry blocked for ${token.symbol}: failed safety screening`);
+                    return null;
+                }
+            }
             
-            // Execute swap: USDC -> Token
-            // For Base we currently only support DRY_RUN mode, so we simulate the fill
+            // Execute swap: quote token (USDC) -> Token
+            // In DRY_RUN mode the adapter simulates the fill at the DexScreener price
+            const intent = this.journal?.submit('ENTRY', {
+                address: token.address,
+                token: token.symbol,
+                size: positionSize,
+                strategy: strategy.name,
+                tradeId
+            });
             let result;
-            if (this.config.dryRun) {
-                const simulatedAmount = token.price > 0
-                    ? this.config.positionSize / token.price
-                    : this.config.positionSize;
-                result = {
-                    signature: 'DRY_RUN',
-                    outputAmount: simulatedAmount,
-                    priceImpact: 0,
-                    executionTime: 0,
-                    timestamp: new Date().toISOString(),
-                    dryRun: true
-                };
-            } else {
-                // NOTE: Non-DRY_RUN execution is still legacy Solana/Jupiter-specific in swap.js
-                // and would need a dedicated Uniswap/Base DEX integration to perform real trades.
-                result = await this.swapper.swap(
-                    'USDC',
-                    token.address,
-                    usdcAmount,
-                    this.config.dryRun
-                );
+            try {
+                result = await this.adapter.buy(token, positionSize, this.swapOptions('buy', token.symbol, token.price, tradeLog));
+            } catch (error) {
+                this.resolveFailedIntent(intent, 'ENTRY', token.symbol, error);
+                if (error instanceof QuoteRejectedError) {
+                    tradeLog.info(`🛡️ Entry blocked for ${token.symbol}: ${error.reasons.join('; ')}`);
+                    return null;
+                }
+                // A missed fill is not a fault: skip this entry without an error alert
+                if (error instanceof TxError && !error.unresolved && (error.kind === 'slippage' || error.kind === 'expired')) {
+                    tradeLog.info(`⏭️ Entry for ${token.symbol} not filled (${error.kind}): ${error.message}`);
+                    return null;
+                }
+                throw error;
             }
             
             // Record position
@@ -294,24 +485,43 @@ class TradingMonitor {
                 token: token.symbol,
                 address: token.address,
                 entryPrice: token.price,
-                entryTime: new Date().toISOString(),
+                entryTime: new Date(this.clock.now()).toISOString(),
                 amount: result.outputAmount,
-                usdcInvested: this.config.positionSize,
+                usdcInvested: positionSize,
+                strategy: strategy.name,
+                tradeId,
                 signature: result.signature,
-                stopLoss: token.price * (1 - this.config.stopLoss / 100)
+                stopLoss: token.price * (1 - this.config.stopLoss / 100),
+                pairAddress: token.pairAddress || null, // Pool the price feed follows
+                pairQuoteToken: token.quoteToken?.address || null
             };
+            if (result.outputAmountRaw !== undefined) {
+                // Live fills: exact base units, so exits sell what was actually bought
+                position.amountRaw = result.outputAmountRaw;
+                position.decimals = result.outputDecimals;
+            }
+            initExitState(position, this.config);
             
+            this.journal?.confirm(intent, 'ENTRY', { address: token.address, position });
             this.positions.set(token.address, position);
+            this.watchPool(token.address, position, token);
+            this.recordLedger(ledger => ledger.recordEntry(position, result));
             
-            console.log(`✅ Position entered: ${position.amount.toFixed(2)} ${token.symbol}`);
-            console.log(`💰 Invested: $${position.usdcInvested} USDC`);
-            console.log(`🎯 Stop Loss: $${position.stopLoss.toFixed(6)}`);
+            tradeLog.info(`✅ Position entered: ${position.amount.toFixed(2)} ${token.symbol}`);
+            tradeLog.info(`💰 Invested: $${position.usdcInvested} USDC`);
+            tradeLog.info(`🎯 Stop Loss: $${position.stopLoss.toFixed(6)}`);
             
             // Save position to file
             this.savePositions();
             
+            this.notify('entry', { ...position, dryRun: this.config.dryRun });
+            
+            return position;
+            
         } catch (error) {
-            console.error(`❌ Failed to enter position for ${token.symbol}:`, error.message);
+            tradeLog.error(`❌ Failed to enter position for ${token.symbol}: ${error.message}`, { error });
+            this.recordError(`Entry failed for ${token.symbol}`, error);
+            return null;
         }
     }
 
@@ -321,173 +531,506 @@ class TradingMonitor {
     async checkPositions() {
         if (this.positions.size === 0) return;
         
-        console.log(`📋 Checking ${this.positions.size} positions...`);
+        log.info(`📋 Checking ${this.positions.size} positions...`);
+        
+        // One batched request warms the market data cache for every position
+        try {
+            await this.adapter.getTokensData(Array.from(this.positions.keys()));
+        } catch (error) {
+            log.error(`❌ Error prefetching position data: ${error.message}`, { error });
+        }
         
         for (const [address, position] of this.positions) {
             try {
                 await this.checkPosition(address, position);
             } catch (error) {
-                console.error(`❌ Error checking position ${position.token}:`, error.message);
+                log.error(`❌ Error checking position ${position.token}: ${error.message}`, { error });
             }
         }
+        
+        await this.enforceRisk();
+    }
+
+    /**
+     * Mark positions to market and flatten everything on an emergency stop
+     */
+    async enforceRisk() {
+        const status = this.risk.update(this.positions);
+        log.info(`🛡️ Exposure: $${status.exposure.toFixed(2)} Unrealized: $${status.unrealizedPnl.toFixed(2)} Daily P&L: $${this.risk.dailyPnl().toFixed(2)}`);
+        
+        const emergency = this.risk.checkEmergency(status);
+        if (emergency) {
+            log.error(`🚨 ${emergency} - flattening all positions`);
+            this.risk.halt(emergency);
+            this.notify('halt', { reason: emergency, dryRun: this.config.dryRun });
+            await this.flattenAll(emergency);
+        }
+    }
+
+    /**
+     * Close every open position
+     * @param {string} reason - Exit reason
+     */
+    async flattenAll(reason) {
+        for (const [address, position] of Array.from(this.positions)) {
+            await this.exitPosition(address, position, reason, position.lastPrice);
+        }
+        this.risk.update(this.positions);
     }
 
     /**
-     * Check a single position for exit signals
+     * Check a single position for exit signals. Pool price updates can start a
+     * check during a scan, so a position already being checked is not checked
+     * twice (the caller waits for the running check instead).
      */
-    async checkPosition(address, position) {
+    checkPosition(address, position) {
+        if (!this.checks.has(address)) {
+            const check = this.evaluatePosition(address, position).finally(() => this.checks.delete(address));
+            this.checks.set(address, check);
+        }
+        return this.checks.get(address);
+    }
+    
+    async evaluatePosition(address, position) {
         // Get current token data
-        const currentData = await this.getTokenData(address);
+        let currentData = await this.getTokenData(address);
         if (!currentData) return;
         
+        // Positions saved before pairs were recorded follow the token's most liquid pair
+        if (!position.pairAddress && currentData.pairAddress) {
+            position.pairAddress = currentData.pairAddress;
+            position.pairQuoteToken = currentData.quoteToken?.address || null;
+            this.watchPool(address, position);
+        }
+        this.priceFeed?.updateQuote(address, currentData);
+        
+        const poolPrice = this.priceFeed ? this.priceFeed.getPrice(address) : null;
+        if (poolPrice !== null) {
+            // Read from the position's own pool: nothing to cross-check
+            currentData = { ...currentData, price: poolPrice };
+        } else {
+            // An outlier price must not trigger exits; the pool itself wins when readable
+            const priceCheck = await this.adapter.verifyPrice(currentData);
+            if (!priceCheck.ok) {
+                if (priceCheck.onchainPrice === null) {
+                    log.warn(`⚠️ Skipping exit checks for ${position.token}: ${priceCheck.reason}`);
+                    return;
+                }
+                log.warn(`⚠️ ${position.token}: ${priceCheck.reason}, using on-chain price`);
+                currentData = { ...currentData, price: priceCheck.onchainPrice };
+            }
+        }
+        
         const currentPrice = currentData.price;
+        position.lastPrice = currentPrice;
         const pnl = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
         const currentValue = position.amount * currentPrice;
+        const unrealizedPnl = currentValue - position.costBasis;
         
-        console.log(`📊 ${position.token}: $${currentPrice.toFixed(6)} (${pnl > 0 ? '+' : ''}${pnl.toFixed(1)}%) Val: $${currentValue.toFixed(2)}`);
+        log.info(`📊 ${position.token}: $${currentPrice.toFixed(6)} (${pnl > 0 ? '+' : ''}${pnl.toFixed(1)}%) Val: $${currentValue.toFixed(2)} Unrealized: $${unrealizedPnl.toFixed(2)} Realized: $${position.realizedPnl.toFixed(2)}`);
         
-        let shouldExit = false;
-        let exitReason = '';
+        // Ratchet the trailing stop from the high-water mark
+        const trailingChanged = updateTrailingStop(position, currentPrice);
         
-        // Stop loss check
-        if (currentPrice <= position.stopLoss) {
-            shouldExit = true;
-            exitReason = `Stop loss triggered (${position.stopLoss.toFixed(6)})`;
+        // Take-profit ladder sells part of the position
+        const takeProfit = checkTakeProfitLevels(position, pnl);
+        if (takeProfit) {
+            if (await this.exitPosition(address, position, takeProfit.reason, currentPrice, takeProfit.amount)) {
+                takeProfit.levels.forEach(level => { level.filled = true; });
+                this.savePositions();
+            }
+            if (!this.positions.has(address)) return;
         }
         
-        // Time-based exit (example: exit after 4 hours if no significant gain)
-        const positionAge = Date.now() - new Date(position.entryTime).getTime();
-        const maxAge = 4 * 60 * 60 * 1000; // 4 hours
+        // Ask the strategy that opened the position
+        const strategy = this.getStrategy(position.strategy);
+        const market = { ...currentData, pnl, currentValue: position.amount * currentPrice };
+        const context = this.getStrategyContext(address);
+        const exit = strategy.shouldExit(position, market, context) || strategy.checkExitRules(market, context);
         
-        if (positionAge > maxAge && pnl < 20) {
-            shouldExit = true;
-            exitReason = `Time exit (4h, +${pnl.toFixed(1)}%)`;
+        if (exit) {
+            await this.exitPosition(address, position, exit.reason, currentPrice);
+        } else if (trailingChanged) {
+            this.savePositions();
         }
-        
-        // Profit taking (example: exit at +50% gain)
-        if (pnl > 50) {
-            shouldExit = true;
-            exitReason = `Profit taking (+${pnl.toFixed(1)}%)`;
+    }
+
+    /**
+     * Swap options for a live trade: the quote guard checks the quote against
+     * the price the decision was made on before anything is sent, and the
+     * swapper logs under the trade's correlation id
+     * @param {string} side - 'buy' or 'sell'
+     * @param {string} symbol - Token symbol
+     * @param {number} [referencePrice] - USD price the trade was decided on
+     * @param {Logger} [tradeLog] - Logger for the trade (see logger.js)
+     * @returns {Object} Options for adapter.buy() / sell()
+     */
+    swapOptions(side, symbol, referencePrice, tradeLog) {
+        const options = { log: tradeLog };
+        if (this.quoteGuard) {
+            options.guard = quote => this.quoteGuard.enforce(quote, { side, symbol, referencePrice });
         }
+        return options;
+    }
+
+    /**
+     * Follow a position's pool with the price feed
+     * @param {string} address - Token address
+     * @param {Object} position - Open position
+     * @param {Object} [token] - Market data, for the quote token's USD price
+     */
+    watchPool(address, position, token) {
+        if (!this.priceFeed || !position.pairAddress) return;
         
-        if (shouldExit) {
-            await this.exitPosition(address, position, exitReason);
-        }
+        this.priceFeed.watch(address, { pairAddress: position.pairAddress, quoteToken: position.pairQuoteToken });
+        if (token) this.priceFeed.updateQuote(address, token);
     }
 
     /**
-     * Exit a trading position
+     * Price feed update: add the pool price to the token's candles and check
+     * the position right away once it reaches its stop, rather than at the
+     * next scan
+     * @param {string} address - Token address
+     * @param {number} price - USD price from the pool
      */
-    async exitPosition(address, position, reason) {
+    onPoolPrice(address, price) {
+        const position = this.positions.get(address);
+        if (!position || this.stopping) return;
+        
+        position.lastPrice = price;
+        this.candles.update(address, this.clock.now(), { price });
+        if (price > position.stopLoss || this.checks.has(address)) return;
+        
+        log.info(`⚡ ${position.token}: pool price $${price.toFixed(6)} reached the stop ($${position.stopLoss.toFixed(6)}), checking now`);
+        this.checkPosition(address, position).catch(error => {
+            log.error(`❌ Error checking position ${position.token}: ${error.message}`, { error });
+            this.recordError(`Position check failed for ${position.token}`, error);
+        });
+    }
+
+    /**
+     * Exit a trading position, fully or in part
+     * @param {string} address - Token address
+     * @param {Object} position - Open position
+     * @param {string} reason - Exit reason
+     * @param {number} [currentPrice] - Current price, if already known
+     * @param {number} [amount] - Token amount to sell; defaults to the whole position
+     * @returns {Promise<boolean>} True if the sell went through
+     */
+    async exitPosition(address, position, reason, currentPrice, amount = position.amount) {
+        // Positions opened before trade ids existed get one for this exit
+        const tradeId = position.tradeId || crypto.randomBytes(4).toString('hex');
+        const tradeLog = log.child({ token: position.token, tradeId });
         try {
-            console.log(`🚪 Exiting position: ${position.token} - ${reason}`);
+            const closing = amount >= position.amount;
+            tradeLog.info(`🚪 ${closing ? 'Exiting' : 'Reducing'} position: ${position.token} - ${reason}`);
             
-            // Calculate amount to swap (in token's base units)
-            const tokenAmount = Math.floor(position.amount * Math.pow(10, 6)); // Assume 6 decimals for now
+            // Execute swap: Token -> quote token (USDC)
+            const intent = this.journal?.submit('EXIT', { address, token: position.token, amount, reason, tradeId });
+            let result;
+            try {
+                result = await this.adapter.sell(position, currentPrice, amount, this.swapOptions('sell', position.token, currentPrice, tradeLog));
+            } catch (error) {
+                this.resolveFailedIntent(intent, 'EXIT', position.token, error);
+                throw error;
+            }
             
-            // Execute swap: Token -> USDC
-            const result = await this.swapper.swap(
-                address,
-                'USDC',
-                tokenAmount,
-                this.config.dryRun
-            );
+            // The adapter may sell slightly less than asked (never more than held)
+            let remaining = position.amount - amount;
+            if (position.amountRaw !== undefined && result.inputAmountRaw !== undefined) {
+                const remainingRaw = BigInt(position.amountRaw) - BigInt(result.inputAmountRaw);
+                amount = toNumber(result.inputAmountRaw, position.decimals);
+                remaining = toNumber(remainingRaw, position.decimals);
+                position.amountRaw = remainingRaw.toString();
+            }
             
+            // Realize P&L on the sold share of the cost basis
             const finalValue = result.outputAmount;
-            const pnl = finalValue - position.usdcInvested;
-            const pnlPercent = (pnl / position.usdcInvested) * 100;
+            const invested = closing ? position.costBasis : position.costBasis * (amount / position.amount);
+            const pnl = finalValue - invested;
+            const pnlPercent = (pnl / invested) * 100;
+            const exitPrice = finalValue / amount;
             
-            console.log(`✅ Position closed: ${position.token}`);
-            console.log(`💰 Final value: $${finalValue.toFixed(2)} USDC`);
-            console.log(`📈 P&L: ${pnl > 0 ? '+' : ''}$${pnl.toFixed(2)} (${pnl > 0 ? '+' : ''}${pnlPercent.toFixed(1)}%)`);
+            position.amount = closing ? 0 : remaining;
+            position.costBasis -= invested;
+            position.realizedPnl += pnl;
+            position.exits = (position.exits || 0) + 1; // Tells apart sells in the same millisecond
+            this.risk.recordRealized(pnl);
+            const unrealizedPnl = closing ? 0 : position.amount * (currentPrice ?? exitPrice) - position.costBasis;
+            this.journal?.confirm(intent, 'EXIT', { address, position: closing ? null : position });
             
-            // Remove position
-            this.positions.delete(address);
+            tradeLog.info(`✅ ${closing ? 'Position closed' : 'Partial exit'}: ${position.token}`);
+            tradeLog.info(`💰 ${closing ? 'Final value' : 'Proceeds'}: $${finalValue.toFixed(2)} USDC`);
+            tradeLog.info(`📈 P&L: ${pnl > 0 ? '+' : ''}$${pnl.toFixed(2)} (${pnl > 0 ? '+' : ''}${pnlPercent.toFixed(1)}%)`);
+            
+            if (closing) {
+                // Remove position
+                this.positions.delete(address);
+                this.priceFeed?.unwatch(address);
+            } else {
+                tradeLog.info(`📦 Remaining: ${position.amount.toFixed(2)} ${position.token} (unrealized $${unrealizedPnl.toFixed(2)})`);
+            }
             this.savePositions();
             
-            // Log trade
-            this.logTrade({
-                type: 'EXIT',
+            // Log fill
+            const trade = {
+                type: closing ? 'EXIT' : 'PARTIAL_EXIT',
                 token: position.token,
+                tradeId,
+                strategy: position.strategy,
                 reason,
                 entryPrice: position.entryPrice,
                 entryTime: position.entryTime,
-                exitTime: new Date().toISOString(),
-                invested: position.usdcInvested,
+                exitPrice,
+                exitTime: new Date(this.clock.now()).toISOString(),
+                exitIndex: position.exits,
+                amount,
+                remainingAmount: position.amount,
+                invested,
                 finalValue,
                 pnl,
                 pnlPercent,
-                signature: result.signature
-            });
+                realizedPnl: position.realizedPnl,
+                unrealizedPnl,
+                signature: result.signature,
+                dryRun: this.config.dryRun
+            };
+            this.logTrade(trade);
+            this.recordLedger(ledger => ledger.recordExit(position, trade, result));
+            
+            const stopped = /stop/i.test(reason);
+            this.notify(stopped ? 'stopLoss' : 'exit', trade);
+            
+            return true;
             
         } catch (error) {
-            console.error(`❌ Failed to exit position for ${position.token}:`, error.message);
+            tradeLog.error(`❌ Failed to exit position for ${position.token}: ${error.message}`, { error });
+            this.recordError(`Exit failed for ${position.token}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Record a failed swap in the journal. A transaction with an unknown
+     * outcome (see TxError.unresolved) may still have executed, so its intent
+     * is left open and reported by the next startup reconciliation.
+     */
+    resolveFailedIntent(intent, type, symbol, error) {
+        if (error instanceof TxError && error.unresolved) {
+            log.info(`❓ ${type === 'ENTRY' ? 'Entry' : 'Exit'} for ${symbol} may have executed (${error.hash}), left for reconciliation`);
+            return;
         }
+        this.journal?.fail(intent, type, error);
+    }
+
+    /**
+     * Send a notification, if notifications are enabled
+     * @param {string} event - Notifier event (entry, exit, stopLoss, riskLimit, halt, error)
+     * @param {Object} data - Template data
+     */
+    notify(event, data) {
+        if (this.notifier) {
+            this.notifier.notify(event, data);
+        }
+    }
+
+    /**
+     * Track an error for /health and send an error notification
+     * @param {string} context - What failed
+     * @param {Error} error - The error
+     */
+    recordError(context, error) {
+        this.health.errorCount++;
+        this.health.errors.push({ time: new Date(this.clock.now()).toISOString(), context, message: error.message });
+        if (this.health.errors.length > 20) {
+            this.health.errors.shift();
+        }
+        
+        this.notify('error', { context, message: error.message });
+    }
+
+    /**
+     * Notify once per distinct reason entries are blocked by risk limits
+     */
+    notifyRiskLimit(reason) {
+        // Strip amounts so a moving exposure figure does not re-notify every scan
+        const key = reason.replace(/\(.*\)/, '').trim();
+        if (key === this.lastRiskLimit) return;
+        
+        this.lastRiskLimit = key;
+        this.notify('riskLimit', { reason });
     }
 
     /**
      * Get current token data
      */
     async getTokenData(address) {
+        const data = await this.adapter.getTokenData(address);
+        if (data) this.recordPrice(address, data);
+        
+        if (this.recorder && data) {
+            const { price, priceChange24h, volume24h, liquidity } = data;
+            this.recorder.recordPoll(address, { price, priceChange24h, volume24h, liquidity }, this.clock.now());
+        }
+        
+        return data;
+    }
+
+    /**
+     * Log the wallet's balances at startup, warning if fees are not covered
+     */
+    async checkBalance() {
+        if (!this.balances) return;
         try {
-            const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${address}`, {
-                timeout: 5000
-            });
-            
-            const pair = response.data?.pairs?.find(p => p.chainId === 'base');
-            if (!pair) return null;
-            
-            return {
-                price: parseFloat(pair.priceUsd) || 0,
-                priceChange24h: parseFloat(pair.priceChange?.h24) || 0,
-                volume24h: parseFloat(pair.volume?.h24) || 0,
-                liquidity: parseFloat(pair.liquidity?.usd) || 0
-            };
+            const balances = await this.balances.refresh();
+            const native = balances.native === null ? '' : `${balances.native.toFixed(4)} native, `;
+            log.info(`💳 Wallet ${balances.address}: ${native}${balances.quote.toFixed(2)} ${this.adapter.quoteToken.symbol}`);
             
+            const funding = this.balances.canFund(balances, 0);
+            if (!funding.allowed) {
+                log.warn(`⚠️ ${funding.reason}: entries are blocked until the wallet is topped up`);
+            }
         } catch (error) {
-            console.error(`❌ Error fetching token data for ${address}:`, error.message);
-            return null;
+            log.info(`💳 Balance check skipped: ${error.message}`);
         }
     }
-
+    
     /**
-     * Check wallet balances
+     * Equity for percent-of-equity sizing: the wallet's quote balance plus
+     * open positions at their last price
+     * @param {Object|null} balances - Latest wallet balances
+     * @returns {number|null} USDC, or null if the wallet balance is unknown
      */
-    async checkBalance() {
-        // This would check ETH and USDC balances on Base
-        // Implementation depends on your wallet setup
-        console.log('💳 Balance check - implement wallet balance checking');
+    getEquity(balances) {
+        if (!balances) return null;
+        
+        let equity = balances.quote;
+        for (const position of this.positions.values()) {
+            equity += position.amount * (position.lastPrice ?? position.entryPrice);
+        }
+        return equity;
     }
 
     /**
-     * Save positions to file
+     * Save positions to file (atomically), then drop journal records it now covers
      */
     savePositions() {
-        const positionsFile = path.join(__dirname, 'positions.json');
         const positionsArray = Array.from(this.positions.entries()).map(([address, position]) => ({
             address,
             ...position
         }));
         
-        fs.writeFileSync(positionsFile, JSON.stringify(positionsArray, null, 2));
+        writeFileAtomic(this.positionsFile, JSON.stringify(positionsArray, null, 2));
+        this.journal?.compact();
     }
 
     /**
-     * Load positions from file
+     * Load positions from file and replay fills journaled after the last save
      */
     loadPositions() {
-        const positionsFile = path.join(__dirname, 'positions.json');
-        
-        if (fs.existsSync(positionsFile)) {
+        if (fs.existsSync(this.positionsFile)) {
             try {
-                const data = JSON.parse(fs.readFileSync(positionsFile, 'utf8'));
+                const data = JSON.parse(fs.readFileSync(this.positionsFile, 'utf8'));
                 data.forEach(pos => {
                     this.positions.set(pos.address, pos);
                 });
-                console.log(`📁 Loaded ${this.positions.size} existing positions`);
             } catch (error) {
-                console.error('❌ Error loading positions:', error.message);
+                log.error(`❌ Error loading positions: ${error.message}`, { error });
+            }
+        }
+        
+        if (this.journal) {
+            const { applied, unresolved } = this.journal.replay(this.positions);
+            if (applied > 0) {
+                log.info(`♻️ Recovered ${applied} fill(s) from the journal that were not saved before shutdown`);
+            }
+            unresolved.forEach(intent => {
+                log.warn(`⚠️ Unresolved ${intent.type} for ${intent.token} (${intent.address}) from ${intent.time}: outcome unknown`);
+            });
+            this.unresolvedIntents = unresolved;
+        }
+        
+        this.positions.forEach(position => initExitState(position, this.config));
+        log.info(`📁 Loaded ${this.positions.size} existing positions`);
+        
+        if (this.journal) this.savePositions();
+    }
+
+    /**
+     * Compare recorded positions with the wallet's token balances.
+     *
+     * Phantoms are positions the wallet does not hold, mismatches differ by
+     * more than 1%, and orphans are tokens held after an unresolved entry that
+     * never became a position. Discrepancies are reported, not auto-corrected.
+     * @returns {Promise<Object>} { phantoms, mismatches, orphans, unresolved }
+     */
+    async reconcile() {
+        const report = { phantoms: [], mismatches: [], orphans: [], unresolved: this.unresolvedIntents };
+        
+        if (this.config.dryRun) {
+            log.info('🧪 Dry run: skipping on-chain reconciliation');
+        } else {
+            log.info(`🔎 Reconciling ${this.positions.size} positions against wallet balances...`);
+            
+            for (const [address, position] of this.positions) {
+                try {
+                    const held = await this.adapter.getTokenBalance(address);
+                    if (held <= 0) {
+                        report.phantoms.push({ address, token: position.token, recorded: position.amount, held });
+                    } else if (Math.abs(held - position.amount) / position.amount > 0.01) {
+                        report.mismatches.push({ address, token: position.token, recorded: position.amount, held });
+                    }
+                } catch (error) {
+                    log.warn(`⚠️ Could not check balance of ${position.token}: ${error.message}`);
+                }
             }
+            
+            for (const intent of this.unresolvedIntents) {
+                if (this.positions.has(intent.address)) continue;
+                try {
+                    const held = await this.adapter.getTokenBalance(intent.address);
+                    if (held > 0) {
+                        report.orphans.push({ address: intent.address, token: intent.token, held, intent: intent.type });
+                    }
+                } catch (error) {
+                    log.warn(`⚠️ Could not check balance of ${intent.token}: ${error.message}`);
+                }
+            }
+        }
+        
+        report.phantoms.forEach(p => log.info(`👻 Phantom position: ${p.token} recorded ${p.recorded} but wallet holds none`));
+        report.mismatches.forEach(m => log.info(`⚖️ Balance mismatch: ${m.token} recorded ${m.recorded}, wallet holds ${m.held}`));
+        report.orphans.forEach(o => log.info(`🧩 Orphaned tokens: wallet holds ${o.held} ${o.token} from an unrecorded ${o.intent}`));
+        
+        const issues = report.phantoms.length + report.mismatches.length + report.orphans.length + report.unresolved.length;
+        if (issues > 0) {
+            this.notify('reconcile', report);
+        } else if (!this.config.dryRun) {
+            log.info('✅ Positions match wallet balances');
+        }
+        
+        // Reported once; the intents belong to a process that is gone
+        if (this.journal && this.unresolvedIntents.length > 0) {
+            this.unresolvedIntents.forEach(intent => this.journal.abandon(intent.id));
+            this.journal.compact();
+        }
+        this.unresolvedIntents = [];
+        
+        return report;
+    }
+
+    /**
+     * Write to the trade ledger; a ledger failure must not interrupt trading
+     * (trades.log still has the record for `node ledger.js migrate`)
+     * @param {Function} write - Receives the Ledger
+     */
+    recordLedger(write) {
+        if (!this.ledger) return;
+        
+        try {
+            write(this.ledger);
+        } catch (error) {
+            log.error(`❌ Ledger write failed: ${error.message}`, { error });
         }
     }
 
@@ -496,34 +1039,43 @@ class TradingMonitor {
      */
     logTrade(trade) {
         const logEntry = {
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.now()).toISOString(),
             ...trade
         };
         
-        console.log('📝', JSON.stringify(logEntry, null, 2));
+        log.info(`📝 ${trade.type} ${trade.token}`, { token: trade.token, tradeId: trade.tradeId, trade: logEntry });
         
-        const logFile = path.join(__dirname, 'trades.log');
-        fs.appendFileSync(logFile, JSON.stringify(logEntry) + '\n');
+        this.tradesLog.write(JSON.stringify(logEntry));
     }
 
     /**
      * Utility: Sleep for specified milliseconds
      */
     sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return this.clock.sleep(ms);
     }
 }
 
 // Run the monitor
 if (require.main === module) {
-    const monitor = new TradingMonitor();
-    
-    // Load existing positions
-    monitor.loadPositions();
+    let monitor;
+    try {
+        const config = loadConfig({ argv: process.argv.slice(2) });
+        configureLogging(config);
+        monitor = new TradingMonitor({ config });
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
     
     // Start monitoring
     monitor.start().catch(error => {
-        console.error('💥 Monitor crashed:', error);
+        if (error instanceof KeystoreError) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        log.error(`💥 Monitor crashed: ${error.message}`, { error, stack: error.stack });
         process.exit(1);
     });
 }
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const axios = require('axios');
+const { SystemClock } = require('./clock');
+const { createLogger } = require('./logger');
+
+const log = createLogger('notifier');
+
+/**
+ * Message templates per event. A template receives the event data and
+ * returns the message text; `{field}` strings from NOTIFY_TEMPLATES override
+ * them (see render()).
+ */
+const TEMPLATES = {
+    entry: d => [
+        `🟢 BUY ${d.token}${d.dryRun ? ' (dry run)' : ''}`,
+        `Price: $${formatPrice(d.entryPrice)}`,
+        `Size: $${d.usdcInvested.toFixed(2)} (${d.amount.toFixed(2)} ${d.token})`,
+        `Stop: $${formatPrice(d.stopLoss)}`,
+        `Strategy: ${d.strategy}`
+    ].join('\n'),
+
+    exit: d => [
+        `${d.pnl >= 0 ? '✅' : '🔴'} ${d.type === 'PARTIAL_EXIT' ? 'PARTIAL SELL' : 'SELL'} ${d.token}${d.dryRun ? ' (dry run)' : ''}`,
+        `Reason: ${d.reason}`,
+        `Price: $${formatPrice(d.entryPrice)} → $${formatPrice(d.exitPrice)}`,
+        `P&L: ${formatUsd(d.pnl)} (${d.pnlPercent >= 0 ? '+' : ''}${d.pnlPercent.toFixed(1)}%)`
+    ].join('\n'),
+
+    stopLoss: d => [
+        `🛑 STOP ${d.token}${d.dryRun ? ' (dry run)' : ''}`,
+        `Reason: ${d.reason}`,
+        `Price: $${formatPrice(d.entryPrice)} → $${formatPrice(d.exitPrice)}`,
+        `P&L: ${formatUsd(d.pnl)} (${d.pnlPercent.toFixed(1)}%)`
+    ].join('\n'),
+
+    riskLimit: d => `🛡️ Entries blocked: ${d.reason}`,
+
+    halt: d => `⛔ Trading halted${d.dryRun ? ' (dry run)' : ''}: ${d.reason}\nRun "node risk.js reset${d.dryRun ? ' --paper' : ''}" to resume`,
+
+    error: d => `💥 ${d.context}: ${d.message}`,
+
+    reconcile: d => [
+        '🔎 Position reconciliation found problems',
+        ...d.phantoms.map(p => `👻 ${p.token}: recorded ${p.recorded}, wallet holds none`),
+        ...d.mismatches.map(m => `⚖️ ${m.token}: recorded ${m.recorded}, wallet holds ${m.held}`),
+        ...d.orphans.map(o => `🧩 ${o.token}: wallet holds ${o.held} from an unrecorded ${o.intent}`),
+        ...d.unresolved.map(i => `⚠️ ${i.type} for ${i.token} at ${i.time} has no recorded outcome`)
+    ].join('\n')
+};
+
+const EVENTS = Object.keys(TEMPLATES);
+
+function formatPrice(price) {
+    return price >= 1 ? price.toFixed(2) : price.toPrecision(4);
+}
+
+function formatUsd(value) {
+    return `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Render an event message
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {Object} overrides - event -> template string with {field} placeholders
+ * @returns {string} Message text
+ */
+function render(event, data, overrides = {}) {
+    if (overrides[event]) {
+        return overrides[event].replace(/\{(\w+)\}/g, (match, key) => (data[key] === undefined ? match : String(data[key])));
+    }
+    return TEMPLATES[event](data);
+}
+
+/**
+ * Telegram Bot API sink
+ */
+class TelegramSink {
+    constructor(botToken, chatId) {
+        this.name = 'telegram';
+        this.url = `https://api.telegram.org/bot${botToken}/sendMessage`;
+        this.chatId = chatId;
+    }
+
+    async send(message) {
+        await axios.post(this.url, {
+            chat_id: this.chatId,
+            text: message.text,
+            disable_web_page_preview: true
+        }, { timeout: 10000 });
+    }
+}
+
+/**
+ * Discord webhook sink
+ */
+class DiscordSink {
+    constructor(webhookUrl) {
+        this.name = 'discord';
+        this.url = webhookUrl;
+    }
+
+    async send(message) {
+        await axios.post(this.url, { content: message.text }, { timeout: 10000 });
+    }
+}
+
+/**
+ * Generic webhook sink: POSTs the whole message ({ event, text, data, timestamp }) as JSON
+ */
+class WebhookSink {
+    constructor(url) {
+        this.name = 'webhook';
+        this.url = url;
+    }
+
+    async send(message) {
+        await axios.post(this.url, message, { timeout: 10000 });
+    }
+}
+
+/**
+ * File sink: appends one JSON message per line
+ */
+class FileSink {
+    constructor(file) {
+        this.name = 'file';
+        this.file = file;
+    }
+
+    async send(message) {
+        fs.appendFileSync(this.file, JSON.stringify(message) + '\n');
+    }
+}
+
+/**
+ * Delay before retrying a failed send; honors 429 retry_after from Telegram and Discord
+ */
+function retryDelay(error, attempt, baseDelay) {
+    const body = error.response?.data;
+    const retryAfter = body?.parameters?.retry_after ?? body?.retry_after;
+    if (error.response?.status === 429 && retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+    return baseDelay * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Fans trade and risk events out to the configured sinks.
+ *
+ * notify() never blocks or throws: messages are queued per sink, sent in
+ * order at most `notifyRateLimit` per minute and retried with exponential
+ * backoff. When a queue overflows the oldest messages are dropped and the
+ * next message reports how many were lost.
+ */
+class Notifier {
+    /**
+     * @param {Object} config - Monitor configuration (telegram*, discordWebhookUrl, notifyWebhookUrl, notifyFile, notify*)
+     * @param {Object} options - { sinks } to replace the sinks built from config, { clock, retryDelay }
+     */
+    constructor(config, options = {}) {
+        this.events = config.notifyEvents || EVENTS;
+        this.templates = config.notifyTemplates || {};
+        this.rateLimit = config.notifyRateLimit ?? 20; // Messages per minute per sink, 0 = unlimited
+        this.retries = config.notifyRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.clock = options.clock || new SystemClock();
+        this.maxQueue = 100;
+
+        this.sinks = (options.sinks || Notifier.createSinks(config)).map(sink => ({
+            sink,
+            queue: [],
+            sent: [], // Send times within the last minute
+            dropped: 0,
+            draining: null
+        }));
+    }
+
+    /**
+     * Build sinks for every configured destination
+     */
+    static createSinks(config) {
+        const sinks = [];
+        if (config.telegramBotToken && config.telegramChatId) {
+            sinks.push(new TelegramSink(config.telegramBotToken, config.telegramChatId));
+        }
+        if (config.discordWebhookUrl) sinks.push(new DiscordSink(config.discordWebhookUrl));
+        if (config.notifyWebhookUrl) sinks.push(new WebhookSink(config.notifyWebhookUrl));
+        if (config.notifyFile) sinks.push(new FileSink(config.notifyFile));
+        return sinks;
+    }
+
+    get enabled() {
+        return this.sinks.length > 0;
+    }
+
+    /**
+     * Queue an event for every sink
+     * @param {string} event - One of EVENTS
+     * @param {Object} data - Event data used by the template
+     */
+    notify(event, data) {
+        if (!this.enabled || !this.events.includes(event)) return;
+
+        let text;
+        try {
+            text = render(event, data, this.templates);
+        } catch (error) {
+            log.error(`❌ Failed to render ${event} notification: ${error.message}`, { error });
+            return;
+        }
+
+        const message = { event, text, data, timestamp: new Date(this.clock.now()).toISOString() };
+        for (const state of this.sinks) {
+            state.queue.push(message);
+            if (state.queue.length > this.maxQueue) {
+                state.queue.shift();
+                state.dropped++;
+            }
+            this.drain(state);
+        }
+    }
+
+    /**
+     * Send queued messages for one sink, one at a time
+     */
+    drain(state) {
+        if (state.draining) return state.draining;
+
+        state.draining = (async () => {
+            while (state.queue.length > 0) {
+                await this.waitForSlot(state);
+
+                let message = state.queue.shift();
+                if (state.dropped > 0) {
+                    message = { ...message, text: `${message.text}\n(${state.dropped} earlier notification(s) dropped by rate limit)` };
+                    state.dropped = 0;
+                }
+                await this.send(state.sink, message);
+            }
+        })().finally(() => {
+            state.draining = null;
+        });
+
+        return state.draining;
+    }
+
+    /**
+     * Wait until the sink is under its per-minute rate limit
+     */
+    async waitForSlot(state) {
+        if (!(this.rateLimit > 0)) return;
+
+        const now = this.clock.now();
+        state.sent = state.sent.filter(time => now - time < 60000);
+        if (state.sent.length >= this.rateLimit) {
+            await this.clock.sleep(60000 - (now - state.sent[0]));
+        }
+        state.sent.push(this.clock.now());
+    }
+
+    /**
+     * Send a message with retries
+     * @returns {Promise<boolean>} True if delivered
+     */
+    async send(sink, message) {
+        for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+            try {
+                await sink.send(message);
+                return true;
+            } catch (error) {
+                if (attempt > this.retries) {
+                    log.error(`❌ ${sink.name} notification failed after ${attempt} attempts: ${error.message}`, { error });
+                    return false;
+                }
+                await this.clock.sleep(retryDelay(error, attempt, this.retryDelay));
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Wait for every queued message to be sent (or given up on)
+     */
+    async flush() {
+        await Promise.all(this.sinks.map(state => this.drain(state)));
+    }
+}
+
+module.exports = { Notifier, TelegramSink, DiscordSink, WebhookSink, FileSink, TEMPLATES, EVENTS, render };
+
+// CLI usage: send a test message to every configured sink
+if (require.main === module) {
+    const { loadConfig } = require('./config');
+
+    (async () => {
+        const config = loadConfig({ argv: process.argv.slice(2) });
+        const notifier = new Notifier({ ...config, notifyEvents: EVENTS });
+        if (!notifier.enabled) {
+            console.log('⚠️ No notification sinks configured (TELEGRAM_BOT_TOKEN/TELEGRAM_CHAT_ID, DISCORD_WEBHOOK_URL, NOTIFY_WEBHOOK_URL or NOTIFY_FILE)');
+            process.exit(1);
+        }
+
+        notifier.notify('error', { context: 'Test', message: 'Claw16z notifications are working' });
+        await notifier.flush();
+        console.log(`📨 Test notification sent to ${notifier.sinks.map(state => state.sink.name).join(', ')}`);
+    })().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
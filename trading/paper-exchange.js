@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { SystemClock } = require('./clock');
+const { writeFileAtomic } = require('./state');
+const { TxError } = require('./tx-manager');
+const { createLogger } = require('./logger');
+
+const log = createLogger('paper');
+
+/**
+ * Simulated venue for DRY_RUN: entries and exits fill against a virtual
+ * account instead of the chain.
+ *
+ * Each swap is quoted against a constant-product pool whose reserves are half
+ * the pair's USD liquidity on each side, less the LP fee (PAPER_LP_FEE %).
+ * The quote goes through the same guard as a live swap, then the fill waits
+ * PAPER_LATENCY ms and is re-priced on the market at that moment; a fill
+ * worse than the quote by more than MAX_SLIPPAGE fails like a live swap
+ * would. A pool whose liquidity is unknown is taken to hold MIN_LIQUIDITY,
+ * the least the monitor would have entered at. Gas (PAPER_GAS_COST, USD) comes out of the trade: buys swap what is
+ * left after it, sells receive the proceeds less it.
+ *
+ * The account starts with PAPER_BALANCE USDC. Balances persist to
+ * `paper-account.json` and every fill is appended to `paper-fills.log`,
+ * apart from live trades. Inspect or start over with
+ * `node paper-exchange.js status|reset`.
+ */
+class PaperExchange {
+    /**
+     * @param {Object} config - Monitor configuration (paperBalance, paperLpFee, paperGasCost, paperLatency, paperSlippage, maxSlippage)
+     * @param {Object} options - { clock, stateFile, fillLog, balance }; null files keep everything in memory,
+     *   `balance` overrides the starting USDC
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.clock = options.clock || new SystemClock();
+        this.stateFile = options.stateFile === undefined ? config.paperStateFile : options.stateFile;
+        this.fillLog = options.fillLog === undefined ? config.paperFillLog : options.fillLog;
+        this.startingBalance = options.balance ?? config.paperBalance;
+
+        this.state = this.initialState();
+        this.loadState();
+    }
+
+    initialState() {
+        return {
+            startedAt: new Date(this.clock.now()).toISOString(),
+            startingBalance: this.startingBalance,
+            quote: this.startingBalance, // USDC
+            tokens: {}, // address -> token units
+            lpFeesPaid: 0, // USD
+            gasPaid: 0, // USD
+            fillCount: 0
+        };
+    }
+
+    /**
+     * Virtual balances in the shape of ChainAdapter.getBalances(). Fees are
+     * charged in USD, so there is no native balance.
+     * @returns {Object} { address, native, quote }
+     */
+    getBalances() {
+        return { address: 'paper account', native: null, quote: this.state.quote };
+    }
+
+    /**
+     * Constant-product swap against a pool holding `liquidity` USD, half on each side
+     * @param {string} side - 'buy' (USDC in) or 'sell' (tokens in)
+     * @param {number} amount - Input amount
+     * @param {Object} market - { price, liquidity } in USD
+     * @returns {Object} { outputAmount, lpFee (USD), priceImpact (percent) }
+     */
+    simulate(side, amount, market) {
+        const feeRate = this.config.paperLpFee / 100;
+        const { price } = market;
+        const input = amount * (1 - feeRate);
+        const atSpot = side === 'buy' ? input / price : input * price;
+
+        let outputAmount = atSpot;
+        const reserveQuote = market.liquidity / 2;
+        if (this.config.paperSlippage && reserveQuote > 0) {
+            const reserveToken = reserveQuote / price;
+            outputAmount = side === 'buy'
+                ? reserveToken * input / (reserveQuote + input)
+                : reserveQuote * input / (reserveToken + input);
+        }
+
+        return {
+            outputAmount,
+            lpFee: (side === 'buy' ? amount : amount * price) * feeRate,
+            priceImpact: atSpot > 0 ? (1 - outputAmount / atSpot) * 100 : 0
+        };
+    }
+
+    /**
+     * Buy a token with virtual USDC
+     * @param {Object} token - Normalized token (address, symbol, price, liquidity)
+     * @param {number} quoteAmount - USDC to spend, gas included
+     * @param {Object} [options] - { guard, refresh }: refresh() returns market data at fill time
+     * @returns {Promise<Object>} Swap result; outputAmount is in token units
+     * @throws {TxError} insufficientFunds if the account is short, slippage if the price ran away
+     */
+    async buy(token, quoteAmount, options = {}) {
+        if (quoteAmount > this.state.quote) {
+            throw new TxError('insufficientFunds', `Paper account holds $${this.state.quote.toFixed(2)}, entry needs $${quoteAmount.toFixed(2)}`);
+        }
+        if (quoteAmount <= this.config.paperGasCost) {
+            throw new TxError('insufficientFunds', `$${quoteAmount.toFixed(2)} does not cover $${this.config.paperGasCost} gas`);
+        }
+        return this.fill('buy', token, quoteAmount, { price: token.price, liquidity: token.liquidity }, options);
+    }
+
+    /**
+     * Sell tokens for virtual USDC
+     * @param {Object} token - { address, symbol }
+     * @param {number} amount - Token amount to sell
+     * @param {Object} market - { price, liquidity } when the exit was decided
+     * @param {Object} [options] - { guard, refresh }
+     * @returns {Promise<Object>} Swap result; outputAmount is in USDC, net of gas
+     * @throws {TxError} insufficientFunds if the account holds fewer tokens, slippage if the price ran away
+     */
+    async sell(token, amount, market, options = {}) {
+        const held = this.state.tokens[token.address] || 0;
+        if (amount > held * (1 + 1e-9)) { // Float drift between the position and the account is not an oversell
+            throw new TxError('insufficientFunds', `Paper account holds ${held} ${token.symbol}, exit sells ${amount}`);
+        }
+        return this.fill('sell', token, Math.min(amount, held), market, options);
+    }
+
+    /**
+     * Pool liquidity to price a fill against
+     * @param {Object} token - { symbol }
+     * @param {number} [liquidity] - USD liquidity from market data
+     * @returns {number} The liquidity, or MIN_LIQUIDITY when it is unknown
+     */
+    poolLiquidity(token, liquidity) {
+        if (liquidity > 0 || !this.config.paperSlippage) return liquidity;
+        log.warn(`⚠️ No liquidity for ${token.symbol}, pricing the paper fill against $${this.config.minLiquidity}`, { token: token.symbol });
+        return this.config.minLiquidity;
+    }
+
+    async fill(side, token, amount, market, options) {
+        market = { price: market.price, liquidity: this.poolLiquidity(token, market.liquidity) };
+        const gas = this.config.paperGasCost;
+        const swapIn = side === 'buy' ? amount - gas : amount;
+
+        // Quote at the decision price and let the guard veto it, as for a live swap
+        const quoted = this.simulate(side, swapIn, market);
+        const quotedOut = side === 'buy' ? quoted.outputAmount : Math.max(0, quoted.outputAmount - gas);
+        if (options.guard) {
+            await options.guard({ inputAmount: amount, outputAmount: quotedOut, priceImpact: quoted.priceImpact });
+        }
+
+        // The market keeps moving until the swap lands
+        const latency = this.config.paperLatency;
+        let filledAt = market;
+        if (latency > 0) {
+            await this.clock.sleep(latency);
+            const current = options.refresh ? await options.refresh() : null;
+            if (current?.price > 0) {
+                filledAt = { price: current.price, liquidity: current.liquidity > 0 ? current.liquidity : market.liquidity };
+            }
+        }
+
+        const filled = this.simulate(side, swapIn, filledAt);
+        const outputAmount = side === 'buy' ? filled.outputAmount : Math.max(0, filled.outputAmount - gas);
+        const minimum = quotedOut * (1 - this.config.maxSlippage / 100);
+        if (outputAmount < minimum) {
+            throw new TxError('slippage', `Paper ${side} of ${token.symbol} filled ${outputAmount.toPrecision(6)}, below the ${minimum.toPrecision(6)} minimum`);
+        }
+
+        // Settle the virtual balances
+        const held = this.state.tokens[token.address] || 0;
+        if (side === 'buy') {
+            this.state.quote -= amount;
+            this.state.tokens[token.address] = held + outputAmount;
+        } else {
+            this.state.quote += outputAmount;
+            const remaining = held - amount;
+            if (remaining > 0) {
+                this.state.tokens[token.address] = remaining;
+            } else {
+                delete this.state.tokens[token.address];
+            }
+        }
+        this.state.lpFeesPaid += filled.lpFee;
+        this.state.gasPaid += gas;
+        this.state.fillCount++;
+        this.saveState();
+
+        const result = {
+            signature: 'DRY_RUN',
+            inputAmount: amount,
+            outputAmount,
+            priceImpact: filled.priceImpact,
+            executionTime: latency,
+            timestamp: new Date(this.clock.now()).toISOString(),
+            dryRun: true,
+            fees: [
+                { kind: 'lp', amount: filled.lpFee, currency: 'USDC', usd: filled.lpFee },
+                { kind: 'gas', amount: gas, currency: 'USD', usd: gas }
+            ]
+        };
+        this.logFill(side, token, filledAt, result);
+        return result;
+    }
+
+    /**
+     * Append a fill to the paper fill log
+     */
+    logFill(side, token, market, result) {
+        if (!this.fillLog) return;
+
+        const entry = {
+            timestamp: result.timestamp,
+            side,
+            token: token.symbol,
+            address: token.address,
+            inputAmount: result.inputAmount,
+            outputAmount: result.outputAmount,
+            marketPrice: market.price,
+            fillPrice: side === 'buy' ? result.inputAmount / result.outputAmount : result.outputAmount / result.inputAmount,
+            liquidity: market.liquidity ?? null,
+            priceImpact: result.priceImpact,
+            lpFee: result.fees[0].usd,
+            gas: result.fees[1].usd,
+            latencyMs: result.executionTime,
+            balance: this.state.quote
+        };
+        fs.appendFileSync(this.fillLog, JSON.stringify(entry) + '\n');
+    }
+
+    /**
+     * Start a fresh account
+     * @param {number} [balance] - Starting USDC, defaults to PAPER_BALANCE
+     */
+    reset(balance = this.config.paperBalance) {
+        this.startingBalance = balance;
+        this.state = this.initialState();
+        this.saveState();
+    }
+
+    loadState() {
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+
+        try {
+            this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+        } catch (error) {
+            log.warn(`⚠️ Unreadable paper account ${this.stateFile} (${error.message}), starting with $${this.startingBalance}`, { error });
+        }
+    }
+
+    saveState() {
+        if (!this.stateFile) return;
+        writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2));
+    }
+}
+
+module.exports = { PaperExchange };
+
+// CLI usage
+if (require.main === module) {
+    // Required here: config.js loads the adapters, which load this module
+    const { loadConfig } = require('./config');
+    const command = process.argv[2];
+    const paper = new PaperExchange(loadConfig({ argv: process.argv.slice(3) }));
+
+    if (command === 'status') {
+        console.log(JSON.stringify(paper.state, null, 2));
+    } else if (command === 'reset') {
+        paper.reset();
+        console.log(`✅ Paper account reset to $${paper.state.quote} USDC`);
+    } else {
+        console.log('Usage: node paper-exchange.js <status|reset> [--paper-balance=1000]');
+        process.exit(1);
+    }
+}
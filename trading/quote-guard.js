@@ -0,0 +1,139 @@
+const fs = require('fs');
+const { createLogger } = require('./logger');
+
+const log = createLogger('quote-guard');
+
+/**
+ * Thrown from the guard stage of a swap to stop a quote from executing
+ */
+class QuoteRejectedError extends Error {
+    constructor(reasons, metrics) {
+        super(`Quote rejected: ${reasons.join('; ')}`);
+        this.name = 'QuoteRejectedError';
+        this.reasons = reasons;
+        this.metrics = metrics;
+    }
+}
+
+/**
+ * Guard stage between a swap's quote and its execution.
+ *
+ * A quote is rejected when:
+ * - its price impact exceeds QUOTE_MAX_PRICE_IMPACT %
+ * - the price it implies deviates from the reference price the trade was
+ *   decided on (DexScreener / pool price) by more than QUOTE_MAX_DEVIATION %
+ * - the output, valued at the reference price, is worth less than
+ *   QUOTE_MIN_OUTPUT_PER_DOLLAR per dollar put in
+ *
+ * Entries are also sized down before quoting so the expected impact on the
+ * pool's liquidity stays within the price impact budget. Prices are in the
+ * quote token (USDC), so both sides of a swap are valued in dollars.
+ * Rejections are logged and appended to QUOTE_REJECTION_LOG.
+ */
+class QuoteGuard {
+    /**
+     * @param {Object} config - Monitor configuration
+     * @param {Object} options - { clock, logFile }
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.logFile = options.logFile === undefined ? config.quoteRejectionLog : options.logFile;
+    }
+
+    /**
+     * Largest entry the pool can absorb within the price impact budget.
+     *
+     * Constant-product estimate: buying with x against a quote reserve R moves
+     * the price by about x / (R + x), and R is half the pool's USD liquidity.
+     * @param {Object} token - Normalized token (liquidity in USD)
+     * @param {number} size - Intended USDC size
+     * @returns {number} Size, reduced if it would exceed the budget
+     */
+    fitSize(token, size) {
+        const budget = this.config.quoteMaxPriceImpact / 100;
+        const reserve = token.liquidity / 2;
+        if (!(reserve > 0) || !(budget > 0) || budget >= 1) return size;
+
+        return Math.min(size, reserve * budget / (1 - budget));
+    }
+
+    /**
+     * Evaluate a quote against the limits
+     * @param {Object} quote - { inputAmount, outputAmount, priceImpact } in token units / percent
+     * @param {Object} context - { side: 'buy'|'sell', symbol, referencePrice } (USD per token)
+     * @returns {Object} { ok, reasons, metrics: { priceImpact, impliedPrice, deviation, outputPerDollar } }
+     */
+    check(quote, context) {
+        const { side, referencePrice } = context;
+        const reasons = [];
+        const metrics = { priceImpact: quote.priceImpact || 0, impliedPrice: null, deviation: null, outputPerDollar: null };
+
+        if (metrics.priceImpact > this.config.quoteMaxPriceImpact) {
+            reasons.push(`price impact ${metrics.priceImpact.toFixed(2)}% exceeds ${this.config.quoteMaxPriceImpact}%`);
+        }
+
+        if (!(quote.inputAmount > 0) || !(quote.outputAmount > 0)) {
+            reasons.push('quote has no output');
+        } else if (referencePrice > 0) {
+            // Buys pay USDC for tokens, sells the reverse
+            metrics.impliedPrice = side === 'buy'
+                ? quote.inputAmount / quote.outputAmount
+                : quote.outputAmount / quote.inputAmount;
+            metrics.deviation = Math.abs(metrics.impliedPrice - referencePrice) / referencePrice * 100;
+            metrics.outputPerDollar = side === 'buy'
+                ? quote.outputAmount * referencePrice / quote.inputAmount
+                : quote.outputAmount / (quote.inputAmount * referencePrice);
+
+            if (metrics.deviation > this.config.quoteMaxDeviation) {
+                reasons.push(`quoted price $${metrics.impliedPrice.toPrecision(6)} is ${metrics.deviation.toFixed(1)}% from reference $${referencePrice.toPrecision(6)} (max ${this.config.quoteMaxDeviation}%)`);
+            }
+            if (metrics.outputPerDollar < this.config.quoteMinOutputPerDollar) {
+                reasons.push(`output worth $${metrics.outputPerDollar.toFixed(3)} per $1 in (minimum $${this.config.quoteMinOutputPerDollar})`);
+            }
+        }
+
+        return { ok: reasons.length === 0, reasons, metrics };
+    }
+
+    /**
+     * Swap guard hook: check a quote, record and throw if it is rejected
+     * @param {Object} quote - Quote summary from the swap executor
+     * @param {Object} context - { side, symbol, referencePrice }
+     * @throws {QuoteRejectedError} If the quote fails a limit
+     */
+    enforce(quote, context) {
+        const result = this.check(quote, context);
+        if (!result.ok) {
+            this.logRejection(quote, context, result);
+            throw new QuoteRejectedError(result.reasons, result.metrics);
+        }
+        return result;
+    }
+
+    /**
+     * Log a rejected quote and append it to the rejection log
+     */
+    logRejection(quote, context, result) {
+        log.warn(`🧮 ${context.side === 'buy' ? 'Buy' : 'Sell'} quote for ${context.symbol} rejected: ${result.reasons.join('; ')}`, {
+            token: context.symbol,
+            reasons: result.reasons
+        });
+
+        if (this.logFile) {
+            const entry = {
+                timestamp: new Date(this.clock.now()).toISOString(),
+                side: context.side,
+                token: context.symbol,
+                referencePrice: context.referencePrice ?? null,
+                inputAmount: quote.inputAmount,
+                outputAmount: quote.outputAmount,
+                ...result.metrics,
+                reasons: result.reasons
+            };
+            fs.appendFileSync(this.logFile, JSON.stringify(entry) + '\n');
+        }
+    }
+}
+
+module.exports = { QuoteGuard, QuoteRejectedError };
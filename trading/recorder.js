@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { loadSnapshots, parseTime } = require('./snapshots');
+const { createLogger } = require('./logger');
+
+const log = createLogger('recorder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl\.gz$/;
+
+/**
+ * Persists market scans and token polls to one gzipped JSONL file per UTC day.
+ *
+ * Each append is written as its own gzip member, so files stay valid after a
+ * crash and can be read with zcat or loadSnapshots(). Files older than
+ * `retentionDays` are deleted when the day rolls over.
+ */
+class SnapshotRecorder {
+    /**
+     * @param {Object} options - { dir, retentionDays }
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, 'data');
+        this.retentionDays = options.retentionDays || 30;
+        this.currentDay = null;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    /**
+     * Record the normalized token list of one market scan
+     * @param {Array} tokens - Tokens from getTrendingTokens()
+     * @param {number} time - Scan time in milliseconds
+     */
+    recordScan(tokens, time = Date.now()) {
+        this.append({ type: 'scan', timestamp: new Date(time).toISOString(), tokens }, time);
+    }
+
+    /**
+     * Record one getTokenData() poll
+     * @param {string} address - Token address
+     * @param {Object} data - { price, priceChange24h, volume24h, liquidity }
+     * @param {number} time - Poll time in milliseconds
+     */
+    recordPoll(address, data, time = Date.now()) {
+        this.append({ type: 'poll', timestamp: new Date(time).toISOString(), address, ...data }, time);
+    }
+
+    /**
+     * Append a record to the file for its UTC day
+     */
+    append(record, time) {
+        const day = new Date(time).toISOString().slice(0, 10);
+
+        try {
+            const file = path.join(this.dir, `${day}.jsonl.gz`);
+            fs.appendFileSync(file, zlib.gzipSync(JSON.stringify(record) + '\n'));
+
+            // After the write, so a failed prune never costs a snapshot
+            if (day !== this.currentDay) {
+                this.currentDay = day;
+                this.prune(time);
+            }
+        } catch (error) {
+            log.error(`❌ Error recording snapshot: ${error.message}`, { error });
+        }
+    }
+
+    /**
+     * Delete day files older than the retention window
+     * @param {number} time - Current time in milliseconds
+     */
+    prune(time) {
+        const cutoff = new Date(time - this.retentionDays * DAY_MS).toISOString().slice(0, 10);
+
+        for (const file of fs.readdirSync(this.dir)) {
+            const match = file.match(FILE_PATTERN);
+            if (match && match[1] < cutoff) {
+                fs.unlinkSync(path.join(this.dir, file));
+                log.info(`🗑️ Pruned snapshot file ${file}`);
+            }
+        }
+    }
+}
+
+/**
+ * List the day files of a store that overlap a time window
+ * @param {string} dir - Store directory
+ * @param {number} from - Window start in milliseconds
+ * @param {number} to - Window end in milliseconds
+ * @returns {string[]} File paths in date order
+ */
+function listFiles(dir, from = 0, to = Infinity) {
+    const fromDay = new Date(from).toISOString().slice(0, 10);
+    const toDay = to === Infinity ? '9999-12-31' : new Date(to).toISOString().slice(0, 10);
+
+    return fs.readdirSync(dir)
+        .filter(file => {
+            const match = file.match(FILE_PATTERN);
+            return match && match[1] >= fromDay && match[1] <= toDay;
+        })
+        .sort()
+        .map(file => path.join(dir, file));
+}
+
+/**
+ * Build a price/volume/liquidity time series for one token
+ * @param {string} dir - Store directory
+ * @param {string} token - Token address or symbol (case-insensitive)
+ * @param {number} from - Window start in milliseconds
+ * @param {number} to - Window end in milliseconds
+ * @returns {Array} [{ timestamp, source, price, volume24h, liquidity }]
+ */
+function queryTimeSeries(dir, token, from = 0, to = Infinity) {
+    const needle = token.toLowerCase();
+    const addresses = new Set([needle]); // Polls carry no symbol, so match them by scanned address
+    const series = [];
+
+    for (const snapshot of loadSnapshots(listFiles(dir, from, to))) {
+        if (snapshot.time < from || snapshot.time > to) continue;
+
+        const points = snapshot.tokens
+            ? snapshot.tokens
+                .filter(t => t.address?.toLowerCase() === needle || t.symbol?.toLowerCase() === needle)
+                .map(t => {
+                    addresses.add(t.address.toLowerCase());
+                    return { source: 'scan', ...t };
+                })
+            : [snapshot.poll]
+                .filter(p => addresses.has(p.address.toLowerCase()))
+                .map(p => ({ source: 'poll', ...p }));
+
+        for (const point of points) {
+            series.push({
+                timestamp: new Date(snapshot.time).toISOString(),
+                source: point.source,
+                price: point.price,
+                volume24h: point.volume24h,
+                liquidity: point.liquidity
+            });
+        }
+    }
+
+    return series;
+}
+
+module.exports = { SnapshotRecorder, listFiles, queryTimeSeries };
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const [command, token] = args.filter(arg => !arg.startsWith('--'));
+    const flags = Object.fromEntries(args
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, value] = arg.slice(2).split('=');
+            return [key, value === undefined ? true : value];
+        }));
+
+    if (command !== 'query' || !token) {
+        console.log('Usage: node recorder.js query <address|symbol> [--from=ISO] [--to=ISO] [--dir=./data] [--format=csv|json]');
+        console.log('Example: node recorder.js query 0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed --from=2024-01-15T00:00:00Z');
+        process.exit(1);
+    }
+
+    try {
+        const dir = flags.dir || process.env.SNAPSHOT_DIR || path.join(__dirname, 'data');
+        const from = flags.from ? parseTime(flags.from) : 0;
+        const to = flags.to ? parseTime(flags.to) : Infinity;
+        const series = queryTimeSeries(dir, token, from, to);
+
+        if (flags.format === 'json') {
+            console.log(JSON.stringify(series, null, 2));
+        } else {
+            console.log('timestamp,source,price,volume24h,liquidity');
+            series.forEach(p => console.log(`${p.timestamp},${p.source},${p.price},${p.volume24h},${p.liquidity}`));
+        }
+    } catch (error) {
+        console.error('❌ Query failed:', error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { SystemClock } = require('./clock');
+const { writeFileAtomic } = require('./state');
+
+/**
+ * Portfolio-level risk limits.
+ *
+ * Tracks realized and unrealized P&L per UTC day, caps total and per-token
+ * exposure (USDC cost basis of open positions) and blocks new entries once
+ * the daily loss limit is hit. When open positions draw down by
+ * `emergencyStopLoss` percent the monitor flattens everything and the halt is
+ * persisted to `risk-state.json` until someone runs `node risk.js reset`.
+ * Dry runs keep their own state in `paper-risk-state.json`, so paper losses
+ * never count towards a live day or halt live trading.
+ */
+class RiskManager {
+    /**
+     * @param {Object} config - Monitor configuration (maxDailyLoss, emergencyStopLoss, maxTotalExposure, maxTokenExposure, dryRun)
+     * @param {Object} options - { clock, stateFile }; stateFile null keeps state in memory
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.clock = options.clock || new SystemClock();
+        this.stateFile = options.stateFile === undefined
+            ? path.join(__dirname, config.dryRun ? 'paper-risk-state.json' : 'risk-state.json')
+            : options.stateFile;
+
+        this.state = {
+            halted: false,
+            haltReason: null,
+            haltedAt: null,
+            day: this.currentDay(),
+            realizedPnl: 0, // Realized today
+            unrealizedAtDayStart: 0,
+            unrealizedPnl: 0 // Latest mark-to-market of open positions
+        };
+        this.loadState();
+    }
+
+    /**
+     * Current UTC day, e.g. 2024-01-15
+     */
+    currentDay() {
+        return new Date(this.clock.now()).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Start a new day's P&L once the UTC date changes
+     */
+    rollDay() {
+        const day = this.currentDay();
+        if (day === this.state.day) return;
+
+        this.state.day = day;
+        this.state.realizedPnl = 0;
+        this.state.unrealizedAtDayStart = this.state.unrealizedPnl;
+        this.saveState();
+    }
+
+    /**
+     * Today's P&L: realized today plus the change in unrealized since the day started
+     * @returns {number} P&L in USDC
+     */
+    dailyPnl() {
+        this.rollDay();
+        return this.state.realizedPnl + this.state.unrealizedPnl - this.state.unrealizedAtDayStart;
+    }
+
+    /**
+     * Record realized P&L from a fill
+     * @param {number} pnl - Realized P&L in USDC
+     */
+    recordRealized(pnl) {
+        this.rollDay();
+        this.state.realizedPnl += pnl;
+        this.saveState();
+    }
+
+    /**
+     * Mark open positions to market using their last seen price
+     * @param {Map} positions - address -> position
+     * @returns {Object} { exposure, unrealizedPnl, drawdownPct }
+     */
+    update(positions) {
+        this.rollDay();
+
+        let exposure = 0;
+        let unrealizedPnl = 0;
+        for (const position of positions.values()) {
+            const price = position.lastPrice ?? position.entryPrice;
+            exposure += position.costBasis;
+            unrealizedPnl += position.amount * price - position.costBasis;
+        }
+
+        // Closed positions move from unrealized to realized, so dailyPnl() stays consistent
+        this.state.unrealizedPnl = unrealizedPnl;
+        this.saveState();
+
+        return {
+            exposure,
+            unrealizedPnl,
+            drawdownPct: exposure > 0 ? (-unrealizedPnl / exposure) * 100 : 0
+        };
+    }
+
+    /**
+     * Check whether a new position may be opened
+     * @param {Object} token - Token to enter
+     * @param {number} size - USDC to spend
+     * @param {Map} positions - Open positions
+     * @returns {Object} { allowed, reason }
+     */
+    canEnter(token, size, positions) {
+        if (this.state.halted) {
+            return { allowed: false, reason: `Trading halted: ${this.state.haltReason}` };
+        }
+
+        const { maxDailyLoss, maxTotalExposure, maxTokenExposure } = this.config;
+
+        const dailyPnl = this.dailyPnl();
+        if (maxDailyLoss > 0 && dailyPnl <= -maxDailyLoss) {
+            return { allowed: false, reason: `Daily loss limit reached ($${dailyPnl.toFixed(2)} / -$${maxDailyLoss})` };
+        }
+
+        const exposure = Array.from(positions.values()).reduce((sum, p) => sum + p.costBasis, 0);
+        if (maxTotalExposure > 0 && exposure + size > maxTotalExposure) {
+            return { allowed: false, reason: `Total exposure limit ($${exposure.toFixed(2)} + $${size} > $${maxTotalExposure})` };
+        }
+
+        const tokenExposure = positions.get(token.address)?.costBasis || 0;
+        if (maxTokenExposure > 0 && tokenExposure + size > maxTokenExposure) {
+            return { allowed: false, reason: `Token exposure limit for ${token.symbol} ($${tokenExposure.toFixed(2)} + $${size} > $${maxTokenExposure})` };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Check the emergency stop against the latest mark-to-market
+     * @param {Object} status - Result of update()
+     * @returns {string|null} Halt reason if everything must be flattened
+     */
+    checkEmergency(status) {
+        const { emergencyStopLoss } = this.config;
+
+        if (emergencyStopLoss > 0 && status.drawdownPct >= emergencyStopLoss) {
+            return `Emergency stop: open positions down ${status.drawdownPct.toFixed(1)}% (limit ${emergencyStopLoss}%)`;
+        }
+        return null;
+    }
+
+    isHalted() {
+        return this.state.halted;
+    }
+
+    /**
+     * Halt trading until reset() is called
+     * @param {string} reason - Why trading was halted
+     */
+    halt(reason) {
+        this.state.halted = true;
+        this.state.haltReason = reason;
+        this.state.haltedAt = new Date(this.clock.now()).toISOString();
+        this.saveState();
+    }
+
+    /**
+     * Clear a halt
+     */
+    reset() {
+        this.state.halted = false;
+        this.state.haltReason = null;
+        this.state.haltedAt = null;
+        this.saveState();
+    }
+
+    loadState() {
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+
+        try {
+            this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+        } catch (error) {
+            // A corrupt state file must not silently clear a halt
+            this.state.halted = true;
+            this.state.haltReason = `Unreadable risk state (${error.message})`;
+        }
+    }
+
+    saveState() {
+        if (!this.stateFile) return;
+        writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2));
+    }
+}
+
+module.exports = RiskManager;
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+    const risk = new RiskManager({ dryRun: process.argv.includes('--paper') });
+
+    if (command === 'status') {
+        console.log(JSON.stringify(risk.state, null, 2));
+    } else if (command === 'reset') {
+        const reason = risk.state.haltReason;
+        risk.reset();
+        console.log(reason ? `✅ Halt cleared (was: ${reason})` : '✅ Trading was not halted');
+    } else {
+        console.log('Usage: node risk.js <status|reset> [--paper]');
+        process.exit(1);
+    }
+}
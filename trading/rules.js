@@ -0,0 +1,167 @@
+const { TIMEFRAMES } = require('./candles');
+const { INDICATORS } = require('./indicators');
+
+// Token fields a rule can compare; `pnl` (percent) is only known for open positions
+const FIELDS = [
+    'price',
+    'priceChange5m', 'priceChange1h', 'priceChange6h', 'priceChange24h',
+    'volume5m', 'volume1h', 'volume6h', 'volume24h',
+    'liquidity', 'marketCap',
+    'pnl'
+];
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+/**
+ * Entry / exit condition from the configuration, e.g. "rsi(14, 5m) < 70".
+ *
+ * Each side is a number, a token field (see FIELDS) or an indicator call
+ * `name(period, timeframe)` over the token's candles; both arguments are
+ * optional (the indicator's default period, the first CANDLE_TIMEFRAMES
+ * entry). Comparisons are `<`, `<=`, `>` and `>=`.
+ */
+class Rule {
+    constructor(text, left, operator, right) {
+        this.text = text;
+        this.left = left;
+        this.operator = operator;
+        this.right = right;
+    }
+
+    /**
+     * @param {Object} data - Token market data (plus `pnl` for positions)
+     * @param {Object} context - Strategy context with candles(timeframe)
+     * @returns {Object} { passed, left, right }; passed is null when either side has no value yet
+     */
+    evaluate(data, context) {
+        const left = operandValue(this.left, data, context);
+        const right = operandValue(this.right, data, context);
+        const passed = left === null || right === null ? null : OPERATORS[this.operator](left, right);
+        return { passed, left, right };
+    }
+
+    /**
+     * Timeframes this rule reads candles from (null = the default one)
+     * @returns {Array} Timeframes
+     */
+    timeframes() {
+        return [this.left, this.right]
+            .filter(operand => operand.kind === 'indicator')
+            .map(operand => operand.timeframe);
+    }
+
+    // Config dumps show the rule as written
+    toJSON() {
+        return this.text;
+    }
+}
+
+/**
+ * Parse one rule
+ * @param {string} text - e.g. "ema(9, 5m) > ema(21, 5m)"
+ * @returns {Rule} Rule
+ * @throws {Error} If the rule is malformed
+ */
+function parseRule(text) {
+    const rule = String(text).trim();
+    const match = rule.match(/^(.+?)\s*(<=|>=|<|>)\s*(.+)$/);
+    if (!match) {
+        throw new Error(`Invalid rule "${rule}" (expected <operand> <op> <operand>, op one of ${Object.keys(OPERATORS).join(' ')})`);
+    }
+    try {
+        return new Rule(rule, parseOperand(match[1]), match[2], parseOperand(match[3]));
+    } catch (error) {
+        throw new Error(`Invalid rule "${rule}": ${error.message}`);
+    }
+}
+
+/**
+ * Parse a set of rules
+ * @param {string|Array} spec - ';'-separated string, or an array of rule strings / Rules
+ * @returns {Rule[]} Rules
+ * @throws {Error} If any rule is malformed
+ */
+function parseRules(spec) {
+    if (!spec) return [];
+
+    const items = Array.isArray(spec) ? spec : String(spec).split(';');
+    return items
+        .filter(item => item instanceof Rule || String(item).trim() !== '')
+        .map(item => (item instanceof Rule ? item : parseRule(item)));
+}
+
+/**
+ * Check that rules only read configured timeframes
+ * @param {Rule[]} rules - Rules
+ * @param {string[]} timeframes - CANDLE_TIMEFRAMES
+ * @returns {string[]} Problems, empty if none
+ */
+function checkRuleTimeframes(rules, timeframes) {
+    return rules.flatMap(rule => rule.timeframes()
+        .filter(timeframe => timeframe !== null && !timeframes.includes(timeframe))
+        .map(timeframe => `rule "${rule.text}" uses timeframe ${timeframe}, which is not in candleTimeframes (${timeframes.join(', ')})`));
+}
+
+function parseOperand(text) {
+    const operand = text.trim();
+
+    if (/^-?\d+(\.\d+)?$/.test(operand)) {
+        return { kind: 'number', value: parseFloat(operand) };
+    }
+
+    const call = operand.match(/^(\w+)\s*\(([^)]*)\)$/);
+    if (call) {
+        const [, name, args] = call;
+        if (!INDICATORS[name]) {
+            throw new Error(`unknown indicator ${name} (expected ${Object.keys(INDICATORS).join(', ')})`);
+        }
+        const indicator = { kind: 'indicator', name, period: undefined, timeframe: null };
+        for (const arg of args.split(',').map(s => s.trim()).filter(Boolean)) {
+            if (/^\d+$/.test(arg) && parseInt(arg, 10) > 0 && indicator.period === undefined) {
+                indicator.period = parseInt(arg, 10);
+            } else if (TIMEFRAMES[arg.toLowerCase()] && indicator.timeframe === null) {
+                indicator.timeframe = arg.toLowerCase();
+            } else {
+                throw new Error(`bad argument "${arg}" to ${name} (expected a period in bars and/or a timeframe: ${Object.keys(TIMEFRAMES).join(', ')})`);
+            }
+        }
+        // Indicators without a default period declare it as a plain parameter
+        if (indicator.period === undefined && INDICATORS[name].length > 1) {
+            throw new Error(`${name} needs a period`);
+        }
+        return indicator;
+    }
+
+    if (FIELDS.includes(operand)) {
+        return { kind: 'field', name: operand };
+    }
+    throw new Error(`unknown operand "${operand}" (expected a number, a field: ${FIELDS.join(', ')}, or an indicator call)`);
+}
+
+function operandValue(operand, data, context) {
+    let value;
+    switch (operand.kind) {
+        case 'number':
+            return operand.value;
+        case 'field':
+            value = data[operand.name];
+            break;
+        case 'indicator':
+            value = INDICATORS[operand.name](context.candles(operand.timeframe), operand.period);
+            break;
+    }
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+module.exports = {
+    FIELDS,
+    Rule,
+    parseRule,
+    parseRules,
+    checkRuleTimeframes
+};
@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+const { createLogger } = require('./logger');
+
+const log = createLogger('safety');
+
+// Pre-trade checks, in the order they run; SAFETY_CHECKS selects a subset
+const CHECKS = ['pairAge', 'ownership', 'functions', 'lpLock', 'honeypot'];
+
+// Owners (and LP holders) that mean "nobody": renounced ownership, burned liquidity
+const BURN_ADDRESSES = [
+    '0x0000000000000000000000000000000000000000',
+    '0x000000000000000000000000000000000000dead'
+];
+
+// EIP-1967 implementation slot: the token is an upgradeable proxy when set
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// Privileged token functions, by what they let the owner do
+const PRIVILEGED_FUNCTIONS = {
+    mint: ['mint(address,uint256)', 'mint(uint256)', 'mintTo(address,uint256)'],
+    pause: ['pause()', 'setPaused(bool)', 'setTradingEnabled(bool)'],
+    blacklist: [
+        'blacklist(address)',
+        'addToBlacklist(address)',
+        'addBlackList(address)',
+        'setBlacklist(address,bool)',
+        'blacklistAddress(address,bool)',
+        'setBots(address[],bool)'
+    ]
+};
+
+// Dispatchers compare the calldata selector with a PUSH4 (0x63) immediate
+const PRIVILEGED_SELECTORS = Object.fromEntries(Object.entries(PRIVILEGED_FUNCTIONS)
+    .map(([capability, signatures]) => [capability, signatures.map(sig => '63' + ethers.id(sig).slice(2, 10))]));
+
+const ROUTER_ABI = [
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+];
+
+const TOKEN_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function owner() view returns (address)',
+    'function totalSupply() view returns (uint256)'
+];
+
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+const tokenInterface = new ethers.Interface(TOKEN_ABI);
+
+/**
+ * Pre-trade token screening.
+ *
+ * pairAge    Pair is at least SAFETY_MIN_PAIR_AGE hours old (DexScreener pairCreatedAt)
+ * ownership  owner() is renounced (zero or dead address); tokens without owner() pass
+ * functions  No mint/pause/blacklist functions (or upgradeable proxy) unless ownership is
+ *            renounced; on Solana, no mint or freeze authority
+ * lpLock     At least SAFETY_MIN_LP_LOCKED% of the V2 pair's LP tokens are burned or held by
+ *            a locker in SAFETY_LP_LOCKERS (V3 pools are skipped)
+ * honeypot   A buy-then-sell round trip through the router, simulated with eth_simulateV1
+ *            from a fresh address, succeeds and loses at most SAFETY_MAX_BUY_TAX /
+ *            SAFETY_MAX_SELL_TAX to transfer taxes
+ *
+ * Checks that do not apply (e.g. honeypot on Solana) are skipped. A check that
+ * errors rejects the token unless SAFETY_FAIL_OPEN is set. Results are cached
+ * per token for SAFETY_CACHE_MINUTES and rejections are appended to SAFETY_LOG.
+ */
+class TokenScreener {
+    /**
+     * @param {ChainAdapter} adapter - Adapter for the chain (provider or connection)
+     * @param {Object} config - Monitor configuration (safety* settings)
+     * @param {Object} options - { clock, logFile }
+     */
+    constructor(adapter, config, options = {}) {
+        this.adapter = adapter;
+        this.config = config;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.logFile = options.logFile === undefined ? config.safetyLog : options.logFile;
+        this.cache = new Map(); // address -> { time, result }
+
+        this.checks = {
+            pairAge: token => this.checkPairAge(token),
+            ownership: (token, context) => this.checkOwnership(token, context),
+            functions: (token, context) => this.checkFunctions(token, context),
+            lpLock: token => this.checkLpLock(token),
+            honeypot: token => this.checkRoundTrip(token)
+        };
+    }
+
+    get evm() {
+        return Boolean(this.adapter.provider);
+    }
+
+    get solana() {
+        return Boolean(this.adapter.connection);
+    }
+
+    /**
+     * Run the configured checks on a token
+     * @param {Object} token - Normalized token ({ address, symbol, pairAddress, pairCreatedAt })
+     * @returns {Promise<Object>} { address, token, passed, reasons, checks: { <check>: { ok, reason } } }
+     */
+    async screen(token) {
+        const cached = this.cache.get(token.address);
+        if (cached && this.clock.now() - cached.time < this.config.safetyCacheMinutes * 60000) {
+            return cached.result;
+        }
+
+        const result = { address: token.address, token: token.symbol, passed: true, reasons: [], checks: {} };
+        const context = {}; // Shared lookups, e.g. the owner
+
+        for (const name of CHECKS.filter(check => this.config.safetyChecks.includes(check))) {
+            let outcome;
+            try {
+                outcome = await this.checks[name](token, context);
+            } catch (error) {
+                outcome = this.config.safetyFailOpen
+                    ? { ok: null, reason: `${name} check failed (ignored): ${error.message}` }
+                    : { ok: false, reason: `${name} check failed: ${error.message}` };
+            }
+
+            result.checks[name] = outcome;
+            if (outcome.ok === false) {
+                result.passed = false;
+                result.reasons.push(outcome.reason);
+            }
+        }
+
+        this.cache.set(token.address, { time: this.clock.now(), result });
+        if (!result.passed) {
+            this.logRejection(result);
+        }
+        return result;
+    }
+
+    /**
+     * Log a rejected token and append it to the screening log
+     */
+    logRejection(result) {
+        log.warn(`☣️ ${result.token} failed safety screening: ${result.reasons.join('; ')}`, { token: result.token, reasons: result.reasons });
+
+        if (this.logFile) {
+            const entry = { timestamp: new Date(this.clock.now()).toISOString(), ...result };
+            fs.appendFileSync(this.logFile, JSON.stringify(entry) + '\n');
+        }
+    }
+
+    checkPairAge(token) {
+        if (!token.pairCreatedAt) {
+            return { ok: null, reason: 'pair creation time unknown' };
+        }
+
+        const ageHours = (this.clock.now() - token.pairCreatedAt) / 3600000;
+        if (ageHours < this.config.safetyMinPairAge) {
+            return { ok: false, ageHours, reason: `pair is ${ageHours.toFixed(1)}h old (minimum ${this.config.safetyMinPairAge}h)` };
+        }
+        return { ok: true, ageHours };
+    }
+
+    async checkOwnership(token, context) {
+        if (!this.evm) {
+            return { ok: null, reason: 'covered by the functions check on this chain' };
+        }
+
+        const owner = await this.getOwner(token.address, context);
+        if (owner.address && !owner.renounced) {
+            return { ok: false, owner: owner.address, reason: `ownership not renounced (owner ${owner.address})` };
+        }
+        return { ok: true, owner: owner.address };
+    }
+
+    async checkFunctions(token, context) {
+        if (this.solana) {
+            return this.checkMintAuthorities(token);
+        }
+        if (!this.evm) {
+            return { ok: null, reason: 'not supported on this chain' };
+        }
+
+        const { code, proxy } = await this.getBytecode(token.address);
+        if (code === '0x') {
+            return { ok: false, reason: 'no contract code at token address' };
+        }
+
+        const found = Object.entries(PRIVILEGED_SELECTORS)
+            .filter(([, selectors]) => selectors.some(selector => code.includes(selector)))
+            .map(([capability]) => capability);
+        if (proxy) found.push('upgrade');
+
+        if (found.length === 0) {
+            return { ok: true, found };
+        }
+
+        const owner = await this.getOwner(token.address, context);
+        if (owner.renounced) {
+            return { ok: true, found, reason: `${found.join(', ')} functions present, but ownership is renounced` };
+        }
+        return { ok: false, found, reason: `privileged ${found.join(', ')} functions (owner ${owner.address || 'unknown'})` };
+    }
+
+    /**
+     * Solana equivalent of the functions check: mint and freeze authorities
+     */
+    async checkMintAuthorities(token) {
+        const info = await this.adapter.connection.getParsedAccountInfo(new PublicKey(token.address));
+        const mint = info.value?.data?.parsed?.info;
+        if (!mint) {
+            throw new Error('not a token mint');
+        }
+
+        const found = [];
+        if (mint.mintAuthority) found.push('mint');
+        if (mint.freezeAuthority) found.push('freeze');
+
+        if (found.length > 0) {
+            return { ok: false, found, reason: `${found.join(' and ')} authority not revoked` };
+        }
+        return { ok: true, found };
+    }
+
+    async checkLpLock(token) {
+        if (!this.evm) {
+            return { ok: null, reason: 'not supported on this chain' };
+        }
+        if (!token.pairAddress) {
+            return { ok: null, reason: 'pair address unknown' };
+        }
+
+        const pair = new ethers.Contract(token.pairAddress, TOKEN_ABI, this.adapter.provider);
+        let totalSupply;
+        try {
+            totalSupply = await pair.totalSupply();
+        } catch (e) {
+            return { ok: null, reason: 'not a V2 pair, LP lock not checked' };
+        }
+        if (totalSupply === 0n) {
+            return { ok: false, lockedPercent: 0, reason: 'pair has no liquidity' };
+        }
+
+        const holders = [...BURN_ADDRESSES, ...this.config.safetyLpLockers];
+        const balances = await Promise.all(holders.map(holder => pair.balanceOf(holder)));
+        const locked = balances.reduce((sum, balance) => sum + balance, 0n);
+        const lockedPercent = Number(locked * 10000n / totalSupply) / 100;
+
+        if (lockedPercent < this.config.safetyMinLpLocked) {
+            return { ok: false, lockedPercent, reason: `only ${lockedPercent}% of LP burned or locked (minimum ${this.config.safetyMinLpLocked}%)` };
+        }
+        return { ok: true, lockedPercent };
+    }
+
+    /**
+     * Simulate buying with native ETH and selling everything back to WETH
+     * from a fresh, ETH-funded address. Nothing is signed or sent.
+     */
+    async checkRoundTrip(token) {
+        if (!this.evm) {
+            return { ok: null, reason: 'not supported on this chain' };
+        }
+
+        const swapper = this.adapter.getSwapper();
+        const weth = await swapper.getWethAddress();
+        const amountIn = ethers.parseEther(String(this.config.safetySimulationEth));
+
+        // Direct WETH pair, else through the quote token
+        const routes = [[weth, token.address], [weth, this.adapter.quoteToken.address, token.address]];
+        let buyPath = null;
+        let expectedOut = 0n;
+        for (const route of routes) {
+            try {
+                const amounts = await swapper.router.getAmountsOut(amountIn, route);
+                buyPath = route;
+                expectedOut = amounts[amounts.length - 1];
+                break;
+            } catch (e) {
+                // No pool for this route, try the next one
+            }
+        }
+        if (!buyPath || expectedOut === 0n) {
+            return { ok: false, reason: 'no router path to buy the token' };
+        }
+        const sellPath = [...buyPath].reverse();
+
+        const from = ethers.Wallet.createRandom().address;
+        const deadline = Math.floor(this.clock.now() / 1000) + 600;
+        const call = (to, data, value) => ({ from, to, data, ...(value ? { value: ethers.toQuantity(value) } : {}) });
+        const buy = call(swapper.routerAddress, routerInterface.encodeFunctionData(
+            'swapExactETHForTokensSupportingFeeOnTransferTokens', [0, buyPath, from, deadline]), amountIn);
+        const balanceOf = address => call(address, tokenInterface.encodeFunctionData('balanceOf', [from]));
+
+        // Pass 1: how many tokens actually arrive
+        const [bought, held] = await this.simulate(from, amountIn, [buy, balanceOf(token.address)]);
+        if (!bought.ok) {
+            return { ok: false, reason: `buy reverts (${bought.error})` };
+        }
+        const received = tokenInterface.decodeFunctionResult('balanceOf', held.data)[0];
+        if (received === 0n) {
+            return { ok: false, reason: 'buy delivers no tokens' };
+        }
+        const buyTax = lossPercent(expectedOut, received);
+
+        // Pass 2: buy again, then sell everything that arrived
+        const [, quoted, approved, sold, proceeds] = await this.simulate(from, amountIn, [
+            buy,
+            call(swapper.routerAddress, routerInterface.encodeFunctionData('getAmountsOut', [received, sellPath])),
+            call(token.address, tokenInterface.encodeFunctionData('approve', [swapper.routerAddress, ethers.MaxUint256])),
+            call(swapper.routerAddress, routerInterface.encodeFunctionData(
+                'swapExactTokensForTokensSupportingFeeOnTransferTokens', [received, 0, sellPath, from, deadline])),
+            balanceOf(weth)
+        ]);
+        if (!approved.ok) {
+            return { ok: false, buyTax, reason: `approve reverts (${approved.error}), likely a honeypot` };
+        }
+        if (!sold.ok) {
+            return { ok: false, buyTax, reason: `sell reverts (${sold.error}), likely a honeypot` };
+        }
+
+        const expectedBack = routerInterface.decodeFunctionResult('getAmountsOut', quoted.data)[0].at(-1);
+        const back = tokenInterface.decodeFunctionResult('balanceOf', proceeds.data)[0];
+        const sellTax = lossPercent(expectedBack, back);
+
+        const reasons = [];
+        if (buyTax > this.config.safetyMaxBuyTax) reasons.push(`buy tax ${buyTax}% (maximum ${this.config.safetyMaxBuyTax}%)`);
+        if (sellTax > this.config.safetyMaxSellTax) reasons.push(`sell tax ${sellTax}% (maximum ${this.config.safetyMaxSellTax}%)`);
+
+        if (reasons.length > 0) {
+            return { ok: false, buyTax, sellTax, reason: reasons.join(', ') };
+        }
+        return { ok: true, buyTax, sellTax };
+    }
+
+    /**
+     * Run calls in sequence on top of the latest block, with `from` funded
+     * @returns {Promise<Array>} Per call { ok, data, error }
+     */
+    async simulate(from, value, calls) {
+        let blocks;
+        try {
+            blocks = await this.adapter.provider.send('eth_simulateV1', [{
+                blockStateCalls: [{
+                    stateOverrides: { [from]: { balance: ethers.toQuantity(value * 2n) } },
+                    calls
+                }]
+            }, 'latest']);
+        } catch (error) {
+            throw new Error(`eth_simulateV1 failed (the RPC must support it): ${error.shortMessage || error.message}`);
+        }
+
+        return blocks[0].calls.map(result => ({
+            ok: result.status === '0x1',
+            data: result.returnData,
+            error: revertReason(result)
+        }));
+    }
+
+    /**
+     * Read owner(), once per screening
+     * @returns {Promise<Object>} { address, renounced }; address is null without owner()
+     */
+    async getOwner(address, context) {
+        if (!context.owner) {
+            context.owner = (async () => {
+                try {
+                    const data = await this.adapter.provider.call({ to: address, data: tokenInterface.encodeFunctionData('owner') });
+                    const owner = tokenInterface.decodeFunctionResult('owner', data)[0];
+                    return { address: owner, renounced: BURN_ADDRESSES.includes(owner.toLowerCase()) };
+                } catch (e) {
+                    return { address: null, renounced: false };
+                }
+            })();
+        }
+        return context.owner;
+    }
+
+    /**
+     * Token bytecode, with the implementation's appended for EIP-1967 proxies
+     * @returns {Promise<Object>} { code (lowercase hex), proxy }
+     */
+    async getBytecode(address) {
+        const { provider } = this.adapter;
+        const [code, slot] = await Promise.all([
+            provider.getCode(address),
+            provider.getStorage(address, IMPLEMENTATION_SLOT)
+        ]);
+
+        const implementation = BigInt(slot) === 0n ? null : ethers.getAddress(ethers.dataSlice(slot, 12));
+        if (!implementation) {
+            return { code: code.toLowerCase(), proxy: false };
+        }
+        return { code: (code + (await provider.getCode(implementation)).slice(2)).toLowerCase(), proxy: true };
+    }
+}
+
+/**
+ * Percentage lost between an expected and an actual amount, to 0.01%
+ */
+function lossPercent(expected, actual) {
+    if (expected === 0n || actual >= expected) return 0;
+    return Number((expected - actual) * 10000n / expected) / 100;
+}
+
+/**
+ * Revert reason of a simulated call, decoded from Error(string) when present
+ */
+function revertReason(result) {
+    const data = result.returnData || result.error?.data;
+    if (data && data.startsWith('0x08c379a0')) {
+        try {
+            return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+        } catch (e) {
+            // Malformed reason, fall through
+        }
+    }
+    return result.error?.message || 'reverted';
+}
+
+module.exports = { TokenScreener, CHECKS, PRIVILEGED_FUNCTIONS };
+
+// CLI usage: screen a token with the configured checks
+if (require.main === module) {
+    require('dotenv').config();
+    const { loadConfig, parseFlags } = require('./config');
+    const { createAdapter } = require('./adapters');
+
+    async function main() {
+        const [address, ...flags] = process.argv.slice(2);
+        if (!address) {
+            console.log('Usage: node safety.js <tokenAddress> [--pair-address=0x...] [--safety-checks=honeypot,functions] [--rpc-url=...]');
+            process.exit(1);
+        }
+
+        const { 'pair-address': pairAddress } = parseFlags(flags);
+        const config = loadConfig({ argv: flags.filter(flag => !flag.startsWith('--pair-address')) });
+        const adapter = createAdapter(config);
+        const screener = new TokenScreener(adapter, config, { logFile: null });
+
+        // Pair details from market data, unless given (e.g. on a local fork)
+        let token = { address, symbol: address.slice(0, 8), pairAddress };
+        if (!pairAddress) {
+            const data = await adapter.getTokenData(address);
+            if (data) {
+                token = data;
+            } else {
+                console.log('⚠️ No market data for the token; pair checks will be skipped');
+            }
+        }
+
+        const result = await screener.screen(token);
+        for (const [name, outcome] of Object.entries(result.checks)) {
+            const icon = outcome.ok === true ? '✅' : outcome.ok === false ? '❌' : '⏭️';
+            const { ok, reason, ...details } = outcome;
+            const detail = Object.entries(details).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(' ');
+            console.log(`${icon} ${name.padEnd(10)} ${[reason, detail].filter(Boolean).join(' | ')}`);
+        }
+        console.log(result.passed ? `✅ ${token.symbol} passed` : `❌ ${token.symbol} rejected`);
+        process.exit(result.passed ? 0 : 2);
+    }
+
+    main().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,497 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { Keypair } = require('@solana/web3.js');
+const { writeFileAtomic } = require('./state');
+const { createLogger } = require('./logger');
+
+const log = createLogger('signer');
+
+// Key types by chain family (adapters declare theirs as `keyType`)
+const KEY_TYPES = ['evm', 'solana'];
+
+const DEFAULT_WALLET_PATHS = {
+    evm: path.join(os.homedir(), '.openclaw/workspace/evm-wallet.json'),
+    solana: path.join(os.homedir(), '.openclaw/workspace/solana-wallet.json')
+};
+
+// Wallet file formats written by the CLI
+const FORMATS = ['keystore', 'evm-json'];
+
+// scrypt cost for new keystores: 2^17 x 8 needs 128 MiB and well under a second natively
+const SCRYPT = { n: 131072, r: 8, p: 1 };
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * A wallet that cannot be loaded: missing passphrase, wrong passphrase,
+ * wrong key type, or a plaintext key while ENCRYPT_WALLET is on
+ */
+class KeystoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KeystoreError';
+    }
+}
+
+/**
+ * Solana signer for a keypair held in memory. External Solana signers
+ * implement the same { publicKey, signTransaction } interface.
+ */
+class KeypairSigner {
+    /**
+     * @param {Keypair} keypair - Solana keypair
+     */
+    constructor(keypair) {
+        this.keypair = keypair;
+        this.publicKey = keypair.publicKey;
+    }
+
+    /**
+     * Sign a transaction in place
+     * @param {VersionedTransaction} transaction - Transaction to sign
+     * @returns {Promise<VersionedTransaction>} The signed transaction
+     */
+    async signTransaction(transaction) {
+        transaction.sign([this.keypair]);
+        return transaction;
+    }
+}
+
+function deriveKey(passphrase, salt, { n, r, p }) {
+    return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, { N: n, r, p, maxmem: 256 * n * r });
+}
+
+/**
+ * Encrypt a secret key into a keystore (scrypt + AES-256-GCM). The key type
+ * and address are stored in the clear but authenticated.
+ * @param {Uint8Array} secret - Secret key bytes (32 for EVM, 64 for Solana)
+ * @param {string} passphrase - Passphrase
+ * @param {Object} details - { keyType, address, scrypt }
+ * @returns {Object} Keystore
+ */
+function encryptKey(secret, passphrase, { keyType, address, scrypt = SCRYPT }) {
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, scrypt), iv);
+    cipher.setAAD(Buffer.from(`${keyType}:${address}`));
+    const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+    return {
+        version: 1,
+        keyType,
+        address,
+        kdf: 'scrypt',
+        kdfparams: { ...scrypt, salt: salt.toString('hex') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        ciphertext: ciphertext.toString('hex')
+    };
+}
+
+/**
+ * Decrypt a keystore from encryptKey()
+ * @param {Object} keystore - Keystore
+ * @param {string} passphrase - Passphrase
+ * @returns {Buffer} Secret key bytes
+ * @throws {KeystoreError} On a wrong passphrase or a tampered keystore
+ */
+function decryptKey(keystore, passphrase) {
+    const { n, r, p, salt } = keystore.kdfparams;
+    const key = deriveKey(passphrase, Buffer.from(salt, 'hex'), { n, r, p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+    decipher.setAAD(Buffer.from(`${keystore.keyType}:${keystore.address}`));
+    decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'hex')), decipher.final()]);
+    } catch (error) {
+        throw new KeystoreError('Wrong passphrase (or the keystore was modified)');
+    }
+}
+
+/**
+ * Parse an unencrypted key: a Solana secret key array or base58 string, or
+ * an EVM hex key (bare, quoted or as { "privateKey": "0x..." })
+ * @param {string} text - Key or wallet file content
+ * @returns {Object} { keyType, secret }
+ * @throws {KeystoreError} If the format is not recognized
+ */
+function parsePlainKey(text) {
+    const raw = text.trim().replace(/^"|"$/g, '');
+
+    if (raw.startsWith('[')) {
+        const secret = Buffer.from(JSON.parse(raw));
+        if (secret.length === 64) return { keyType: 'solana', secret };
+    } else if (raw.startsWith('{')) {
+        const { privateKey } = JSON.parse(raw);
+        if (typeof privateKey === 'string') return parsePlainKey(privateKey);
+    } else if (/^(0x)?[0-9a-fA-F]{64}$/.test(raw)) {
+        return { keyType: 'evm', secret: Buffer.from(raw.replace(/^0x/, ''), 'hex') };
+    } else if (/^[1-9A-HJ-NP-Za-km-z]{80,90}$/.test(raw)) {
+        const secret = Buffer.from(ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(raw), 64)));
+        return { keyType: 'solana', secret };
+    }
+    throw new KeystoreError('Unrecognized key format (expected a Solana secret key or an EVM private key)');
+}
+
+/**
+ * Identify a wallet file
+ * @param {string} text - File content
+ * @returns {Object} { format: 'keystore'|'evm-json'|'plain', keyType, address, keystore?, secret? }
+ */
+function readWallet(text) {
+    if (ethers.isKeystoreJson(text)) {
+        const { address } = JSON.parse(text);
+        return { format: 'evm-json', keyType: 'evm', address: address ? ethers.getAddress(`0x${address.replace(/^0x/, '')}`) : null, text };
+    }
+
+    if (text.trim().startsWith('{')) {
+        const keystore = JSON.parse(text);
+        if (keystore.kdf === 'scrypt' && keystore.cipher === 'aes-256-gcm') {
+            if (!KEY_TYPES.includes(keystore.keyType)) {
+                throw new KeystoreError(`Unknown key type in keystore: ${keystore.keyType}`);
+            }
+            return { format: 'keystore', keyType: keystore.keyType, address: keystore.address, keystore };
+        }
+    }
+
+    const { keyType, secret } = parsePlainKey(text);
+    return { format: 'plain', keyType, address: addressOf(keyType, secret), secret };
+}
+
+/**
+ * Secret key of a wallet from readWallet()
+ * @param {Object} wallet - Wallet from readWallet()
+ * @param {string} [passphrase] - Passphrase for encrypted formats
+ * @returns {Buffer} Secret key bytes
+ */
+function decryptWallet(wallet, passphrase) {
+    if (wallet.format === 'plain') return wallet.secret;
+    if (wallet.format === 'keystore') return decryptKey(wallet.keystore, passphrase);
+
+    try {
+        return Buffer.from(ethers.getBytes(ethers.Wallet.fromEncryptedJsonSync(wallet.text, passphrase).privateKey));
+    } catch (error) {
+        throw new KeystoreError(/password/i.test(error.message) ? 'Wrong passphrase' : `Invalid EVM keystore: ${error.message}`);
+    }
+}
+
+/**
+ * Public address of a secret key
+ * @param {string} keyType - 'evm' or 'solana'
+ * @param {Uint8Array} secret - Secret key bytes
+ * @returns {string} Checksummed EVM address or base58 Solana public key
+ */
+function addressOf(keyType, secret) {
+    return keyType === 'evm'
+        ? new ethers.Wallet(ethers.hexlify(secret)).address
+        : Keypair.fromSecretKey(secret).publicKey.toBase58();
+}
+
+function toSigner(keyType, secret) {
+    return keyType === 'evm'
+        ? new ethers.Wallet(ethers.hexlify(secret))
+        : new KeypairSigner(Keypair.fromSecretKey(secret));
+}
+
+/**
+ * Wallet file for a key type: EVM_WALLET_PATH (EVM only), WALLET_PATH, or
+ * the default under ~/.openclaw/workspace
+ * @param {string} keyType - 'evm' or 'solana'
+ * @param {Object} config - Monitor configuration
+ * @returns {string} Path
+ */
+function walletPath(keyType, config) {
+    if (keyType === 'evm' && config.evmWalletPath) return config.evmWalletPath;
+    return config.walletPath || DEFAULT_WALLET_PATHS[keyType];
+}
+
+/**
+ * Read a line from the terminal without echoing it
+ * @param {string} question - Prompt
+ * @returns {Promise<string>} Input
+ */
+function promptHidden(question) {
+    const input = process.stdin;
+    if (!input.isTTY) {
+        return Promise.reject(new KeystoreError('No terminal to prompt for the passphrase; set WALLET_PASSPHRASE'));
+    }
+
+    return new Promise((resolve, reject) => {
+        let answer = '';
+        const finish = error => {
+            input.setRawMode(false);
+            input.pause();
+            input.removeListener('data', onData);
+            process.stdout.write('\n');
+            if (error) reject(error); else resolve(answer);
+        };
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') return finish();
+                if (char === '\u0003') return finish(new KeystoreError('Cancelled'));
+                if (char === '\u007f' || char === '\b') {
+                    answer = answer.slice(0, -1);
+                } else {
+                    answer += char;
+                }
+            }
+        };
+
+        process.stdout.write(question);
+        input.setRawMode(true);
+        input.setEncoding('utf8');
+        input.on('data', onData);
+        input.resume();
+    });
+}
+
+/**
+ * Passphrase for unlocking: WALLET_PASSPHRASE, else a prompt when interactive
+ */
+async function askPassphrase(file, config, options) {
+    if (config.walletPassphrase) return config.walletPassphrase;
+    if (options.interactive === false) {
+        throw new KeystoreError(`${file} is encrypted; set WALLET_PASSPHRASE`);
+    }
+    return (options.prompt || promptHidden)(`🔐 Passphrase for ${file}: `);
+}
+
+/**
+ * Load a signer from WALLET_SIGNER_MODULE. The module exports a function
+ * (or `createSigner`) receiving { keyType, config, provider } and returning
+ * an ethers Signer (EVM) or { publicKey, signTransaction } (Solana).
+ */
+async function loadExternalSigner(keyType, config, options) {
+    const modulePath = path.resolve(config.walletSignerModule);
+    const exported = require(modulePath);
+    const factory = typeof exported === 'function' ? exported : exported.createSigner;
+    if (typeof factory !== 'function') {
+        throw new KeystoreError(`${modulePath} must export a function or createSigner()`);
+    }
+
+    const signer = await factory({ keyType, config, provider: options.provider || null });
+    if (keyType === 'evm') {
+        if (typeof signer?.signTransaction !== 'function' || typeof signer.getAddress !== 'function') {
+            throw new KeystoreError(`${modulePath} did not return an ethers Signer`);
+        }
+        if (!signer.address) signer.address = await signer.getAddress();
+    } else if (!signer?.publicKey || typeof signer.signTransaction !== 'function') {
+        throw new KeystoreError(`${modulePath} did not return a { publicKey, signTransaction } signer`);
+    }
+
+    log.info(`🔌 External signer loaded from ${modulePath}`);
+    return signer;
+}
+
+/**
+ * Load the configured signer.
+ *
+ * With WALLET_SIGNER=external signing is handed to WALLET_SIGNER_MODULE.
+ * Otherwise the key comes from EVM_PRIVATE_KEY (EVM only) or the wallet
+ * file: an encrypted keystore, an EVM JSON keystore, or (unless
+ * ENCRYPT_WALLET is on) a plaintext key. Encrypted files are unlocked with
+ * WALLET_PASSPHRASE or, when `interactive`, a terminal prompt.
+ * @param {string} keyType - 'evm' or 'solana'
+ * @param {Object} config - Monitor configuration
+ * @param {Object} [options] - { provider, interactive, prompt }
+ * @returns {Promise<Object|null>} ethers Signer (EVM) or KeypairSigner-like (Solana); null if no wallet is configured
+ * @throws {KeystoreError} If the wallet exists but cannot be unlocked
+ */
+async function loadSigner(keyType, config, options = {}) {
+    if (config.walletSigner === 'external') {
+        return loadExternalSigner(keyType, config, options);
+    }
+
+    if (keyType === 'evm' && config.evmPrivateKey) {
+        if (config.encryptWallet) {
+            throw new KeystoreError('EVM_PRIVATE_KEY is a plaintext key but ENCRYPT_WALLET is on; use `node signer.js import` instead');
+        }
+        const { keyType: found, secret } = parsePlainKey(config.evmPrivateKey);
+        if (found !== 'evm') throw new KeystoreError('EVM_PRIVATE_KEY is not an EVM private key');
+        return toSigner('evm', secret);
+    }
+
+    const file = walletPath(keyType, config);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    const wallet = readWallet(fs.readFileSync(file, 'utf8'));
+    if (wallet.keyType !== keyType) {
+        throw new KeystoreError(`${file} holds ${wallet.keyType === 'evm' ? 'an EVM' : 'a Solana'} key, not ${keyType === 'evm' ? 'an EVM' : 'a Solana'} key`);
+    }
+
+    if (wallet.format === 'plain') {
+        if (config.encryptWallet) {
+            throw new KeystoreError(`${file} is not encrypted but ENCRYPT_WALLET is on; run \`node signer.js encrypt\``);
+        }
+        log.warn(`⚠️ ${file} is not encrypted (run \`node signer.js encrypt\`)`);
+    }
+
+    const passphrase = wallet.format === 'plain' ? null : await askPassphrase(file, config, options);
+    return toSigner(keyType, decryptWallet(wallet, passphrase));
+}
+
+/**
+ * Encrypt a secret key and write it (mode 0600)
+ * @param {string} file - Wallet path
+ * @param {string} keyType - 'evm' or 'solana'
+ * @param {Uint8Array} secret - Secret key bytes
+ * @param {string} passphrase - Passphrase
+ * @param {string} [format] - 'keystore' or 'evm-json' (EVM only)
+ * @returns {string} Address
+ */
+function saveWallet(file, keyType, secret, passphrase, format = 'keystore') {
+    if (format === 'evm-json' && keyType !== 'evm') {
+        throw new KeystoreError('The evm-json format only holds EVM keys');
+    }
+
+    const address = addressOf(keyType, secret);
+    const text = format === 'evm-json'
+        ? new ethers.Wallet(ethers.hexlify(secret)).encryptSync(passphrase)
+        : JSON.stringify(encryptKey(secret, passphrase, { keyType, address }), null, 2);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    writeFileAtomic(file, text, 0o600);
+    return address;
+}
+
+module.exports = {
+    KEY_TYPES,
+    FORMATS,
+    DEFAULT_WALLET_PATHS,
+    KeystoreError,
+    KeypairSigner,
+    encryptKey,
+    decryptKey,
+    parsePlainKey,
+    readWallet,
+    loadSigner,
+    saveWallet,
+    walletPath
+};
+
+// CLI usage: manage the wallet for the configured chain
+if (require.main === module) {
+    const { loadConfig, parseFlags } = require('./config');
+    const { getAdapterClass } = require('./adapters');
+
+    const USAGE = `Usage: node signer.js <command> [--chain=base|solana] [--wallet-path=<file>] [--format=keystore|evm-json]
+
+  create    Generate a new key and save it encrypted
+  import    Encrypt an existing key (prompted, or --from=<file>) into the wallet path
+  encrypt   Encrypt a plaintext wallet file in place
+  rotate    Replace the wallet's key with a new one; the old file is kept as <file>.<date>.old
+  address   Print the wallet's address
+
+The passphrase comes from WALLET_PASSPHRASE or a prompt.`;
+
+    /**
+     * Passphrase for a new keystore: WALLET_PASSPHRASE, else prompted twice
+     */
+    async function newPassphrase(config) {
+        const passphrase = config.walletPassphrase || await promptHidden('🔐 New passphrase: ');
+        if (!config.walletPassphrase && await promptHidden('🔐 Repeat passphrase: ') !== passphrase) {
+            throw new KeystoreError('Passphrases do not match');
+        }
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new KeystoreError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        return passphrase;
+    }
+
+    function generateKey(keyType) {
+        return keyType === 'evm'
+            ? Buffer.from(ethers.getBytes(ethers.Wallet.createRandom().privateKey))
+            : Buffer.from(Keypair.generate().secretKey);
+    }
+
+    function refuseOverwrite(file) {
+        if (fs.existsSync(file)) {
+            throw new KeystoreError(`${file} already exists (use rotate to replace its key)`);
+        }
+    }
+
+    async function main() {
+        const args = process.argv.slice(2);
+        const command = args.find(arg => !arg.startsWith('--'));
+        const flags = parseFlags(args);
+        const config = loadConfig({ argv: args, allowUnknownFlags: true });
+        const keyType = getAdapterClass(config.chain).keyType;
+        const file = walletPath(keyType, config);
+        const format = flags.format || 'keystore';
+
+        if (!FORMATS.includes(format)) {
+            throw new KeystoreError(`Unknown format ${format} (expected ${FORMATS.join(' or ')})`);
+        }
+
+        switch (command) {
+            case 'create': {
+                refuseOverwrite(file);
+                const address = saveWallet(file, keyType, generateKey(keyType), await newPassphrase(config), format);
+                console.log(`✅ New ${keyType} wallet ${address} saved to ${file}`);
+                break;
+            }
+
+            case 'import': {
+                refuseOverwrite(file);
+                const text = flags.from ? fs.readFileSync(flags.from, 'utf8') : await promptHidden('🔑 Private key: ');
+                const { keyType: found, secret } = parsePlainKey(text);
+                if (found !== keyType) {
+                    throw new KeystoreError(`That is ${found === 'evm' ? 'an EVM' : 'a Solana'} key; CHAIN=${config.chain} needs ${keyType === 'evm' ? 'an EVM' : 'a Solana'} key`);
+                }
+                const address = saveWallet(file, keyType, secret, await newPassphrase(config), format);
+                console.log(`✅ Imported ${address} into ${file}`);
+                if (flags.from) console.log(`⚠️ ${flags.from} still holds the plaintext key; delete it once you have checked the import`);
+                break;
+            }
+
+            case 'encrypt': {
+                const wallet = readWallet(fs.readFileSync(file, 'utf8'));
+                if (wallet.format !== 'plain') {
+                    console.log(`✅ ${file} is already encrypted (${wallet.format})`);
+                    break;
+                }
+                const address = saveWallet(file, wallet.keyType, wallet.secret, await newPassphrase(config), format);
+                console.log(`✅ ${file} encrypted (${address})`);
+                break;
+            }
+
+            case 'rotate': {
+                const wallet = readWallet(fs.readFileSync(file, 'utf8'));
+                const passphrase = wallet.format === 'plain' ? await newPassphrase(config) : await askPassphrase(file, config, {});
+                decryptWallet(wallet, passphrase); // Only the owner may rotate
+
+                const archive = `${file}.${new Date().toISOString().replace(/[:.]/g, '-')}.old`;
+                fs.copyFileSync(file, archive);
+                fs.chmodSync(archive, 0o600);
+                const address = saveWallet(file, keyType, generateKey(keyType), passphrase,
+                    wallet.format === 'plain' ? format : wallet.format);
+
+                console.log(`✅ New key ${address} saved to ${file}; the old key (${wallet.address}) is in ${archive}`);
+                console.log(`➡️ Move funds from ${wallet.address} to ${address}, then delete the old file`);
+                break;
+            }
+
+            case 'address': {
+                const wallet = readWallet(fs.readFileSync(file, 'utf8'));
+                console.log(wallet.address || `${file} does not record its address`);
+                break;
+            }
+
+            default:
+                console.log(USAGE);
+                process.exit(1);
+        }
+    }
+
+    main().catch(error => {
+        console.error(`❌ ${error.code === 'ENOENT' ? `No wallet file at ${error.path}` : error.message}`);
+        process.exit(1);
+    });
+}
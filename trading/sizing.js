@@ -0,0 +1,79 @@
+/**
+ * Position sizing modes (POSITION_SIZING):
+ * - fixed: POSITION_SIZE per entry
+ * - percent: POSITION_SIZE_PERCENT of equity (wallet quote balance plus the
+ *   value of open positions)
+ * - volatility: POSITION_SIZE scaled by VOLATILITY_TARGET / the token's
+ *   realized hourly volatility, capped at VOLATILITY_MAX_SCALE times
+ *
+ * Modes that lack their input (no equity reading, too little price history)
+ * fall back to POSITION_SIZE.
+ */
+
+const SIZING_MODES = ['fixed', 'percent', 'volatility'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_SAMPLES = 5; // Price samples needed to estimate volatility
+
+/**
+ * Realized volatility of a price history, scaled to one hour
+ * @param {Array} history - [{ time, price }] samples, oldest first
+ * @returns {number|null} Standard deviation of hourly log returns in percent, or null with too few samples
+ */
+function realizedVolatility(history) {
+    const samples = history.filter(sample => sample.price > 0);
+    if (samples.length < MIN_SAMPLES) return null;
+
+    const returns = [];
+    for (let i = 1; i < samples.length; i++) {
+        returns.push(Math.log(samples[i].price / samples[i - 1].price));
+    }
+    const interval = (samples[samples.length - 1].time - samples[0].time) / returns.length;
+    if (!(interval > 0)) return null;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length;
+    return Math.sqrt(variance * HOUR_MS / interval) * 100;
+}
+
+/**
+ * Size an entry according to the configured mode
+ * @param {Object} token - Normalized token
+ * @param {Object} context - Strategy context: { config, history, equity }
+ * @returns {Object} { size, basis } where basis describes how the size was reached
+ */
+function computeSize(token, context) {
+    const { config } = context;
+
+    if (config.positionSizing === 'percent') {
+        if (!(context.equity > 0)) {
+            return { size: config.positionSize, basis: 'fixed, equity unknown' };
+        }
+        return {
+            size: context.equity * config.positionSizePercent / 100,
+            basis: `${config.positionSizePercent}% of $${context.equity.toFixed(2)} equity`
+        };
+    }
+
+    if (config.positionSizing === 'volatility') {
+        const volatility = realizedVolatility(context.history);
+        if (volatility === null) {
+            return { size: config.positionSize, basis: 'fixed, not enough price history' };
+        }
+        const scale = volatility > 0
+            ? Math.min(config.volatilityTarget / volatility, config.volatilityMaxScale)
+            : config.volatilityMaxScale;
+        return {
+            size: config.positionSize * scale,
+            basis: `${volatility.toFixed(2)}% hourly volatility vs ${config.volatilityTarget}% target`
+        };
+    }
+
+    return { size: config.positionSize, basis: 'fixed' };
+}
+
+module.exports = {
+    SIZING_MODES,
+    realizedVolatility,
+    computeSize
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// CSV columns, one row per token per scan
+const CSV_COLUMNS = [
+    'timestamp', 'address', 'symbol', 'name', 'price', 'priceChange24h',
+    'volume24h', 'liquidity', 'marketCap', 'pairAddress'
+];
+const NUMERIC_COLUMNS = new Set(['price', 'priceChange24h', 'volume24h', 'liquidity', 'marketCap']);
+
+/**
+ * Parse a timestamp given as ISO string or epoch milliseconds
+ * @param {string|number} value - Timestamp
+ * @returns {number} Epoch milliseconds
+ */
+function parseTime(value) {
+    const time = typeof value === 'number' ? value : new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid timestamp: ${value}`);
+    }
+    return time;
+}
+
+/**
+ * Read a file as text, gunzipping `.gz` files
+ * @param {string} file - File path
+ * @returns {string} File contents
+ */
+function readText(file) {
+    const buffer = fs.readFileSync(file);
+    return file.endsWith('.gz') ? zlib.gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+}
+
+/**
+ * Parse JSONL snapshots: one `{ timestamp, tokens: [...] }` scan per line.
+ * Token polls written by SnapshotRecorder (`{ type: 'poll', timestamp, address, price, ... }`)
+ * become `{ time, poll }` entries.
+ * @param {string} text - File contents
+ * @returns {Array} Snapshots
+ */
+function parseJsonl(text) {
+    return text
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .filter(record => Array.isArray(record.tokens) || (record.type === 'poll' && record.address))
+        .map(record => {
+            const time = parseTime(record.timestamp);
+            if (record.tokens) {
+                return { time, tokens: record.tokens };
+            }
+            const { type, timestamp, ...poll } = record;
+            return { time, poll };
+        });
+}
+
+/**
+ * Parse CSV snapshots: one token per row, rows sharing a timestamp form one scan
+ * @param {string} text - File contents
+ * @returns {Array} Snapshots
+ */
+function parseCsv(text) {
+    const [header, ...rows] = text.split('\n').filter(line => line.trim());
+    const columns = header.split(',').map(c => c.trim());
+
+    const missing = CSV_COLUMNS.filter(c => c !== 'name' && c !== 'pairAddress' && !columns.includes(c));
+    if (missing.length > 0) {
+        throw new Error(`CSV snapshot is missing columns: ${missing.join(', ')}`);
+    }
+
+    const scans = new Map();
+    for (const row of rows) {
+        const values = row.split(',');
+        const token = {};
+        columns.forEach((column, i) => {
+            const value = (values[i] || '').trim();
+            token[column] = NUMERIC_COLUMNS.has(column) ? parseFloat(value) || 0 : value;
+        });
+
+        const time = parseTime(/^\d+$/.test(token.timestamp) ? Number(token.timestamp) : token.timestamp);
+        delete token.timestamp;
+
+        if (!scans.has(time)) scans.set(time, []);
+        scans.get(time).push(token);
+    }
+
+    return Array.from(scans, ([time, tokens]) => ({ time, tokens }));
+}
+
+/**
+ * Load recorded market snapshots from JSONL (optionally gzipped) or CSV files
+ * @param {string[]} files - Snapshot files
+ * @returns {Array} Snapshots sorted by time: [{ time, tokens }] or [{ time, poll }]
+ */
+function loadSnapshots(files) {
+    const snapshots = [];
+
+    for (const file of files) {
+        const text = readText(file);
+        const parsed = /\.csv(\.gz)?$/.test(file) ? parseCsv(text) : parseJsonl(text);
+        snapshots.push(...parsed);
+    }
+
+    return snapshots.sort((a, b) => a.time - b.time);
+}
+
+module.exports = { loadSnapshots, parseTime, CSV_COLUMNS };
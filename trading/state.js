@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Write a file atomically: write a temp file, fsync it, then rename it over
+ * the target. Readers see either the old or the new content, never a
+ * truncated file.
+ * @param {string} file - Target path
+ * @param {string} data - File content
+ * @param {number} [mode] - Permissions, e.g. 0o600 for secrets (default 0o666 less umask)
+ */
+function writeFileAtomic(file, data, mode = 0o666) {
+    const tmp = `${file}.${process.pid}.tmp`;
+
+    const fd = fs.openSync(tmp, 'w', mode);
+    try {
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+    } catch (error) {
+        fs.rmSync(tmp, { force: true }); // Leave no half-written temp file behind
+        throw error;
+    }
+
+    // Persist the rename itself (not supported on every platform)
+    try {
+        const dir = fs.openSync(path.dirname(file), 'r');
+        fs.fsyncSync(dir);
+        fs.closeSync(dir);
+    } catch (e) {
+        // Best effort
+    }
+}
+
+/**
+ * Write-ahead journal of trade intents.
+ *
+ * Every swap is bracketed by records in an append-only JSONL file:
+ *   ENTRY_SUBMITTED -> ENTRY_CONFIRMED (with the new position) | ENTRY_FAILED
+ *   EXIT_SUBMITTED  -> EXIT_CONFIRMED (with the remaining position) | EXIT_FAILED
+ *
+ * Records are fsynced before the swap is sent, so after a crash replay()
+ * can restore positions that were filled but never saved to positions.json,
+ * and report intents whose outcome is unknown. compact() drops resolved
+ * intents once positions.json has been written.
+ */
+class Journal {
+    /**
+     * @param {string} file - Journal path
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * Start an intent
+     * @param {string} type - ENTRY or EXIT
+     * @param {Object} data - Intent details (address, token, amount, ...)
+     * @returns {string} Intent id
+     */
+    submit(type, data) {
+        const id = crypto.randomUUID();
+        this.append({ id, type: `${type}_SUBMITTED`, ...data });
+        return id;
+    }
+
+    /**
+     * Record a filled intent
+     * @param {string} id - Intent id
+     * @param {string} type - ENTRY or EXIT
+     * @param {Object} data - { address, position } with the position after the fill, or position null if closed
+     */
+    confirm(id, type, data) {
+        this.append({ id, type: `${type}_CONFIRMED`, ...data });
+    }
+
+    /**
+     * Record a failed intent (nothing was traded)
+     */
+    fail(id, type, error) {
+        this.append({ id, type: `${type}_FAILED`, error: error.message });
+    }
+
+    /**
+     * Mark an unresolved intent from an earlier run as handled
+     */
+    abandon(id) {
+        this.append({ id, type: 'ABANDONED' });
+    }
+
+    append(record) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...record }) + '\n';
+
+        const fd = fs.openSync(this.file, 'a');
+        try {
+            fs.writeSync(fd, line);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Read all records; a torn last line from a crash is ignored
+     */
+    read() {
+        if (!fs.existsSync(this.file)) return [];
+
+        return fs.readFileSync(this.file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Group records by intent
+     * @returns {Map} id -> { submitted, resolution }
+     */
+    intents() {
+        const intents = new Map();
+        for (const record of this.read()) {
+            const intent = intents.get(record.id) || { submitted: null, resolution: null };
+            if (record.type.endsWith('_SUBMITTED')) {
+                intent.submitted = record;
+            } else {
+                intent.resolution = record;
+            }
+            intents.set(record.id, intent);
+        }
+        return intents;
+    }
+
+    /**
+     * Submitted intents with no confirmation, failure or abandonment
+     * @returns {Array} SUBMITTED records
+     */
+    pending() {
+        return Array.from(this.intents().values())
+            .filter(intent => intent.submitted && !intent.resolution)
+            .map(intent => intent.submitted);
+    }
+
+    /**
+     * Re-apply confirmed fills on top of positions loaded from positions.json
+     * @param {Map} positions - address -> position, updated in place
+     * @returns {Object} { applied, unresolved } counts of fills re-applied and SUBMITTED records without an outcome
+     */
+    replay(positions) {
+        let applied = 0;
+        for (const record of this.read()) {
+            if (record.type !== 'ENTRY_CONFIRMED' && record.type !== 'EXIT_CONFIRMED') continue;
+
+            if (record.position) {
+                positions.set(record.address, record.position);
+            } else {
+                positions.delete(record.address);
+            }
+            applied++;
+        }
+        return { applied, unresolved: this.pending() };
+    }
+
+    /**
+     * Drop resolved intents. Call after positions.json reflects every confirmed fill.
+     */
+    compact() {
+        const pending = new Set(this.pending().map(record => record.id));
+        const keep = this.read().filter(record => pending.has(record.id));
+
+        if (keep.length === 0 && !fs.existsSync(this.file)) return;
+        writeFileAtomic(this.file, keep.map(record => JSON.stringify(record) + '\n').join(''));
+    }
+}
+
+module.exports = { writeFileAtomic, Journal };
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const http = require('http');
+const { redactConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('status');
+
+const MAX_BODY = 64 * 1024;
+
+const DASHBOARD_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Claw16z Trading Monitor</title>
+<style>
+  body { font-family: -apple-system, sans-serif; margin: 2em; background: #111; color: #ddd; }
+  h1 { font-size: 1.4em; } h2 { font-size: 1.1em; margin-top: 1.5em; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #333; }
+  .pos { color: #4caf50; } .neg { color: #f44336; } .muted { color: #888; }
+</style>
+</head>
+<body>
+<h1>🚀 Claw16z Trading Monitor</h1>
+<div id="health" class="muted">Loading...</div>
+<h2>P&amp;L</h2><div id="pnl"></div>
+<h2>Open positions</h2><table id="positions"></table>
+<h2>Recent trades</h2><table id="trades"></table>
+<script>
+// Values from the API (token symbols, exit reasons, error messages) are escaped before they reach innerHTML
+const esc = v => String(v ?? '').replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+const usd = v => '<span class="' + (v < 0 ? 'neg' : 'pos') + '">' + (v < 0 ? '-' : '+') + '$' + Math.abs(v).toFixed(2) + '</span>';
+const row = (cells, tag) => '<tr>' + cells.map(c => '<' + (tag || 'td') + '>' + c + '</' + (tag || 'td') + '>').join('') + '</tr>';
+
+async function refresh() {
+    try {
+        const [health, pnl, positions, trades] = await Promise.all(
+            ['health', 'pnl', 'positions', 'trades?limit=20'].map(p => fetch('/' + p).then(r => r.json())));
+
+        document.getElementById('health').innerHTML =
+            (health.halted ? '⛔ Halted: ' + esc(health.haltReason) : health.paused ? '⏸️ Paused' : health.status === 'ok' ? '✅ Running' : '⚠️ ' + esc(health.status)) +
+            ' · last scan ' + esc(health.lastScanAt || 'never') + ' · ' + esc(health.scanCount) + ' scans · ' + esc(health.errorCount) + ' errors' +
+            (health.lastError ? ' · last error: ' + esc(health.lastError.message) : '');
+
+        document.getElementById('pnl').innerHTML =
+            'Daily ' + usd(pnl.dailyPnl) + ' · Realized today ' + usd(pnl.realizedToday) +
+            ' · Unrealized ' + usd(pnl.unrealizedPnl) + ' · Exposure $' + pnl.exposure.toFixed(2) +
+            ' · Realized all time ' + usd(pnl.realizedTotal);
+
+        document.getElementById('positions').innerHTML =
+            row(['Token', 'Strategy', 'Entry', 'Last', 'Amount', 'Cost', 'Unrealized', 'Stop'], 'th') +
+            positions.map(p => row([esc(p.token), esc(p.strategy), p.entryPrice.toPrecision(4), (p.lastPrice ?? p.entryPrice).toPrecision(4),
+                p.amount.toFixed(2), '$' + p.costBasis.toFixed(2), usd(p.unrealizedPnl), p.stopLoss.toPrecision(4)])).join('');
+
+        document.getElementById('trades').innerHTML =
+            row(['Time', 'Type', 'Token', 'Reason', 'P&amp;L'], 'th') +
+            trades.trades.map(t => row([esc(t.timestamp), esc(t.type + (t.dryRun ? ' (paper)' : '')), esc(t.token), esc(t.reason), t.pnl === undefined ? '' : usd(t.pnl)])).join('');
+    } catch (error) {
+        document.getElementById('health').textContent = '❌ Monitor unreachable: ' + error.message;
+    }
+}
+
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Whether a trades.log record is a paper fill; exits written before records
+ * carried `dryRun` are recognised by their signature
+ * @param {Object} trade - Trade record
+ * @returns {boolean} True for dry-run trades
+ */
+function isPaper(trade) {
+    return trade.dryRun === true || trade.signature === 'DRY_RUN';
+}
+
+/**
+ * HTTP status API and dashboard for a running TradingMonitor.
+ *
+ * GET /            HTML dashboard (auto-refreshes every 5s)
+ * GET /health      Loop health: last scan time, scan count, recent errors, halt state
+ * GET /positions   Open positions with unrealized P&L
+ * GET /trades      trades.log, newest first (?page=1&limit=50)
+ * GET /pnl         Daily, unrealized and all-time realized P&L (live or paper, as configured)
+ * GET /config      Effective configuration with secrets redacted
+ *
+ * With a ControlApi, authenticated `POST /control/<command>` requests are
+ * passed to it as well (see control.js). Everything else is read-only.
+ */
+class StatusServer {
+    /**
+     * @param {TradingMonitor} monitor - Monitor to report on
+     * @param {Object} options - { port, host, control }
+     */
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.control = options.control || null;
+        this.port = options.port;
+        this.host = options.host || '127.0.0.1';
+        this.server = null;
+        this.tradesCache = new Map(); // inode -> { offset, size, mtimeMs, trades }
+
+        this.routes = {
+            '/': () => ({ html: DASHBOARD_HTML }),
+            '/health': () => this.getHealth(),
+            '/positions': () => this.getPositions(),
+            '/trades': query => this.getTrades(query),
+            '/pnl': () => this.getPnl(),
+            '/config': () => redactConfig(this.monitor.config)
+        };
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>}
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                log.info(`🌐 Status API listening on http://${this.host}:${this.server.address().port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections(); // Dashboard keep-alive connections
+        });
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (this.control && url.pathname.startsWith('/control/')) {
+            return this.handleControl(req, res, url.pathname.slice('/control/'.length));
+        }
+
+        const route = this.routes[url.pathname];
+
+        if (!route) {
+            return this.send(res, 404, { error: `Not found: ${url.pathname}` });
+        }
+        if (req.method !== 'GET') {
+            return this.send(res, 405, { error: 'Method not allowed' });
+        }
+
+        try {
+            const body = route(url.searchParams);
+            if (body.html) {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(body.html);
+            }
+            this.send(res, 200, body);
+        } catch (error) {
+            this.send(res, 500, { error: error.message });
+        }
+    }
+
+    /**
+     * Authenticate, parse the JSON body and run a control command
+     */
+    handleControl(req, res, command) {
+        if (req.method !== 'POST') {
+            return this.send(res, 405, { error: 'Method not allowed' });
+        }
+
+        const source = req.socket.remoteAddress;
+        if (!this.control.authorize(req.headers.authorization)) {
+            this.control.audit({ command, source, ok: false, error: 'Unauthorized' });
+            return this.send(res, 401, { error: 'Unauthorized' });
+        }
+
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+            if (raw.length > MAX_BODY) req.destroy();
+        });
+        req.on('end', async () => {
+            let args;
+            try {
+                args = raw ? JSON.parse(raw) : {};
+            } catch (error) {
+                return this.send(res, 400, { error: `Invalid JSON body: ${error.message}` });
+            }
+
+            try {
+                this.send(res, 200, await this.control.execute(command, args, source));
+            } catch (error) {
+                this.send(res, 400, { error: error.message });
+            }
+        });
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    getHealth() {
+        const { health, risk, config } = this.monitor;
+        const lastScan = health.lastScanAt ? new Date(health.lastScanAt).getTime() : null;
+
+        // Stale if no scan finished within three scan intervals
+        const stale = this.monitor.isScanning && lastScan !== null &&
+            this.monitor.clock.now() - lastScan > config.scanInterval * 3;
+
+        return {
+            status: risk.isHalted() ? 'halted' : stale ? 'stale' : 'ok',
+            startedAt: health.startedAt,
+            scanning: this.monitor.isScanning,
+            lastScanAt: health.lastScanAt,
+            lastScanDurationMs: health.lastScanDurationMs,
+            scanCount: health.scanCount,
+            errorCount: health.errorCount,
+            lastError: health.errors[health.errors.length - 1] || null,
+            recentErrors: health.errors,
+            halted: risk.isHalted(),
+            haltReason: risk.state.haltReason,
+            paused: this.monitor.paused,
+            openPositions: this.monitor.positions.size
+        };
+    }
+
+    getPositions() {
+        return Array.from(this.monitor.positions.entries()).map(([address, position]) => {
+            const price = position.lastPrice ?? position.entryPrice;
+            return {
+                address,
+                ...position,
+                currentValue: position.amount * price,
+                unrealizedPnl: position.amount * price - position.costBasis
+            };
+        });
+    }
+
+    /**
+     * Read trades.log and its rotated backups, newest first. Parsed trades
+     * are cached per inode so rotation (a rename) costs nothing and only
+     * lines appended since the last request are read
+     */
+    readTrades() {
+        const files = this.monitor.tradesLog.files();
+        const seen = new Set();
+        const trades = files.flatMap(file => {
+            const stat = fs.statSync(file);
+            seen.add(stat.ino);
+            return this.readTradesFile(file, stat);
+        });
+        for (const ino of this.tradesCache.keys()) {
+            if (!seen.has(ino)) this.tradesCache.delete(ino);
+        }
+        return trades.reverse();
+    }
+
+    /**
+     * Parse the complete lines appended to a trades file since it was last read
+     * @param {string} file - Path to read
+     * @param {fs.Stats} stat - Its current stat
+     * @returns {Array} Every trade in the file, oldest first
+     */
+    readTradesFile(file, stat) {
+        let cached = this.tradesCache.get(stat.ino);
+        if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) return cached.trades;
+        if (!cached || stat.size < cached.offset) {
+            cached = { offset: 0, size: 0, mtimeMs: 0, trades: [] }; // New or truncated file
+            this.tradesCache.set(stat.ino, cached);
+        }
+
+        const buffer = Buffer.alloc(stat.size - cached.offset);
+        const fd = fs.openSync(file, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, cached.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // A line still being written is left for the next read
+        const complete = buffer.lastIndexOf(10) + 1;
+        for (const line of buffer.toString('utf8', 0, complete).split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                cached.trades.push(JSON.parse(line));
+            } catch (e) {
+                // Skip corrupt lines
+            }
+        }
+        cached.offset += complete;
+        cached.size = stat.size;
+        cached.mtimeMs = stat.mtimeMs;
+        return cached.trades;
+    }
+
+    getTrades(query) {
+        const page = Math.max(1, parseInt(query.get('page')) || 1);
+        const limit = Math.min(500, Math.max(1, parseInt(query.get('limit')) || 50));
+        const trades = this.readTrades();
+
+        return {
+            page,
+            limit,
+            total: trades.length,
+            pages: Math.ceil(trades.length / limit),
+            trades: trades.slice((page - 1) * limit, page * limit)
+        };
+    }
+
+    getPnl() {
+        const { risk, positions } = this.monitor;
+
+        let exposure = 0;
+        let unrealizedPnl = 0;
+        for (const position of positions.values()) {
+            exposure += position.costBasis;
+            unrealizedPnl += position.amount * (position.lastPrice ?? position.entryPrice) - position.costBasis;
+        }
+
+        // Paper and live exits share trades.log; only count the ones from the mode we run in
+        const dryRun = Boolean(this.monitor.config.dryRun);
+        const exits = this.readTrades().filter(trade =>
+            (trade.type === 'EXIT' || trade.type === 'PARTIAL_EXIT') && isPaper(trade) === dryRun);
+
+        return {
+            day: risk.state.day,
+            dailyPnl: risk.dailyPnl(),
+            realizedToday: risk.state.realizedPnl,
+            unrealizedPnl,
+            exposure,
+            realizedTotal: exits.reduce((sum, trade) => sum + (trade.pnl || 0), 0),
+            closedTrades: exits.filter(trade => trade.type === 'EXIT').length,
+            wallet: this.monitor.balances?.latest ?? null,
+            halted: risk.isHalted(),
+            haltReason: risk.state.haltReason
+        };
+    }
+}
+
+module.exports = StatusServer;
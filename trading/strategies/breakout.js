@@ -0,0 +1,55 @@
+const Strategy = require('./strategy');
+
+/**
+ * Buy when price clears the highest price of the last `lookback` samples by
+ * `threshold` percent.
+ *
+ * Exits when the breakout fails (price falls back under the prior high), on
+ * the entry stop, at `takeProfit` percent or after `maxHoldHours` without
+ * reaching `minHoldPnl`.
+ */
+class BreakoutStrategy extends Strategy {
+    static strategyName = 'breakout';
+    static defaults = {
+        lookback: 20, // Samples
+        minSamples: 10,
+        threshold: 2, // Percentage above the prior high
+        takeProfit: 30,
+        maxHoldHours: 2,
+        minHoldPnl: 5
+    };
+
+    /**
+     * Highest price over the lookback window, excluding the latest sample
+     * @returns {number|null} Prior high, or null without enough history
+     */
+    priorHigh(history) {
+        const prior = history.slice(-this.options.lookback - 1, -1);
+        if (prior.length < this.options.minSamples) return null;
+
+        return Math.max(...prior.map(sample => sample.price));
+    }
+
+    scoreEntry(token, context) {
+        const high = this.priorHigh(context.history);
+        if (!high) return 0;
+
+        const breakout = (token.price / high - 1) * 100;
+        return breakout >= this.options.threshold ? breakout : 0;
+    }
+
+    shouldExit(position, market, context) {
+        const { threshold, takeProfit, maxHoldHours, minHoldPnl } = this.options;
+        const breakoutLevel = position.entryPrice / (1 + threshold / 100);
+
+        if (market.price < breakoutLevel) {
+            return { reason: `Breakout failed (below ${breakoutLevel.toFixed(6)})` };
+        }
+
+        return this.checkTakeProfit(position, market, takeProfit) ||
+            this.checkTimeExit(position, market, context, maxHoldHours, minHoldPnl) ||
+            this.checkStopLoss(position, market);
+    }
+}
+
+module.exports = BreakoutStrategy;
@@ -0,0 +1,28 @@
+const MomentumStrategy = require('./momentum');
+const BreakoutStrategy = require('./breakout');
+const MeanReversionStrategy = require('./mean-reversion');
+
+// Strategy name (STRATEGIES env / trading.strategies) -> class
+const STRATEGIES = {
+    [MomentumStrategy.strategyName]: MomentumStrategy,
+    [BreakoutStrategy.strategyName]: BreakoutStrategy,
+    [MeanReversionStrategy.strategyName]: MeanReversionStrategy
+};
+
+/**
+ * Instantiate strategies by name
+ * @param {string[]} names - Strategy names, e.g. ['momentum', 'breakout']
+ * @param {Object} config - Monitor configuration; `strategyOptions[name]` overrides defaults
+ * @returns {Strategy[]} Strategy instances in the given order
+ */
+function loadStrategies(names, config) {
+    return names.map(name => {
+        const Strategy = STRATEGIES[name];
+        if (!Strategy) {
+            throw new Error(`Unknown strategy: ${name} (expected one of ${Object.keys(STRATEGIES).join(', ')})`);
+        }
+        return new Strategy(config, (config.strategyOptions || {})[name]);
+    });
+}
+
+module.exports = { STRATEGIES, loadStrategies };
@@ -0,0 +1,56 @@
+const Strategy = require('./strategy');
+
+/**
+ * Buy when price sits `entryZScore` standard deviations below its recent mean.
+ *
+ * Exits once price reverts to within `exitZScore` of the mean, on the entry
+ * stop, at `takeProfit` percent or after `maxHoldHours`.
+ */
+class MeanReversionStrategy extends Strategy {
+    static strategyName = 'mean-reversion';
+    static defaults = {
+        lookback: 30, // Samples
+        minSamples: 10,
+        entryZScore: 2,
+        exitZScore: 0,
+        takeProfit: 15,
+        maxHoldHours: 6
+    };
+
+    /**
+     * Z-score of the latest price against the lookback window
+     * @returns {number|null} Z-score, or null without enough history
+     */
+    zScore(price, history) {
+        const samples = history.slice(-this.options.lookback);
+        if (samples.length < this.options.minSamples) return null;
+
+        const prices = samples.map(sample => sample.price);
+        const mean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+        const std = Math.sqrt(prices.reduce((sum, p) => sum + (p - mean) ** 2, 0) / prices.length);
+
+        return std > 0 ? (price - mean) / std : 0;
+    }
+
+    scoreEntry(token, context) {
+        const z = this.zScore(token.price, context.history);
+        if (z === null) return 0;
+
+        return z <= -this.options.entryZScore ? -z : 0;
+    }
+
+    shouldExit(position, market, context) {
+        const { exitZScore, takeProfit, maxHoldHours } = this.options;
+
+        const z = this.zScore(market.price, context.history);
+        if (z !== null && z >= exitZScore) {
+            return { reason: `Reverted to mean (z=${z.toFixed(2)})` };
+        }
+
+        return this.checkTakeProfit(position, market, takeProfit) ||
+            this.checkTimeExit(position, market, context, maxHoldHours, Infinity) ||
+            this.checkStopLoss(position, market);
+    }
+}
+
+module.exports = MeanReversionStrategy;
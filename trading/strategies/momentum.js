@@ -0,0 +1,33 @@
+const Strategy = require('./strategy');
+
+/**
+ * Default strategy: buy tokens with a strong positive 24h move.
+ *
+ * Exits on the entry stop, after `maxHoldHours` if P&L is still below
+ * `minHoldPnl`, or at `takeProfit` percent.
+ */
+class MomentumStrategy extends Strategy {
+    static strategyName = 'momentum';
+    static defaults = {
+        takeProfit: 50, // Percentage
+        maxHoldHours: 4,
+        minHoldPnl: 20 // Percentage needed to keep holding past maxHoldHours
+    };
+
+    scoreEntry(token, context) {
+        // Positive momentum only (the monitor already enforces MIN_PRICE_CHANGE)
+        if (token.priceChange24h <= 0) return 0;
+
+        return token.priceChange24h;
+    }
+
+    shouldExit(position, market, context) {
+        const { takeProfit, maxHoldHours, minHoldPnl } = this.options;
+
+        return this.checkTakeProfit(position, market, takeProfit) ||
+            this.checkTimeExit(position, market, context, maxHoldHours, minHoldPnl) ||
+            this.checkStopLoss(position, market);
+    }
+}
+
+module.exports = MomentumStrategy;
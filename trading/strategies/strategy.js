@@ -0,0 +1,121 @@
+const { computeSize } = require('../sizing');
+const { parseRules, checkRuleTimeframes } = require('../rules');
+
+/**
+ * Base class for trading strategies.
+ *
+ * The monitor applies its generic filters (volume, liquidity, market cap,
+ * blacklist, open positions) and then asks each configured strategy:
+ * - scoreEntry(token, context): > 0 to enter, higher scores are traded first
+ * - shouldExit(position, market, context): { reason } to close, or null to hold
+ * - sizePosition(token, context): USDC to spend on an entry (POSITION_SIZING
+ *   by default, see sizing.js; the monitor passes that size as `context.sizing`)
+ *
+ * `context` carries { config, now, history, candles }, where `history` is
+ * the token's recent [{ time, price, volume24h }] samples, oldest first, and
+ * `candles(timeframe)` its OHLCV candles (see candles.js; the first
+ * CANDLE_TIMEFRAMES entry if omitted). Entry sizing also gets `equity`, the
+ * wallet's quote balance plus open positions' value (null if unknown).
+ *
+ * ENTRY_RULES / EXIT_RULES (or `entryRules` / `exitRules` in the strategy's
+ * options) add indicator conditions on top of the strategy's own logic, see
+ * checkEntryRules() and checkExitRules().
+ */
+class Strategy {
+    static strategyName = 'base';
+    static defaults = {};
+
+    /**
+     * @param {Object} config - Monitor configuration
+     * @param {Object} options - Strategy-specific overrides of `defaults`
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.options = { ...this.constructor.defaults, ...options };
+        this.entryRules = parseRules(this.options.entryRules ?? config.entryRules);
+        this.exitRules = parseRules(this.options.exitRules ?? config.exitRules);
+
+        const problems = checkRuleTimeframes([...this.entryRules, ...this.exitRules], config.candleTimeframes || []);
+        if (problems.length > 0) {
+            throw new Error(`Strategy ${this.name}: ${problems.join('; ')}`);
+        }
+    }
+
+    get name() {
+        return this.constructor.strategyName;
+    }
+
+    scoreEntry(token, context) {
+        return 0;
+    }
+
+    shouldExit(position, market, context) {
+        return null;
+    }
+
+    sizePosition(token, context) {
+        return (context.sizing ?? computeSize(token, context)).size;
+    }
+
+    /**
+     * Entry rules gate scoreEntry(): every rule must hold. A rule whose
+     * indicator lacks enough candles yet does not hold.
+     * @returns {boolean} True if the token may be entered
+     */
+    checkEntryRules(token, context) {
+        return this.entryRules.every(rule => rule.evaluate(token, context).passed === true);
+    }
+
+    /**
+     * Exit when any exit rule holds
+     * @returns {Object|null} { reason } naming the rule and its values, or null
+     */
+    checkExitRules(market, context) {
+        for (const rule of this.exitRules) {
+            const { passed, left, right } = rule.evaluate(market, context);
+            if (passed) {
+                return { reason: `Exit rule ${rule.text} (${formatValue(left)} ${rule.operator} ${formatValue(right)})` };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Exit if the price is at or below the stop (set at entry, raised by the trailing stop)
+     */
+    checkStopLoss(position, market) {
+        if (market.price <= position.stopLoss) {
+            const kind = position.trailingStopActive ? 'Trailing stop' : 'Stop loss';
+            return { reason: `${kind} triggered (${position.stopLoss.toFixed(6)})` };
+        }
+        return null;
+    }
+
+    /**
+     * Exit once P&L exceeds `takeProfit` percent
+     */
+    checkTakeProfit(position, market, takeProfit) {
+        if (market.pnl > takeProfit) {
+            return { reason: `Profit taking (+${market.pnl.toFixed(1)}%)` };
+        }
+        return null;
+    }
+
+    /**
+     * Exit if the position is older than `maxHoldHours` without reaching `minPnl`
+     */
+    checkTimeExit(position, market, context, maxHoldHours, minPnl) {
+        const positionAge = context.now - new Date(position.entryTime).getTime();
+
+        if (positionAge > maxHoldHours * 60 * 60 * 1000 && market.pnl < minPnl) {
+            return { reason: `Time exit (${maxHoldHours}h, ${market.pnl > 0 ? '+' : ''}${market.pnl.toFixed(1)}%)` };
+        }
+        return null;
+    }
+}
+
+function formatValue(value) {
+    return String(Number(value.toPrecision(4)));
+}
+
+module.exports = Strategy;
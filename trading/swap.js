@@ -1,31 +1,49 @@
-const { Connection, Keypair, VersionedTransaction } = require('@solana/web3.js');
+const { Connection, VersionedTransaction } = require('@solana/web3.js');
 const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
+const { TokenMetadataService, solanaMetadataFetcher } = require('./token-metadata');
+const { toBaseUnits, fromBaseUnits, toNumber } = require('./amounts');
+const { SolanaTxManager } = require('./tx-manager');
+const { loadSigner } = require('./signer');
+const { createLogger, RotatingFile } = require('./logger');
+const { TokenRegistry } = require('./token-registry');
+
+const log = createLogger('swap');
 
 class JupiterSwap {
-    constructor(rpcUrl = 'https://api.mainnet-beta.solana.com', maxSlippage = 1) {
+    /**
+     * @param {string} rpcUrl - Solana RPC endpoint
+     * @param {number} maxSlippage - Maximum slippage percentage
+     * @param {Object} options - { signer } { publicKey, signTransaction } (see signer.js),
+     *   { metadata } TokenMetadataService to share with the adapter, { tokens } TokenRegistry for symbols,
+     *   { tx } SolanaTxManager options,
+     *   { tradesLog } RotatingFile for trade records (default: unrotated trades.log next to this file)
+     */
+    constructor(rpcUrl = 'https://api.mainnet-beta.solana.com', maxSlippage = 1, options = {}) {
         this.connection = new Connection(rpcUrl, 'confirmed');
         this.maxSlippage = maxSlippage;
         this.baseUrl = 'https://quote-api.jup.ag/v6';
+        // Jupiter quotes carry no decimals, so they are read from the mints
+        this.metadata = options.metadata || new TokenMetadataService('solana', solanaMetadataFetcher(this.connection));
+        this.tokens = options.tokens || new TokenRegistry('solana');
         
-        // Load wallet
-        const walletPath = path.join(process.env.HOME, '.openclaw/workspace/solana-wallet.json');
-        if (!fs.existsSync(walletPath)) {
-            throw new Error(`Wallet file not found: ${walletPath}`);
+        // Quotes and dry runs work without a signer; live swaps do not
+        this.wallet = options.signer || null;
+        if (this.wallet) {
+            log.info(`🔑 Wallet loaded: ${this.wallet.publicKey.toString()}`);
+        } else {
+            log.warn('⚠️ No Solana wallet configured, live swaps are disabled');
         }
-        
-        const secretKey = new Uint8Array(JSON.parse(fs.readFileSync(walletPath, 'utf8')));
-        this.wallet = Keypair.fromSecretKey(secretKey);
-        
-        console.log(`🔑 Wallet loaded: ${this.wallet.publicKey.toString()}`);
+
+        this.txManager = this.wallet ? new SolanaTxManager(this.connection, this.wallet, options.tx) : null;
+        this.tradesLog = options.tradesLog || new RotatingFile(path.join(__dirname, 'trades.log'));
     }
 
     /**
      * Get a swap quote from Jupiter
      * @param {string} inputMint - Input token mint address
      * @param {string} outputMint - Output token mint address
-     * @param {number} amount - Amount to swap (in token's native units)
+     * @param {number|bigint|string} amount - Amount to swap (in token's base units)
      * @returns {Promise<Object>} Quote object
      */
     async getQuote(inputMint, outputMint, amount) {
@@ -47,7 +65,7 @@ class JupiterSwap {
 
             return response.data;
         } catch (error) {
-            console.error('❌ Error getting quote:', error.message);
+            log.error(`❌ Error getting quote: ${error.message}`, { error });
             throw error;
         }
     }
@@ -57,58 +75,54 @@ class JupiterSwap {
      * @param {Object} quote - Quote object from getQuote()
      * @param {boolean} dryRun - If true, don't actually execute the trade
      * @returns {Promise<string>} Transaction signature
+     * @throws {TxError} If the transaction fails, classified (see tx-manager.js)
      */
     async executeSwap(quote, dryRun = false) {
         try {
             if (dryRun) {
-                console.log('🧪 DRY RUN: Would execute swap:', {
+                log.info(`🧪 DRY RUN: Would execute swap: ${quote.inAmount} ${quote.inputMint} → ${quote.outAmount} ${quote.outputMint}`, {
                     input: quote.inputMint,
                     output: quote.outputMint,
                     inAmount: quote.inAmount,
                     outAmount: quote.outAmount,
-                    slippage: this.maxSlippage + '%'
+                    slippage: this.maxSlippage
                 });
                 return 'DRY_RUN_TX_' + Date.now();
             }
 
-            // Get swap transaction
-            const swapResponse = await axios.post(`${this.baseUrl}/swap`, {
-                quoteResponse: quote,
-                userPublicKey: this.wallet.publicKey.toString(),
-                wrapAndUnwrapSol: true,
-                dynamicComputeUnitLimit: true,
-                prioritizationFeeLamports: 'auto'
-            });
-
-            if (!swapResponse.data?.swapTransaction) {
-                throw new Error('No swap transaction received from Jupiter');
+            if (!this.wallet) {
+                throw new Error('No Solana wallet configured (see `node signer.js create`)');
             }
 
-            // Deserialize and sign transaction
-            const swapTransactionBuf = Buffer.from(swapResponse.data.swapTransaction, 'base64');
-            const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
-            transaction.sign([this.wallet]);
-
-            // Send transaction
-            const signature = await this.connection.sendTransaction(transaction, {
-                skipPreflight: false,
-                maxRetries: 3
-            });
+            // Get a swap transaction for each attempt; retries after an
+            // expired blockhash pay a higher priority fee
+            const build = async attempt => {
+                const multiplier = this.txManager.feeMultiplier(attempt);
+                const swapResponse = await axios.post(`${this.baseUrl}/swap`, {
+                    quoteResponse: quote,
+                    userPublicKey: this.wallet.publicKey.toString(),
+                    wrapAndUnwrapSol: true,
+                    dynamicComputeUnitLimit: true,
+                    prioritizationFeeLamports: attempt === 0 ? 'auto' : { autoMultiplier: Number(multiplier.toFixed(2)) }
+                });
 
-            console.log('📤 Transaction sent:', signature);
+                if (!swapResponse.data?.swapTransaction) {
+                    throw new Error('No swap transaction received from Jupiter');
+                }
 
-            // Wait for confirmation
-            const confirmation = await this.connection.confirmTransaction(signature, 'confirmed');
-            
-            if (confirmation.value.err) {
-                throw new Error(`Transaction failed: ${confirmation.value.err}`);
-            }
+                const swapTransactionBuf = Buffer.from(swapResponse.data.swapTransaction, 'base64');
+                return {
+                    transaction: VersionedTransaction.deserialize(swapTransactionBuf),
+                    lastValidBlockHeight: swapResponse.data.lastValidBlockHeight
+                };
+            };
 
-            console.log('✅ Transaction confirmed:', signature);
+            // Signs, sends, rebroadcasts and confirms
+            const { signature } = await this.txManager.send(build, { label: 'Swap' });
             return signature;
 
         } catch (error) {
-            console.error('❌ Error executing swap:', error.message);
+            log.error(`❌ Error executing swap: ${error.message}`, { error });
             throw error;
         }
     }
@@ -117,15 +131,19 @@ class JupiterSwap {
      * Perform a complete swap operation (quote + execute)
      * @param {string} inputToken - Input token symbol or mint
      * @param {string} outputToken - Output token symbol or mint  
-     * @param {number} amount - Amount to swap
+     * @param {number|bigint|string} amount - Amount to swap (in the input token's base units)
      * @param {boolean} dryRun - Paper trading mode
+     * @param {Object} [options] - { guard }: called with { inputAmount, outputAmount, priceImpact }
+     *   between quote and execution; throwing aborts the swap (see quote-guard.js).
+     *   { log }: the caller's logger, so the swap's lines carry its trade id
      * @returns {Promise<Object>} Swap result
      */
-    async swap(inputToken, outputToken, amount, dryRun = false) {
+    async swap(inputToken, outputToken, amount, dryRun = false, options = {}) {
         const startTime = Date.now();
+        const swapLog = options.log ? options.log.child({ component: 'swap' }) : log;
         
         try {
-            console.log(`🔄 Initiating swap: ${amount} ${inputToken} → ${outputToken}`);
+            swapLog.info(`🔄 Initiating swap: ${amount} ${inputToken} → ${outputToken}`);
 
             // Convert token symbols to mint addresses if needed
             const inputMint = await this.getMintAddress(inputToken);
@@ -133,13 +151,21 @@ class JupiterSwap {
 
             // Get quote
             const quote = await this.getQuote(inputMint, outputMint, amount);
+            const [inputDecimals, outputDecimals] = await Promise.all([
+                this.metadata.getDecimals(inputMint),
+                this.metadata.getDecimals(outputMint)
+            ]);
             
-            const inputAmount = parseFloat(quote.inAmount) / Math.pow(10, quote.inputDecimals || 6);
-            const outputAmount = parseFloat(quote.outAmount) / Math.pow(10, quote.outputDecimals || 6);
+            const inputAmount = toNumber(quote.inAmount, inputDecimals);
+            const outputAmount = toNumber(quote.outAmount, outputDecimals);
             const priceImpact = parseFloat(quote.priceImpactPct || 0);
 
-            console.log(`📊 Quote: ${inputAmount} ${inputToken} → ${outputAmount.toFixed(6)} ${outputToken}`);
-            console.log(`📈 Price Impact: ${priceImpact.toFixed(2)}%`);
+            swapLog.info(`📊 Quote: ${inputAmount} ${inputToken} → ${outputAmount.toFixed(6)} ${outputToken}`);
+            swapLog.info(`📈 Price Impact: ${priceImpact.toFixed(2)}%`);
+
+            if (options.guard) {
+                await options.guard({ inputAmount, outputAmount, priceImpact });
+            }
 
             // Execute swap
             const signature = await this.executeSwap(quote, dryRun);
@@ -152,6 +178,10 @@ class JupiterSwap {
                 outputToken,
                 inputAmount,
                 outputAmount,
+                inputAmountRaw: quote.inAmount,
+                outputAmountRaw: quote.outAmount,
+                inputDecimals,
+                outputDecimals,
                 priceImpact,
                 executionTime,
                 timestamp: new Date().toISOString(),
@@ -159,12 +189,12 @@ class JupiterSwap {
             };
 
             // Log trade
-            this.logTrade(result);
+            this.logTrade(result, swapLog);
 
             return result;
 
         } catch (error) {
-            console.error(`❌ Swap failed: ${error.message}`);
+            swapLog.error(`❌ Swap failed: ${error.message}`, { error });
             throw error;
         }
     }
@@ -173,53 +203,34 @@ class JupiterSwap {
      * Get mint address for a token symbol
      * @param {string} token - Token symbol or mint address
      * @returns {Promise<string>} Mint address
+     * @throws {TokenRegistryError} For an invalid mint or an unknown or ambiguous symbol
      */
     async getMintAddress(token) {
-        // If it's already a mint address, return as-is
-        if (token.length === 44 && /^[A-Za-z0-9]+$/.test(token)) {
-            return token;
-        }
-
-        // Common token mint addresses
-        const tokenMints = {
-            'SOL': 'So11111111111111111111111111111111111111112', // Wrapped SOL
-            'USDC': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-            'USDT': 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-            'RAY': '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R',
-            'SRM': 'SRMuApVNdxXokk5GT7XD5cUUgXMBCoAz2LHeuAoKWRt'
-        };
-
-        const mint = tokenMints[token.toUpperCase()];
-        if (!mint) {
-            throw new Error(`Unknown token symbol: ${token}`);
-        }
-
-        return mint;
+        return this.tokens.resolve(token);
     }
 
     /**
      * Log trade to file and console
      * @param {Object} trade - Trade result object
+     * @param {Logger} [tradeLog] - Logger for the trade; its trade id goes into the record
      */
-    logTrade(trade) {
+    logTrade(trade, tradeLog = log) {
         const logEntry = {
             timestamp: trade.timestamp,
             type: 'SWAP',
-            input: `${trade.inputAmount} ${trade.inputToken}`,
-            output: `${trade.outputAmount.toFixed(6)} ${trade.outputToken}`,
+            tradeId: tradeLog.fields.tradeId,
+            input: `${fromBaseUnits(trade.inputAmountRaw, trade.inputDecimals)} ${trade.inputToken}`,
+            output: `${fromBaseUnits(trade.outputAmountRaw, trade.outputDecimals)} ${trade.outputToken}`,
             priceImpact: `${trade.priceImpact.toFixed(2)}%`,
             executionTime: `${trade.executionTime}ms`,
             signature: trade.signature,
             dryRun: trade.dryRun
         };
 
-        console.log('💰', JSON.stringify(logEntry, null, 2));
+        tradeLog.info(`💰 Swapped ${logEntry.input} → ${logEntry.output}`, { trade: logEntry });
 
         // Append to trades log file
-        const logFile = path.join(__dirname, 'trades.log');
-        const logLine = JSON.stringify(logEntry) + '\n';
-        
-        fs.appendFileSync(logFile, logLine);
+        this.tradesLog.write(JSON.stringify(logEntry));
     }
 }
 
@@ -227,11 +238,14 @@ module.exports = JupiterSwap;
 
 // CLI usage example
 if (require.main === module) {
+    const { loadConfig } = require('./config');
+
     async function main() {
         const args = process.argv.slice(2);
         
         if (args.length < 3) {
             console.log('Usage: node swap.js <inputToken> <outputToken> <amount> [dryRun]');
+            console.log('Amount is in input token units, e.g. 10 = 10 USDC');
             console.log('Example: node swap.js USDC SOL 10 true');
             process.exit(1);
         }
@@ -240,8 +254,12 @@ if (require.main === module) {
         const isDryRun = dryRun === 'true';
 
         try {
-            const swapper = new JupiterSwap(process.env.RPC_URL);
-            const result = await swapper.swap(inputToken, outputToken, parseFloat(amount), isDryRun);
+            // The wallet is only unlocked for live swaps
+            const config = loadConfig();
+            const signer = isDryRun ? null : await loadSigner('solana', config);
+            const swapper = new JupiterSwap(process.env.RPC_URL, 1, { signer, tokens: TokenRegistry.fromConfig(config, 'solana') });
+            const decimals = await swapper.metadata.getDecimals(await swapper.getMintAddress(inputToken));
+            const result = await swapper.swap(inputToken, outputToken, toBaseUnits(amount, decimals), isDryRun);
             
             console.log('✅ Swap completed:', result.signature);
         } catch (error) {
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toBaseUnits, fromBaseUnits, toNumber, toDecimalString } = require('../amounts');
+const { TokenMetadataService } = require('../token-metadata');
+
+test('converts whole and fractional amounts at 6, 9 and 18 decimals', () => {
+    assert.equal(toBaseUnits(1.5, 6), 1500000n);
+    assert.equal(toBaseUnits('1.5', 9), 1500000000n);
+    assert.equal(toBaseUnits('1.5', 18), 1500000000000000000n);
+    assert.equal(toBaseUnits(250, 6), 250000000n);
+    assert.equal(toBaseUnits('123456.789', 9), 123456789000000n);
+});
+
+test('keeps the decimal point in place for amounts below 1', () => {
+    assert.equal(toBaseUnits(0.5, 6), 500000n);
+    assert.equal(toBaseUnits('0.000001', 6), 1n);
+    assert.equal(toBaseUnits('.25', 9), 250000000n);
+    assert.equal(toBaseUnits('0.000000000000000001', 18), 1n);
+    assert.equal(toBaseUnits('00012.5', 6), 12500000n);
+    assert.equal(toBaseUnits(0, 18), 0n);
+});
+
+test('expands exponent notation', () => {
+    assert.equal(toDecimalString(1e-7), '0.0000001');
+    assert.equal(toDecimalString('1.23e-4'), '0.000123');
+    assert.equal(toDecimalString(1e21), '1000000000000000000000');
+    assert.equal(toDecimalString('2.5E+3'), '2500');
+    assert.equal(toBaseUnits(1e-7, 9), 100n);
+    assert.equal(toBaseUnits('1.23e-4', 18), 123000000000000n);
+    assert.equal(toBaseUnits(1e21, 18), 10n ** 39n);
+});
+
+test('truncates precision beyond the token decimals instead of rounding up', () => {
+    assert.equal(toBaseUnits('1.9999999', 6), 1999999n);
+    assert.equal(toBaseUnits('0.0000009', 6), 0n);
+});
+
+test('round-trips through fromBaseUnits', () => {
+    for (const [amount, decimals] of [['1.5', 6], ['0.5', 6], ['0.000001', 6], ['0.123456789', 9], ['42', 9], ['0.000000000000000001', 18], ['1234567.890123456789012345', 18]]) {
+        const expected = amount.includes('.') ? amount.replace(/\.?0+$/, '') : amount;
+        assert.equal(fromBaseUnits(toBaseUnits(amount, decimals), decimals), expected);
+    }
+    assert.equal(fromBaseUnits(1500000n, 6), '1.5');
+    assert.equal(fromBaseUnits('1', 18), '0.000000000000000001');
+    assert.equal(fromBaseUnits(0n, 6), '0');
+    assert.equal(toNumber('2500000', 6), 2.5);
+});
+
+test('rejects negative and malformed amounts and bad decimals', () => {
+    assert.throws(() => toBaseUnits(-1, 6), /Negative amount/);
+    assert.throws(() => toBaseUnits('abc', 6), /Invalid amount/);
+    assert.throws(() => toBaseUnits('1.2.3', 6), /Invalid amount/);
+    assert.throws(() => toBaseUnits(1, 6.5), /Invalid token decimals/);
+    assert.throws(() => fromBaseUnits(1n, -1), /Invalid token decimals/);
+});
+
+test('metadata service fetches decimals once and refuses to guess', async () => {
+    let fetches = 0;
+    const metadata = new TokenMetadataService('base', async address => {
+        fetches++;
+        return address === '0xbad' ? { decimals: undefined } : { decimals: 18, symbol: 'TKN', name: 'Token' };
+    }, { caseInsensitive: true, known: [{ address: '0xUSDC', symbol: 'USDC', decimals: 6 }] });
+
+    const [a, b] = await Promise.all([metadata.getDecimals('0xAbC'), metadata.getDecimals('0xabc')]);
+    assert.equal(a, 18);
+    assert.equal(b, 18);
+    assert.equal(fetches, 1);
+    assert.equal(await metadata.getDecimals('0xusdc'), 6);
+    await assert.rejects(metadata.getDecimals('0xbad'), /Could not read decimals/);
+});
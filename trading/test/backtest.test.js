@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { BacktestMonitor, maxDrawdown, sharpeRatio } = require('../backtest');
+const { loadSnapshots } = require('../snapshots');
+const { loadConfig } = require('../config');
+const { tempDir } = require('./helpers');
+
+// One momentum token scanned every 30s for 4.5 minutes
+const FIXTURE = path.join(__dirname, 'fixtures', 'backtest.jsonl');
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('drawdown is the largest fall from a running peak', () => {
+    assert.equal(maxDrawdown([100, 110, 99, 108.9]), 10);
+    assert.equal(maxDrawdown([100, 120, 90, 130, 117]), 25);
+    assert.equal(maxDrawdown([100, 101, 102]), 0);
+    assert.equal(maxDrawdown([]), 0);
+});
+
+test('sharpe annualizes the mean over the deviation of step returns', () => {
+    // Returns +10%, -10%, +10%: mean 1/30, deviation 2/(10 * sqrt(3)), 12 periods a year
+    close(sharpeRatio([100, 110, 99, 108.9], 12), 1);
+    assert.equal(sharpeRatio([100, 110], 12), 0); // A single return
+    assert.equal(sharpeRatio([100, 100, 100], 12), 0); // No deviation
+});
+
+test('a fixture replays through the monitor into a report', async () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        // Frictionless fills so every number follows from the fixture prices
+        const config = loadConfig({
+            env: { HOME: dir, DRY_RUN: 'true', SCAN_INTERVAL: '30000', POSITION_SIZE: '10', PAPER_SLIPPAGE: 'false', PAPER_LP_FEE: '0', PAPER_GAS_COST: '0', PAPER_LATENCY: '0' },
+            envFile: path.join(dir, '.env')
+        });
+        const monitor = new BacktestMonitor(loadSnapshots([FIXTURE]), { config, capital: 1000 });
+        const report = await monitor.run();
+
+        assert.equal(report.start, '2024-01-15T00:00:00.000Z');
+        assert.equal(report.end, '2024-01-15T00:04:30.000Z');
+
+        // $10 of AAA bought at 1 and held to the end at 1.2
+        assert.deepEqual(report.trades.map(({ type, token, reason }) => ({ type, token, reason })), [{ type: 'EXIT', token: 'AAA', reason: 'Backtest end' }]);
+        close(report.totalPnl, 2);
+        close(report.totalReturnPct, 0.2);
+        assert.deepEqual([report.tradeCount, report.wins, report.losses, report.winRate], [1, 1, 0, 100]);
+
+        const equities = report.equityCurve.map(point => point.equity);
+        assert.deepEqual(equities.map(equity => Number(equity.toFixed(6))), [1000, 1000, 1000.5, 1001, 1000, 1000.5, 1002, 1001.5, 1001, 1002, 1002]);
+        close(report.maxDrawdownPct, 1 / 1001 * 100); // 1001 down to 1000
+        close(report.sharpe, sharpeRatio(equities, 365 * 24 * 120));
+        assert.ok(report.sharpe > 0);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BalanceService } = require('../balances');
+const { VirtualClock } = require('../clock');
+
+const T0 = Date.UTC(2026, 0, 10, 12);
+
+function adapter(fields = {}) {
+    return {
+        dryRun: false,
+        quoteToken: { symbol: 'USDC' },
+        getBalances: async () => ({ address: '0xwallet', native: 0.01, quote: 250 }),
+        ...fields
+    };
+}
+
+test('balances come from the wallet, or the paper account in dry runs', async () => {
+    const clock = new VirtualClock(T0);
+    const live = new BalanceService(adapter(), { gasBuffer: 0.002 }, { clock });
+    assert.equal(live.latest, null);
+    assert.deepEqual(await live.refresh(), { address: '0xwallet', native: 0.01, quote: 250, time: new Date(T0).toISOString() });
+    assert.equal(live.latest.quote, 250);
+
+    const paper = { getBalances: () => ({ address: 'paper account', native: null, quote: 1000 }) };
+    const dry = new BalanceService(adapter({ dryRun: true, getPaperExchange: () => paper, getBalances: async () => assert.fail('read the wallet') }), { gasBuffer: 0.002 }, { clock });
+    assert.equal((await dry.refresh()).quote, 1000);
+
+    const failing = new BalanceService(adapter({ getBalances: async () => { throw new Error('RPC down'); } }), { gasBuffer: 0.002 }, { clock });
+    await assert.rejects(failing.refresh(), /RPC down/);
+    assert.equal(failing.latest, null);
+});
+
+test('entries need the gas buffer and the whole position in quote token', () => {
+    const service = new BalanceService(adapter(), { gasBuffer: 0.002 });
+
+    assert.deepEqual(service.canFund({ native: 0.01, quote: 250 }, 250), { allowed: true, reason: null });
+    assert.deepEqual(service.canFund({ native: 0.0015, quote: 250 }, 10), { allowed: false, reason: 'Native balance below gas buffer (0.0015 < 0.002)' });
+    assert.deepEqual(service.canFund({ native: 0.01, quote: 9.5 }, 10), { allowed: false, reason: 'Insufficient USDC balance (need 10.00, wallet holds 9.50)' });
+    // The paper account pays fees in USD and has no native balance
+    assert.deepEqual(service.canFund({ native: null, quote: 10 }, 10), { allowed: true, reason: null });
+});
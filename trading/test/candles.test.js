@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CandleBuilder, estimateFlow } = require('../candles');
+
+const T0 = Date.UTC(2026, 0, 10, 12);
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const FLOW = {
+    volume5m: 500, volume1h: 3000, volume6h: 12000, volume24h: 24000,
+    txns: { m5: { buys: 10, sells: 5 }, h1: { buys: 60, sells: 60 } }
+};
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('samples build OHLC bars for every timeframe', () => {
+    const builder = new CandleBuilder({ timeframes: ['1m', '5m'] });
+    builder.update('0xa', T0, { price: 1 });
+    builder.update('0xa', T0 + 20 * SECOND, { price: 1.5 });
+    builder.update('0xa', T0 + 40 * SECOND, { price: 0.8 });
+    builder.update('0xa', T0 + 70 * SECOND, { price: 1.2 });
+    builder.update('0xa', T0 + 80 * SECOND, { price: 0 }); // No price, no sample
+
+    const minutes = builder.getCandles('0xa', '1m');
+    assert.equal(minutes.length, 2);
+    assert.deepEqual(minutes[0], { time: T0, open: 1, high: 1.5, low: 0.8, close: 0.8, volume: 0, buys: 0, sells: 0, samples: 3 });
+    assert.equal(minutes[1].time, T0 + MINUTE);
+    assert.equal(minutes[1].open, 1.2);
+
+    const [bar] = builder.getCandles('0xa', '5m');
+    assert.deepEqual([bar.open, bar.high, bar.low, bar.close, bar.samples], [1, 1.5, 0.8, 1.2, 4]);
+    assert.deepEqual(builder.getCandles('0xa', '15m'), []);
+    assert.deepEqual(builder.getCandles('0xb', '1m'), []);
+});
+
+test('unsampled bars repeat the last close and late samples are dropped', () => {
+    const builder = new CandleBuilder({ timeframes: ['1m'], maxCandles: 3 });
+    builder.update('0xa', T0, { price: 1 });
+    builder.update('0xa', T0 + 3 * MINUTE + 30 * SECOND, { price: 2 });
+
+    const candles = builder.getCandles('0xa', '1m');
+    assert.deepEqual(candles.map(candle => [candle.time - T0, candle.close, candle.samples]), [
+        [MINUTE, 1, 0],
+        [2 * MINUTE, 1, 0],
+        [3 * MINUTE, 2, 1]
+    ]);
+
+    builder.update('0xa', T0 + 2 * MINUTE + 10 * SECOND, { price: 9 });
+    assert.equal(builder.getCandles('0xa', '1m')[1].high, 1);
+
+    // A long gap only fills what the history can hold
+    builder.update('0xa', T0 + 600 * MINUTE, { price: 3 });
+    assert.deepEqual(builder.getCandles('0xa', '1m').map(candle => [candle.time - T0, candle.close]), [
+        [598 * MINUTE, 2],
+        [599 * MINUTE, 2],
+        [600 * MINUTE, 3]
+    ]);
+});
+
+test('rolling volume windows are split pro rata over the time between samples', () => {
+    assert.deepEqual(estimateFlow(FLOW, MINUTE), { volume: 100, buys: 2, sells: 1 });
+    assert.deepEqual(estimateFlow(FLOW, 30 * MINUTE), { volume: 1500, buys: 30, sells: 30 });
+    assert.deepEqual(estimateFlow(FLOW, 48 * 60 * MINUTE), { volume: 24000, buys: 0, sells: 0 });
+    assert.deepEqual(estimateFlow({ volume24h: 2400 }, MINUTE), { volume: 2400 / 1440, buys: 0, sells: 0 });
+    assert.equal(estimateFlow({}, MINUTE), null);
+});
+
+test('candles take the volume traded since the previous sample with volume', () => {
+    const builder = new CandleBuilder({ timeframes: ['1m'] });
+    builder.update('0xa', T0, { price: 1, ...FLOW });
+    builder.update('0xa', T0 + 30 * SECOND, { price: 1.1 }); // Pool read: price only
+    builder.update('0xa', T0 + MINUTE + 10 * SECOND, { price: 1.2, ...FLOW });
+
+    const [first, second] = builder.getCandles('0xa', '1m');
+    assert.equal(first.volume, 0);
+    assert.equal(first.close, 1.1);
+    close(second.volume, 500 * 70 / 300);
+    close(second.buys, 10 * 70 / 300);
+    close(second.sells, 5 * 70 / 300);
+});
+
+test('tokens no longer sampled are pruned unless kept', () => {
+    const builder = new CandleBuilder({ timeframes: ['5m', '1m'], maxCandles: 10 });
+    assert.equal(builder.staleAfter, 10 * MINUTE);
+
+    builder.update('0xgone', T0, { price: 1 });
+    builder.update('0xheld', T0, { price: 1 });
+    builder.update('0xseen', T0, { price: 1 });
+    builder.update('0xseen', T0 + 8 * MINUTE, { price: 1 });
+
+    assert.equal(builder.prune(T0 + 10 * MINUTE, new Set(['0xheld'])), 0);
+    assert.equal(builder.prune(T0 + 11 * MINUTE, new Set(['0xheld'])), 1);
+    assert.deepEqual([...builder.series.keys()], ['0xheld', '0xseen']);
+    assert.deepEqual(builder.getCandles('0xgone', '1m'), []);
+
+    assert.equal(builder.prune(T0 + 20 * MINUTE), 2);
+});
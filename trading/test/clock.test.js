@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SystemClock, VirtualClock } = require('../clock');
+
+test('the virtual clock only moves when slept or set', async () => {
+    const clock = new VirtualClock(1000);
+    assert.equal(clock.now(), 1000);
+    assert.equal(clock.now(), 1000);
+
+    await clock.sleep(30000);
+    assert.equal(clock.now(), 31000);
+    clock.set(5000);
+    assert.equal(clock.now(), 5000);
+    assert.equal(new VirtualClock().now(), 0);
+});
+
+test('the system clock follows the wall clock', async () => {
+    const clock = new SystemClock();
+    const start = clock.now();
+    assert.ok(Math.abs(start - Date.now()) < 1000);
+
+    await clock.sleep(20);
+    assert.ok(clock.now() - start >= 19); // Timers may fire a millisecond early
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, parseValue, redactConfig, ConfigError } = require('../config');
+const { tempDir } = require('./helpers');
+
+// No .env and no openclaw.json unless a test writes one
+function load(env = {}, argv = [], files = {}) {
+    const { dir, cleanup } = tempDir();
+    try {
+        for (const [name, content] of Object.entries(files)) {
+            fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+        }
+        const configArgv = files['openclaw.json'] ? [`--config=${path.join(dir, 'openclaw.json')}`, ...argv] : argv;
+        return loadConfig({ env: { HOME: dir, ...env }, envFile: path.join(dir, '.env'), argv: configArgv });
+    } finally {
+        cleanup();
+    }
+}
+
+function problems(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof ConfigError, error.message);
+        return error.errors;
+    }
+    assert.fail('expected a ConfigError');
+}
+
+test('defaults apply when nothing is set', () => {
+    const config = load();
+    assert.equal(config.chain, 'base');
+    assert.equal(config.positionSize, 10);
+    assert.equal(config.dryRun, false);
+    assert.equal(config.rpcUrl, 'https://mainnet.base.org');
+    assert.equal(config.sources.positionSize, 'default');
+});
+
+test('precedence: openclaw.json < .env < environment < CLI flags', () => {
+    const files = {
+        'openclaw.json': { trading: { positionSize: 20, stopLoss: 7, maxSlippage: 2, maxPositions: 4 }, monitoring: { interval: 45 } },
+        '.env': 'STOP_LOSS=8\nMAX_SLIPPAGE=3\n'
+    };
+    const config = load({ MAX_SLIPPAGE: '4', MAX_POSITIONS: '5' }, ['--max-positions=6'], files);
+
+    assert.equal(config.positionSize, 20);
+    assert.equal(config.sources.positionSize, 'openclaw.json:trading.positionSize');
+    assert.equal(config.stopLoss, 8);
+    assert.equal(config.sources.stopLoss, '.env:STOP_LOSS');
+    assert.equal(config.maxSlippage, 4);
+    assert.equal(config.maxPositions, 6);
+    assert.equal(config.sources.maxPositions, '--max-positions');
+    assert.equal(config.scanInterval, 45000);
+});
+
+test('openclaw.json is found through the given environment, not the process one', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        fs.mkdirSync(path.join(dir, '.openclaw'));
+        fs.writeFileSync(path.join(dir, '.openclaw', 'openclaw.json'), JSON.stringify({ trading: { positionSize: 25 } }));
+        fs.writeFileSync(path.join(dir, 'other.json'), JSON.stringify({ trading: { positionSize: 30 } }));
+        const envFile = path.join(dir, '.env');
+
+        assert.equal(loadConfig({ env: { HOME: dir }, envFile }).positionSize, 25);
+        assert.equal(loadConfig({ env: { HOME: dir, OPENCLAW_CONFIG: path.join(dir, 'other.json') }, envFile }).positionSize, 30);
+        assert.deepEqual(problems(() => loadConfig({ env: { OPENCLAW_CONFIG: path.join(dir, 'none.json') }, envFile })),
+            [`${path.join(dir, 'none.json')}: file not found`]);
+    } finally {
+        cleanup();
+    }
+});
+
+test('zero is a valid value rather than a fallback to the default', () => {
+    const config = load({ MAX_POSITIONS: '0', TRAILING_STOP: '0', MAX_DAILY_LOSS: '0' });
+    assert.equal(config.maxPositions, 0);
+    assert.equal(config.trailingStop, 0);
+    assert.equal(config.maxDailyLoss, 0);
+});
+
+test('every invalid value is reported at once with its source', () => {
+    const errors = problems(() => load({ POSITION_SIZE: 'abc', MAX_SLIPPAGE: '80', CHAIN: 'ethereum', DRY_RUN: 'maybe', RPC_URL: 'not a url' }, ['--bogus=1']));
+
+    assert.ok(errors.includes('--bogus: unknown option'));
+    assert.ok(errors.some(e => e.startsWith('positionSize (env:POSITION_SIZE): expected a number')));
+    assert.ok(errors.some(e => e.startsWith('maxSlippage (env:MAX_SLIPPAGE): must be <= 50')));
+    assert.ok(errors.some(e => e.startsWith('chain (env:CHAIN)')));
+    assert.ok(errors.some(e => e.startsWith('dryRun (env:DRY_RUN)')));
+    assert.ok(errors.some(e => e.startsWith('rpcUrl (env:RPC_URL)')));
+});
+
+test('lists, enums and take-profit levels are normalized and checked', () => {
+    const config = load({ STRATEGIES: 'Momentum, breakout', CHAIN: 'base-mainnet', TAKE_PROFIT_LEVELS: '40:33,20:33', LOG_MAX_SIZE: '2MB' });
+    assert.deepEqual(config.strategies, ['momentum', 'breakout']);
+    assert.equal(config.chain, 'base');
+    assert.deepEqual(config.takeProfitLevels, [{ pnl: 20, fraction: 0.33 }, { pnl: 40, fraction: 0.33 }]);
+    assert.equal(config.logMaxSize, 2 * 1024 * 1024);
+
+    assert.ok(problems(() => load({ STRATEGIES: 'momentum,yolo' }))[0].includes('unknown value(s) yolo'));
+    assert.ok(problems(() => load({ TAKE_PROFIT_LEVELS: '20:150' }))[0].includes('Invalid take-profit level'));
+});
+
+test('cross-field checks', () => {
+    assert.ok(problems(() => load({ WALLET_SIGNER: 'external' })).includes('walletSignerModule: required when walletSigner is external'));
+    assert.ok(problems(() => load({ EXIT_RULES: 'rsi(14, 4h) > 80' }))[0].startsWith('exitRules: rule "rsi(14, 4h) > 80" uses timeframe 4h'));
+});
+
+test('parseValue validates a single setting for reloads', () => {
+    assert.deepEqual(parseValue('blacklist', 'SCAM, Rug'), ['scam', 'rug']);
+    assert.throws(() => parseValue('minLiquidity', '-5'), ConfigError);
+    assert.throws(() => parseValue('nope', '1'), /unknown setting/);
+});
+
+test('secrets are redacted; secret URLs keep only their host', () => {
+    const config = load({
+        EVM_PRIVATE_KEY: '0x' + '11'.repeat(32),
+        RPC_URL: 'https://base-mainnet.g.alchemy.com/v2/SECRETKEY',
+        TELEGRAM_BOT_TOKEN: '123:abc',
+        AGGREGATOR_URL: 'https://api.0x.org/swap/v1/quote?apiKey=SECRETKEY',
+        NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/SECRETKEY'
+    });
+    const redacted = redactConfig(config);
+
+    assert.equal(redacted.evmPrivateKey, '***redacted***');
+    assert.equal(redacted.rpcUrl, 'https://base-mainnet.g.alchemy.com/***redacted***');
+    assert.equal(redacted.aggregatorUrl, 'https://api.0x.org/***redacted***');
+    assert.equal(redacted.notifyWebhookUrl, 'https://hooks.example.com/***redacted***');
+    assert.equal(config.rpcUrl, 'https://base-mainnet.g.alchemy.com/v2/SECRETKEY');
+    assert.ok(!JSON.stringify(redacted).includes('SECRETKEY'));
+    assert.equal(redacted.positionSize, 10);
+});
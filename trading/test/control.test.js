@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { ControlApi } = require('../control');
+const { loadConfig } = require('../config');
+const { createAdapter } = require('../adapters');
+const { startServer, startRpcServer, tempDir } = require('./helpers');
+
+const TOKEN = ethers.getAddress('0x1111111111111111111111111111111111111111');
+const erc20 = new ethers.Interface(['function decimals() view returns (uint8)']);
+
+let rpc, aggregator, dir;
+
+before(async () => {
+    rpc = await startRpcServer({
+        eth_chainId: () => '0x2105',
+        eth_call: () => erc20.encodeFunctionResult('decimals', [18])
+    });
+    aggregator = await startServer(() => ({ body: { buyAmount: '1000', to: TOKEN, data: '0x' } }));
+    dir = tempDir();
+});
+
+after(async () => {
+    await rpc.close();
+    await aggregator.close();
+    dir.cleanup();
+});
+
+function monitorConfig(env = {}) {
+    return loadConfig({
+        env: {
+            HOME: dir.dir,
+            RPC_URL: rpc.url,
+            AGGREGATOR_URL: aggregator.url,
+            TRADES_FILE: path.join(dir.dir, 'trades.log'),
+            ...env
+        },
+        envFile: path.join(dir.dir, '.env'),
+        argv: []
+    });
+}
+
+test('reload changes settings in place and rejects the rest', () => {
+    const monitor = { config: monitorConfig() };
+    const control = new ControlApi(monitor, { token: 'secret' });
+    const blacklist = monitor.config.blacklist;
+
+    assert.deepEqual(control.reload({ stopLoss: '12', blacklist: 'SCAM' }).changed, {
+        stopLoss: { from: 10, to: 12 },
+        blacklist: { from: blacklist, to: ['scam'] }
+    });
+    assert.equal(monitor.config.stopLoss, 12);
+    assert.throws(() => control.reload({ chain: 'solana' }), /Not reloadable: chain/);
+});
+
+test('a reloaded MAX_SLIPPAGE reaches an existing swap executor', async () => {
+    const monitor = { config: monitorConfig({ MAX_SLIPPAGE: '1' }) };
+    const adapter = createAdapter(monitor.config);
+    const control = new ControlApi(monitor, { token: 'secret' });
+    const slippage = () => new URL(aggregator.requests.at(-1).url, 'http://localhost').searchParams.get('slippagePercentage');
+
+    const swapper = adapter.getSwapper();
+    await adapter.getQuote(adapter.quoteToken.address, TOKEN, 1000000n);
+    assert.equal(slippage(), '0.01');
+
+    control.reload({ maxSlippage: '3' });
+    await adapter.getQuote(adapter.quoteToken.address, TOKEN, 1000000n);
+    assert.equal(slippage(), '0.03');
+    assert.equal(adapter.getSwapper(), swapper);
+});
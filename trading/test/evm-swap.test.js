@@ -0,0 +1,183 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const EvmSwap = require('../evm-swap');
+const { RotatingFile, createLogger } = require('../logger');
+const { startServer, startRpcServer, tempDir } = require('./helpers');
+
+const USDC = ethers.getAddress('0x833589fcd6edb6e08f4c7c32d4f71b54bda02913');
+const TOKEN = ethers.getAddress('0x1111111111111111111111111111111111111111');
+const WETH = ethers.getAddress('0x4200000000000000000000000000000000000006');
+const ROUTER = ethers.getAddress('0x2222222222222222222222222222222222222222');
+
+const router = new ethers.Interface([
+    'function WETH() view returns (address)',
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)'
+]);
+const erc20 = new ethers.Interface([
+    'function decimals() view returns (uint8)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+]);
+
+let allowance = ethers.MaxUint256; // What the router may already spend of any token
+
+// Stubbed Base node: USDC has 6 decimals, TOKEN 18. TOKEN/USDC has no direct
+// pool, so quotes must hop through WETH at 1 USDC = 2 TOKEN, with 1% impact
+// for anything over a dollar.
+function ethCall([{ to, data }]) {
+    const selector = data.slice(0, 10);
+    if (to.toLowerCase() === ROUTER.toLowerCase()) {
+        if (selector === router.getFunction('WETH').selector) {
+            return router.encodeFunctionResult('WETH', [WETH]);
+        }
+        const [amountIn, path] = router.decodeFunctionData('getAmountsOut', data);
+        if (path.length === 2) throw new Error('execution reverted: no pair');
+        const out = amountIn * 2n * 10n ** 12n * (amountIn > 1000000n ? 99n : 100n) / 100n;
+        return router.encodeFunctionResult('getAmountsOut', [[amountIn, amountIn, out]]);
+    }
+    if (selector === erc20.getFunction('decimals').selector) {
+        return erc20.encodeFunctionResult('decimals', [to.toLowerCase() === USDC.toLowerCase() ? 6 : 18]);
+    }
+    if (selector === erc20.getFunction('allowance').selector) {
+        return erc20.encodeFunctionResult('allowance', [allowance]);
+    }
+    throw new Error(`unexpected call to ${to}`);
+}
+
+let rpc, aggregator, logs;
+
+before(async () => {
+    rpc = await startRpcServer({ eth_chainId: () => '0x2105', eth_call: ethCall });
+    aggregator = await startServer(req => {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        return {
+            body: {
+                buyAmount: (BigInt(params.get('sellAmount')) * 3n * 10n ** 12n).toString(),
+                estimatedPriceImpact: '0.4',
+                allowanceTarget: ROUTER,
+                to: ROUTER,
+                data: '0xdeadbeef',
+                value: '0'
+            }
+        };
+    });
+    logs = tempDir();
+});
+
+after(async () => {
+    await rpc.close();
+    await aggregator.close();
+    logs.cleanup();
+});
+
+function createSwapper(options = {}) {
+    return new EvmSwap(rpc.url, 1, {
+        routerAddress: ROUTER,
+        tradesLog: new RotatingFile(`${logs.dir}/trades.log`),
+        ...options
+    });
+}
+
+test('router quotes fall back to the WETH hop and estimate price impact', async () => {
+    const quote = await createSwapper().getQuote(USDC, TOKEN, 10000000n);
+
+    assert.equal(quote.source, 'router');
+    assert.deepEqual(quote.route, [USDC, WETH, TOKEN]);
+    assert.equal(quote.outAmount, (20n * 10n ** 18n * 99n / 100n).toString());
+    assert.equal(quote.inputDecimals, 6);
+    assert.equal(quote.outputDecimals, 18);
+    assert.equal(quote.priceImpactPct, 1);
+});
+
+test('aggregator quotes pass the slippage and keep the transaction to send', async () => {
+    const quote = await createSwapper({ aggregatorUrl: aggregator.url }).getQuote(USDC, TOKEN, 5000000n);
+
+    const request = new URL(aggregator.requests.at(-1).url, 'http://localhost');
+    assert.equal(request.pathname, '/swap/v1/quote');
+    assert.equal(request.searchParams.get('slippagePercentage'), '0.01');
+    assert.equal(quote.source, 'aggregator');
+    assert.equal(quote.outAmount, (15n * 10n ** 18n).toString());
+    assert.equal(quote.priceImpactPct, 0.4);
+    assert.deepEqual(quote.tx, { to: ROUTER, data: '0xdeadbeef', value: '0', gasLimit: undefined });
+});
+
+test('dry-run swaps report exact amounts in each token\'s decimals', async () => {
+    const result = await createSwapper().swap(USDC, TOKEN, '2500000', true);
+
+    assert.match(result.signature, /^DRY_RUN_TX_/);
+    assert.equal(result.inputAmountRaw, '2500000');
+    assert.equal(result.inputAmount, 2.5);
+    assert.equal(result.outputAmountRaw, (5n * 10n ** 18n * 99n / 100n).toString());
+    assert.equal(result.outputAmount, 4.95);
+});
+
+test('the caller\'s trade id goes into the trade record', async () => {
+    const tradeLog = createLogger('monitor').child({ token: 'TKN', tradeId: 'ab12cd34' });
+    await createSwapper().swap(USDC, TOKEN, '1000000', true, { log: tradeLog });
+
+    const record = JSON.parse(fs.readFileSync(`${logs.dir}/trades.log`, 'utf8').trim().split('\n').at(-1));
+    assert.equal(record.tradeId, 'ab12cd34');
+    assert.equal(record.type, 'SWAP');
+    assert.equal(record.input, `1 ${USDC}`);
+    assert.equal(record.dryRun, true);
+});
+
+test('a throwing guard aborts the swap before execution', async () => {
+    const swapper = createSwapper();
+    swapper.executeSwap = () => assert.fail('executed despite the guard');
+
+    await assert.rejects(
+        swapper.swap(USDC, TOKEN, '2500000', true, {
+            guard: ({ priceImpact }) => { throw new Error(`impact ${priceImpact}%`); }
+        }),
+        /impact 1%/
+    );
+});
+
+test('live router swaps enforce the slippage floor through the transaction manager', async () => {
+    const swapper = createSwapper({ signer: ethers.Wallet.createRandom() });
+    const sent = [];
+    swapper.txManager = { timeout: 90000, send: async (request, options) => { sent.push({ request, options }); return { hash: '0xabc' }; } };
+
+    const quote = await swapper.getQuote(USDC, TOKEN, 10000000n);
+    assert.equal(await swapper.executeSwap(quote), '0xabc');
+
+    // Allowance is already unlimited: the swap is the only transaction
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].options.label, 'Swap');
+    const swapAbi = new ethers.Interface(['function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)']);
+    const [amountIn, amountOutMin, path, to] = swapAbi.decodeFunctionData('swapExactTokensForTokensSupportingFeeOnTransferTokens', sent[0].request.data);
+    assert.equal(amountIn, 10000000n);
+    assert.equal(amountOutMin, BigInt(quote.outAmount) * 99n / 100n);
+    assert.deepEqual([...path], [USDC, WETH, TOKEN]);
+    assert.equal(to, swapper.wallet.address);
+});
+
+test('a too-low allowance is raised to exactly the swap amount first', async () => {
+    const swapper = createSwapper({ signer: ethers.Wallet.createRandom() });
+    const sent = [];
+    swapper.txManager = { timeout: 90000, send: async (request, options) => { sent.push({ request, options }); return { hash: '0xabc' }; } };
+
+    allowance = 9999999n;
+    try {
+        const quote = await swapper.getQuote(USDC, TOKEN, 10000000n);
+        await swapper.executeSwap(quote);
+    } finally {
+        allowance = ethers.MaxUint256;
+    }
+
+    assert.deepEqual(sent.map(({ options }) => options.label), ['Approval', 'Swap']);
+    assert.equal(sent[0].request.to, USDC);
+    assert.deepEqual([...erc20.decodeFunctionData('approve', sent[0].request.data)], [ROUTER, 10000000n]);
+});
+
+test('live swaps are refused without a wallet', async () => {
+    const swapper = createSwapper();
+    const quote = await swapper.getQuote(USDC, TOKEN, 10000000n);
+
+    await assert.rejects(swapper.executeSwap(quote), /No EVM wallet configured/);
+});
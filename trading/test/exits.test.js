@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTakeProfitLevels, initExitState, updateTrailingStop, checkTakeProfitLevels } = require('../exits');
+
+const CONFIG = {
+    trailingStop: 10,
+    trailingActivation: 20,
+    takeProfitLevels: parseTakeProfitLevels('50:25,20:50')
+};
+
+function position(fields = {}) {
+    return initExitState({ address: '0xtkn', entryPrice: 1, amount: 100, usdcInvested: 100, stopLoss: 0.9, ...fields }, CONFIG);
+}
+
+test('take-profit ladders parse sorted by P&L', () => {
+    assert.deepEqual(CONFIG.takeProfitLevels, [{ pnl: 20, fraction: 0.5 }, { pnl: 50, fraction: 0.25 }]);
+    assert.deepEqual(parseTakeProfitLevels(''), []);
+    assert.deepEqual(parseTakeProfitLevels(' 30:100 ,'), [{ pnl: 30, fraction: 1 }]);
+    assert.throws(() => parseTakeProfitLevels('20'), /Invalid take-profit level "20"/);
+    assert.throws(() => parseTakeProfitLevels('-5:50'), /Invalid take-profit level/);
+    assert.throws(() => parseTakeProfitLevels('20:0'), /Invalid take-profit level/);
+});
+
+test('exit state is filled in once, keeping what older positions already have', () => {
+    const fresh = position();
+    assert.equal(fresh.initialAmount, 100);
+    assert.equal(fresh.costBasis, 100);
+    assert.equal(fresh.highWaterMark, 1);
+    assert.deepEqual(fresh.takeProfitLevels, [{ pnl: 20, fraction: 0.5, filled: false }, { pnl: 50, fraction: 0.25, filled: false }]);
+    assert.notEqual(fresh.takeProfitLevels[0], CONFIG.takeProfitLevels[0]);
+
+    const loaded = position({ initialAmount: 200, trailingStop: 5, takeProfitLevels: [] });
+    assert.equal(loaded.initialAmount, 200);
+    assert.equal(loaded.trailingStop, 5);
+    assert.deepEqual(loaded.takeProfitLevels, []);
+});
+
+test('the trailing stop arms at the activation gain and only ratchets up', () => {
+    const p = position();
+
+    // +10%: new high, but below the 20% activation
+    assert.equal(updateTrailingStop(p, 1.1), true);
+    assert.equal(p.highWaterMark, 1.1);
+    assert.equal(p.stopLoss, 0.9);
+    assert.equal(p.trailingStopActive, false);
+
+    // +50%: stop trails 10% under the high
+    updateTrailingStop(p, 1.5);
+    assert.equal(p.stopLoss, 1.35);
+    assert.equal(p.trailingStopActive, true);
+
+    // Pullbacks leave the stop where it is
+    assert.equal(updateTrailingStop(p, 1.4), false);
+    assert.equal(p.stopLoss, 1.35);
+    assert.equal(p.highWaterMark, 1.5);
+});
+
+test('a trailing stop never lowers a tighter fixed stop', () => {
+    const p = position({ stopLoss: 1.2 });
+    updateTrailingStop(p, 1.25);
+    assert.equal(p.stopLoss, 1.2);
+    assert.equal(p.trailingStopActive, false);
+
+    const disabled = position({ trailingStop: 0 });
+    updateTrailingStop(disabled, 3);
+    assert.equal(disabled.stopLoss, 0.9);
+    assert.equal(disabled.highWaterMark, 3);
+});
+
+test('take-profit levels sell fractions of the initial position', () => {
+    const p = position();
+    assert.equal(checkTakeProfitLevels(p, 19.9), null);
+
+    const first = checkTakeProfitLevels(p, 25);
+    assert.equal(first.amount, 50);
+    assert.equal(first.reason, 'Take profit +20% (50%)');
+    assert.deepEqual(first.levels, [p.takeProfitLevels[0]]);
+
+    // Filled levels are skipped; the next one sells from the initial size
+    first.levels.forEach(level => { level.filled = true; });
+    p.amount = 50;
+    const second = checkTakeProfitLevels(p, 60);
+    assert.equal(second.amount, 25);
+    assert.equal(second.reason, 'Take profit +50% (25%)');
+});
+
+test('levels crossed together are sold at once, capped at what is held', () => {
+    const p = position({ amount: 60, initialAmount: 100 });
+    const exit = checkTakeProfitLevels(p, 80);
+
+    assert.equal(exit.levels.length, 2);
+    assert.equal(exit.amount, 60);
+    assert.equal(exit.reason, 'Take profit +20%, +50% (75%)');
+});
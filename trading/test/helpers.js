@@ -0,0 +1,71 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Local HTTP server for tests. `handler(request, body)` returns
+ * { status, headers, body } (body is JSON-encoded unless it is a string).
+ * @returns {Promise<Object>} { url, requests, close() }
+ */
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            try {
+                const reply = await handler(req, body);
+                const payload = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+                res.writeHead(reply.status || 200, { 'content-type': 'application/json', ...reply.headers });
+                res.end(payload);
+            } catch (error) {
+                res.writeHead(500);
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Stubbed JSON-RPC node: `methods[name](params)` answers each call, including
+ * inside batches. Unknown methods answer with a JSON-RPC error.
+ * @returns {Promise<Object>} Server from startServer(), plus `calls` [{ method, params }]
+ */
+async function startRpcServer(methods) {
+    const calls = [];
+    const answer = async ({ id, method, params }) => {
+        calls.push({ method, params });
+        if (!methods[method]) {
+            return { jsonrpc: '2.0', id, error: { code: -32601, message: `method ${method} not stubbed` } };
+        }
+        try {
+            return { jsonrpc: '2.0', id, result: await methods[method](params) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: { code: 3, message: error.message, data: error.data } };
+        }
+    };
+    const server = await startServer(async (req, body) => ({
+        body: Array.isArray(body) ? await Promise.all(body.map(answer)) : await answer(body)
+    }));
+    return { ...server, calls };
+}
+
+/**
+ * Fresh temporary directory, removed by the returned cleanup function
+ * @returns {Object} { dir, cleanup() }
+ */
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-test-'));
+    return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+module.exports = { startServer, startRpcServer, tempDir };
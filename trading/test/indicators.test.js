@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ema, rsi, atr, atrPercent, vwap, volumeZScore, buyPressure } = require('../indicators');
+
+function closes(...values) {
+    return values.map(close => ({ open: close, high: close, low: close, close, volume: 0, buys: 0, sells: 0 }));
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// High, low, close and volume with known true ranges 2, 2, 2.5
+const BARS = [
+    { high: 10, low: 8, close: 9, volume: 0 },
+    { high: 11, low: 9, close: 10, volume: 0 },
+    { high: 12, low: 10.5, close: 11, volume: 1 },
+    { high: 11.5, low: 9, close: 9.5, volume: 3 }
+];
+
+test('ema seeds with a simple average, then smooths', () => {
+    // Seed (1 + 2 + 3) / 3 = 2, k = 0.5: 3, then 4
+    assert.equal(ema(closes(1, 2, 3, 4, 5), 3), 4);
+    assert.equal(ema(closes(1, 2, 3), 3), 2);
+    assert.equal(ema(closes(1, 2), 3), null);
+});
+
+test('rsi uses Wilder smoothing', () => {
+    // Changes +1 +1 -1 +1: seed gain 1 loss 0, then 0.5 / 0.5, then 0.75 / 0.25
+    assert.equal(rsi(closes(1, 2, 3, 2, 3), 2), 75);
+    assert.equal(rsi(closes(1, 2, 3, 4), 2), 100);
+    assert.equal(rsi(closes(2, 2, 2), 2), 50);
+    assert.equal(rsi(closes(4, 3, 2), 2), 0);
+    assert.equal(rsi(closes(1, 2), 2), null);
+});
+
+test('atr averages true ranges, including gaps from the previous close', () => {
+    // Seed (2 + 2) / 2, then (2 + 2.5) / 2
+    assert.equal(atr(BARS, 2), 2.25);
+    close(atrPercent(BARS, 2), 2.25 / 9.5 * 100);
+    assert.equal(atr(BARS, 4), null);
+    assert.equal(atrPercent(BARS, 4), null);
+});
+
+test('vwap weights the typical price by volume', () => {
+    close(vwap(BARS, 2), ((12 + 10.5 + 11) / 3 * 1 + (11.5 + 9 + 9.5) / 3 * 3) / 4);
+    assert.equal(vwap(BARS.slice(0, 2), 2), null); // No volume
+    assert.equal(vwap(BARS, 5), null);
+});
+
+test('volume z-score compares the latest bar with the ones before it', () => {
+    const bars = [10, 10, 20, 20, 30].map(volume => ({ close: 1, volume }));
+    assert.equal(volumeZScore(bars, 4), 3); // Mean 15, deviation 5
+    assert.equal(volumeZScore([5, 5, 5, 9].map(volume => ({ close: 1, volume })), 3), 0);
+    assert.equal(volumeZScore(bars, 5), null);
+});
+
+test('buy pressure is the share of buy transactions', () => {
+    const bars = [{ buys: 20, sells: 5 }, { buys: 10, sells: 5 }];
+    assert.equal(buyPressure(bars, 2), 75);
+    assert.equal(buyPressure(bars, 1), 10 / 15 * 100);
+    assert.equal(buyPressure([{ buys: 0, sells: 0 }], 1), null);
+    assert.equal(buyPressure(bars, 3), null);
+});
@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { Ledger, MIGRATIONS } = require('../ledger');
+const { tempDir } = require('./helpers');
+
+const AAA = { token: 'AAA', strategy: 'momentum', entryPrice: 1, entryTime: '2026-01-10T10:00:00.000Z' };
+
+// Two sells of AAA in the same millisecond, an exit from before amounts and
+// exit indexes were logged, a paper exit, a manual swap and a corrupt line
+const TRADES = [
+    { ...AAA, type: 'PARTIAL_EXIT', reason: 'take profit 20%', exitTime: '2026-01-10T12:00:00.000Z', exitIndex: 1, amount: 50, remainingAmount: 50, exitPrice: 1.2, invested: 50, finalValue: 60, pnl: 10, signature: '0xa1' },
+    { ...AAA, type: 'EXIT', reason: 'trailing stop', exitTime: '2026-01-10T12:00:00.000Z', exitIndex: 2, amount: 50, remainingAmount: 0, exitPrice: 0.9, invested: 50, finalValue: 45, pnl: -5, signature: '0xa2' },
+    { type: 'EXIT', token: 'BBB', strategy: 'breakout, v2', reason: 'stop loss', entryPrice: 2, entryTime: '2026-01-09T00:00:00.000Z', timestamp: '2026-01-11T00:00:00.000Z', invested: 20, finalValue: 30, pnl: 10, signature: '0xb1' },
+    { type: 'EXIT', token: 'CCC', strategy: 'momentum', reason: 'stop loss', entryPrice: 1, entryTime: '2026-01-10T00:00:00.000Z', exitTime: '2026-01-10T06:00:00.000Z', exitIndex: 1, amount: 100, remainingAmount: 0, exitPrice: 2, invested: 100, finalValue: 200, pnl: 100, signature: 'DRY_RUN', dryRun: true },
+    { type: 'SWAP', timestamp: '2026-01-12T00:00:00.000Z', input: '10 USDC', output: '5 DDD', signature: '0xd1', priceImpact: '0.5', executionTime: '1200ms' }
+].map(record => JSON.stringify(record)).concat('{"type": "EXIT", "tok').join('\n') + '\n';
+
+function withLedger(fn) {
+    const { dir, cleanup } = tempDir();
+    const ledger = new Ledger(path.join(dir, 'ledger.db'));
+    try {
+        return fn(ledger, dir);
+    } finally {
+        ledger.close();
+        cleanup();
+    }
+}
+
+function importTrades(ledger, dir, content = TRADES) {
+    const file = path.join(dir, 'trades.log');
+    fs.writeFileSync(file, content);
+    return ledger.importTradesLog(file);
+}
+
+test('migrations run once and the schema survives reopening', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const file = path.join(dir, 'ledger.db');
+        const ledger = new Ledger(file);
+        assert.equal(ledger.db.pragma('user_version', { simple: true }), MIGRATIONS.length);
+        importTrades(ledger, dir);
+        ledger.close();
+
+        const reopened = new Ledger(file);
+        assert.equal(reopened.db.pragma('user_version', { simple: true }), MIGRATIONS.length);
+        assert.equal(reopened.db.prepare('SELECT count(*) AS n FROM orders').get().n, 8);
+        reopened.close();
+    } finally {
+        cleanup();
+    }
+});
+
+test('trades.log imports are deduplicated by source key', () => withLedger((ledger, dir) => {
+    const first = importTrades(ledger, dir);
+    assert.equal(first.imported, 5);
+    assert.equal(first.skipped, 0);
+    assert.equal(first.errors.length, 1);
+    assert.match(first.errors[0], /^trades\.log:6: /);
+
+    // One synthesized entry per position plus every sell and the swap
+    const orders = ledger.db.prepare('SELECT source_key, side, dry_run FROM orders ORDER BY id').all();
+    assert.deepEqual(orders.map(order => order.source_key), [
+        'entry:AAA:2026-01-10T10:00:00.000Z',
+        'exit:AAA:2026-01-10T12:00:00.000Z:1',
+        'exit:AAA:2026-01-10T12:00:00.000Z:2',
+        'entry:BBB:2026-01-09T00:00:00.000Z',
+        'exit:BBB:2026-01-11T00:00:00.000Z',
+        'entry:CCC:2026-01-10T00:00:00.000Z',
+        'exit:CCC:2026-01-10T06:00:00.000Z:1',
+        'swap:2026-01-12T00:00:00.000Z:0xd1'
+    ]);
+    assert.deepEqual(orders.filter(order => order.dry_run).map(order => order.source_key.split(':')[1]), ['CCC', 'CCC']);
+
+    // The synthesized AAA entry holds both sells; the old BBB record's amount comes from its entry price
+    const entry = ledger.db.prepare(`SELECT f.token_amount, f.quote_amount FROM fills f JOIN orders o ON o.id = f.order_id WHERE o.source_key = 'entry:AAA:2026-01-10T10:00:00.000Z'`).get();
+    assert.deepEqual({ ...entry }, { token_amount: 100, quote_amount: 100 });
+    const bbb = ledger.db.prepare(`SELECT f.token_amount, f.price FROM fills f JOIN orders o ON o.id = f.order_id WHERE o.source_key = 'exit:BBB:2026-01-11T00:00:00.000Z'`).get();
+    assert.deepEqual({ ...bbb }, { token_amount: 10, price: 3 });
+
+    const position = ledger.db.prepare(`SELECT status, closed_at, realized_pnl FROM positions WHERE token_symbol = 'AAA'`).get();
+    assert.deepEqual({ ...position }, { status: 'closed', closed_at: '2026-01-10T12:00:00.000Z', realized_pnl: 5 });
+
+    const again = importTrades(ledger, dir);
+    assert.equal(again.imported, 0);
+    assert.equal(again.skipped, 5);
+    assert.equal(ledger.db.prepare('SELECT count(*) AS n FROM orders').get().n, 8);
+    assert.equal(ledger.db.prepare(`SELECT realized_pnl FROM positions WHERE token_symbol = 'AAA'`).get().realized_pnl, 5);
+}));
+
+test('exits the monitor recorded are skipped when trades.log is imported', () => withLedger((ledger, dir) => {
+    const position = { address: '0xeee', token: 'EEE', strategy: 'momentum', entryTime: '2026-01-10T10:00:00.000Z', entryPrice: 1, amount: 100, usdcInvested: 100 };
+    const trades = [1, 2].map(exitIndex => ({
+        type: exitIndex === 2 ? 'EXIT' : 'PARTIAL_EXIT', token: 'EEE', strategy: 'momentum', reason: 'take profit',
+        entryPrice: 1, entryTime: position.entryTime, exitTime: '2026-01-10T11:00:00.000Z', exitIndex,
+        amount: 50, remainingAmount: exitIndex === 2 ? 0 : 50, exitPrice: 1.1, invested: 50, finalValue: 55, pnl: 5, signature: `0xe${exitIndex}`
+    }));
+
+    ledger.recordEntry(position, { signature: '0xe0', fees: [{ kind: 'gas', amount: 0.25, currency: 'USD', usd: 0.25 }] });
+    for (const trade of trades) {
+        ledger.recordExit(position, trade, { fees: [{ kind: 'gas', amount: 0.5, currency: 'USD', usd: 0.5 }] });
+    }
+
+    const stats = importTrades(ledger, dir, trades.map(trade => JSON.stringify(trade)).join('\n'));
+    assert.deepEqual(stats, { imported: 0, skipped: 2, errors: [] });
+
+    const report = ledger.report({ by: 'token' });
+    assert.deepEqual(report.rows.map(row => [row.key, row.sells, row.pnl, row.fees]), [['EEE', 2, 10, 1]]);
+    assert.equal(report.totals.fees, 1.25);
+}));
+
+test('reports group realized P&L and leave out dry runs unless asked', () => withLedger((ledger, dir) => {
+    importTrades(ledger, dir);
+
+    const byToken = ledger.report({ by: 'token' });
+    assert.deepEqual(byToken.rows.map(row => [row.key, row.sells, row.wins, row.pnl]), [['AAA', 2, 1, 5], ['BBB', 1, 1, 10]]);
+    assert.equal(byToken.totals.sells, 3);
+    assert.equal(byToken.totals.pnl, 15);
+    assert.equal(byToken.totals.closedPositions, 2);
+    assert.ok(Math.abs(byToken.totals.avgHoldHours - 25) < 1e-6, String(byToken.totals.avgHoldHours));
+    assert.equal(byToken.hiddenDryRun, 2);
+
+    assert.deepEqual(ledger.report({ by: 'strategy' }).rows.map(row => [row.key, row.pnl]), [['breakout, v2', 10], ['momentum', 5]]);
+    assert.deepEqual(ledger.report().rows.map(row => [row.key, row.pnl]), [['2026-01-10', 5], ['2026-01-11', 10]]);
+    assert.deepEqual(ledger.report({ from: '2026-01-11' }).rows.map(row => row.key), ['2026-01-11']);
+
+    const withPaper = ledger.report({ by: 'token', includeDryRun: true });
+    assert.equal(withPaper.totals.pnl, 115);
+    assert.equal(withPaper.hiddenDryRun, 0);
+
+    assert.throws(() => ledger.report({ by: 'week' }), /Unknown grouping "week"/);
+}));
+
+test('the CSV export has one row per sell with holding period and quoting', () => withLedger((ledger, dir) => {
+    importTrades(ledger, dir);
+
+    const [header, ...rows] = ledger.exportCsv().trim().split('\n');
+    assert.equal(header, 'token,token_address,date_acquired,date_sold,amount,proceeds_usd,cost_basis_usd,fees_usd,gain_usd,holding_days,term,strategy,signature,dry_run');
+    assert.deepEqual(rows, [
+        'AAA,,2026-01-10T10:00:00.000Z,2026-01-10T12:00:00.000Z,50,60,50,0,10,0.08,short,momentum,0xa1,0',
+        'AAA,,2026-01-10T10:00:00.000Z,2026-01-10T12:00:00.000Z,50,45,50,0,-5,0.08,short,momentum,0xa2,0',
+        'BBB,,2026-01-09T00:00:00.000Z,2026-01-11T00:00:00.000Z,10,30,20,0,10,2.00,short,"breakout, v2",0xb1,0'
+    ]);
+
+    assert.equal(ledger.exportCsv({ includeDryRun: true }).trim().split('\n').length, 5);
+    assert.equal(ledger.exportCsv({ to: '2026-01-11' }).trim().split('\n').length, 3);
+}));
@@ -0,0 +1,179 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { MarketData, HttpClient, TtlCache } = require('../market');
+const { VirtualClock } = require('../clock');
+const { startServer, tempDir } = require('./helpers');
+
+// Recorded DexScreener responses for two Base tokens (see fixtures/market)
+const FIXTURES = path.join(__dirname, 'fixtures', 'market');
+const AAA = '0xA1a1A1a1a1a1a1a1a1A1a1a1a1a1A1a1a1A1a1A1';
+const BBB = '0xB2b2b2B2b2B2b2b2B2B2b2b2B2b2b2b2b2b2B2b2';
+const WETH = '0x4200000000000000000000000000000000000006';
+
+const CONFIG = {
+    marketCacheTtl: 30000,
+    marketRateLimits: {},
+    marketFixtureDir: FIXTURES,
+    marketFixtureMode: 'replay',
+    marketSources: [],
+    marketMaxDeviation: 5
+};
+
+function market(options = {}) {
+    return new MarketData({ chainId: 'base', config: CONFIG, clock: new VirtualClock(0), ...options });
+}
+
+test('trending tokens replay from fixtures, filtered to the chain', async () => {
+    const tokens = await market().getTrendingTokens();
+
+    assert.deepEqual(tokens.map(token => token.symbol), ['AAA', 'BBB']);
+    assert.ok(tokens.every(token => token.source === 'dexscreener'));
+});
+
+test('a token takes its price from its most liquid pair', async () => {
+    const token = await market().getTokenData(AAA);
+
+    assert.equal(token.address, AAA);
+    assert.equal(token.pairAddress, '0x1000000000000000000000000000000000000002');
+    assert.equal(token.dexId, 'aerodrome');
+    assert.equal(token.price, 0.0126);
+    assert.equal(token.priceNative, 0.0000042);
+    assert.equal(token.liquidity, 900000);
+    assert.equal(token.marketCap, 4200000);
+    assert.equal(token.volume24h, 850000);
+    assert.equal(token.priceChange1h, 2.1);
+    assert.deepEqual(token.txns.h1, { buys: 130, sells: 70 });
+    assert.deepEqual(token.quoteToken, { address: WETH, symbol: 'WETH' });
+});
+
+test('missing fields normalize to zero', async () => {
+    const tokens = await market().getTokens([AAA, BBB]);
+    const token = tokens.get(BBB);
+
+    assert.equal(token.priceChange24h, -3.2);
+    assert.equal(token.priceChange5m, 0);
+    assert.deepEqual(token.txns.m5, { buys: 0, sells: 0 });
+});
+
+test('replay without a recorded response fails loudly', async () => {
+    const client = new HttpClient({ fixtureDir: FIXTURES });
+    await assert.rejects(client.get('https://api.dexscreener.com/tokens/v1/base/0xnope'), /No recorded fixture for https:\/\/api\.dexscreener\.com\/tokens\/v1\/base\/0xnope/);
+});
+
+test('token data is cached for MARKET_CACHE_TTL', async () => {
+    const clock = new VirtualClock(0);
+    const data = market({ clock });
+    let fetches = 0;
+    const getTokens = data.dexscreener.getTokens.bind(data.dexscreener);
+    data.dexscreener.getTokens = (...args) => { fetches++; return getTokens(...args); };
+
+    await data.getTokenData(AAA);
+    await data.getTokenData(AAA);
+    assert.equal(fetches, 1);
+    await clock.sleep(30000);
+    await data.getTokenData(AAA);
+    assert.equal(fetches, 2);
+});
+
+test('concurrent cache misses share one load', async () => {
+    const cache = new TtlCache({ clock: new VirtualClock(0) });
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.deepEqual(await Promise.all([cache.wrap('k', 1000, load), cache.wrap('k', 1000, load)]), [1, 1]);
+    assert.equal(loads, 1);
+});
+
+test('requests wait for the host rate limit', async () => {
+    const server = await startServer(() => ({ body: { ok: true } }));
+    try {
+        const clock = new VirtualClock(0);
+        const host = new URL(server.url).host;
+        const client = new HttpClient({ rateLimits: { [host]: 30 }, clock, sleep: ms => clock.sleep(ms) });
+
+        for (let i = 0; i < 3; i++) {
+            await client.get(`${server.url}/tick?n=${i}`);
+        }
+        // 30 per minute: one every two seconds, the first immediately
+        assert.equal(clock.now(), 4000);
+        assert.equal(client.stats.requests, 3);
+    } finally {
+        await server.close();
+    }
+});
+
+test('429 honors Retry-After and 5xx retries with backoff', async () => {
+    const replies = [
+        { status: 429, headers: { 'retry-after': '7' }, body: {} },
+        { status: 503, body: {} },
+        { status: 502, body: {} },
+        { body: [{ ok: true }] }
+    ];
+    const server = await startServer(() => replies.shift());
+    try {
+        const clock = new VirtualClock(0);
+        const client = new HttpClient({ defaultRateLimit: 0, clock, sleep: ms => clock.sleep(ms) });
+
+        assert.deepEqual(await client.get(`${server.url}/pairs`), [{ ok: true }]);
+        // 7s Retry-After, then 2s and 4s of backoff for attempts 1 and 2
+        assert.equal(clock.now(), 13000);
+        assert.deepEqual(client.stats, { requests: 4, cacheHits: 0, throttled: 1, retries: 3 });
+    } finally {
+        await server.close();
+    }
+});
+
+test('retries give up with the last status', async () => {
+    const server = await startServer(() => ({ status: 500, body: {} }));
+    try {
+        const clock = new VirtualClock(0);
+        const client = new HttpClient({ retries: 1, defaultRateLimit: 0, clock, sleep: ms => clock.sleep(ms) });
+        await assert.rejects(client.get(`${server.url}/down`), /returned HTTP 500 after 2 attempts/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('record mode saves responses that replay mode serves back', async () => {
+    const server = await startServer(() => ({ body: { price: 1.23 } }));
+    const { dir, cleanup } = tempDir();
+    try {
+        const url = `${server.url}/tokens/v1/base/${AAA}`;
+        const recorder = new HttpClient({ fixtureDir: dir, fixtureMode: 'record', defaultRateLimit: 0 });
+        assert.deepEqual(await recorder.get(url), { price: 1.23 });
+
+        const saved = JSON.parse(fs.readFileSync(recorder.fixturePath(url), 'utf8'));
+        assert.equal(saved.url, url);
+
+        const replay = new HttpClient({ fixtureDir: dir });
+        assert.deepEqual(await replay.get(url), { price: 1.23 });
+        assert.equal(server.requests.length, 1);
+    } finally {
+        await server.close();
+        cleanup();
+    }
+});
+
+test('verifyPrice flags on-chain prices that disagree with the API', async () => {
+    const data = market();
+    const token = await data.getTokenData(AAA);
+    let poolPrice = 0.0000042;
+    data.pools = { getPrice: async () => ({ price: poolPrice, quoteToken: WETH }) };
+
+    const agreed = await data.verifyPrice(token);
+    assert.equal(agreed.ok, true);
+    assert.ok(Math.abs(agreed.onchainPrice - 0.0126) < 1e-12);
+
+    poolPrice = 0.0000042 * 1.2;
+    const disagreed = await data.verifyPrice(token);
+    assert.equal(disagreed.ok, false);
+    assert.ok(Math.abs(disagreed.deviation - 9.09) < 0.01);
+    assert.match(disagreed.reason, /price sources disagree by 9\.1% \(dexscreener \$0\.0126000, onchain \$0\.0151200\)/);
+
+    // A pool quoted in another token is not comparable
+    data.pools = { getPrice: async () => ({ price: 1, quoteToken: BBB }) };
+    assert.deepEqual(await data.verifyPrice(token), { ok: true, deviation: 0, prices: { dexscreener: 0.0126 }, onchainPrice: null });
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const TradingMonitor = require('../monitor');
+const { loadConfig } = require('../config');
+const { VirtualClock } = require('../clock');
+const { tempDir } = require('./helpers');
+
+const T0 = Date.UTC(2026, 0, 10, 12);
+
+let dir;
+
+before(() => {
+    dir = tempDir();
+});
+
+after(() => {
+    dir.cleanup();
+});
+
+/**
+ * Dry-run monitor over a stub adapter whose trending list is `scan.tokens`,
+ * with every side effect (risk state, journal, ledger, notifications) off
+ */
+function createMonitor(env = {}) {
+    const config = loadConfig({
+        env: { HOME: dir.dir, DRY_RUN: 'true', TRADES_FILE: path.join(dir.dir, 'trades.log'), ...env },
+        envFile: path.join(dir.dir, '.env')
+    });
+    const scan = { tokens: [] };
+    const monitor = new TradingMonitor({
+        config,
+        adapter: { getTrendingTokens: async () => scan.tokens },
+        clock: new VirtualClock(T0),
+        riskStateFile: null,
+        journalFile: null,
+        ledgerFile: null,
+        notifier: null,
+        screener: null,
+        quoteGuard: null,
+        priceFeed: null,
+        balances: null
+    });
+    return { monitor, scan };
+}
+
+function token(config, fields = {}) {
+    return {
+        address: '0xtkn',
+        symbol: 'TKN',
+        price: 1,
+        volume24h: config.minVolume24h * 2,
+        priceChange24h: config.minPriceChange + 5,
+        liquidity: config.minLiquidity * 2,
+        marketCap: config.minMarketCap * 2,
+        ...fields
+    };
+}
+
+test('the generic filters take moves in either direction', () => {
+    const { monitor } = createMonitor({ BLACKLIST: 'scam' });
+    const { config } = monitor;
+
+    assert.equal(monitor.isGoodOpportunity(token(config)), true);
+    assert.equal(monitor.isGoodOpportunity(token(config, { priceChange24h: -(config.minPriceChange + 5) })), true);
+    assert.equal(monitor.isGoodOpportunity(token(config, { priceChange24h: config.minPriceChange / 2 })), false);
+    assert.equal(monitor.isGoodOpportunity(token(config, { priceChange24h: -config.minPriceChange / 2 })), false);
+    assert.equal(monitor.isGoodOpportunity(token(config, { volume24h: config.minVolume24h / 2 })), false);
+    assert.equal(monitor.isGoodOpportunity(token(config, { liquidity: config.minLiquidity / 2 })), false);
+    assert.equal(monitor.isGoodOpportunity(token(config, { marketCap: config.minMarketCap / 2 })), false);
+    assert.equal(monitor.isGoodOpportunity(token(config, { symbol: 'SCAMCOIN' })), false);
+
+    monitor.positions.set('0xtkn', {});
+    assert.equal(monitor.isGoodOpportunity(token(config)), false);
+});
+
+test('tokens that are neither held nor seen lose their history', async () => {
+    const { monitor, scan } = createMonitor({ HISTORY_LENGTH: '10', SCAN_INTERVAL: '1000', CANDLE_TIMEFRAMES: '1m', CANDLE_HISTORY: '10' });
+    const gone = token(monitor.config, { address: '0xgone' });
+    const held = token(monitor.config, { address: '0xheld' });
+    const seen = token(monitor.config, { address: '0xseen' });
+    monitor.positions.set('0xheld', {});
+
+    scan.tokens = [gone, held, seen];
+    await monitor.getTrendingTokens();
+    scan.tokens = [seen];
+    for (let i = 0; i < 10; i++) {
+        await monitor.clock.sleep(1000);
+        await monitor.getTrendingTokens();
+    }
+    // Exactly HISTORY_LENGTH intervals unseen is not stale yet
+    assert.deepEqual([...monitor.priceHistory.keys()].sort(), ['0xgone', '0xheld', '0xseen']);
+
+    await monitor.clock.sleep(1000);
+    await monitor.getTrendingTokens();
+    assert.deepEqual([...monitor.priceHistory.keys()].sort(), ['0xheld', '0xseen']);
+    assert.equal(monitor.priceHistory.get('0xseen').length, 10);
+    assert.deepEqual(monitor.getStrategyContext('0xgone').history, []);
+
+    // Candles go once their own window has passed without samples
+    await monitor.clock.sleep(10 * 60 * 1000);
+    await monitor.getTrendingTokens();
+    assert.deepEqual([...monitor.candles.series.keys()].sort(), ['0xheld', '0xseen']);
+});
+
+test('the sizing log explains the size the strategy chose', async () => {
+    const { monitor } = createMonitor({ POSITION_SIZING: 'percent', POSITION_SIZE_PERCENT: '5' });
+    monitor.balances = { refresh: async () => ({ address: 'paper account', native: null, quote: 1000 }) };
+    monitor.risk.canEnter = () => ({ allowed: false, reason: 'stop here' }); // Nothing past sizing is needed
+
+    const momentum = monitor.strategies[0];
+    const halved = Object.create(momentum);
+    halved.sizePosition = (token, context) => momentum.sizePosition(token, context) / 2;
+
+    const lines = [];
+    const original = console.log;
+    console.log = line => lines.push(line);
+    try {
+        await monitor.enterPosition(token(monitor.config), momentum);
+        await monitor.enterPosition(token(monitor.config), halved);
+    } finally {
+        console.log = original;
+    }
+
+    const sizing = lines.filter(line => line.includes('📐'));
+    assert.equal(sizing.length, 2);
+    assert.match(sizing[0], /📐 Sizing TKN at \$50\.00 \(5% of \$1000\.00 equity\)/);
+    assert.match(sizing[1], /📐 Sizing TKN at \$25\.00 \(set by momentum\)/);
+});
@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { Notifier, DiscordSink, WebhookSink, FileSink, render } = require('../notifier');
+const { VirtualClock } = require('../clock');
+const { startServer, tempDir } = require('./helpers');
+
+const T0 = Date.UTC(2026, 0, 10, 12);
+
+/**
+ * Sink that records what it was sent and when; `fail(attempt)` returns an
+ * error to throw for that send attempt
+ */
+function recordingSink(clock, fail = () => null) {
+    const sink = {
+        name: 'recording',
+        attempts: 0,
+        sent: [],
+        async send(message) {
+            const error = fail(++sink.attempts);
+            if (error) throw error;
+            sink.sent.push({ time: clock.now(), text: message.text });
+        }
+    };
+    return sink;
+}
+
+function createNotifier(config = {}, fail) {
+    const clock = new VirtualClock(T0);
+    const sink = recordingSink(clock, fail);
+    const notifier = new Notifier({ notifyRateLimit: 0, ...config }, { sinks: [sink], clock });
+    return { notifier, sink, clock };
+}
+
+test('messages render from the event data', () => {
+    assert.equal(render('entry', { token: 'TKN', dryRun: true, entryPrice: 0.012346, usdcInvested: 10, amount: 810.04, stopLoss: 0.011, strategy: 'momentum' }),
+        '🟢 BUY TKN (dry run)\nPrice: $0.01235\nSize: $10.00 (810.04 TKN)\nStop: $0.01100\nStrategy: momentum');
+    assert.equal(render('exit', { type: 'PARTIAL_EXIT', token: 'TKN', reason: 'Profit taking', entryPrice: 2, exitPrice: 1.5, pnl: -2.5, pnlPercent: -25 }),
+        '🔴 PARTIAL SELL TKN\nReason: Profit taking\nPrice: $2.00 → $1.50\nP&L: -$2.50 (-25.0%)');
+    assert.equal(render('exit', { type: 'EXIT', token: 'TKN', reason: 'Time exit', entryPrice: 1, exitPrice: 1.2, pnl: 2, pnlPercent: 20 }).split('\n')[0], '✅ SELL TKN');
+    assert.equal(render('halt', { reason: 'Daily loss limit', dryRun: true }), '⛔ Trading halted (dry run): Daily loss limit\nRun "node risk.js reset --paper" to resume');
+    assert.equal(render('halt', { reason: 'Daily loss limit' }), '⛔ Trading halted: Daily loss limit\nRun "node risk.js reset" to resume');
+    assert.equal(render('reconcile', {
+        phantoms: [{ token: 'A', recorded: 5 }],
+        mismatches: [],
+        orphans: [{ token: 'B', held: 2, intent: 'ENTRY' }],
+        unresolved: []
+    }), '🔎 Position reconciliation found problems\n👻 A: recorded 5, wallet holds none\n🧩 B: wallet holds 2 from an unrecorded ENTRY');
+
+    // NOTIFY_TEMPLATES overrides fill known fields and leave the rest as written
+    assert.equal(render('exit', { token: 'TKN', pnl: 1.5 }, { exit: '{token} made {pnl} {missing}' }), 'TKN made 1.5 {missing}');
+});
+
+test('only configured events are sent, and unrenderable ones are dropped', async () => {
+    const { notifier, sink } = createNotifier({ notifyEvents: ['error', 'entry'] });
+    notifier.notify('halt', { reason: 'x' });
+    notifier.notify('entry', { token: 'TKN' }); // Missing fields make the template throw
+    notifier.notify('error', { context: 'Scan', message: 'timeout' });
+    await notifier.flush();
+    assert.deepEqual(sink.sent.map(message => message.text), ['💥 Scan: timeout']);
+
+    assert.equal(new Notifier({}, { sinks: [] }).enabled, false);
+});
+
+test('sinks send at most notifyRateLimit messages a minute', async () => {
+    const { notifier, sink } = createNotifier({ notifyRateLimit: 2 });
+    for (let i = 1; i <= 5; i++) notifier.notify('error', { context: 'Test', message: String(i) });
+    await notifier.flush();
+
+    assert.deepEqual(sink.sent.map(({ time, text }) => [time - T0, text]), [
+        [0, '💥 Test: 1'],
+        [0, '💥 Test: 2'],
+        [60000, '💥 Test: 3'],
+        [60000, '💥 Test: 4'],
+        [120000, '💥 Test: 5']
+    ]);
+});
+
+test('an overflowing queue drops the oldest messages and says so', async () => {
+    const { notifier, sink } = createNotifier({ notifyRateLimit: 2 });
+    notifier.maxQueue = 2;
+    for (let i = 1; i <= 4; i++) notifier.notify('error', { context: 'Test', message: String(i) });
+    await notifier.flush();
+
+    assert.deepEqual(sink.sent.map(message => message.text), ['💥 Test: 3\n(2 earlier notification(s) dropped by rate limit)', '💥 Test: 4']);
+});
+
+test('failed sends back off and retry, then give up without blocking the queue', async () => {
+    const down = new Error('socket hang up');
+    const limited = Object.assign(new Error('Too Many Requests'), { response: { status: 429, data: { parameters: { retry_after: 7 } } } });
+    const failures = { 1: down, 2: down, 3: limited, 5: down, 6: down, 7: down, 8: down };
+    const { notifier, sink } = createNotifier({ notifyRetries: 3 }, attempt => failures[attempt]);
+
+    notifier.notify('error', { context: 'Test', message: 'first' });
+    notifier.notify('error', { context: 'Test', message: 'lost' });
+    notifier.notify('error', { context: 'Test', message: 'last' });
+    await notifier.flush();
+
+    // 1s and 2s backoff, then Telegram's retry_after; the second message fails all four attempts
+    assert.equal(sink.attempts, 9);
+    assert.deepEqual(sink.sent.map(({ time, text }) => [time - T0, text]), [
+        [10000, '💥 Test: first'],
+        [10000 + 1000 + 2000 + 4000, '💥 Test: last']
+    ]);
+});
+
+test('webhook, Discord and file sinks deliver the message', async () => {
+    let failed = false;
+    const server = await startServer(req => {
+        if (req.url === '/discord' && !failed) {
+            failed = true;
+            return { status: 500, body: '' };
+        }
+        return { status: 204, body: '' };
+    });
+    const { dir, cleanup } = tempDir();
+    try {
+        const file = path.join(dir, 'notifications.log');
+        const notifier = new Notifier({
+            discordWebhookUrl: `${server.url}/discord`,
+            notifyWebhookUrl: `${server.url}/hook`,
+            notifyFile: file
+        }, { clock: new VirtualClock(T0) });
+        assert.deepEqual(notifier.sinks.map(state => state.sink.constructor), [DiscordSink, WebhookSink, FileSink]);
+
+        notifier.notify('riskLimit', { reason: 'Max exposure' });
+        await notifier.flush();
+
+        const text = '🛡️ Entries blocked: Max exposure';
+        const received = url => server.requests.filter(request => request.url === url).map(request => request.body);
+        assert.deepEqual(received('/discord'), [{ content: text }, { content: text }]); // Answered 500, then retried
+        assert.deepEqual(received('/hook'), [{ event: 'riskLimit', text, data: { reason: 'Max exposure' }, timestamp: new Date(T0).toISOString() }]);
+        assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).text, text);
+    } finally {
+        cleanup();
+        await server.close();
+    }
+});
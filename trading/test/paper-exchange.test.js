@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { PaperExchange } = require('../paper-exchange');
+const { VirtualClock } = require('../clock');
+const { tempDir } = require('./helpers');
+
+const T0 = Date.UTC(2026, 0, 10, 12);
+const TOKEN = { address: '0xtkn', symbol: 'TKN', price: 1, liquidity: 200000 };
+
+// Pools hold half their liquidity on each side: $100k and 100k TKN
+const CONFIG = {
+    paperBalance: 1000,
+    paperLpFee: 0.3,
+    paperGasCost: 0.05,
+    paperLatency: 2000,
+    paperSlippage: true,
+    maxSlippage: 1,
+    minLiquidity: 100000
+};
+
+function createExchange(config = {}, options = {}) {
+    return new PaperExchange({ ...CONFIG, ...config }, { clock: new VirtualClock(T0), stateFile: null, fillLog: null, ...options });
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+function rejectsWith(kind, pattern) {
+    return error => {
+        assert.equal(error.name, 'TxError');
+        assert.equal(error.kind, kind);
+        assert.match(error.message, pattern);
+        return true;
+    };
+}
+
+test('buys pay gas first, then the LP fee and the pool price impact', async () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const fillLog = path.join(dir, 'fills.log');
+        const paper = createExchange({}, { fillLog });
+        const result = await paper.buy(TOKEN, 100.05);
+
+        // $100 reaches the pool, $99.70 after the fee
+        const tokens = 100000 * 99.7 / (100000 + 99.7);
+        close(result.outputAmount, tokens);
+        close(result.priceImpact, (1 - tokens / 99.7) * 100);
+        assert.equal(result.executionTime, 2000);
+        assert.equal(result.timestamp, new Date(T0 + 2000).toISOString());
+        assert.deepEqual(result.fees.map(fee => [fee.kind, Number(fee.usd.toFixed(6))]), [['lp', 0.3], ['gas', 0.05]]);
+
+        close(paper.state.quote, 1000 - 100.05);
+        close(paper.state.tokens['0xtkn'], tokens);
+        close(paper.state.lpFeesPaid, 0.3);
+        assert.equal(paper.state.gasPaid, 0.05);
+        assert.equal(paper.getBalances().quote, paper.state.quote);
+
+        const [fill] = fs.readFileSync(fillLog, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(fill.side, 'buy');
+        close(fill.fillPrice, 100.05 / tokens);
+        close(fill.balance, 1000 - 100.05);
+    } finally {
+        cleanup();
+    }
+});
+
+test('without slippage fills are at the spot price less the fee', async () => {
+    const paper = createExchange({ paperSlippage: false, paperGasCost: 0 });
+    const result = await paper.buy({ ...TOKEN, price: 2 }, 100);
+    close(result.outputAmount, 49.85);
+    assert.equal(result.priceImpact, 0);
+});
+
+test('buys the account cannot cover are refused', async () => {
+    const paper = createExchange();
+    await assert.rejects(paper.buy(TOKEN, 1000.01), rejectsWith('insufficientFunds', /^Paper account holds \$1000\.00, entry needs \$1000\.01$/));
+    await assert.rejects(paper.buy(TOKEN, 0.05), rejectsWith('insufficientFunds', /does not cover \$0\.05 gas/));
+    assert.equal(paper.state.fillCount, 0);
+});
+
+test('a price that runs away while the fill is pending fails the swap', async () => {
+    const paper = createExchange();
+    const quotes = [];
+    const options = { guard: async quote => quotes.push(quote), refresh: async () => ({ price: 1.05 }) };
+
+    await assert.rejects(paper.buy(TOKEN, 100.05, options), rejectsWith('slippage', /^Paper buy of TKN filled 94\.\d+, below the 98\.\d+ minimum$/));
+    assert.equal(quotes.length, 1);
+    close(quotes[0].outputAmount, 100000 * 99.7 / (100000 + 99.7));
+    assert.equal(paper.state.quote, 1000);
+    assert.deepEqual(paper.state.tokens, {});
+
+    // Within MAX_SLIPPAGE the fill goes through at the new price
+    const result = await paper.buy(TOKEN, 100.05, { refresh: async () => ({ price: 1.005, liquidity: 200000 }) });
+    close(result.outputAmount, (100000 / 1.005) * 99.7 / (100000 + 99.7));
+});
+
+test('sells receive the proceeds less gas and may not exceed the holding', async () => {
+    const paper = createExchange({ paperLatency: 0 });
+    const { outputAmount: held } = await paper.buy(TOKEN, 100.05);
+    const market = { price: 1, liquidity: 200000 };
+
+    await assert.rejects(paper.sell(TOKEN, held * 1.01, market), rejectsWith('insufficientFunds', /^Paper account holds [\d.]+ TKN, exit sells [\d.]+$/));
+    await assert.rejects(paper.sell({ address: '0xother', symbol: 'OTH' }, 1, market), rejectsWith('insufficientFunds', /holds 0 OTH/));
+
+    const half = await paper.sell(TOKEN, held / 2, market);
+    close(half.outputAmount, 100000 * (held / 2 * 0.997) / (100000 + held / 2 * 0.997) - 0.05);
+    close(paper.state.tokens['0xtkn'], held / 2);
+
+    // A hair over what is left is float drift, not an oversell: the rest is sold
+    const rest = await paper.sell(TOKEN, held / 2 + 1e-12, market);
+    close(rest.inputAmount, held / 2);
+    assert.deepEqual(paper.state.tokens, {});
+    assert.equal(paper.state.fillCount, 3);
+    close(paper.state.gasPaid, 0.15);
+});
+
+test('fills with unknown liquidity are priced against MIN_LIQUIDITY', async () => {
+    const unknown = await createExchange().buy({ ...TOKEN, liquidity: undefined }, 100.05, { refresh: async () => ({ price: 1 }) });
+    const known = await createExchange().buy({ ...TOKEN, liquidity: 100000 }, 100.05);
+    close(unknown.outputAmount, known.outputAmount);
+    close(unknown.outputAmount, 50000 * 99.7 / (50000 + 99.7));
+});
@@ -0,0 +1,220 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { PoolReader } = require('../market/pools');
+const { PoolPriceFeed } = require('../market/price-feed');
+const { VirtualClock } = require('../clock');
+const { startRpcServer } = require('./helpers');
+
+const TOKEN = ethers.getAddress('0x1111111111111111111111111111111111111111');
+const WETH = ethers.getAddress('0x4200000000000000000000000000000000000006');
+const USDC = ethers.getAddress('0x833589fcd6edb6e08f4c7c32d4f71b54bda02913');
+const V2_PAIR = ethers.getAddress('0x2222222222222222222222222222222222222222'); // WETH / TOKEN
+const V3_POOL = ethers.getAddress('0x3333333333333333333333333333333333333333'); // TOKEN / USDC
+const EMPTY = ethers.getAddress('0x4444444444444444444444444444444444444444');
+
+const pool = new ethers.Interface([
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick)'
+]);
+const events = new ethers.Interface([
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+]);
+
+const metadata = { getDecimals: async address => (address === USDC ? 6 : 18) };
+
+// sqrtPriceX96 for a token0 price in token1 units
+function sqrtPrice(price0, decimals0, decimals1) {
+    return BigInt(Math.round(Math.sqrt(price0 * 10 ** (decimals1 - decimals0)) * 2 ** 96));
+}
+
+// Stubbed Base node. The V2 pair holds 10 WETH against 5000 TOKEN
+// (1 TOKEN = 0.002 WETH); the V3 pool prices 1 TOKEN at 0.5 USDC.
+const state = {
+    reserves: [10n * 10n ** 18n, 5000n * 10n ** 18n],
+    sqrtPriceX96: sqrtPrice(0.5, 18, 6)
+};
+
+function ethCall([{ to, data }]) {
+    const name = pool.parseTransaction({ data })?.name;
+    const address = ethers.getAddress(to);
+    if (address === V2_PAIR) {
+        if (name === 'token0') return pool.encodeFunctionResult('token0', [WETH]);
+        if (name === 'token1') return pool.encodeFunctionResult('token1', [TOKEN]);
+        if (name === 'getReserves') return pool.encodeFunctionResult('getReserves', [...state.reserves, 0]);
+    }
+    if (address === V3_POOL) {
+        if (name === 'token0') return pool.encodeFunctionResult('token0', [TOKEN]);
+        if (name === 'token1') return pool.encodeFunctionResult('token1', [USDC]);
+        if (name === 'slot0') return pool.encodeFunctionResult('slot0', [state.sqrtPriceX96, 0]);
+    }
+    throw new Error('execution reverted');
+}
+
+let rpc, provider;
+
+before(async () => {
+    rpc = await startRpcServer({ eth_chainId: () => '0x2105', eth_call: ethCall });
+    provider = new ethers.JsonRpcProvider(rpc.url, undefined, { staticNetwork: true, batchMaxCount: 1 });
+});
+
+after(async () => {
+    provider.destroy();
+    await rpc.close();
+});
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `${actual} is not ${expected}`);
+}
+
+test('V2 pairs are priced from reserves, from either side', async () => {
+    const reader = new PoolReader(provider, metadata);
+
+    const token = await reader.getPrice(V2_PAIR, TOKEN);
+    assert.equal(token.version, 2);
+    assert.equal(token.quoteToken, WETH);
+    close(token.price, 0.002);
+
+    const weth = await reader.getPrice(V2_PAIR, WETH.toLowerCase());
+    assert.equal(weth.quoteToken, TOKEN);
+    close(weth.price, 500);
+});
+
+test('V3 pools are priced from slot0 across different decimals', async () => {
+    const reader = new PoolReader(provider, metadata);
+    const { price, quoteToken, version } = await reader.getPrice(V3_POOL, TOKEN);
+
+    assert.equal(version, 3);
+    assert.equal(quoteToken, USDC);
+    close(price, 0.5);
+});
+
+test('pools are described once and prices cached for the TTL', async () => {
+    const clock = new VirtualClock(0);
+    const reader = new PoolReader(provider, metadata, { ttl: 5000, clock });
+    const calls = () => rpc.calls.filter(call => call.method === 'eth_call').length;
+
+    const start = calls();
+    await reader.getPrice(V2_PAIR, TOKEN);
+    const first = calls() - start;
+    await reader.getPrice(V2_PAIR, TOKEN);
+    assert.equal(calls() - start, first);
+
+    await clock.sleep(5000);
+    await reader.getPrice(V2_PAIR, TOKEN);
+    assert.equal(calls() - start, first + 1); // getReserves only
+});
+
+test('contracts that are not pools, and tokens not in the pool, are rejected', async () => {
+    const reader = new PoolReader(provider, metadata);
+
+    await assert.rejects(reader.getPrice(EMPTY, TOKEN), /is not a Uniswap V2 or V3 pool/);
+    await assert.rejects(reader.getPrice(V2_PAIR, USDC), /is not in pool/);
+    assert.throws(() => reader.priceFromReserves({ address: V2_PAIR }, 0n, 1n), /has no liquidity/);
+});
+
+function feed(clock, prices = []) {
+    return new PoolPriceFeed(provider, metadata, {
+        clock,
+        pollInterval: 5000,
+        onPrice: (address, price, source) => prices.push({ address, price, source })
+    });
+}
+
+test('polled pool prices are converted to USD with the quote token price', async () => {
+    const clock = new VirtualClock(1000);
+    const prices = [];
+    const priceFeed = feed(clock, prices);
+    priceFeed.watch(TOKEN, { pairAddress: V2_PAIR, quoteToken: WETH });
+
+    // No quote price yet: the pool price is kept but nothing is reported
+    await priceFeed.poll();
+    assert.equal(priceFeed.getPrice(TOKEN), null);
+    assert.equal(prices.length, 0);
+
+    // DexScreener: $5 per token at 0.002 WETH, so WETH is $2500
+    priceFeed.updateQuote(TOKEN, { price: 5, priceNative: 0.002, quoteToken: { address: WETH } });
+    close(priceFeed.getPrice(TOKEN), 5);
+
+    // Only changes are reported
+    await priceFeed.poll();
+    assert.equal(prices.length, 0);
+
+    const reserves = state.reserves;
+    state.reserves = [11n * 10n ** 18n, 5000n * 10n ** 18n];
+    try {
+        await priceFeed.poll();
+    } finally {
+        state.reserves = reserves;
+    }
+    assert.equal(prices.length, 1);
+    assert.equal(prices[0].address, TOKEN);
+    assert.equal(prices[0].source, 'poll');
+    close(prices[0].price, 5.5);
+});
+
+test('quotes for another quote token are ignored', async () => {
+    const priceFeed = feed(new VirtualClock(0));
+    priceFeed.watch(TOKEN, { pairAddress: V2_PAIR, quoteToken: WETH });
+
+    priceFeed.updateQuote(TOKEN, { price: 0.5, priceNative: 0.5, quoteToken: { address: USDC } });
+    assert.equal(priceFeed.watched.get(TOKEN).quoteUsd, null);
+});
+
+test('polled prices go stale after two missed polls', async () => {
+    const clock = new VirtualClock(0);
+    const priceFeed = feed(clock);
+    priceFeed.watch(TOKEN, { pairAddress: V2_PAIR, quoteToken: WETH, quoteUsd: 2500 });
+
+    await priceFeed.poll();
+    close(priceFeed.getPrice(TOKEN), 5);
+    await clock.sleep(10000);
+    close(priceFeed.getPrice(TOKEN), 5);
+    await clock.sleep(1);
+    assert.equal(priceFeed.getPrice(TOKEN), null);
+});
+
+test('a pool quoted in an unexpected token is refused', async () => {
+    const priceFeed = feed(new VirtualClock(0));
+    priceFeed.watch(TOKEN, { pairAddress: V3_POOL, quoteToken: WETH, quoteUsd: 2500 });
+
+    await priceFeed.poll();
+    assert.equal(priceFeed.getPrice(TOKEN), null);
+    assert.match(priceFeed.watched.get(TOKEN).error, /is not quoted in/);
+});
+
+test('Sync and Swap events reprice without polling', async () => {
+    const prices = [];
+    const priceFeed = feed(new VirtualClock(0), prices);
+    priceFeed.watch(TOKEN, { pairAddress: V2_PAIR, quoteToken: WETH, quoteUsd: 2500 });
+    priceFeed.watch(USDC, { pairAddress: V3_POOL, quoteUsd: 2 });
+
+    // A buy leaves 12 WETH against 4000 TOKEN: 0.003 WETH, or $7.50
+    const sync = events.encodeEventLog('Sync', [12n * 10n ** 18n, 4000n * 10n ** 18n]);
+    await priceFeed.handleLog(priceFeed.watched.get(TOKEN), sync);
+    close(priceFeed.watched.get(TOKEN).price, 7.5);
+
+    // USDC priced in TOKEN: 1 / 0.25 at $2 per TOKEN
+    const swap = events.encodeEventLog('Swap', [TOKEN, TOKEN, 1n, -1n, sqrtPrice(0.25, 18, 6), 1n, 0]);
+    await priceFeed.handleLog(priceFeed.watched.get(USDC), swap);
+    close(priceFeed.watched.get(USDC).price, 8);
+
+    assert.deepEqual(prices.map(({ address, source }) => [address, source]), [[TOKEN, 'event'], [USDC, 'event']]);
+});
+
+test('a read that finishes after unwatch is dropped', async () => {
+    const prices = [];
+    const priceFeed = feed(new VirtualClock(0), prices);
+    priceFeed.watch(TOKEN, { pairAddress: V2_PAIR, quoteToken: WETH, quoteUsd: 2500 });
+    const entry = priceFeed.watched.get(TOKEN);
+
+    const reading = priceFeed.read(entry);
+    priceFeed.unwatch(TOKEN);
+    await reading;
+    assert.equal(entry.price, null);
+    assert.equal(prices.length, 0);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { QuoteGuard, QuoteRejectedError } = require('../quote-guard');
+const { VirtualClock } = require('../clock');
+const { tempDir } = require('./helpers');
+
+const CONFIG = { quoteMaxPriceImpact: 2, quoteMaxDeviation: 5, quoteMinOutputPerDollar: 0.95 };
+
+function guard(config = {}, options = {}) {
+    return new QuoteGuard({ ...CONFIG, ...config }, { logFile: null, ...options });
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('entries are sized down to fit the price impact budget', () => {
+    // $100k liquidity: $50k quote reserve, 2% budget allows 50000 * 0.02 / 0.98
+    close(guard().fitSize({ liquidity: 100000 }, 5000), 50000 * 0.02 / 0.98);
+    assert.equal(guard().fitSize({ liquidity: 100000 }, 500), 500);
+    assert.equal(guard({ quoteMaxPriceImpact: 10 }).fitSize({ liquidity: 1000 }, 40), 40);
+    close(guard({ quoteMaxPriceImpact: 10 }).fitSize({ liquidity: 1000 }, 100), 500 / 9);
+});
+
+test('unknown liquidity or a disabled budget leaves the size alone', () => {
+    assert.equal(guard().fitSize({ liquidity: 0 }, 50), 50);
+    assert.equal(guard().fitSize({}, 50), 50);
+    assert.equal(guard({ quoteMaxPriceImpact: 0 }).fitSize({ liquidity: 1000 }, 50), 50);
+    assert.equal(guard({ quoteMaxPriceImpact: 100 }).fitSize({ liquidity: 1000 }, 50), 50);
+});
+
+test('a fair buy quote passes with its metrics', () => {
+    // $10 for 99 tokens at a $0.10 reference
+    const result = guard().check({ inputAmount: 10, outputAmount: 99, priceImpact: 0.5 }, { side: 'buy', symbol: 'TKN', referencePrice: 0.1 });
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.reasons, []);
+    close(result.metrics.impliedPrice, 10 / 99);
+    close(result.metrics.deviation, (10 / 99 - 0.1) / 0.1 * 100);
+    close(result.metrics.outputPerDollar, 0.99);
+});
+
+test('sell quotes are valued from the other side', () => {
+    // 100 tokens for $9.60 at a $0.10 reference
+    const result = guard().check({ inputAmount: 100, outputAmount: 9.6 }, { side: 'sell', symbol: 'TKN', referencePrice: 0.1 });
+    close(result.metrics.impliedPrice, 0.096);
+    close(result.metrics.deviation, 4);
+    close(result.metrics.outputPerDollar, 0.96);
+    assert.equal(result.ok, true);
+});
+
+test('every limit that fails is reported', () => {
+    const result = guard().check({ inputAmount: 10, outputAmount: 80, priceImpact: 3.456 }, { side: 'buy', symbol: 'TKN', referencePrice: 0.1 });
+
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.reasons, [
+        'price impact 3.46% exceeds 2%',
+        'quoted price $0.125000 is 25.0% from reference $0.100000 (max 5%)',
+        'output worth $0.800 per $1 in (minimum $0.95)'
+    ]);
+});
+
+test('empty quotes are rejected; without a reference only impact is checked', () => {
+    assert.deepEqual(guard().check({ inputAmount: 10, outputAmount: 0 }, { side: 'buy', referencePrice: 0.1 }).reasons, ['quote has no output']);
+
+    const unpriced = guard().check({ inputAmount: 10, outputAmount: 1, priceImpact: 1 }, { side: 'buy' });
+    assert.equal(unpriced.ok, true);
+    assert.equal(unpriced.metrics.deviation, null);
+});
+
+test('enforce throws and logs rejected quotes', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const logFile = path.join(dir, 'quote-rejections.log');
+        const quoteGuard = guard({}, { logFile, clock: new VirtualClock(Date.UTC(2026, 0, 10)) });
+        const context = { side: 'sell', symbol: 'TKN', referencePrice: 0.1 };
+
+        assert.equal(quoteGuard.enforce({ inputAmount: 100, outputAmount: 9.9 }, context).ok, true);
+        assert.throws(() => quoteGuard.enforce({ inputAmount: 100, outputAmount: 5 }, context), error => {
+            assert.ok(error instanceof QuoteRejectedError);
+            assert.match(error.message, /^Quote rejected: quoted price \$0\.0500000 is 50\.0% from reference/);
+            assert.equal(error.reasons.length, 2);
+            close(error.metrics.deviation, 50);
+            return true;
+        });
+
+        const entries = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].timestamp, '2026-01-10T00:00:00.000Z');
+        assert.equal(entries[0].token, 'TKN');
+        assert.equal(entries[0].side, 'sell');
+        assert.equal(entries[0].outputAmount, 5);
+        assert.equal(entries[0].reasons.length, 2);
+    } finally {
+        cleanup();
+    }
+});
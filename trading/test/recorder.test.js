@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { SnapshotRecorder } = require('../recorder');
+const { tempDir } = require('./helpers');
+
+const DAY = Date.UTC(2026, 0, 10);
+
+function records(dir, day) {
+    return zlib.gunzipSync(fs.readFileSync(path.join(dir, `${day}.jsonl.gz`))).toString()
+        .trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('day files older than the retention window are pruned on rollover', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        fs.writeFileSync(path.join(dir, '2025-12-01.jsonl.gz'), '');
+        fs.writeFileSync(path.join(dir, '2026-01-05.jsonl.gz'), '');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+
+        const recorder = new SnapshotRecorder({ dir, retentionDays: 30 });
+        recorder.recordPoll('0xtkn', { price: 1.5 }, DAY);
+        recorder.recordScan([{ symbol: 'TKN' }], DAY + 1000);
+
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['2026-01-05.jsonl.gz', '2026-01-10.jsonl.gz', 'notes.txt']);
+        assert.deepEqual(records(dir, '2026-01-10').map(record => record.type), ['poll', 'scan']);
+        assert.equal(records(dir, '2026-01-10')[0].price, 1.5);
+    } finally {
+        cleanup();
+    }
+});
+
+test('a failed prune is logged without losing the snapshot or throwing', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const recorder = new SnapshotRecorder({ dir });
+        recorder.prune = () => {
+            throw new Error('EACCES: permission denied, scandir');
+        };
+
+        assert.doesNotThrow(() => recorder.recordPoll('0xtkn', { price: 1.5 }, DAY));
+        assert.equal(records(dir, '2026-01-10').length, 1);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ReplayAdapter = require('../adapters/replay');
+const { VirtualClock } = require('../clock');
+
+const T0 = Date.UTC(2024, 0, 15);
+
+function token(address, price, fields = {}) {
+    return { address, symbol: address.toUpperCase(), price, priceChange24h: 10, volume24h: 1000, liquidity: 5000, ...fields };
+}
+
+const SNAPSHOTS = [
+    { time: T0, tokens: [token('a', 1), token('b', 2)] },
+    { time: T0 + 10000, poll: { address: 'a', price: 1.1 } },
+    { time: T0 + 15000, poll: { address: 'c', price: 9 } }, // Never scanned
+    { time: T0 + 30000, tokens: [token('b', 2.5)] }
+];
+
+test('market data is the latest snapshot at or before the clock', async () => {
+    const clock = new VirtualClock(T0 - 1);
+    const adapter = new ReplayAdapter(SNAPSHOTS, clock);
+    assert.equal(adapter.dryRun, true);
+    assert.deepEqual(await adapter.getTrendingTokens(), []);
+
+    clock.set(T0);
+    assert.deepEqual((await adapter.getTrendingTokens()).map(t => t.address), ['a', 'b']);
+    assert.deepEqual(await adapter.getTokenData('a'), { price: 1, priceChange24h: 10, volume24h: 1000, liquidity: 5000 });
+
+    // Polls refresh tokens already scanned and leave the scan list alone
+    await clock.sleep(15000);
+    assert.equal((await adapter.getTokenData('a')).price, 1.1);
+    assert.equal((await adapter.getTrendingTokens()).length, 2);
+    assert.equal(await adapter.getTokenData('c'), null);
+
+    // Tokens that drop out of the scan keep their last data
+    await clock.sleep(15000);
+    assert.deepEqual((await adapter.getTrendingTokens()).map(t => t.address), ['b']);
+    const data = await adapter.getTokensData(['a', 'b', 'c']);
+    assert.deepEqual([...data].map(([address, { price }]) => [address, price]), [['a', 1.1], ['b', 2.5]]);
+});
+
+test('replayed tokens are only traded on paper', async () => {
+    const adapter = new ReplayAdapter(SNAPSHOTS, new VirtualClock(T0));
+    await adapter.getTrendingTokens();
+
+    assert.throws(() => adapter.createSwapper(), /Replay adapter only simulates fills/);
+    assert.deepEqual(await adapter.verifyPrice('a', 1), { ok: true, deviation: 0, prices: {}, onchainPrice: null });
+    assert.deepEqual(await adapter.getTokenMetadata('a'), { address: 'a', symbol: 'A', name: null, decimals: 18 });
+    assert.deepEqual(await adapter.getTokenMetadata('z'), { address: 'z', symbol: null, name: null, decimals: 18 });
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const RiskManager = require('../risk');
+const { VirtualClock } = require('../clock');
+const { tempDir } = require('./helpers');
+
+const NOON = Date.UTC(2026, 0, 10, 12);
+const CONFIG = { maxDailyLoss: 50, emergencyStopLoss: 30, maxTotalExposure: 100, maxTokenExposure: 40 };
+
+function risk(config = {}, options = {}) {
+    return new RiskManager({ ...CONFIG, ...config }, { clock: new VirtualClock(NOON), stateFile: null, ...options });
+}
+
+function positions(...entries) {
+    return new Map(entries.map(p => [p.address, { entryPrice: 1, ...p }]));
+}
+
+const TKN = { address: '0xtkn', symbol: 'TKN' };
+
+test('new entries respect total and per-token exposure', () => {
+    const manager = risk();
+    const open = positions(
+        { address: '0xtkn', amount: 30, costBasis: 30 },
+        { address: '0xoth', amount: 50, costBasis: 50 }
+    );
+
+    assert.deepEqual(manager.canEnter({ address: '0xnew', symbol: 'NEW' }, 20, open), { allowed: true, reason: null });
+    assert.equal(manager.canEnter({ address: '0xnew', symbol: 'NEW' }, 25, open).reason, 'Total exposure limit ($80.00 + $25 > $100)');
+    assert.equal(manager.canEnter(TKN, 15, open).reason, 'Token exposure limit for TKN ($30.00 + $15 > $40)');
+});
+
+test('zero limits are disabled', () => {
+    const manager = risk({ maxDailyLoss: 0, maxTotalExposure: 0, maxTokenExposure: 0 });
+    manager.recordRealized(-1000);
+    assert.equal(manager.canEnter(TKN, 500, positions({ address: '0xtkn', amount: 900, costBasis: 900 })).allowed, true);
+});
+
+test('the daily loss limit counts realized and unrealized losses', () => {
+    const manager = risk();
+    manager.recordRealized(-30);
+    assert.equal(manager.canEnter(TKN, 10, new Map()).allowed, true);
+
+    // An open position now down $20 takes today's P&L to -$50
+    const open = positions({ address: '0xoth', amount: 40, costBasis: 40, lastPrice: 0.5 });
+    manager.update(open);
+    assert.equal(manager.dailyPnl(), -50);
+    assert.equal(manager.canEnter(TKN, 10, open).reason, 'Daily loss limit reached ($-50.00 / -$50)');
+});
+
+test('a new UTC day starts from zero, counting only new unrealized moves', async () => {
+    const clock = new VirtualClock(NOON);
+    const manager = risk({}, { clock });
+    const open = positions({ address: '0xoth', amount: 40, costBasis: 40, lastPrice: 0.5 });
+    manager.recordRealized(-40);
+    manager.update(open);
+    assert.equal(manager.dailyPnl(), -60);
+
+    await clock.sleep(12 * 3600000);
+    assert.equal(manager.dailyPnl(), 0);
+    assert.equal(manager.state.day, '2026-01-11');
+
+    open.get('0xoth').lastPrice = 0.75;
+    manager.update(open);
+    assert.equal(manager.dailyPnl(), 10);
+});
+
+test('the emergency stop trips on the drawdown of open positions', () => {
+    const manager = risk();
+    const open = positions(
+        { address: '0xtkn', amount: 40, costBasis: 40, lastPrice: 0.5 },
+        { address: '0xoth', amount: 60, costBasis: 60, lastPrice: 0.9 }
+    );
+
+    const status = manager.update(open);
+    assert.equal(status.exposure, 100);
+    assert.equal(status.unrealizedPnl, -26);
+    assert.equal(manager.checkEmergency(status), null);
+
+    open.get('0xoth').lastPrice = 0.8;
+    assert.equal(manager.checkEmergency(manager.update(open)), 'Emergency stop: open positions down 32.0% (limit 30%)');
+    assert.equal(manager.checkEmergency(manager.update(new Map())), null);
+});
+
+test('a halt blocks entries and survives restarts until reset', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const stateFile = path.join(dir, 'risk-state.json');
+        risk({}, { stateFile }).halt('Emergency stop: test');
+
+        const restarted = risk({}, { stateFile });
+        assert.equal(restarted.isHalted(), true);
+        assert.equal(restarted.canEnter(TKN, 1, new Map()).reason, 'Trading halted: Emergency stop: test');
+        assert.equal(restarted.state.haltedAt, new Date(NOON).toISOString());
+
+        restarted.reset();
+        assert.equal(risk({}, { stateFile }).isHalted(), false);
+    } finally {
+        cleanup();
+    }
+});
+
+test('an unreadable state file halts rather than clearing a halt', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const stateFile = path.join(dir, 'risk-state.json');
+        fs.writeFileSync(stateFile, '{"halted": tr');
+
+        const manager = risk({}, { stateFile });
+        assert.equal(manager.isHalted(), true);
+        assert.match(manager.state.haltReason, /^Unreadable risk state/);
+    } finally {
+        cleanup();
+    }
+});
+
+test('dry runs keep their P&L and halt apart from live trading', () => {
+    assert.equal(path.basename(new RiskManager({ dryRun: true }, { stateFile: undefined }).stateFile), 'paper-risk-state.json');
+    assert.equal(path.basename(new RiskManager({ dryRun: false }, { stateFile: undefined }).stateFile), 'risk-state.json');
+});
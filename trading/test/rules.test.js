@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Rule, parseRule, parseRules, checkRuleTimeframes } = require('../rules');
+
+function closes(...values) {
+    return values.map(close => ({ open: close, high: close, low: close, close, volume: 0, buys: 0, sells: 0 }));
+}
+
+test('rules parse indicators, fields and numbers', () => {
+    const rule = parseRule(' rsi(14, 5M) < 70 ');
+    assert.deepEqual(rule.left, { kind: 'indicator', name: 'rsi', period: 14, timeframe: '5m' });
+    assert.equal(rule.operator, '<');
+    assert.deepEqual(rule.right, { kind: 'number', value: 70 });
+    assert.equal(JSON.stringify({ rule }), '{"rule":"rsi(14, 5M) < 70"}');
+
+    const cross = parseRule('ema(9) >= ema(15m, 21)');
+    assert.equal(cross.operator, '>=');
+    assert.deepEqual(cross.timeframes(), [null, '15m']);
+    assert.deepEqual(parseRule('atr() <= -1.5').left, { kind: 'indicator', name: 'atr', period: undefined, timeframe: null });
+    assert.deepEqual(parseRule('pnl > 20').left, { kind: 'field', name: 'pnl' });
+});
+
+test('malformed rules say what is wrong', () => {
+    assert.throws(() => parseRule('rsi(14) 70'), /^Error: Invalid rule "rsi\(14\) 70" \(expected <operand> <op> <operand>/);
+    assert.throws(() => parseRule('macd(12) > 0'), /Invalid rule "macd\(12\) > 0": unknown indicator macd/);
+    assert.throws(() => parseRule('rsi(14, 2h) > 50'), /bad argument "2h" to rsi/);
+    assert.throws(() => parseRule('rsi(14, 21) > 50'), /bad argument "21" to rsi/);
+    assert.throws(() => parseRule('ema(5m) > 1'), /ema needs a period/);
+    assert.throws(() => parseRule('price > moon'), /unknown operand "moon"/);
+});
+
+test('rule sets split on semicolons and keep parsed rules', () => {
+    const rules = parseRules('price > 1; ; volume5m > 1000');
+    assert.deepEqual(rules.map(rule => rule.text), ['price > 1', 'volume5m > 1000']);
+    assert.equal(parseRules([rules[0], 'liquidity > 5']).at(0), rules[0]);
+    assert.ok(parseRules(['liquidity > 5'])[0] instanceof Rule);
+    assert.deepEqual(parseRules(''), []);
+    assert.deepEqual(parseRules(null), []);
+});
+
+test('rules may only read configured timeframes', () => {
+    const rules = parseRules('rsi(14, 1h) > 50; ema(9) > ema(21, 5m)');
+    assert.deepEqual(checkRuleTimeframes(rules, ['1m', '5m']), [
+        'rule "rsi(14, 1h) > 50" uses timeframe 1h, which is not in candleTimeframes (1m, 5m)'
+    ]);
+    assert.deepEqual(checkRuleTimeframes(rules, ['5m', '1h']), []);
+});
+
+test('rules evaluate against token data and candles', () => {
+    const requested = [];
+    const context = {
+        candles: timeframe => {
+            requested.push(timeframe);
+            return timeframe === '1m' ? closes(1, 2, 3, 4, 5) : closes(5, 4, 3);
+        }
+    };
+    const data = { price: 2, pnl: 5, volume5m: NaN };
+
+    assert.deepEqual(parseRule('price >= 2').evaluate(data, context), { passed: true, left: 2, right: 2 });
+    assert.equal(parseRule('pnl > 10').evaluate(data, context).passed, false);
+    assert.deepEqual(parseRule('ema(3, 1m) > 3.5').evaluate(data, context), { passed: true, left: 4, right: 3.5 });
+    assert.equal(parseRule('ema(3) > price').evaluate(data, context).passed, true);
+    assert.deepEqual(requested, ['1m', null]);
+
+    // Missing values leave the rule undecided rather than failed
+    assert.equal(parseRule('volume5m > 0').evaluate(data, context).passed, null);
+    assert.equal(parseRule('liquidity > 0').evaluate(data, context).passed, null);
+    assert.equal(parseRule('rsi(14, 1m) > 50').evaluate(data, context).passed, null);
+});
@@ -0,0 +1,234 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { TokenScreener, CHECKS } = require('../safety');
+const { VirtualClock } = require('../clock');
+const { tempDir } = require('./helpers');
+
+const NOW = Date.UTC(2026, 0, 10);
+const TOKEN = ethers.getAddress('0x1111111111111111111111111111111111111111');
+const PAIR = ethers.getAddress('0x3333333333333333333333333333333333333333');
+const WETH = ethers.getAddress('0x4200000000000000000000000000000000000006');
+const ROUTER = ethers.getAddress('0x2222222222222222222222222222222222222222');
+const LOCKER = ethers.getAddress('0x4444444444444444444444444444444444444444');
+const DEAD = '0x000000000000000000000000000000000000dEaD';
+
+const token = new ethers.Interface([
+    'function owner() view returns (address)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function totalSupply() view returns (uint256)'
+]);
+const router = new ethers.Interface([
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+]);
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function push4(signature) {
+    return '63' + ethers.id(signature).slice(2, 10);
+}
+
+/**
+ * Stubbed EVM chain for one token. `fixture` describes the token contract:
+ * { owner, code, lp: { totalSupply, burned, locked }, buyTax, sellTax, sellReverts }
+ */
+function evmAdapter(fixture) {
+    const provider = {
+        async call({ to, data }) {
+            const selector = data.slice(0, 10);
+            if (to === TOKEN && selector === token.getFunction('owner').selector) {
+                if (!fixture.owner) throw new Error('execution reverted');
+                return token.encodeFunctionResult('owner', [fixture.owner]);
+            }
+            if (to === PAIR && fixture.lp) {
+                if (selector === token.getFunction('totalSupply').selector) {
+                    return token.encodeFunctionResult('totalSupply', [fixture.lp.totalSupply]);
+                }
+                const [holder] = token.decodeFunctionData('balanceOf', data);
+                const balance = holder.toLowerCase() === DEAD.toLowerCase() ? fixture.lp.burned
+                    : holder === LOCKER ? fixture.lp.locked : 0n;
+                return token.encodeFunctionResult('balanceOf', [balance]);
+            }
+            throw new Error('execution reverted');
+        },
+        async getCode() {
+            return fixture.code || '0x6080604052';
+        },
+        async getStorage() {
+            return ethers.ZeroHash;
+        },
+        async send(method, [{ blockStateCalls: [{ calls }] }]) {
+            assert.equal(method, 'eth_simulateV1');
+            return [{ calls: calls.map(simulateCall) }];
+        }
+    };
+
+    // 1 ETH buys 1000 tokens; taxes take their cut of what arrives
+    const rate = 1000n;
+    const afterTax = (amount, tax) => amount * BigInt(100 - (tax || 0)) / 100n;
+    function simulateCall({ to, data }) {
+        const ok = returnData => ({ status: '0x1', returnData });
+        const selector = data.slice(0, 10);
+        if (to === ROUTER && selector === router.getFunction('getAmountsOut').selector) {
+            const [amountIn] = router.decodeFunctionData('getAmountsOut', data);
+            return ok(router.encodeFunctionResult('getAmountsOut', [[amountIn, amountIn / rate]]));
+        }
+        if (to === ROUTER && selector === router.getFunction('swapExactTokensForTokensSupportingFeeOnTransferTokens').selector) {
+            return fixture.sellReverts
+                ? { status: '0x0', returnData: '0x08c379a0' + coder.encode(['string'], ['TRANSFER_FAILED']).slice(2) }
+                : ok('0x');
+        }
+        if (to === ROUTER) return ok('0x'); // Buy
+        if (to === TOKEN && selector === token.getFunction('balanceOf').selector) {
+            return ok(token.encodeFunctionResult('balanceOf', [afterTax(ethers.parseEther('0.01') * rate, fixture.buyTax)]));
+        }
+        if (to === WETH) {
+            const bought = afterTax(ethers.parseEther('0.01') * rate, fixture.buyTax);
+            return ok(token.encodeFunctionResult('balanceOf', [afterTax(bought / rate, fixture.sellTax)]));
+        }
+        return ok(coder.encode(['bool'], [true])); // approve
+    }
+
+    return {
+        provider,
+        quoteToken: { address: ethers.getAddress('0x833589fcd6edb6e08f4c7c32d4f71b54bda02913') },
+        getSwapper: () => ({
+            routerAddress: ROUTER,
+            getWethAddress: async () => WETH,
+            router: {
+                getAmountsOut: async (amountIn, route) => {
+                    if (route.length !== 2) throw new Error('no pool');
+                    return [amountIn, amountIn * rate];
+                }
+            }
+        })
+    };
+}
+
+const CONFIG = {
+    safetyChecks: CHECKS,
+    safetyMaxBuyTax: 10,
+    safetyMaxSellTax: 10,
+    safetyMinLpLocked: 80,
+    safetyLpLockers: [LOCKER],
+    safetyMinPairAge: 24,
+    safetySimulationEth: 0.01,
+    safetyFailOpen: false,
+    safetyCacheMinutes: 60
+};
+
+const SAFE = {
+    owner: ethers.ZeroAddress,
+    lp: { totalSupply: 1000n, burned: 600n, locked: 300n }
+};
+
+function screener(fixture, config = {}, options = {}) {
+    return new TokenScreener(evmAdapter(fixture), { ...CONFIG, ...config }, { clock: new VirtualClock(NOW), logFile: null, ...options });
+}
+
+function candidate(ageHours = 48) {
+    return { address: TOKEN, symbol: 'TKN', pairAddress: PAIR, pairCreatedAt: NOW - ageHours * 3600000 };
+}
+
+test('a renounced, locked, tax-free token passes every check', async () => {
+    const result = await screener(SAFE).screen(candidate());
+
+    assert.equal(result.passed, true, result.reasons.join('; '));
+    assert.deepEqual(Object.keys(result.checks), CHECKS);
+    assert.equal(result.checks.lpLock.lockedPercent, 90);
+    assert.equal(result.checks.honeypot.buyTax, 0);
+    assert.equal(result.checks.honeypot.sellTax, 0);
+});
+
+test('young pairs are rejected', async () => {
+    const result = await screener(SAFE).screen(candidate(2));
+    assert.equal(result.passed, false);
+    assert.match(result.checks.pairAge.reason, /pair is 2\.0h old \(minimum 24h\)/);
+});
+
+test('an active owner with a mint function is rejected twice over', async () => {
+    const owner = ethers.getAddress('0x5555555555555555555555555555555555555555');
+    const result = await screener({ ...SAFE, owner, code: '0x6080' + push4('mint(address,uint256)') + push4('pause()') }).screen(candidate());
+
+    assert.equal(result.passed, false);
+    assert.match(result.checks.ownership.reason, /ownership not renounced/);
+    assert.deepEqual(result.checks.functions.found, ['mint', 'pause']);
+    assert.match(result.checks.functions.reason, /privileged mint, pause functions/);
+});
+
+test('privileged functions are tolerated once ownership is renounced', async () => {
+    const result = await screener({ ...SAFE, code: '0x6080' + push4('setBots(address[],bool)') }).screen(candidate());
+    assert.equal(result.checks.functions.ok, true);
+    assert.deepEqual(result.checks.functions.found, ['blacklist']);
+});
+
+test('unlocked liquidity is rejected', async () => {
+    const result = await screener({ ...SAFE, lp: { totalSupply: 1000n, burned: 100n, locked: 0n } }).screen(candidate());
+    assert.equal(result.checks.lpLock.ok, false);
+    assert.match(result.checks.lpLock.reason, /only 10% of LP burned or locked \(minimum 80%\)/);
+});
+
+test('honeypots that cannot be sold are rejected', async () => {
+    const result = await screener({ ...SAFE, sellReverts: true }).screen(candidate());
+    assert.equal(result.checks.honeypot.ok, false);
+    assert.match(result.checks.honeypot.reason, /sell reverts \(TRANSFER_FAILED\), likely a honeypot/);
+});
+
+test('transfer taxes above the limits are rejected', async () => {
+    const result = await screener({ ...SAFE, buyTax: 5, sellTax: 20 }).screen(candidate());
+    assert.equal(result.checks.honeypot.ok, false);
+    assert.equal(result.checks.honeypot.buyTax, 5);
+    assert.equal(result.checks.honeypot.sellTax, 20);
+    assert.equal(result.checks.honeypot.reason, 'sell tax 20% (maximum 10%)');
+});
+
+test('only the configured checks run', async () => {
+    const result = await screener({ ...SAFE, sellReverts: true }, { safetyChecks: ['pairAge', 'lpLock'] }).screen(candidate());
+    assert.equal(result.passed, true);
+    assert.deepEqual(Object.keys(result.checks), ['pairAge', 'lpLock']);
+});
+
+test('a failing check rejects unless SAFETY_FAIL_OPEN is set', async () => {
+    const broken = { ...SAFE };
+    const closed = screener(broken);
+    closed.adapter.provider.getCode = async () => { throw new Error('rpc down'); };
+    const rejected = await closed.screen(candidate());
+    assert.equal(rejected.passed, false);
+    assert.equal(rejected.checks.functions.reason, 'functions check failed: rpc down');
+
+    const open = screener(broken, { safetyFailOpen: true });
+    open.adapter.provider.getCode = async () => { throw new Error('rpc down'); };
+    const ignored = await open.screen(candidate());
+    assert.equal(ignored.passed, true);
+    assert.equal(ignored.checks.functions.ok, null);
+});
+
+test('results are cached and rejections logged with reasons', async () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const logFile = path.join(dir, 'screening.log');
+        const clock = new VirtualClock(NOW);
+        const tokenScreener = screener({ ...SAFE, sellReverts: true }, {}, { clock, logFile });
+        let simulations = 0;
+        const send = tokenScreener.adapter.provider.send;
+        tokenScreener.adapter.provider.send = (...args) => { simulations++; return send(...args); };
+
+        // Two simulations per screening: the buy, then the buy and sell
+        await tokenScreener.screen(candidate());
+        await tokenScreener.screen(candidate());
+        assert.equal(simulations, 2);
+        clock.sleep(61 * 60000);
+        await tokenScreener.screen(candidate());
+        assert.equal(simulations, 4);
+
+        const entries = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(entries.length, 2);
+        assert.equal(entries[0].token, 'TKN');
+        assert.match(entries[0].reasons[0], /sell reverts/);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { Keypair } = require('@solana/web3.js');
+
+const { KeystoreError, KeypairSigner, encryptKey, decryptKey, parsePlainKey, readWallet, loadSigner, saveWallet } = require('../signer');
+const { tempDir } = require('./helpers');
+
+// Hardhat's first test account
+const EVM_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const EVM_ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const EVM_SECRET = Buffer.from(EVM_KEY.slice(2), 'hex');
+const PASSPHRASE = 'correct horse battery';
+const FAST_SCRYPT = { n: 1024, r: 8, p: 1 }; // Tests only
+
+function withDir(fn) {
+    const { dir, cleanup } = tempDir();
+    return Promise.resolve()
+        .then(() => fn(dir))
+        .finally(cleanup);
+}
+
+function rejectsWith(pattern) {
+    return error => {
+        assert.ok(error instanceof KeystoreError, error.message);
+        assert.match(error.message, pattern);
+        return true;
+    };
+}
+
+/**
+ * Run `fn` and collect the lines the logger printed meanwhile
+ */
+async function captureLog(fn) {
+    const lines = [];
+    const original = console.log;
+    console.log = line => lines.push(line);
+    try {
+        return { result: await fn(), lines };
+    } finally {
+        console.log = original;
+    }
+}
+
+function writeKeystore(dir, secret, keyType, address) {
+    const file = path.join(dir, 'wallet.json');
+    fs.writeFileSync(file, JSON.stringify(encryptKey(secret, PASSPHRASE, { keyType, address, scrypt: FAST_SCRYPT })));
+    return file;
+}
+
+test('keystores only open with the passphrase and untouched metadata', () => {
+    const keystore = encryptKey(EVM_SECRET, PASSPHRASE, { keyType: 'evm', address: EVM_ADDRESS, scrypt: FAST_SCRYPT });
+    assert.equal(keystore.address, EVM_ADDRESS);
+    assert.ok(!JSON.stringify(keystore).includes(EVM_KEY.slice(2)));
+    assert.deepEqual(decryptKey(keystore, PASSPHRASE), EVM_SECRET);
+
+    assert.throws(() => decryptKey(keystore, 'wrong passphrase'), rejectsWith(/^Wrong passphrase/));
+    // The address is authenticated, so swapping it breaks decryption
+    assert.throws(() => decryptKey({ ...keystore, address: '0x0000000000000000000000000000000000000001' }, PASSPHRASE), rejectsWith(/keystore was modified/));
+});
+
+test('plaintext keys are recognized in every supported form', () => {
+    const solana = Keypair.generate();
+    for (const text of [EVM_KEY, EVM_KEY.slice(2), `"${EVM_KEY}"\n`, JSON.stringify({ privateKey: EVM_KEY })]) {
+        assert.deepEqual(parsePlainKey(text), { keyType: 'evm', secret: EVM_SECRET });
+    }
+    assert.deepEqual(parsePlainKey(JSON.stringify(Array.from(solana.secretKey))).secret, Buffer.from(solana.secretKey));
+    assert.deepEqual(parsePlainKey(ethers.encodeBase58(solana.secretKey)).secret, Buffer.from(solana.secretKey));
+    assert.throws(() => parsePlainKey('not a key'), rejectsWith(/Unrecognized key format/));
+
+    assert.deepEqual(readWallet(EVM_KEY), { format: 'plain', keyType: 'evm', address: EVM_ADDRESS, secret: EVM_SECRET });
+});
+
+test('encrypted wallet files unlock with WALLET_PASSPHRASE or a prompt', () => withDir(async dir => {
+    const file = writeKeystore(dir, EVM_SECRET, 'evm', EVM_ADDRESS);
+
+    assert.equal((await loadSigner('evm', { walletPath: file, walletPassphrase: PASSPHRASE })).address, EVM_ADDRESS);
+    const prompts = [];
+    const prompt = async question => prompts.push(question) && PASSPHRASE;
+    assert.equal((await loadSigner('evm', { walletPath: file }, { prompt })).address, EVM_ADDRESS);
+    assert.deepEqual(prompts, [`🔐 Passphrase for ${file}: `]);
+
+    await assert.rejects(loadSigner('evm', { walletPath: file }, { interactive: false }), rejectsWith(/is encrypted; set WALLET_PASSPHRASE$/));
+    await assert.rejects(loadSigner('evm', { walletPath: file, walletPassphrase: 'wrong passphrase' }), rejectsWith(/^Wrong passphrase/));
+    await assert.rejects(loadSigner('solana', { walletPath: file, walletPassphrase: PASSPHRASE }), rejectsWith(/holds an EVM key, not a Solana key$/));
+    assert.equal(await loadSigner('evm', { walletPath: path.join(dir, 'missing.json') }), null);
+}));
+
+test('saved Solana wallets are private to the owner and load as keypair signers', () => withDir(async dir => {
+    const keypair = Keypair.generate();
+    const file = path.join(dir, 'keys', 'solana-wallet.json');
+    const address = saveWallet(file, 'solana', keypair.secretKey, PASSPHRASE);
+
+    assert.equal(address, keypair.publicKey.toBase58());
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    const signer = await loadSigner('solana', { walletPath: file, walletPassphrase: PASSPHRASE });
+    assert.ok(signer instanceof KeypairSigner);
+    assert.equal(signer.publicKey.toBase58(), address);
+    assert.throws(() => saveWallet(file, 'solana', keypair.secretKey, PASSPHRASE, 'evm-json'), rejectsWith(/only holds EVM keys/));
+}));
+
+test('plaintext keys load with a warning unless ENCRYPT_WALLET is on', () => withDir(async dir => {
+    const file = path.join(dir, 'wallet.json');
+    fs.writeFileSync(file, JSON.stringify({ privateKey: EVM_KEY }));
+
+    const { result, lines } = await captureLog(() => loadSigner('evm', { walletPath: file }));
+    assert.equal(result.address, EVM_ADDRESS);
+    assert.equal(lines.length, 1);
+    assert.match(lines[0], new RegExp(`⚠️ ${file} is not encrypted \\(run \`node signer\\.js encrypt\`\\)`));
+
+    await assert.rejects(loadSigner('evm', { walletPath: file, encryptWallet: true }), rejectsWith(/is not encrypted but ENCRYPT_WALLET is on/));
+
+    // EVM_PRIVATE_KEY wins over the wallet file, under the same rule
+    const other = ethers.Wallet.createRandom();
+    assert.equal((await loadSigner('evm', { walletPath: file, evmPrivateKey: other.privateKey })).address, other.address);
+    await assert.rejects(loadSigner('evm', { evmPrivateKey: EVM_KEY, encryptWallet: true }), rejectsWith(/EVM_PRIVATE_KEY is a plaintext key but ENCRYPT_WALLET is on/));
+    await assert.rejects(loadSigner('evm', { evmPrivateKey: JSON.stringify(Array.from(Keypair.generate().secretKey)) }), rejectsWith(/not an EVM private key/));
+}));
+
+test('WALLET_SIGNER=external hands signing to the configured module', () => withDir(async dir => {
+    const modules = {
+        'evm-signer.js': `const { ethers } = require(${JSON.stringify(require.resolve('ethers'))});
+module.exports = ({ keyType, provider }) => {
+    const wallet = new ethers.Wallet(${JSON.stringify(EVM_KEY)}, provider);
+    return { keyType, signTransaction: tx => wallet.signTransaction(tx), getAddress: async () => wallet.address };
+};`,
+        'solana-signer.js': 'exports.createSigner = async () => ({ publicKey: "pubkey", signTransaction: async tx => tx });',
+        'not-a-factory.js': 'module.exports = { signer: null };',
+        'incomplete.js': 'module.exports = () => ({ signTransaction: () => {} });'
+    };
+    for (const [name, source] of Object.entries(modules)) fs.writeFileSync(path.join(dir, name), source);
+    const external = name => ({ walletSigner: 'external', walletSignerModule: path.join(dir, name), walletPath: path.join(dir, 'unused.json') });
+
+    const { result: signer, lines } = await captureLog(() => loadSigner('evm', external('evm-signer.js')));
+    assert.equal(signer.address, EVM_ADDRESS); // Filled in from getAddress()
+    assert.equal(signer.keyType, 'evm');
+    assert.match(lines[0], new RegExp(`🔌 External signer loaded from ${path.join(dir, 'evm-signer.js')}`));
+
+    assert.equal((await loadSigner('solana', external('solana-signer.js'))).publicKey, 'pubkey');
+    await assert.rejects(loadSigner('evm', external('not-a-factory.js')), rejectsWith(/must export a function or createSigner\(\)$/));
+    await assert.rejects(loadSigner('evm', external('incomplete.js')), rejectsWith(/did not return an ethers Signer$/));
+    await assert.rejects(loadSigner('solana', external('incomplete.js')), rejectsWith(/did not return a \{ publicKey, signTransaction \} signer$/));
+}));
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { realizedVolatility, computeSize } = require('../sizing');
+
+const T0 = Date.UTC(2026, 0, 10, 12);
+const QUARTER_HOUR = 15 * 60 * 1000;
+const CONFIG = { positionSize: 10, positionSizePercent: 5, volatilityTarget: 2, volatilityMaxScale: 2 };
+
+function history(...prices) {
+    return prices.map((price, i) => ({ time: T0 + i * QUARTER_HOUR, price }));
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// Log returns of +-1% every 15 minutes: twice that per hour
+const CHOPPY = history(100, 101, 100, 101, 100);
+const CHOPPY_VOLATILITY = Math.log(1.01) * 2 * 100;
+
+test('realized volatility is the hourly deviation of log returns', () => {
+    close(realizedVolatility(CHOPPY), CHOPPY_VOLATILITY);
+    assert.equal(realizedVolatility(history(1, 1, 1, 1, 1)), 0);
+    assert.equal(realizedVolatility(history(100, 101, 100, 101)), null); // Too few samples
+    assert.equal(realizedVolatility(history(100, 0, 101, 100, 0, 101)), null); // Zero prices are dropped
+    assert.equal(realizedVolatility(CHOPPY.map(sample => ({ ...sample, time: T0 }))), null);
+});
+
+test('fixed sizing spends POSITION_SIZE', () => {
+    assert.deepEqual(computeSize({}, { config: { ...CONFIG, positionSizing: 'fixed' }, history: CHOPPY, equity: 500 }), { size: 10, basis: 'fixed' });
+});
+
+test('percent sizing takes a share of equity, or falls back without one', () => {
+    const config = { ...CONFIG, positionSizing: 'percent' };
+    assert.deepEqual(computeSize({}, { config, equity: 512.345 }), { size: 512.345 * 0.05, basis: '5% of $512.35 equity' });
+    assert.deepEqual(computeSize({}, { config, equity: null }), { size: 10, basis: 'fixed, equity unknown' });
+    assert.deepEqual(computeSize({}, { config, equity: 0 }), { size: 10, basis: 'fixed, equity unknown' });
+});
+
+test('volatility sizing scales POSITION_SIZE toward the target, within the cap', () => {
+    const config = { ...CONFIG, positionSizing: 'volatility' };
+    const sized = computeSize({}, { config, history: CHOPPY });
+    close(sized.size, 10 * 2 / CHOPPY_VOLATILITY);
+    assert.equal(sized.basis, `${CHOPPY_VOLATILITY.toFixed(2)}% hourly volatility vs 2% target`);
+
+    // Calm tokens get the cap, wild ones a fraction
+    assert.equal(computeSize({}, { config, history: history(1, 1, 1, 1, 1) }).size, 20);
+    close(computeSize({}, { config, history: history(100, 110, 100, 110, 100) }).size, 10 * 2 / (Math.log(1.1) * 2 * 100));
+    assert.deepEqual(computeSize({}, { config, history: [] }), { size: 10, basis: 'fixed, not enough price history' });
+});
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { writeFileAtomic, Journal } = require('../state');
+const TradingMonitor = require('../monitor');
+const { loadConfig } = require('../config');
+const { VirtualClock } = require('../clock');
+const { tempDir } = require('./helpers');
+
+const T0 = Date.UTC(2026, 0, 10, 12);
+
+function withDir(fn) {
+    const { dir, cleanup } = tempDir();
+    return Promise.resolve()
+        .then(() => fn(dir))
+        .finally(cleanup);
+}
+
+function position(token, amount) {
+    return { token, amount, entryPrice: 1, usdcInvested: amount, stopLoss: 0.9, entryTime: new Date(T0).toISOString(), strategy: 'momentum' };
+}
+
+test('atomic writes replace the file whole or not at all', () => withDir(dir => {
+    const file = path.join(dir, 'positions.json');
+    writeFileAtomic(file, '[1]');
+    writeFileAtomic(file, '[1,2]', 0o600);
+    assert.equal(fs.readFileSync(file, 'utf8'), '[1,2]');
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+    // A write that dies halfway leaves the old content and no temp file
+    const writeSync = fs.writeSync;
+    fs.writeSync = (fd, data) => {
+        writeSync(fd, data.slice(0, 3));
+        throw new Error('ENOSPC: no space left on device');
+    };
+    try {
+        assert.throws(() => writeFileAtomic(file, '[1,2,3]'), /ENOSPC/);
+    } finally {
+        fs.writeSync = writeSync;
+    }
+    assert.equal(fs.readFileSync(file, 'utf8'), '[1,2]');
+    assert.deepEqual(fs.readdirSync(dir), ['positions.json']);
+}));
+
+test('the journal groups records by intent and skips a torn last line', () => withDir(dir => {
+    const journal = new Journal(path.join(dir, 'journal.log'));
+    assert.deepEqual(journal.read(), []);
+
+    const filled = journal.submit('ENTRY', { address: '0xa', token: 'A' });
+    const failed = journal.submit('ENTRY', { address: '0xb', token: 'B' });
+    const dropped = journal.submit('EXIT', { address: '0xc', token: 'C' });
+    const open = journal.submit('EXIT', { address: '0xd', token: 'D' });
+    journal.confirm(filled, 'ENTRY', { address: '0xa', position: position('A', 10) });
+    journal.fail(failed, 'ENTRY', new Error('reverted'));
+    journal.abandon(dropped);
+    fs.appendFileSync(journal.file, '{"id":"x","type":"EXIT_CONF'); // Crash mid-append
+
+    assert.equal(journal.read().length, 7);
+    assert.equal(journal.intents().get(failed).resolution.error, 'reverted');
+    assert.deepEqual(journal.pending().map(record => [record.id, record.type, record.token]), [[open, 'EXIT_SUBMITTED', 'D']]);
+
+    // Compaction keeps only what is still pending
+    journal.compact();
+    assert.deepEqual(journal.read().map(record => record.id), [open]);
+}));
+
+test('replay re-applies fills made after the last save', () => withDir(dir => {
+    const journal = new Journal(path.join(dir, 'journal.log'));
+    const positions = new Map([['0xa', position('A', 10)], ['0xb', position('B', 20)]]);
+
+    const entry = journal.submit('ENTRY', { address: '0xc', token: 'C' });
+    journal.confirm(entry, 'ENTRY', { address: '0xc', position: position('C', 30) });
+    const partial = journal.submit('EXIT', { address: '0xa', token: 'A' });
+    journal.confirm(partial, 'EXIT', { address: '0xa', position: { ...position('A', 10), amount: 4 } });
+    const full = journal.submit('EXIT', { address: '0xb', token: 'B' });
+    journal.confirm(full, 'EXIT', { address: '0xb', position: null });
+    journal.submit('ENTRY', { address: '0xd', token: 'D' });
+
+    const { applied, unresolved } = journal.replay(positions);
+    assert.equal(applied, 3);
+    assert.deepEqual([...positions].map(([address, { amount }]) => [address, amount]), [['0xa', 4], ['0xc', 30]]);
+    assert.deepEqual(unresolved.map(record => record.token), ['D']);
+}));
+
+test('a restart restores journaled fills and reports what the wallet disagrees with', () => withDir(async dir => {
+    const config = loadConfig({
+        env: { HOME: dir, DRY_RUN: 'false', TRADES_FILE: path.join(dir, 'trades.log') },
+        envFile: path.join(dir, '.env')
+    });
+    const balances = { '0xa': 0, '0xb': 20.1, '0xc': 45, '0xd': 7, '0xe': 0 };
+    const notified = [];
+    const monitor = new TradingMonitor({
+        config,
+        adapter: { getTokenBalance: async address => balances[address] },
+        clock: new VirtualClock(T0),
+        riskStateFile: null,
+        journalFile: path.join(dir, 'journal.log'),
+        ledgerFile: null,
+        notifier: { notify: (event, data) => notified.push({ event, data }) },
+        screener: null,
+        quoteGuard: null,
+        priceFeed: null,
+        balances: null
+    });
+    monitor.positionsFile = path.join(dir, 'positions.json');
+
+    // The previous run saved A and B, then filled C and crashed while buying D and E
+    fs.writeFileSync(monitor.positionsFile, JSON.stringify([{ address: '0xa', ...position('A', 10) }, { address: '0xb', ...position('B', 20) }]));
+    const entry = monitor.journal.submit('ENTRY', { address: '0xc', token: 'C' });
+    monitor.journal.confirm(entry, 'ENTRY', { address: '0xc', position: position('C', 30) });
+    monitor.journal.submit('ENTRY', { address: '0xd', token: 'D' });
+    monitor.journal.submit('ENTRY', { address: '0xe', token: 'E' });
+
+    monitor.loadPositions();
+    assert.deepEqual([...monitor.positions.keys()], ['0xa', '0xb', '0xc']);
+    assert.equal(monitor.positions.get('0xc').costBasis, 30); // Exit state is initialized
+    assert.deepEqual(JSON.parse(fs.readFileSync(monitor.positionsFile, 'utf8')).map(saved => saved.address), ['0xa', '0xb', '0xc']);
+
+    const report = await monitor.reconcile();
+    assert.deepEqual(report.phantoms.map(p => p.token), ['A']);
+    assert.deepEqual(report.mismatches.map(m => [m.token, m.recorded, m.held]), [['C', 30, 45]]); // B is within 1%
+    assert.deepEqual(report.orphans.map(o => [o.token, o.held, o.intent]), [['D', 7, 'ENTRY_SUBMITTED']]);
+    assert.deepEqual(report.unresolved.map(i => i.token), ['D', 'E']);
+    assert.deepEqual(notified.map(n => n.event), ['reconcile']);
+
+    // Unresolved intents are reported once, then abandoned
+    assert.deepEqual(monitor.journal.read(), []);
+    assert.deepEqual((await monitor.reconcile()).unresolved, []);
+}));
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const StatusServer = require('../status-server');
+const { tempDir } = require('./helpers');
+
+const XSS = '<img src=x onerror=alert(1)>';
+
+/**
+ * Run the dashboard script against canned API responses and return the
+ * HTML it renders into each element
+ */
+async function renderDashboard(responses) {
+    const html = new StatusServer(null).routes['/']().html;
+    const script = html.match(/<script>([\s\S]*)<\/script>/)[1];
+
+    const elements = {};
+    const context = {
+        document: { getElementById: id => (elements[id] ??= { innerHTML: '', textContent: '' }) },
+        fetch: async url => ({ json: async () => responses[url.slice(1).split('?')[0]] }),
+        setInterval: () => {}
+    };
+    vm.runInNewContext(script, context);
+    await new Promise(resolve => setImmediate(resolve));
+    return elements;
+}
+
+test('the dashboard escapes API values before rendering them', async () => {
+    const elements = await renderDashboard({
+        health: { status: 'degraded', halted: true, haltReason: XSS, lastScanAt: null, scanCount: 3, errorCount: 1, lastError: { message: XSS } },
+        pnl: { dailyPnl: -1.5, realizedToday: 0, unrealizedPnl: 2, exposure: 10, realizedTotal: 4 },
+        positions: [{ token: XSS, strategy: 'momentum', entryPrice: 1, lastPrice: 1.1, amount: 10, costBasis: 10, unrealizedPnl: 1, stopLoss: 0.9 }],
+        trades: { trades: [{ timestamp: '2026-01-10T00:00:00.000Z', type: 'EXIT', token: 'TKN', reason: XSS, pnl: -2 }] }
+    });
+
+    for (const id of ['health', 'positions', 'trades']) {
+        assert.ok(!elements[id].innerHTML.includes('<img'), `${id} renders raw HTML: ${elements[id].innerHTML}`);
+        assert.ok(elements[id].innerHTML.includes('&#60;img src=x onerror=alert(1)&#62;'), id);
+    }
+    assert.match(elements.health.innerHTML, /^⛔ Halted: &#60;img/);
+    assert.match(elements.trades.innerHTML, /<td>TKN<\/td>/);
+    assert.match(elements.pnl.innerHTML, /<span class="neg">-\$1\.50<\/span>/);
+});
+
+test('all-time P&L counts only exits from the mode the monitor runs in', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const file = path.join(dir, 'trades.log');
+        fs.writeFileSync(file, [
+            { type: 'EXIT', token: 'A', pnl: 5, signature: '0xlive', dryRun: false },
+            { type: 'PARTIAL_EXIT', token: 'B', pnl: 100, signature: 'DRY_RUN', dryRun: true },
+            { type: 'EXIT', token: 'C', pnl: 50, signature: 'DRY_RUN' }, // Written before exits carried dryRun
+            { type: 'SWAP', token: 'D', pnl: 1000, signature: '0xswap' }
+        ].map(record => JSON.stringify(record)).join('\n') + '\n');
+
+        const pnl = dryRun => new StatusServer({
+            config: { dryRun },
+            tradesLog: { files: () => [file] },
+            positions: new Map(),
+            risk: { state: { day: '2026-01-10', realizedPnl: 0 }, dailyPnl: () => 0, isHalted: () => false }
+        }).getPnl();
+
+        assert.equal(pnl(false).realizedTotal, 5);
+        assert.equal(pnl(false).closedTrades, 1);
+        assert.equal(pnl(true).realizedTotal, 150);
+        assert.equal(pnl(true).closedTrades, 1);
+    } finally {
+        cleanup();
+    }
+});
+
+test('trades files are parsed once and then read from where the last request stopped', () => {
+    const { dir, cleanup } = tempDir();
+    try {
+        const file = path.join(dir, 'trades.log');
+        const line = record => JSON.stringify(record) + '\n';
+        const files = [file];
+        const server = new StatusServer({ tradesLog: { files: () => files } });
+
+        fs.writeFileSync(file, line({ token: 'A' }) + '{"token":' + '\n' + line({ token: 'B' }) + '{"token":"C"');
+        assert.deepEqual(server.readTrades().map(trade => trade.token), ['B', 'A']);
+
+        // A finished line is picked up without reading the earlier ones again
+        fs.appendFileSync(file, '}\n');
+        const reads = [];
+        const readSync = fs.readSync;
+        fs.readSync = (fd, buffer, offset, length, position) => {
+            reads.push({ length, position });
+            return readSync(fd, buffer, offset, length, position);
+        };
+        try {
+            assert.deepEqual(server.readTrades().map(trade => trade.token), ['C', 'B', 'A']);
+            assert.deepEqual(server.readTrades().map(trade => trade.token), ['C', 'B', 'A']);
+
+            // Rotation renames the file, so its trades stay cached under the backup name
+            fs.renameSync(file, `${file}.1`);
+            fs.writeFileSync(file, line({ token: 'D' }));
+            files.unshift(`${file}.1`);
+            assert.deepEqual(server.readTrades().map(trade => trade.token), ['D', 'C', 'B', 'A']);
+        } finally {
+            fs.readSync = readSync;
+        }
+        assert.deepEqual(reads, [{ length: 14, position: fs.statSync(`${file}.1`).size - 14 }, { length: 14, position: 0 }]);
+
+        // Backups that rotated out are forgotten
+        files.shift();
+        assert.deepEqual(server.readTrades().map(trade => trade.token), ['D']);
+        assert.equal(server.tradesCache.size, 1);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadStrategies } = require('../strategies');
+
+const NOW = Date.UTC(2026, 0, 10, 12);
+const HOUR = 60 * 60 * 1000;
+const CONFIG = { candleTimeframes: ['5m'] };
+
+function strategy(name, options) {
+    return loadStrategies([name], { ...CONFIG, strategyOptions: { [name]: options } })[0];
+}
+
+function context(prices = []) {
+    return { config: CONFIG, now: NOW, history: prices.map((price, i) => ({ time: NOW - (prices.length - i) * 30000, price })), candles: () => [] };
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+function position(fields = {}) {
+    return { entryPrice: 1, stopLoss: 0.9, entryTime: new Date(NOW - HOUR).toISOString(), ...fields };
+}
+
+test('strategies load by name with their options over the defaults', () => {
+    const [momentum, breakout] = loadStrategies(['momentum', 'breakout'], { ...CONFIG, strategyOptions: { breakout: { lookback: 40 } } });
+    assert.equal(momentum.name, 'momentum');
+    assert.equal(breakout.options.lookback, 40);
+    assert.equal(breakout.options.threshold, 2);
+    assert.throws(() => loadStrategies(['yolo'], CONFIG), /Unknown strategy: yolo \(expected one of momentum, breakout, mean-reversion\)/);
+    assert.throws(() => strategy('momentum', { entryRules: 'rsi(14, 1h) < 70' }), /Strategy momentum: rule "rsi\(14, 1h\) < 70" uses timeframe 1h/);
+});
+
+test('momentum buys positive 24h moves and exits on profit, time or stop', () => {
+    const momentum = strategy('momentum');
+    assert.equal(momentum.scoreEntry({ priceChange24h: 35 }, context()), 35);
+    assert.equal(momentum.scoreEntry({ priceChange24h: -35 }, context()), 0);
+
+    assert.deepEqual(momentum.shouldExit(position(), { price: 1.6, pnl: 60 }, context()), { reason: 'Profit taking (+60.0%)' });
+    assert.deepEqual(momentum.shouldExit(position({ entryTime: new Date(NOW - 5 * HOUR).toISOString() }), { price: 1.1, pnl: 10 }, context()),
+        { reason: 'Time exit (4h, +10.0%)' });
+    assert.equal(momentum.shouldExit(position({ entryTime: new Date(NOW - 5 * HOUR).toISOString() }), { price: 1.3, pnl: 30 }, context()), null);
+    assert.deepEqual(momentum.shouldExit(position(), { price: 0.9, pnl: -10 }, context()), { reason: 'Stop loss triggered (0.900000)' });
+    assert.deepEqual(momentum.shouldExit(position({ stopLoss: 1.2, trailingStopActive: true }), { price: 1.15, pnl: 15 }, context()),
+        { reason: 'Trailing stop triggered (1.200000)' });
+    assert.equal(momentum.shouldExit(position(), { price: 1.1, pnl: 10 }, context()), null);
+});
+
+test('breakout buys a clear move over the prior high and exits when it fails', () => {
+    const breakout = strategy('breakout');
+    const history = [...Array(10).fill(1), 0.95, 1.02];
+
+    // The latest sample is the token's own price and is not part of the prior high (1.02)
+    close(breakout.scoreEntry({ price: 1.05 }, context([...history, 1.05])), (1.05 / 1.02 - 1) * 100);
+    assert.equal(breakout.scoreEntry({ price: 1.01 }, context([...history, 1.01])), 0);
+    assert.equal(breakout.scoreEntry({ price: 2 }, context([1, 1, 1, 2])), 0); // Too few samples
+
+    const entered = position({ entryPrice: 1.05 });
+    assert.match(breakout.shouldExit(entered, { price: 1.02, pnl: -3 }, context()).reason, /^Breakout failed \(below 1\.029412\)$/);
+    assert.equal(breakout.shouldExit(entered, { price: 1.1, pnl: 5 }, context()), null);
+    assert.deepEqual(breakout.shouldExit(entered, { price: 1.4, pnl: 33 }, context()), { reason: 'Profit taking (+33.0%)' });
+});
+
+test('mean reversion buys deep dips and exits back at the mean', () => {
+    const meanReversion = strategy('mean-reversion');
+    const prices = Array.from({ length: 20 }, (_, i) => (i % 2 ? 0.9 : 1.1)); // Mean 1, deviation 0.1
+
+    close(meanReversion.zScore(0.75, context(prices).history), -2.5);
+    close(meanReversion.scoreEntry({ price: 0.75 }, context(prices)), 2.5);
+    assert.equal(meanReversion.scoreEntry({ price: 0.85 }, context(prices)), 0);
+    assert.equal(meanReversion.scoreEntry({ price: 0.5 }, context(prices.slice(0, 5))), 0);
+
+    const entered = position({ entryPrice: 0.75, stopLoss: 0.7 });
+    assert.deepEqual(meanReversion.shouldExit(entered, { price: 1, pnl: 33 }, context(prices)), { reason: 'Reverted to mean (z=0.00)' });
+    assert.equal(meanReversion.shouldExit(entered, { price: 0.8, pnl: 6.7 }, context(prices)), null);
+    assert.deepEqual(meanReversion.shouldExit(position({ entryTime: new Date(NOW - 7 * HOUR).toISOString() }), { price: 0.95, pnl: 5 }, context(prices)),
+        { reason: 'Time exit (6h, +5.0%)' });
+});
+
+test('entry rules gate entries and exit rules name the rule that fired', () => {
+    const momentum = strategy('momentum', { entryRules: 'price > 2; liquidity >= 50000', exitRules: 'pnl > 10' });
+
+    assert.equal(momentum.checkEntryRules({ price: 3, liquidity: 60000 }, context()), true);
+    assert.equal(momentum.checkEntryRules({ price: 1, liquidity: 60000 }, context()), false);
+    assert.equal(momentum.checkEntryRules({ price: 3 }, context()), false); // Unknown values do not pass
+    assert.deepEqual(momentum.checkExitRules({ price: 1.12, pnl: 12.345 }, context()), { reason: 'Exit rule pnl > 10 (12.35 > 10)' });
+    assert.equal(momentum.checkExitRules({ price: 1.05, pnl: 5 }, context()), null);
+});
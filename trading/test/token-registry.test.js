@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { TokenRegistry, TokenRegistryError, normalizeAddress, checkPinnedTokens } = require('../token-registry');
+const { tempDir } = require('./helpers');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const PEPE_A = '0x1111111111111111111111111111111111111111';
+const PEPE_B = '0x2222222222222222222222222222222222222222';
+const FAKE_USDC = '0x3333333333333333333333333333333333333333';
+const DOGE = '0x4444444444444444444444444444444444444444';
+
+const SOL_USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'; // 44 characters
+const SRM = 'SRMuApVNdxXokk5GT7XD5cUUgXMBCoAz2LHeuAoKWRt'; // 43 characters
+
+function rejects(fn, pattern) {
+    assert.throws(fn, error => {
+        assert.ok(error instanceof TokenRegistryError, error.message);
+        assert.equal(error.kind, 'invalidAddress');
+        assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+/**
+ * Registry for `chain` over token list files written to a temp dir
+ */
+function withLists(lists, fn) {
+    const { dir, cleanup } = tempDir();
+    try {
+        const files = Object.entries(lists).map(([name, content]) => {
+            const file = path.join(dir, name);
+            fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+            return file;
+        });
+        return fn(files);
+    } finally {
+        cleanup();
+    }
+}
+
+test('EVM addresses are checksummed; mixed case must carry a valid checksum', () => {
+    assert.equal(normalizeAddress('base', USDC.toLowerCase()), USDC);
+    assert.equal(normalizeAddress('base', '0x' + USDC.slice(2).toUpperCase()), USDC);
+    assert.equal(normalizeAddress('base', ` ${USDC} `), USDC);
+
+    const flipped = USDC.replace('fCD6', 'FCD6');
+    rejects(() => normalizeAddress('base', flipped), new RegExp(`^${flipped} has an invalid EIP-55 checksum \\(expected ${USDC}\\)$`));
+    rejects(() => normalizeAddress('base', USDC.slice(0, -1)), /expected 0x and 40 hex digits/);
+    rejects(() => normalizeAddress('base', USDC.replace('0x', '')), /expected 0x and 40 hex digits/);
+    rejects(() => normalizeAddress('base', USDC.replace('f', 'g')), /expected 0x and 40 hex digits/);
+});
+
+test('Solana mints must be base58 public keys', () => {
+    assert.equal(normalizeAddress('solana', SOL_USDC), SOL_USDC);
+    assert.equal(normalizeAddress('solana', SRM), SRM);
+
+    rejects(() => normalizeAddress('solana', SOL_USDC.replace('W', '0')), /expected 32-44 base58 characters/);
+    rejects(() => normalizeAddress('solana', SRM.replace('o', 'l')), /expected 32-44 base58 characters/);
+    rejects(() => normalizeAddress('solana', SOL_USDC + 'a'), /expected 32-44 base58 characters/);
+    rejects(() => normalizeAddress('solana', 'z'.repeat(44)), /does not decode to 32 bytes/);
+    rejects(() => normalizeAddress('solana', USDC), /expected 32-44 base58 characters/);
+});
+
+test('symbols several list tokens share are ambiguous', () => withLists({
+    'base.json': {
+        name: 'Base list',
+        tokens: [
+            { chainId: 8453, symbol: 'PEPE', address: PEPE_A, name: 'Pepe', decimals: 18 },
+            { chainId: 8453, symbol: 'pepe', address: PEPE_B, name: 'Pepe copy', decimals: 18 },
+            { chainId: 8453, symbol: 'DOGE', address: DOGE.toLowerCase(), decimals: 9 },
+            { chainId: 1, symbol: 'MAIN', address: '0x5555555555555555555555555555555555555555' },
+            { chainId: 8453, symbol: 'BAD', address: '0x123' },
+            { chainId: 8453, address: '0x6666666666666666666666666666666666666666' }
+        ]
+    }
+}, files => {
+    const registry = new TokenRegistry('base', { lists: files });
+
+    assert.deepEqual(registry.lists.map(({ name, imported, otherChains, invalid }) => ({ name, imported, otherChains, invalid: invalid.length })),
+        [{ name: 'Base list', imported: 3, otherChains: 1, invalid: 2 }]);
+    assert.equal(registry.resolve('doge'), DOGE);
+    assert.equal(registry.getToken(DOGE.toLowerCase()).decimals, 9);
+
+    assert.throws(() => registry.lookup('Pepe'), error => {
+        assert.equal(error.kind, 'ambiguous');
+        assert.deepEqual(error.candidates.map(token => token.address), [PEPE_A, PEPE_B]);
+        assert.match(error.message, /^Pepe matches 2 tokens on base: .*; use the address or pin one in pinnedTokens\.base$/);
+        return true;
+    });
+    assert.throws(() => registry.resolve('NOPE'), error => error.kind === 'unknown' && /Unknown token symbol on base: NOPE/.test(error.message));
+    assert.equal(registry.resolve(PEPE_B.toLowerCase()), PEPE_B);
+}));
+
+test('pinned tokens win over list entries and built-ins', () => withLists({
+    'base.json': {
+        tokens: [
+            { chainId: 8453, symbol: 'PEPE', address: PEPE_A },
+            { chainId: 8453, symbol: 'PEPE', address: PEPE_B },
+            { chainId: 8453, symbol: 'USDC', address: FAKE_USDC, name: 'Copycat USDC' }
+        ]
+    },
+    'broken.json': '{ "name": "not a list" }'
+}, files => {
+    const registry = TokenRegistry.fromConfig({
+        chain: 'base',
+        pinnedTokens: { base: { pepe: { address: PEPE_B.toLowerCase(), name: 'The real Pepe', decimals: 18 } } },
+        tokenLists: files
+    });
+
+    assert.deepEqual(registry.lookup('PEPE'), { address: PEPE_B, symbol: 'pepe', name: 'The real Pepe', decimals: 18, source: 'config' });
+    assert.equal(registry.resolve('usdc'), USDC); // Built-in, not the copycat
+    assert.equal(registry.getToken(FAKE_USDC).name, 'Copycat USDC');
+    assert.equal(registry.lists.length, 1); // The broken list is skipped
+}));
+
+test('Solana lists may be bare arrays without chain ids', () => withLists({
+    'jupiter.json': [
+        { symbol: 'BONK', address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5 },
+        { symbol: 'EVM', address: USDC }
+    ]
+}, files => {
+    const registry = new TokenRegistry('solana', { lists: files });
+    assert.equal(registry.resolve('bonk'), 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263');
+    assert.equal(registry.resolve('SOL'), 'So11111111111111111111111111111111111111112');
+    assert.equal(registry.lists[0].invalid.length, 1);
+    assert.throws(() => registry.resolve(SRM.replace('o', '0')), error => error.kind === 'invalidAddress');
+}));
+
+test('pinned token settings are validated per chain', () => {
+    assert.deepEqual(checkPinnedTokens({ base: { USDC: USDC.toLowerCase() }, solana: { BONK: { address: SRM } } }), []);
+    assert.deepEqual(checkPinnedTokens({
+        base: { BAD: USDC.replace('fCD6', 'FCD6'), SOL: SRM },
+        ethereum: {},
+        solana: []
+    }), [
+        `pinnedTokens.base.BAD: ${USDC.replace('fCD6', 'FCD6')} has an invalid EIP-55 checksum (expected ${USDC})`,
+        `pinnedTokens.base.SOL: ${SRM} is not a base address (expected 0x and 40 hex digits)`,
+        'pinnedTokens.ethereum: unknown chain (expected base, solana)',
+        'pinnedTokens.solana: expected { "<SYMBOL>": "<address>" }'
+    ]);
+});
@@ -0,0 +1,265 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { EvmTxManager, SolanaTxManager, TxError, classifyError } = require('../tx-manager');
+const { VirtualClock } = require('../clock');
+
+const GWEI = 10n ** 9n;
+const ROUTER = ethers.getAddress('0x2222222222222222222222222222222222222222');
+const key = new ethers.Wallet('0x' + '42'.repeat(32));
+
+test('errors are classified by code, message and program logs', () => {
+    assert.equal(classifyError(new Error('execution reverted: UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT')).kind, 'slippage');
+    assert.equal(classifyError({ code: 'INSUFFICIENT_FUNDS', message: 'whatever' }).kind, 'insufficientFunds');
+    assert.equal(classifyError({ InstructionError: [2, { Custom: 6001 }] }).kind, 'slippage');
+    assert.equal(classifyError({ message: 'failed', logs: ['Program log: insufficient lamports'] }).kind, 'insufficientFunds');
+    assert.equal(classifyError(new Error('Transaction too old')).kind, 'expired');
+    assert.equal(classifyError(new Error('connect ECONNREFUSED 127.0.0.1:8545')).kind, 'network');
+    assert.equal(classifyError({ code: 'CALL_EXCEPTION', message: 'missing revert data' }).kind, 'reverted');
+    assert.equal(classifyError(new Error('nonce too low')).kind, 'rejected');
+    assert.equal(classifyError('boom', { fallback: 'reverted' }).kind, 'reverted');
+
+    const original = new TxError('slippage', 'kept');
+    assert.equal(classifyError(original), original);
+});
+
+/**
+ * Stubbed wallet and node. `mine(tx, signed)` decides whether a broadcast
+ * transaction is mined: return a receipt status (1 or 0) or nothing.
+ */
+function evmChain(mine = () => 1) {
+    const chain = { broadcasts: [], receipts: new Map(), nonce: 7 };
+    const provider = {
+        getTransactionCount: async () => chain.nonce,
+        broadcastTransaction: async signed => {
+            const tx = ethers.Transaction.from(signed);
+            chain.broadcasts.push(tx);
+            const status = mine(tx, chain.broadcasts.length);
+            if (status !== undefined) chain.receipts.set(tx.hash, { hash: tx.hash, status, blockNumber: 100 });
+            if (chain.broadcastError) throw chain.broadcastError;
+            return { hash: tx.hash };
+        },
+        getTransactionReceipt: async hash => chain.receipts.get(hash) || null,
+        call: async () => {
+            throw Object.assign(new Error('execution reverted'), { reason: chain.revertReason });
+        }
+    };
+    chain.wallet = {
+        address: key.address,
+        provider,
+        populateTransaction: async request => {
+            if (chain.populateError) throw chain.populateError;
+            return { ...request, chainId: 8453n, type: 2, gasLimit: 200000n, maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: GWEI };
+        },
+        signTransaction: tx => key.signTransaction(tx)
+    };
+    return chain;
+}
+
+function evmManager(chain, options = {}) {
+    const clock = new VirtualClock(0);
+    return new EvmTxManager(chain.wallet, {
+        timeout: 60000, pollInterval: 2000, bumpAfter: 10000, bumpPercent: 20, maxFeeMultiplier: 1.5,
+        clock, sleep: ms => clock.sleep(ms), ...options
+    });
+}
+
+const SWAP = { to: ROUTER, data: '0x38ed1739', value: 0n };
+
+test('a transaction mined at once reports its hash', async () => {
+    const chain = evmChain();
+    const result = await evmManager(chain).send(SWAP, { label: 'Swap' });
+
+    assert.equal(result.attempts, 1);
+    assert.equal(result.hash, chain.broadcasts[0].hash);
+    assert.equal(chain.broadcasts[0].nonce, 7);
+});
+
+test('unmined transactions are replaced with higher fees up to the cap', async () => {
+    // Only the third broadcast is mined
+    const chain = evmChain((tx, count) => (count === 3 ? 1 : undefined));
+    const manager = evmManager(chain);
+    const result = await manager.send(SWAP);
+
+    assert.equal(result.attempts, 3);
+    assert.equal(result.hash, chain.broadcasts[2].hash);
+    assert.deepEqual(chain.broadcasts.map(tx => tx.nonce), [7, 7, 7]);
+    assert.deepEqual(chain.broadcasts.map(tx => tx.maxFeePerGas), [10n * GWEI, 12n * GWEI, 144n * GWEI / 10n]);
+    assert.deepEqual(chain.broadcasts.map(tx => tx.maxPriorityFeePerGas), [GWEI, 12n * GWEI / 10n, 144n * GWEI / 100n]);
+
+    assert.equal(manager.lastMinedNonce, 7);
+
+    // Fees stop at maxFeeMultiplier, and a capped transaction is not resent
+    const capped = evmChain(tx => (tx.to === key.address ? 1 : undefined));
+    await assert.rejects(evmManager(capped, { timeout: 100000 }).send(SWAP), { kind: 'expired' });
+    const originals = capped.broadcasts.slice(0, -1);
+    assert.deepEqual(originals.map(tx => tx.maxFeePerGas), [10n * GWEI, 12n * GWEI, 144n * GWEI / 10n, 15n * GWEI]);
+});
+
+test('a transaction past its deadline is cancelled with a self-transfer', async () => {
+    // Only the cancellation (a transfer to ourselves) is mined
+    const chain = evmChain(tx => (tx.to === key.address ? 1 : undefined));
+    const manager = evmManager(chain);
+
+    await assert.rejects(manager.send(SWAP, { label: 'Swap' }), error => {
+        assert.equal(error.kind, 'expired');
+        assert.equal(error.unresolved, false);
+        assert.match(error.message, /Swap expired and was cancelled/);
+        return true;
+    });
+
+    const cancel = chain.broadcasts.at(-1);
+    assert.equal(cancel.nonce, 7);
+    assert.equal(cancel.value, 0n);
+    assert.equal(cancel.data, '0x');
+    assert.ok(cancel.maxFeePerGas > chain.broadcasts.at(-2).maxFeePerGas);
+    assert.equal(manager.lastMinedNonce, 7);
+    assert.equal(await manager.nextNonce(), 8);
+});
+
+test('the original can still win the race against its cancellation', async () => {
+    let cancelled = false;
+    const chain = evmChain(tx => {
+        if (tx.to === key.address) cancelled = true;
+        return undefined;
+    });
+    const manager = evmManager(chain);
+    const sending = manager.send(SWAP);
+
+    // The node mines the swap just after the cancellation was sent
+    const findReceipt = manager.findReceipt.bind(manager);
+    manager.findReceipt = async hashes => {
+        if (cancelled) chain.receipts.set(chain.broadcasts[0].hash, { hash: chain.broadcasts[0].hash, status: 1, blockNumber: 100 });
+        return findReceipt(hashes);
+    };
+
+    const result = await sending;
+    assert.equal(result.hash, chain.broadcasts[0].hash);
+});
+
+test('an unmined cancellation leaves the outcome unresolved', async () => {
+    const chain = evmChain(() => undefined);
+    await assert.rejects(evmManager(chain).send(SWAP), error => {
+        assert.equal(error.kind, 'expired');
+        assert.equal(error.unresolved, true);
+        assert.match(error.message, /outcome unknown/);
+        return true;
+    });
+});
+
+test('reverted transactions report the replayed revert reason', async () => {
+    const chain = evmChain(() => 0);
+    chain.revertReason = 'UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT';
+
+    await assert.rejects(evmManager(chain).send(SWAP, { label: 'Swap' }), error => {
+        assert.equal(error.kind, 'slippage');
+        assert.equal(error.hash, chain.broadcasts[0].hash);
+        assert.equal(error.message, 'Swap reverted: UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT');
+        return true;
+    });
+
+    chain.revertReason = 'TransferHelper: TRANSFER_FROM_FAILED';
+    await assert.rejects(evmManager(chain).send(SWAP), { kind: 'reverted' });
+});
+
+test('failed gas estimation is classified before anything is sent', async () => {
+    const chain = evmChain();
+    chain.populateError = Object.assign(new Error('insufficient funds for gas * price + value'), { code: 'INSUFFICIENT_FUNDS' });
+
+    await assert.rejects(evmManager(chain).send(SWAP), { name: 'TxError', kind: 'insufficientFunds' });
+    assert.equal(chain.broadcasts.length, 0);
+});
+
+test('a broadcast lost to a network error is still watched', async () => {
+    const chain = evmChain();
+    chain.broadcastError = new Error('socket hang up');
+
+    const result = await evmManager(chain).send(SWAP);
+    assert.equal(result.hash, chain.broadcasts[0].hash);
+
+    chain.broadcastError = new Error('already known');
+    await assert.rejects(evmManager(chain).send(SWAP), { kind: 'rejected' });
+});
+
+/**
+ * Stubbed Solana connection. `statuses(signature, polls)` returns the
+ * signature status for each poll; block height rises one per poll.
+ */
+function solanaChain(statuses) {
+    const chain = { sends: [], polls: 0, height: 1000 };
+    chain.connection = {
+        getBlockHeight: async () => chain.height,
+        sendRawTransaction: async (raw, options) => {
+            chain.sends.push({ raw: raw.toString(), preflight: !options.skipPreflight });
+            return `sig-${raw.toString()}`;
+        },
+        getSignatureStatuses: async ([signature], { searchTransactionHistory }) => {
+            chain.polls++;
+            chain.height++;
+            return { value: [statuses(signature, chain.polls, searchTransactionHistory) || null] };
+        }
+    };
+    chain.signer = { signTransaction: async transaction => ({ serialize: () => Buffer.from(transaction) }) };
+    return chain;
+}
+
+function solanaManager(chain, options = {}) {
+    const clock = new VirtualClock(0);
+    return new SolanaTxManager(chain.connection, chain.signer, {
+        timeout: 60000, pollInterval: 1000, rebroadcastInterval: 2000, bumpPercent: 50, maxFeeMultiplier: 2,
+        clock, sleep: ms => clock.sleep(ms), ...options
+    });
+}
+
+test('solana transactions are rebroadcast until they confirm', async () => {
+    const chain = solanaChain((signature, polls) => (polls >= 6 ? { confirmationStatus: 'confirmed' } : null));
+    const builds = [];
+    const result = await solanaManager(chain).send(async attempt => {
+        builds.push(attempt);
+        return { transaction: `tx${attempt}`, lastValidBlockHeight: 1100 };
+    });
+
+    assert.deepEqual(result, { signature: 'sig-tx0', attempts: 1 });
+    assert.deepEqual(builds, [0]);
+    // Preflight on the first send only, then a rebroadcast every two polls
+    assert.deepEqual(chain.sends.map(send => send.preflight), [true, false, false]);
+    assert.ok(chain.sends.every(send => send.raw === 'tx0'));
+});
+
+test('an expired blockhash is rebuilt with a higher fee until the deadline', async () => {
+    const chain = solanaChain((signature, polls, history) => (signature === 'sig-tx1' && !history ? { confirmationStatus: 'finalized' } : null));
+    const manager = solanaManager(chain);
+    const fees = [];
+    const result = await manager.send(async attempt => {
+        fees.push(manager.feeMultiplier(attempt));
+        return { transaction: `tx${attempt}`, lastValidBlockHeight: chain.height + 3 };
+    });
+
+    assert.deepEqual(result, { signature: 'sig-tx1', attempts: 2 });
+    assert.deepEqual(fees, [1, 1.5]);
+    assert.equal(manager.feeMultiplier(5), 2);
+
+    const late = solanaChain(() => null);
+    const expiring = solanaManager(late, { timeout: 5000 });
+    await assert.rejects(expiring.send(async attempt => ({ transaction: `tx${attempt}`, lastValidBlockHeight: late.height + 10 })), error => {
+        assert.equal(error.kind, 'expired');
+        assert.match(error.message, /expired before confirmation/);
+        return true;
+    });
+});
+
+test('a transaction that lands in its last valid block counts as confirmed', async () => {
+    const chain = solanaChain((signature, polls, history) => (history ? { confirmationStatus: 'confirmed' } : null));
+    const result = await solanaManager(chain).send(async () => ({ transaction: 'tx', lastValidBlockHeight: chain.height + 2 }));
+    assert.deepEqual(result, { signature: 'sig-tx', attempts: 1 });
+});
+
+test('solana failures are classified', async () => {
+    const failed = solanaChain(() => ({ err: { InstructionError: [3, { Custom: 6001 }] } }));
+    await assert.rejects(solanaManager(failed).send(async () => ({ transaction: 'tx' })), { kind: 'slippage', hash: 'sig-tx' });
+
+    const offline = solanaChain(() => null);
+    offline.connection.sendRawTransaction = async () => { throw new Error('fetch failed'); };
+    await assert.rejects(solanaManager(offline).send(async () => ({ transaction: 'tx' })), { kind: 'network', unresolved: true });
+});
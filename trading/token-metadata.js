@@ -0,0 +1,131 @@
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+
+const ERC20_METADATA_ABI = [
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function name() view returns (string)'
+];
+
+/**
+ * Token metadata (decimals, symbol, name) for one chain, fetched once per
+ * token and cached for the life of the process.
+ *
+ * Decimals are what turn human amounts into base units, so a token whose
+ * decimals cannot be read is an error rather than a guess. Symbol and name
+ * are best effort (some ERC-20s return bytes32, SPL mints have neither) and
+ * may be null. Concurrent lookups of the same token share one request.
+ */
+class TokenMetadataService {
+    /**
+     * @param {string} chain - Chain name, e.g. 'base' or 'solana'
+     * @param {Function} fetcher - async address -> { symbol, name, decimals }
+     * @param {Object} options - { known: [{ address, symbol, name, decimals }], caseInsensitive }
+     */
+    constructor(chain, fetcher, options = {}) {
+        this.chain = chain;
+        this.fetcher = fetcher;
+        // EVM addresses are hex and may arrive in any checksum casing; base58 is case-sensitive
+        this.caseInsensitive = options.caseInsensitive ?? false;
+        this.cache = new Map();
+        this.pending = new Map();
+
+        (options.known || []).forEach(token => this.seed(token));
+    }
+
+    key(address) {
+        return this.caseInsensitive ? address.toLowerCase() : address;
+    }
+
+    /**
+     * Add metadata for a token without fetching it (e.g. the quote token)
+     * @param {Object} token - { address, symbol, name, decimals }
+     */
+    seed(token) {
+        this.cache.set(this.key(token.address), this.validate(token.address, token));
+    }
+
+    /**
+     * Get token metadata
+     * @param {string} address - Token address
+     * @returns {Promise<Object>} { address, symbol, name, decimals }
+     * @throws {Error} If decimals cannot be read
+     */
+    async get(address) {
+        const key = this.key(address);
+        if (this.cache.has(key)) return this.cache.get(key);
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const request = Promise.resolve()
+            .then(() => this.fetcher(address))
+            .then(metadata => {
+                const token = this.validate(address, metadata);
+                this.cache.set(key, token);
+                return token;
+            })
+            .finally(() => this.pending.delete(key));
+
+        this.pending.set(key, request);
+        return request;
+    }
+
+    /**
+     * Get token decimals
+     * @param {string} address - Token address
+     * @returns {Promise<number>} Decimals
+     */
+    async getDecimals(address) {
+        return (await this.get(address)).decimals;
+    }
+
+    validate(address, metadata) {
+        const decimals = metadata?.decimals;
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+            throw new Error(`Could not read decimals for ${address} on ${this.chain} (got ${decimals})`);
+        }
+
+        return {
+            address,
+            symbol: metadata.symbol || null,
+            name: metadata.name || null,
+            decimals
+        };
+    }
+}
+
+/**
+ * Metadata fetcher for ERC-20 tokens
+ * @param {ethers.Provider} provider - JSON-RPC provider
+ * @returns {Function} Fetcher for TokenMetadataService
+ */
+function evmMetadataFetcher(provider) {
+    return async address => {
+        const erc20 = new ethers.Contract(address, ERC20_METADATA_ABI, provider);
+        const [decimals, symbol, name] = await Promise.all([
+            erc20.decimals(),
+            erc20.symbol().catch(() => null),
+            erc20.name().catch(() => null)
+        ]);
+        return { decimals: Number(decimals), symbol, name };
+    };
+}
+
+/**
+ * Metadata fetcher for SPL token mints
+ * @param {Connection} connection - Solana connection
+ * @returns {Function} Fetcher for TokenMetadataService
+ */
+function solanaMetadataFetcher(connection) {
+    return async address => {
+        const info = await connection.getParsedAccountInfo(new PublicKey(address));
+        const decimals = info.value?.data?.parsed?.info?.decimals;
+        if (decimals === undefined) {
+            throw new Error(`Not a token mint: ${address}`);
+        }
+
+        // SPL mints carry no symbol or name; those come from market data
+        return { decimals, symbol: null, name: null };
+    };
+}
+
+module.exports = { TokenMetadataService, evmMetadataFetcher, solanaMetadataFetcher };
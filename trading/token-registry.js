@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tokens');
+
+// Chain name -> chainId used in token lists, and address format
+const CHAINS = {
+    base: { chainId: 8453, format: 'evm' },
+    solana: { chainId: 101, format: 'solana' }
+};
+
+// Always known; tokens pinned in config take precedence
+const BUILTIN_TOKENS = {
+    base: [
+        { symbol: 'ETH', address: '0x4200000000000000000000000000000000000006', name: 'Wrapped Ether', decimals: 18 }, // Swaps use WETH
+        { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', name: 'Wrapped Ether', decimals: 18 },
+        { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', name: 'USD Coin', decimals: 6 },
+        { symbol: 'USDbC', address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', name: 'USD Base Coin', decimals: 6 },
+        { symbol: 'DAI', address: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', name: 'Dai Stablecoin', decimals: 18 }
+    ],
+    solana: [
+        { symbol: 'SOL', address: 'So11111111111111111111111111111111111111112', name: 'Wrapped SOL', decimals: 9 },
+        { symbol: 'USDC', address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', name: 'USD Coin', decimals: 6 },
+        { symbol: 'USDT', address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', name: 'USDT', decimals: 6 },
+        { symbol: 'RAY', address: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R', name: 'Raydium', decimals: 6 },
+        { symbol: 'SRM', address: 'SRMuApVNdxXokk5GT7XD5cUUgXMBCoAz2LHeuAoKWRt', name: 'Serum', decimals: 6 }
+    ]
+};
+
+/**
+ * A token that cannot be resolved. `kind` is invalidAddress, unknown,
+ * ambiguous (see `candidates`) or invalidList.
+ */
+class TokenRegistryError extends Error {
+    constructor(kind, message, details = {}) {
+        super(message);
+        this.name = 'TokenRegistryError';
+        this.kind = kind;
+        this.candidates = details.candidates || [];
+    }
+}
+
+/**
+ * Validate an address for a chain
+ * @param {string} chain - Chain name, e.g. 'base' or 'solana'
+ * @param {string} address - Address as given
+ * @returns {string} Normalized address: EIP-55 checksummed on EVM chains, unchanged base58 on Solana
+ * @throws {TokenRegistryError} invalidAddress, with the reason
+ */
+function normalizeAddress(chain, address) {
+    const value = String(address).trim();
+
+    if (CHAINS[chain].format === 'evm') {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+            throw new TokenRegistryError('invalidAddress', `${value} is not a ${chain} address (expected 0x and 40 hex digits)`);
+        }
+        // All-lowercase or all-uppercase carries no checksum; mixed case must be valid EIP-55
+        const checksummed = ethers.getAddress(value.toLowerCase());
+        const hex = value.slice(2);
+        if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && value !== checksummed) {
+            throw new TokenRegistryError('invalidAddress', `${value} has an invalid EIP-55 checksum (expected ${checksummed})`);
+        }
+        return checksummed;
+    }
+
+    if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value)) {
+        throw new TokenRegistryError('invalidAddress', `${value} is not a ${chain} address (expected 32-44 base58 characters)`);
+    }
+    try {
+        new PublicKey(value); // Must decode to exactly 32 bytes
+    } catch (e) {
+        throw new TokenRegistryError('invalidAddress', `${value} is not a ${chain} address (does not decode to 32 bytes)`);
+    }
+    return value;
+}
+
+/**
+ * Check the `pinnedTokens` setting: { "<chain>": { "<SYMBOL>": "<address>" | { address, name, decimals } } }
+ * @param {Object} pinned - Pinned tokens by chain
+ * @returns {string[]} Problems, empty if valid
+ */
+function checkPinnedTokens(pinned) {
+    const errors = [];
+    for (const [chain, tokens] of Object.entries(pinned)) {
+        if (!CHAINS[chain]) {
+            errors.push(`pinnedTokens.${chain}: unknown chain (expected ${Object.keys(CHAINS).join(', ')})`);
+            continue;
+        }
+        if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+            errors.push(`pinnedTokens.${chain}: expected { "<SYMBOL>": "<address>" }`);
+            continue;
+        }
+        for (const [symbol, spec] of Object.entries(tokens)) {
+            try {
+                normalizeAddress(chain, typeof spec === 'string' ? spec : spec?.address);
+            } catch (error) {
+                errors.push(`pinnedTokens.${chain}.${symbol}: ${error.message}`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Symbol and address lookup for one chain.
+ *
+ * Knows a few built-in tokens, tokens pinned in config (PINNED_TOKENS, by
+ * chain) and every token for this chain in the imported token lists
+ * (TOKEN_LISTS: JSON files in the Uniswap token list format, `{ tokens: [...] }`,
+ * or a bare array as Jupiter publishes; entries for other chainIds are
+ * skipped). Every address is validated on the way in: EIP-55 checksums on
+ * EVM chains, base58 public keys on Solana.
+ *
+ * Symbols are matched case-insensitively. A pinned symbol always resolves to
+ * its pinned address; otherwise a symbol that more than one list token uses
+ * is an ambiguity error rather than a guess, since copycat tokens reuse
+ * symbols. Pin the right one, or trade by address.
+ */
+class TokenRegistry {
+    /**
+     * @param {string} chain - Chain name, e.g. 'base' or 'solana'
+     * @param {Object} options - { pinned } { "<SYMBOL>": "<address>" | { address, name, decimals } } for this chain,
+     *   { lists } token list files to import
+     */
+    constructor(chain, options = {}) {
+        if (!CHAINS[chain]) {
+            throw new Error(`No token registry for chain ${chain} (expected one of ${Object.keys(CHAINS).join(', ')})`);
+        }
+        this.chain = chain;
+        this.chainId = CHAINS[chain].chainId;
+        this.pinned = new Map(); // SYMBOL -> token
+        this.symbols = new Map(); // SYMBOL -> Map(address -> token), from token lists
+        this.addresses = new Map(); // address -> token
+        this.lists = []; // Import stats per list file
+
+        BUILTIN_TOKENS[chain].forEach(token => this.pin(token.symbol, token, 'built-in'));
+        Object.entries(options.pinned || {}).forEach(([symbol, spec]) => this.pin(symbol, spec, 'config'));
+        (options.lists || []).forEach(file => {
+            try {
+                this.importList(file);
+            } catch (error) {
+                // Lists only add symbols; trading by address works without them
+                log.warn(`⚠️ Token list ${file} not imported: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Registry for a chain from the monitor configuration
+     * @param {Object} config - Monitor configuration (tokenLists, pinnedTokens)
+     * @param {string} [chain] - Chain name, defaults to config.chain
+     * @returns {TokenRegistry} Registry
+     */
+    static fromConfig(config, chain = config.chain) {
+        return new TokenRegistry(chain, { pinned: config.pinnedTokens[chain], lists: config.tokenLists });
+    }
+
+    /**
+     * Validate and normalize an address for this chain
+     * @param {string} address - Address as given
+     * @returns {string} Normalized address
+     * @throws {TokenRegistryError} invalidAddress
+     */
+    normalizeAddress(address) {
+        return normalizeAddress(this.chain, address);
+    }
+
+    /**
+     * Whether a value is meant as an address rather than a symbol
+     */
+    looksLikeAddress(value) {
+        return CHAINS[this.chain].format === 'evm' ? /^0x/i.test(value) : value.length >= 32;
+    }
+
+    /**
+     * Make a symbol resolve to an address, whatever the token lists say
+     * @param {string} symbol - Token symbol
+     * @param {string|Object} spec - Address, or { address, name, decimals }
+     * @param {string} [source] - Where the pin came from
+     */
+    pin(symbol, spec, source = 'config') {
+        const token = this.entry({ ...(typeof spec === 'string' ? { address: spec } : spec), symbol }, source);
+        this.pinned.set(symbol.toUpperCase(), token);
+        this.addresses.set(token.address, token);
+    }
+
+    /**
+     * Import a token list file
+     * @param {string} file - JSON token list
+     * @returns {Object} { name, imported, otherChains, invalid: ["SYMBOL: reason"] }
+     * @throws {TokenRegistryError} invalidList if the file is not a token list
+     */
+    importList(file) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const tokens = Array.isArray(data) ? data : data?.tokens;
+        if (!Array.isArray(tokens)) {
+            throw new TokenRegistryError('invalidList', `${file} is not a token list (expected { tokens: [...] } or an array)`);
+        }
+
+        const stats = { file, name: data.name || path.basename(file), imported: 0, otherChains: 0, invalid: [] };
+        for (const item of tokens) {
+            // Lists published for a single chain may leave chainId out
+            if (item?.chainId !== undefined && Number(item.chainId) !== this.chainId) {
+                stats.otherChains++;
+                continue;
+            }
+            if (!item?.symbol || !item.address) {
+                stats.invalid.push(`${item?.symbol || '?'}: missing symbol or address`);
+                continue;
+            }
+
+            let token;
+            try {
+                token = this.entry(item, stats.name);
+            } catch (error) {
+                stats.invalid.push(`${item.symbol}: ${error.message}`);
+                continue;
+            }
+
+            const key = token.symbol.toUpperCase();
+            if (!this.symbols.has(key)) this.symbols.set(key, new Map());
+            // The first list to name an address wins
+            if (!this.symbols.get(key).has(token.address)) {
+                this.symbols.get(key).set(token.address, token);
+            }
+            if (!this.addresses.has(token.address)) {
+                this.addresses.set(token.address, token);
+            }
+            stats.imported++;
+        }
+
+        this.lists.push(stats);
+        log.info(`🪙 Imported ${stats.imported} ${this.chain} tokens from ${stats.name}${stats.invalid.length ? ` (${stats.invalid.length} invalid skipped)` : ''}`);
+        return stats;
+    }
+
+    entry(item, source) {
+        return {
+            address: this.normalizeAddress(item.address),
+            symbol: String(item.symbol).trim(),
+            name: item.name || null,
+            decimals: Number.isInteger(item.decimals) ? item.decimals : null,
+            source
+        };
+    }
+
+    /**
+     * Find the token for a symbol
+     * @param {string} symbol - Token symbol, any case
+     * @returns {Object} { address, symbol, name, decimals, source }
+     * @throws {TokenRegistryError} unknown, or ambiguous when several list tokens share the symbol
+     */
+    lookup(symbol) {
+        const key = String(symbol).trim().toUpperCase();
+        if (this.pinned.has(key)) return this.pinned.get(key);
+
+        const matches = [...(this.symbols.get(key)?.values() || [])];
+        if (matches.length === 0) {
+            throw new TokenRegistryError('unknown', `Unknown token symbol on ${this.chain}: ${symbol} (use its address, or pin it in pinnedTokens.${this.chain})`);
+        }
+        if (matches.length > 1) {
+            const listed = matches.map(token => `${token.address} (${token.symbol}, ${token.source})`).join(', ');
+            throw new TokenRegistryError(
+                'ambiguous',
+                `${symbol} matches ${matches.length} tokens on ${this.chain}: ${listed}; use the address or pin one in pinnedTokens.${this.chain}`,
+                { candidates: matches }
+            );
+        }
+        return matches[0];
+    }
+
+    /**
+     * Resolve a symbol or address to a validated address
+     * @param {string} value - Token symbol or address
+     * @returns {string} Normalized address
+     * @throws {TokenRegistryError} invalidAddress, unknown or ambiguous
+     */
+    resolve(value) {
+        const text = String(value).trim();
+        return this.looksLikeAddress(text) ? this.normalizeAddress(text) : this.lookup(text).address;
+    }
+
+    /**
+     * Registry entry for an address
+     * @param {string} address - Token address
+     * @returns {Object|null} Token, or null if neither pinned nor listed
+     */
+    getToken(address) {
+        return this.addresses.get(this.normalizeAddress(address)) || null;
+    }
+}
+
+module.exports = {
+    CHAINS,
+    TokenRegistryError,
+    TokenRegistry,
+    normalizeAddress,
+    checkPinnedTokens
+};
+
+// CLI usage
+if (require.main === module) {
+    // Required here: config.js loads the adapters, which load this module
+    const { loadConfig } = require('./config');
+    const [command, value] = process.argv.slice(2);
+    // Config flags apply, e.g. --chain=solana
+    const config = loadConfig({ argv: process.argv.slice(2).filter(arg => arg.startsWith('--')) });
+    const { chain } = config;
+
+    try {
+        const registry = TokenRegistry.fromConfig(config, chain);
+        if (command === 'resolve' && value) {
+            const address = registry.resolve(value);
+            const token = registry.getToken(address);
+            console.log(token ? `${token.symbol} ${address} (${token.source})` : address);
+        } else if (command === 'lists') {
+            registry.lists.forEach(list => {
+                console.log(`📋 ${list.name}: ${list.imported} ${chain} tokens, ${list.otherChains} on other chains, ${list.invalid.length} invalid`);
+                list.invalid.forEach(reason => console.log(`   ⚠️ ${reason}`));
+            });
+            console.log(`📌 ${registry.pinned.size} pinned (built-in and pinnedTokens.${chain})`);
+        } else {
+            console.log('Usage:');
+            console.log('  node token-registry.js resolve <symbol|address> [--chain=base|solana]   Validate an address or resolve a symbol');
+            console.log('  node token-registry.js lists [--chain=base|solana]                      Import TOKEN_LISTS and report');
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,428 @@
+const { ethers } = require('ethers');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tx');
+
+// Failure kinds, so callers can tell a missed fill from a broken wallet
+const TX_ERRORS = ['slippage', 'insufficientFunds', 'expired', 'reverted', 'rejected', 'network'];
+
+// Matched against revert reasons, RPC messages and program logs
+const PATTERNS = [
+    ['slippage', /INSUFFICIENT_OUTPUT_AMOUNT|Too little received|slippage|Return amount is not enough|custom program error: 0x1771|"Custom":6001/i],
+    ['insufficientFunds', /insufficient funds|insufficient lamports|InsufficientFundsForFee|TRANSFER_AMOUNT_EXCEEDS_BALANCE|exceeds balance|custom program error: 0x1\b/i],
+    ['expired', /EXPIRED|Transaction too old|deadline|block height exceeded|Blockhash not found/i],
+    ['network', /ECONNREFUSED|ECONNRESET|ETIMEDOUT|socket hang up|timeout|429|Too Many Requests|fetch failed/i]
+];
+
+// ethers error codes that decide the kind regardless of the message
+const CODES = {
+    INSUFFICIENT_FUNDS: 'insufficientFunds',
+    NONCE_EXPIRED: 'rejected',
+    REPLACEMENT_UNDERPRICED: 'rejected'
+};
+
+/**
+ * A transaction that did not go through, with what went wrong.
+ *
+ * `kind` is one of TX_ERRORS. `unresolved` is true when the transaction was
+ * broadcast and may still have executed (the caller should reconcile rather
+ * than assume nothing was traded).
+ */
+class TxError extends Error {
+    constructor(kind, message, details = {}) {
+        super(message);
+        this.name = 'TxError';
+        this.kind = kind;
+        this.unresolved = details.unresolved || false;
+        this.hash = details.hash || null;
+        this.attempts = details.attempts || 0;
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * Classify an RPC, ethers or Solana error
+ * @param {Error|Object|string} error - Error, Solana instruction error or message
+ * @param {Object} [details] - Passed to TxError (unresolved, hash, attempts); `fallback` kind when nothing matches
+ * @returns {TxError} Classified error
+ */
+function classifyError(error, details = {}) {
+    if (error instanceof TxError) return error;
+
+    const text = [
+        typeof error === 'string' ? error : JSON.stringify(error),
+        error?.message,
+        error?.shortMessage,
+        error?.reason,
+        error?.info?.error?.message,
+        ...(error?.logs || [])
+    ].filter(Boolean).join(' ');
+
+    let kind = CODES[error?.code] || null;
+    kind ??= PATTERNS.find(([, pattern]) => pattern.test(text))?.[0];
+    kind ??= details.fallback || (error?.code === 'CALL_EXCEPTION' ? 'reverted' : 'rejected');
+
+    const message = error?.shortMessage || error?.message || (typeof error === 'string' ? error : JSON.stringify(error));
+    return new TxError(kind, message, { ...details, cause: error });
+}
+
+/**
+ * Sees EVM transactions through to confirmation.
+ *
+ * Each transaction is signed with a fixed nonce and rebroadcast as a
+ * replacement with fees raised by `bumpPercent` whenever it has waited
+ * `bumpAfter` ms without being mined, up to `maxFeeMultiplier` times the
+ * starting fees. At the deadline a zero-value self-transfer with the same
+ * nonce cancels it, so an expired swap can't land later; whichever of the
+ * two is mined decides the outcome.
+ */
+class EvmTxManager {
+    /**
+     * @param {ethers.Wallet} wallet - Signer connected to a provider
+     * @param {Object} options - { timeout, pollInterval, bumpAfter, bumpPercent, maxFeeMultiplier, clock, sleep }
+     */
+    constructor(wallet, options = {}) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.timeout = options.timeout ?? 90000;
+        this.pollInterval = options.pollInterval ?? 2000;
+        this.bumpAfter = options.bumpAfter ?? 15000;
+        this.bumpPercent = options.bumpPercent ?? 20;
+        this.maxFeeMultiplier = options.maxFeeMultiplier ?? 3;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.pending = new Map(); // nonce -> tracked transaction
+        this.lastMinedNonce = null;
+    }
+
+    /**
+     * Next nonce for the wallet
+     * @returns {Promise<number>} Nonce
+     */
+    async nextNonce() {
+        const count = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+        // The provider caches answers briefly, so a nonce mined a moment ago can still look free
+        return this.lastMinedNonce === null ? count : Math.max(count, this.lastMinedNonce + 1);
+    }
+
+    /**
+     * Send a transaction and wait until it is mined
+     * @param {Object} request - { to, data, value, gasLimit }
+     * @param {Object} options - { label, deadline } (deadline in ms; defaults to now + timeout)
+     * @returns {Promise<Object>} { hash, receipt, attempts }
+     * @throws {TxError} Classified failure
+     */
+    async send(request, options = {}) {
+        const label = options.label || 'Transaction';
+        const deadline = options.deadline ?? this.clock.now() + this.timeout;
+
+        // Gas estimation runs the call, so most reverts (slippage, balance) surface here
+        let tx;
+        try {
+            tx = await this.wallet.populateTransaction({ ...request, nonce: request.nonce ?? await this.nextNonce() });
+        } catch (error) {
+            throw classifyError(error);
+        }
+
+        const tracked = {
+            label,
+            nonce: tx.nonce,
+            hashes: [],
+            attempts: 0,
+            fees: this.initialFees(tx),
+            submittedAt: this.clock.now(),
+            bumpedAt: this.clock.now()
+        };
+        tracked.maxFees = this.scaleFees(tracked.fees, this.maxFeeMultiplier * 100);
+        this.pending.set(tx.nonce, tracked);
+
+        try {
+            try {
+                await this.broadcast(tracked, tx);
+                log.info(`📤 ${label} sent: ${tracked.hashes[0]}`, { hash: tracked.hashes[0], nonce: tx.nonce });
+            } catch (error) {
+                // The node may have taken it before the connection failed: keep watching its hash
+                const txError = classifyError(error);
+                if (txError.kind !== 'network') throw txError;
+                log.warn(`⚠️ ${label} broadcast failed (${txError.message}), watching ${tracked.hashes[0]}`, { error: txError });
+            }
+
+            while (true) {
+                const receipt = await this.findReceipt(tracked.hashes);
+                if (receipt) return this.settle(tracked, tx, receipt);
+
+                if (this.clock.now() >= deadline) {
+                    return await this.cancel(tracked, tx);
+                }
+
+                if (this.clock.now() - tracked.bumpedAt >= this.bumpAfter) {
+                    await this.bump(tracked, tx);
+                }
+                await this.sleep(this.pollInterval);
+            }
+        } finally {
+            this.pending.delete(tx.nonce);
+        }
+    }
+
+    initialFees(tx) {
+        if (tx.maxFeePerGas != null) {
+            return { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+        }
+        return { gasPrice: tx.gasPrice };
+    }
+
+    /**
+     * Multiply every fee field by `percent` / 100
+     */
+    scaleFees(fees, percent) {
+        return Object.fromEntries(Object.entries(fees).map(([key, value]) =>
+            [key, value * BigInt(Math.round(percent)) / 100n]));
+    }
+
+    /**
+     * Sign and broadcast with the tracked fees. The hash is recorded before
+     * broadcasting, so a send that errors but reached the node is still found.
+     */
+    async broadcast(tracked, tx) {
+        const signed = await this.wallet.signTransaction({ ...tx, ...tracked.fees });
+        const hash = ethers.keccak256(signed);
+        tracked.hashes.push(hash);
+        tracked.attempts++;
+        await this.provider.broadcastTransaction(signed);
+        return hash;
+    }
+
+    /**
+     * Replace the transaction with higher fees, unless they are already at the cap
+     */
+    async bump(tracked, tx) {
+        tracked.bumpedAt = this.clock.now();
+
+        const raised = this.scaleFees(tracked.fees, 100 + this.bumpPercent);
+        const capped = Object.fromEntries(Object.entries(raised).map(([key, value]) =>
+            [key, value > tracked.maxFees[key] ? tracked.maxFees[key] : value]));
+        if (Object.keys(capped).every(key => capped[key] <= tracked.fees[key])) return;
+
+        const previous = tracked.fees;
+        tracked.fees = capped;
+        try {
+            const hash = await this.broadcast(tracked, tx);
+            log.info(`⛽ ${tracked.label} not mined after ${((this.clock.now() - tracked.submittedAt) / 1000).toFixed(0)}s, replaced with ${this.bumpPercent}% higher fees: ${hash}`);
+        } catch (error) {
+            // Mined in the meantime (nonce used) or the node wants a bigger bump: the loop sorts it out
+            tracked.fees = /underpriced/i.test(error.message) ? capped : previous;
+            log.warn(`⚠️ ${tracked.label} replacement not accepted: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    /**
+     * At the deadline, replace the transaction with a no-op so it cannot be mined later
+     */
+    async cancel(tracked, tx) {
+        log.warn(`⌛ ${tracked.label} passed its deadline, cancelling`);
+        const cancelTx = { ...tx, to: this.wallet.address, data: '0x', value: 0n, gasLimit: 21000n };
+        tracked.fees = this.scaleFees(tracked.fees, 100 + Math.max(this.bumpPercent, 10));
+        try {
+            const signed = await this.wallet.signTransaction({ ...cancelTx, ...tracked.fees });
+            const response = await this.provider.broadcastTransaction(signed);
+            tracked.cancelHash = response.hash;
+        } catch (error) {
+            log.warn(`⚠️ Cancelling ${tracked.label} failed: ${error.shortMessage || error.message}`);
+        }
+
+        // Wait for one of them; give up (outcome unknown) after another timeout
+        const giveUpAt = this.clock.now() + this.timeout;
+        const hashes = tracked.cancelHash ? [...tracked.hashes, tracked.cancelHash] : tracked.hashes;
+        while (this.clock.now() < giveUpAt) {
+            const receipt = await this.findReceipt(hashes);
+            if (receipt) this.lastMinedNonce = tracked.nonce;
+            if (receipt && receipt.hash === tracked.cancelHash) {
+                throw new TxError('expired', `${tracked.label} expired and was cancelled`, { hash: tracked.cancelHash, attempts: tracked.attempts });
+            }
+            if (receipt) return this.settle(tracked, tx, receipt);
+            await this.sleep(this.pollInterval);
+        }
+        throw new TxError('expired', `${tracked.label} expired and its cancellation was not mined; outcome unknown`, {
+            unresolved: true,
+            hash: tracked.hashes[tracked.hashes.length - 1],
+            attempts: tracked.attempts
+        });
+    }
+
+    async findReceipt(hashes) {
+        for (const hash of hashes) {
+            try {
+                const receipt = await this.provider.getTransactionReceipt(hash);
+                if (receipt) return receipt;
+            } catch (error) {
+                // Transient RPC failure: try again next poll
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Turn a receipt into the result, or a classified error if it reverted
+     */
+    async settle(tracked, tx, receipt) {
+        this.lastMinedNonce = tracked.nonce;
+        if (receipt.status === 1) {
+            log.info(`✅ ${tracked.label} confirmed: ${receipt.hash}${tracked.attempts > 1 ? ` (after ${tracked.attempts} broadcasts)` : ''}`);
+            return { hash: receipt.hash, receipt, attempts: tracked.attempts };
+        }
+
+        // Replay the call at the block it failed in to read the revert reason
+        let reason = 'execution reverted';
+        try {
+            await this.provider.call({ ...tx, from: this.wallet.address, blockTag: receipt.blockNumber });
+        } catch (error) {
+            reason = error.reason || error.shortMessage || error.message;
+        }
+        throw classifyError(new Error(`${tracked.label} reverted: ${reason}`), {
+            fallback: 'reverted',
+            hash: receipt.hash,
+            attempts: tracked.attempts
+        });
+    }
+}
+
+/**
+ * Sees Solana transactions through to confirmation.
+ *
+ * The signed transaction is rebroadcast every `rebroadcastInterval` ms
+ * until it confirms or its blockhash expires. Only then, when it can no
+ * longer land, is it rebuilt with a fresh blockhash and a priority fee
+ * raised by `bumpPercent` per attempt (see feeMultiplier), as long as the
+ * deadline allows.
+ */
+class SolanaTxManager {
+    /**
+     * @param {Connection} connection - Solana RPC connection
+     * @param {Object} signer - Fee payer: { publicKey, signTransaction } (see signer.js)
+     * @param {Object} options - { timeout, pollInterval, rebroadcastInterval, bumpPercent, maxFeeMultiplier, clock, sleep }
+     */
+    constructor(connection, signer, options = {}) {
+        this.connection = connection;
+        this.signer = signer;
+        this.timeout = options.timeout ?? 90000;
+        this.pollInterval = options.pollInterval ?? 2000;
+        this.rebroadcastInterval = options.rebroadcastInterval ?? 2000;
+        this.bumpPercent = options.bumpPercent ?? 20;
+        this.maxFeeMultiplier = options.maxFeeMultiplier ?? 3;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.pending = new Map(); // signature -> tracked transaction
+    }
+
+    /**
+     * Priority fee multiplier for a build attempt (1 for the first)
+     * @param {number} attempt - Zero-based attempt
+     * @returns {number} Multiplier, capped at maxFeeMultiplier
+     */
+    feeMultiplier(attempt) {
+        return Math.min((1 + this.bumpPercent / 100) ** attempt, this.maxFeeMultiplier);
+    }
+
+    /**
+     * Build, send and confirm a transaction
+     * @param {Function} build - async (attempt) -> { transaction: VersionedTransaction, lastValidBlockHeight? }
+     * @param {Object} options - { label, deadline } (deadline in ms; defaults to now + timeout)
+     * @returns {Promise<Object>} { signature, attempts }
+     * @throws {TxError} Classified failure
+     */
+    async send(build, options = {}) {
+        const label = options.label || 'Transaction';
+        const deadline = options.deadline ?? this.clock.now() + this.timeout;
+
+        for (let attempt = 0; ; attempt++) {
+            let raw, lastValidBlockHeight;
+            try {
+                let transaction;
+                ({ transaction, lastValidBlockHeight } = await build(attempt));
+                // A blockhash is valid for 150 blocks; assume a fresh one if the builder doesn't say
+                lastValidBlockHeight ??= await this.connection.getBlockHeight('confirmed') + 150;
+                raw = (await this.signer.signTransaction(transaction)).serialize();
+            } catch (error) {
+                throw classifyError(error, { attempts: attempt });
+            }
+
+            // Preflight only the first broadcast: it turns slippage and balance problems into errors
+            let signature;
+            try {
+                signature = await this.connection.sendRawTransaction(raw, { skipPreflight: false, maxRetries: 0 });
+            } catch (error) {
+                // A dropped connection may still have delivered it
+                const txError = classifyError(error, { attempts: attempt + 1 });
+                txError.unresolved = txError.kind === 'network';
+                throw txError;
+            }
+            log.info(`📤 ${label} sent: ${signature}${attempt > 0 ? ` (attempt ${attempt + 1})` : ''}`);
+
+            const tracked = { label, signature, attempt, lastValidBlockHeight, submittedAt: this.clock.now() };
+            this.pending.set(signature, tracked);
+            try {
+                const result = await this.watch(tracked, raw);
+                if (result) return { signature, attempts: attempt + 1 };
+            } finally {
+                this.pending.delete(signature);
+            }
+
+            // Expired without landing: nothing traded, so a new attempt is safe
+            if (this.clock.now() >= deadline) {
+                throw new TxError('expired', `${label} expired before confirmation`, { hash: signature, attempts: attempt + 1 });
+            }
+            log.info(`⛽ ${label} blockhash expired, rebuilding with a higher priority fee`);
+        }
+    }
+
+    /**
+     * Rebroadcast until the transaction confirms (true) or its blockhash expires (false)
+     */
+    async watch(tracked, raw) {
+        let lastBroadcast = this.clock.now();
+
+        while (true) {
+            const status = await this.getStatus(tracked.signature);
+            if (status?.err) {
+                throw classifyError(status.err, { fallback: 'reverted', hash: tracked.signature, attempts: tracked.attempt + 1 });
+            }
+            if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+                log.info(`✅ ${tracked.label} confirmed: ${tracked.signature}`);
+                return true;
+            }
+
+            let height = null;
+            try {
+                height = await this.connection.getBlockHeight('confirmed');
+            } catch (error) {
+                // Transient; check again next poll
+            }
+            if (height !== null && height > tracked.lastValidBlockHeight) {
+                // One last look: it may have landed in the final valid block
+                const final = await this.getStatus(tracked.signature, true);
+                if (final?.err) {
+                    throw classifyError(final.err, { fallback: 'reverted', hash: tracked.signature, attempts: tracked.attempt + 1 });
+                }
+                return Boolean(final);
+            }
+
+            if (this.clock.now() - lastBroadcast >= this.rebroadcastInterval) {
+                lastBroadcast = this.clock.now();
+                this.connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+            }
+            await this.sleep(this.pollInterval);
+        }
+    }
+
+    async getStatus(signature, searchTransactionHistory = false) {
+        try {
+            const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory });
+            return value[0] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = { EvmTxManager, SolanaTxManager, TxError, TX_ERRORS, classifyError };